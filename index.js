@@ -5,10 +5,13 @@
 // Required Node packages
 const minimist = require('minimist')
 const root = require('root')
+const fs = require('fs')
 const path = require('path')
 const url = require('url')
 const assert = require('assert')
 var crypto = require('crypto')
+const net = require('net')
+const child_process = require('child_process')
 
 // More required Node packages, for multiview streaming
 const HLSServer = require('hls-server')
@@ -36,6 +39,35 @@ const DISPLAY_BANDWIDTHS = [ '', '9600k', '6600k', '4160k', '2950k', '2120k', '1
 const VALID_AUDIO_TRACKS = [ 'all', 'English', 'Home', 'Casa', 'Away', 'Visita', 'Park', 'none' ]
 const DISPLAY_AUDIO_TRACKS = [ 'all', 'TV', 'Home', 'Casa', 'Away', 'Visita', 'Park', 'none' ]
 const DEFAULT_MULTIVIEW_AUDIO_TRACK = 'English'
+// Multiview session used by the home page, and the default limit on concurrent multiview encodes
+const DEFAULT_MULTIVIEW_ID = '1'
+const DEFAULT_MULTIVIEW_MAX_SESSIONS = 2
+const VALID_MULTIVIEW_ID = /^[A-Za-z0-9_-]{1,32}$/
+// Multiview layouts (first is the default 2x2 grid) and how many streams each can hold
+const VALID_MULTIVIEW_LAYOUTS = [ 'grid', 'pip', '1+3', 'side-by-side', '3x3' ]
+const DISPLAY_MULTIVIEW_LAYOUTS = [ '2x2 grid', 'picture-in-picture', '1 large + 3 small', 'side-by-side', '3x3 grid' ]
+const MULTIVIEW_LAYOUT_MAX_STREAMS = { 'grid': 4, 'pip': 2, '1+3': 4, 'side-by-side': 2, '3x3': 9 }
+const VALID_PIP_CORNERS = [ 'bottom-right', 'bottom-left', 'top-right', 'top-left' ]
+const DEFAULT_PIP_SCALE = 0.3
+// Multiview tile overlays (team labels, optionally with live score/inning/outs) and how often to refresh them
+const VALID_MULTIVIEW_OVERLAYS = [ 'off', 'labels', 'scores' ]
+const MULTIVIEW_OVERLAY_INTERVAL = 10
+// Multiview audio focus: hear only the focused tile, or mix it over the other tiles at reduced volume
+const VALID_AUDIO_FOCUS_MODES = [ 'solo', 'mix' ]
+const AUDIO_FOCUS_DUCK_VOLUME = 0.2
+// Automatic audio sync: how many seconds of audio to compare, the length and step of the sliding window
+// compared at a time, the largest offset to look for, the sample and loudness envelope rates to compare at,
+// and the minimum correlation to trust
+const SYNC_DETECT_SECONDS = 60
+const SYNC_WINDOW_SECONDS = 20
+const SYNC_WINDOW_STEP = 10
+const SYNC_MAX_OFFSET = 30
+const SYNC_SAMPLE_RATE = 8000
+const SYNC_ENVELOPE_RATE = 50
+const SYNC_MIN_CORRELATION = 0.1
+// Multiview inputs are scaled to fit this output resolution
+const MULTIVIEW_OUTPUT_WIDTH = 1920
+const MULTIVIEW_OUTPUT_HEIGHT = 1080
 const VALID_CAPTIONS = [ 'enabled', 'disabled' ]
 const VALID_SKIP = [ 'off', 'breaks', 'idle time', 'pitches', 'commercials' ]
 const DEFAULT_SKIP_ADJUST = 0
@@ -47,6 +79,38 @@ const SAMPLE_STREAM_URL = 'https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8'
 
 const SECONDS_PER_SEGMENT = 4
 
+// Recorder timing: how often to check for recordings to start, and how often to refresh the schedule from the guide
+const RECORDER_CHECK_INTERVAL = 60
+const RECORDER_SCHEDULE_INTERVAL = 15 * 60
+// End recordings after 6 hours in case the stream never ends
+const RECORDER_MAX_DURATION = '6:00:00'
+const VALID_RECORDING_LEVELS = [ 'MLB', 'AAA', 'AA', 'A+', 'A' ]
+
+// HDHomeRun tuner emulation defaults
+const DEFAULT_TUNER_COUNT = 4
+const HDHOMERUN_FIRMWARE_VERSION = '20200101'
+
+// Paths each API token scope can access: "all" tokens can access everything except the admin paths, and "admin" tokens can access everything
+const STREAMS_SCOPE_PATHS = [ '/stream.m3u8', '/master.m3u8', '/playlist.m3u8', '/segment.ts', '/subtitles.vtt', '/gamechanger.m3u8', '/gamechangerplaylist.m3u8', '/stream.ts', '/download.ts', '/kodi.strm', '/channels.m3u', '/comskip.edl', '/comskip.txt', '/embed.html', '/embed-videojs.html', '/advanced.html', '/chromecast.html', '/mpegts.html', '/image.svg', '/favicon.svg', '/stream_finder_icon.png' ]
+const GUIDE_SCOPE_PATHS = [ '/channels.m3u', '/guide.xml', '/calendar.ics', '/api/v1/games', '/discover.json', '/device.xml', '/lineup_status.json', '/lineup.json', '/image.svg', '/favicon.svg', '/stream_finder_icon.png' ]
+const ADMIN_SCOPE_PATHS = [ '/tokens', '/tokens.json', '/clearcache', '/jobs', '/jobs.json', '/viewers', '/viewers.json', '/recordings', '/recordings.json', '/upload', '/downloadsettings', '/streamfinder', '/streamfinder.json', '/gamechanger_profiles', '/gamechanger_profiles.json', '/gamechanger_history', '/gamechanger_history.json', '/metrics', '/multiview/stop' ]
+
+// Paths that accept signed handles, if the signed_urls option is present
+const SIGNED_HANDLE_PATHS = [ '/playlist.m3u8', '/segment.ts', '/subtitles.vtt' ]
+
+const DEFAULT_SEGMENT_CACHE_SIZE = 100 // megabytes of decrypted segments to keep in memory
+const DEFAULT_SEGMENT_CACHE_TTL = 120 // seconds to keep each cached segment
+const PREFETCH_MAX_PLAYLISTS = 20 // most recent playlist responses to remember for prefetching
+
+// Seconds without a playlist or segment request before an HLS or Game Changer viewer is considered to have stopped watching
+const VIEWER_TIMEOUT = 60
+
+// Seconds between updates of the live Game Changer history page
+const GAMECHANGER_HISTORY_REFRESH = 10
+
+// Seconds to wait for each /readyz check before reporting it as failed
+const READINESS_CHECK_TIMEOUT = 5
+
 // for favorites: text, then background, based on https://teamcolors.jim-nielsen.com/
 const TEAM_COLORS = { 'ATH': ['003831', 'EFB21E'], 'ATL': ['13274F', 'CE1141'], 'AZ': ['E3D4AD', 'A71930'], 'BAL': ['000000', 'DF4601'], 'BOS': ['0D2B56', 'BD3039'], 'CHC': ['CC3433', '0E3386'], 'CWS': ['000000', 'C4CED4'], 'CIN': ['FFFFFF', 'C6011F'], 'CLE': ['002B5C', 'E31937'], 'COL': ['C4CED4', '333366'], 'DET': ['0C2C56', 'FFFFFF'], 'HOU': ['002D62', 'EB6E1F'], 'KC': ['C09A5B', '004687'], 'LAA': ['FFFFFF', 'BA0021'], 'LAD': ['FFFFFF', '005A9C'], 'MIA': ['0077C8', 'FF6600'], 'MIL': ['0A2351', 'B6922E'], 'MIN': ['D31145', '002B5C'], 'NYM': ['002D72', 'FF5910'], 'NYY': ['FFFFFF', '003087'], 'OAK': ['003831', 'EFB21E'], 'PHI': ['284898', 'E81828'], 'PIT': ['000000', 'FDB827'], 'STL': ['FEDB00', 'C41E3A'], 'SD': ['FEC325', '7F411C'], 'SF': ['000000', 'FD5A1E'], 'SEA': ['C4CED4', '005C5C'], 'TB': ['092C5C', '8FBCE6'], 'TEX': ['003278', 'C0111F'], 'TOR': ['FFFFFF', '134A8E'], 'WSH': ['AB0003', '11225B'] }
 
@@ -131,8 +195,8 @@ var argv = minimist(process.argv, {
     v: 'version',
     e: 'env'
   },
-  boolean: ['ffmpeg_logging', 'debug', 'logout', 'session', 'cache', 'version', 'free', 'env'],
-  string: ['account_username', 'account_password', 'fav_teams', 'multiview_path', 'ffmpeg_path', 'ffmpeg_encoder', 'page_username', 'page_password', 'content_protect', 'data_directory', 'http_root']
+  boolean: ['ffmpeg_logging', 'debug', 'logout', 'session', 'cache', 'version', 'free', 'env', 'log_file', 'signed_urls'],
+  string: ['account_username', 'account_password', 'fav_teams', 'multiview_path', 'ffmpeg_path', 'ffmpeg_encoder', 'overlay_font', 'page_username', 'page_password', 'content_protect', 'data_directory', 'http_root', 'tuner_count', 'recording_path', 'multiview_max_sessions', 'users', 'upstream_url', 'log_format', 'log_level', 'log_file_size', 'log_file_count', 'signed_url_ttl', 'max_streams', 'segment_cache_size', 'segment_cache_ttl', 'prefetch_segments']
 })
 
 if (argv.env) {
@@ -182,6 +246,11 @@ ffmpeg.setFfmpegPath(pathToFfmpeg)
 const defaultEncoder = 'libx264'
 const ffmpegEncoder = argv.ffmpeg_encoder || defaultEncoder
 
+// Set the font for multiview overlays, using the first common font found if not specified
+// (ffmpeg's drawtext filter has no built-in font)
+const OVERLAY_FONTS = [ '/usr/share/fonts/dejavu/DejaVuSans.ttf', '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf', '/usr/share/fonts/TTF/DejaVuSans.ttf', '/System/Library/Fonts/Supplemental/Arial.ttf', 'C:/Windows/Fonts/arial.ttf' ]
+const overlayFont = argv.overlay_font || OVERLAY_FONTS.find(font => fs.existsSync(font))
+
 // Declare web server
 var app = root()
 
@@ -195,7 +264,7 @@ if (argv.http_root) {
       req.url = req.url.substr(http_root.length, (req.url.length - http_root.length))
       app.route(req, res);
     } catch (e) {
-      session.log('http_root get request error : ' + e.message)
+      session.errorlog('http_root get request error : ' + e.message)
       res.end('http_root get request error, check log')
     }
   })
@@ -206,7 +275,7 @@ if (argv.http_root) {
       req.url = req.url.substr(http_root.length, (req.url.length - http_root.length))
       app.route(req, res);
     } catch (e) {
-      session.log('http_root post request error : ' + e.message)
+      session.errorlog('http_root post request error : ' + e.message)
       res.end('http_root post request error, check log')
     }
   })
@@ -218,11 +287,41 @@ var appname = path.basename(__dirname)
 // Multiview server variables
 var hls_base = 'multiview'
 var multiview_stream_name = 'master.m3u8'
-var multiview_url_path = '/' + hls_base + '/' + multiview_stream_name
-if ( session.protection.content_protect ) multiview_url_path += '?content_protect=' + session.protection.content_protect
+var multiview_url_path = get_multiview_url_path(DEFAULT_MULTIVIEW_ID)
 session.setMultiviewStreamURLPath(multiview_url_path)
-var ffmpeg_command
-var ffmpeg_status = false
+
+// Active multiview sessions by id, each with its own ffmpeg command and output subdirectory
+var multiview_sessions = {}
+var multiview_max_sessions = argv.multiview_max_sessions ? parseInt(argv.multiview_max_sessions) : DEFAULT_MULTIVIEW_MAX_SESSIONS
+
+// Limit concurrent stream.ts sessions, if a tuner count is specified
+var tuner_count = argv.tuner_count ? parseInt(argv.tuner_count) : 0
+var active_tuners = 0
+
+// Active viewers, by key, and the maximum number of concurrent streams, if specified
+var viewers = {}
+var viewer_count = 0
+var max_streams = argv.max_streams ? parseInt(argv.max_streams) : 0
+
+// Decrypted segment cache by upstream URL, key, and iv, in least to most recently used order, with segment requests in progress
+var segment_cache = new Map()
+var segment_cache_bytes = 0
+var segment_cache_size = (isNaN(parseFloat(argv.segment_cache_size)) ? DEFAULT_SEGMENT_CACHE_SIZE : parseFloat(argv.segment_cache_size)) * 1024 * 1024
+var segment_cache_ttl = parseInt(argv.segment_cache_ttl) || DEFAULT_SEGMENT_CACHE_TTL
+var pending_segments = {}
+
+// Segments listed in recent playlist responses, for prefetching, and each segment's playlist and position
+var prefetch_segment_count = argv.prefetch_segments ? parseInt(argv.prefetch_segments) : 0
+var prefetch_playlists = new Map()
+var prefetch_index = new Map()
+
+// ffmpeg job registry, by job id
+var ffmpeg_jobs = {}
+var ffmpeg_job_count = 0
+
+// Recorder variables
+var recorder_commands = {}
+var recorder_schedule_updated = 0
 
 // Start web server listening on port
 // and also multiview server on its port (next one if not defined otherwise)
@@ -237,6 +336,12 @@ app.listen(port, function(addr) {
     session.debuglog('warning: multiview is set to use software encoding -- see the readme for how to configure hardware encoding (to reduce multiview CPU usage and improve multiview performance)')
   }
   session.clear_multiview_files()
+  session.kill_orphaned_jobs()
+  session.prepareSession()
+
+  // Start checking for scheduled recordings
+  check_recordings()
+  setInterval(check_recordings, RECORDER_CHECK_INTERVAL * 1000)
 })
 var multiview_app = http.createServer()
 var hls = new HLSServer(multiview_app, {
@@ -267,7 +372,7 @@ app.get('/clearcache', async function(req, res) {
     let server = (req.headers['x-forwarded-proto'] ? req.headers['x-forwarded-proto'] : 'http') + '://' + req.headers.host + http_root
     res.redirect(server)
   } catch (e) {
-    session.log('clearcache request error : ' + e.message)
+    session.errorlog('clearcache request error : ' + e.message)
     res.end('clearcache request error, check log')
   }
 })
@@ -367,7 +472,7 @@ app.get('/stream.m3u8', async function(req, res) {
 
           if ( !streamURL ) {
             if ( !mediaId ) {
-              session.log('failed to get mediaId : ' + req.url)
+              session.warnlog('failed to get mediaId : ' + req.url)
               res.end('')
               return
             } else {
@@ -411,15 +516,19 @@ app.get('/stream.m3u8', async function(req, res) {
         session.debuglog('sending referer : ' + options.referer)
       }
 
+      // streams with an MLB.tv playback token count as viewers, unless they are for this server's own ffmpeg jobs
+      if ( streamURLToken && !is_internal_client(req) ) {
+        if ( !add_viewer(req, res, 'hls:' + get_client(req) + ':' + streamURLToken, 'stream.m3u8', get_viewer_title(req.query), options.resolution) ) return
+      }
+
       getMasterPlaylist(streamURL, req, res, options)
     } else {
-      session.log('failed to get streamURL : ' + req.url)
+      session.warnlog('failed to get streamURL : ' + req.url)
       res.end('')
       return
     }
   } catch (e) {
-    session.log('stream request error : ' + e.message)
-    res.end('')
+    respondError(res, e, 'stream')
   }
 })
 
@@ -443,39 +552,78 @@ function getOriginFromURL(url) {
   return pathArray[0] + '//' + pathArray[2]
 }
 
+// Copy upstream response headers for passing on, without the ones that no longer apply and with CORS allowed
+function get_proxy_headers(upstream_headers) {
+  let headers = Object.assign({}, upstream_headers)
+  delete headers['content-length']
+  delete headers['transfer-encoding']
+  delete headers['content-md5']
+  delete headers['connection']
+  delete headers['access-control-allow-credentials']
+  delete headers['content-encoding']
+
+  headers['access-control-allow-origin'] = '*'
+  return headers
+}
+
 // Default respond function, for adjusting content-length and updating CORS headers
 var respond = function(proxy, res, body) {
-  delete proxy.headers['content-length']
-  delete proxy.headers['transfer-encoding']
-  delete proxy.headers['content-md5']
-  delete proxy.headers['connection']
-  delete proxy.headers['access-control-allow-credentials']
-  delete proxy.headers['content-encoding']
-
+  proxy.headers = get_proxy_headers(proxy.headers)
   proxy.headers['content-length'] = body.length
-  proxy.headers['access-control-allow-origin'] = '*'
 
   res.writeHead(proxy.statusCode, proxy.headers)
   res.end(body)
+  session.countProxiedBytes(body.length)
 }
 
-// Retry request function, up to 2 times
+// Retry request function, up to 2 times with exponential backoff, unless the failure isn't retryable
+// (errors thrown by the callback are logged here, since they would otherwise escape the request handler)
 var requestRetry = function(u, opts, cb) {
   var tries = 2
+  var attempt = 1
+  var callback = function(err, res) {
+    try {
+      cb(err, res)
+    } catch (e) {
+      session.errorlog('request callback error for ' + u + ' : ' + e.message)
+    }
+  }
   var action = function() {
-    session.streamVideo(u, opts, tries, function(err, res) {
+    session.streamVideo(u, opts, function(err, res) {
       if (err) {
-        if ( tries < 2 ) session.log('try ' + (3 - tries) + ' for ' + u)
-        if (tries-- > 0) return setTimeout(action, 1000)
-        return cb(err)
+        if ( (tries-- > 0) && session.isRetryableError(err) ) {
+          let delay = session.getBackoffDelay(attempt)
+          attempt++
+          session.log('try ' + attempt + ' for ' + u + ' in ' + delay + 'ms')
+          return setTimeout(action, delay)
+        }
+        return callback(err)
       }
-      cb(err, res)
+      callback(err, res)
     })
   }
 
   action()
 }
 
+// Respond with the HTTP status and message of a failed request (upstreamError status, or 500)
+var respondError = function(res, err, type=false) {
+  let statusCode = err.statusCode || 500
+  let message = err.message || 'unknown error'
+  if ( type ) {
+    session.errorlog(type + ' request error : ' + message)
+    message = type + ' request error : ' + message
+  }
+  // the client may already be gone
+  try {
+    if ( res.headersSent ) return res.end()
+    res.writeHead(statusCode, {'content-type': 'text/plain', 'access-control-allow-origin': '*'})
+    res.end(message)
+  } catch (e) {
+    session.debuglog('error response failed : ' + e.message)
+  }
+}
+
 // Listen for master stream requests
 app.get('/master.m3u8', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
@@ -492,42 +640,51 @@ app.get('/master.m3u8', async function(req, res) {
 
       getMasterPlaylist(streamURL, req, res, options)
     } else {
-      session.log('failed to find master URL : ' + req.url)
+      session.warnlog('failed to find master URL : ' + req.url)
       res.end('')
       return
     }
   } catch (e) {
-    session.log('master request error : ' + e.message)
-    res.end('')
+    respondError(res, e, 'master')
   }
 })
 
 
+// Query string for a proxied playlist, segment, or subtitles URL path: the upstream url, token, referer, and key with the content_protect key,
+// or an opaque signed handle for them (only valid on that path) if the signed_urls option is present
+function proxy_query(pathname, params, content_protect) {
+  if ( argv.signed_urls ) {
+    return 'handle=' + session.signHandle(params, pathname)
+  }
+  let query = 'url=' + encodeURIComponent(params.url) + content_protect
+  if ( params.referer ) query += '&referer=' + encodeURIComponent(params.referer)
+  if ( params.streamURLToken ) query += '&streamURLToken=' + encodeURIComponent(params.streamURLToken)
+  if ( params.key ) query += '&key=' + encodeURIComponent(params.key) + '&iv=' + encodeURIComponent(params.iv)
+  return query
+}
+
 // Get the master playlist from the stream URL
 function getMasterPlaylist(streamURL, req, res, options = {}) {
   session.debuglog('getMasterPlaylist of streamURL : ' + streamURL)
+  var credential = req.credential
   var req = function () {
     var headers = {}
     var referer = false
-    var referer_parameter = ''
     if ( options.referer ) {
       referer = decodeURIComponent(options.referer)
       headers.referer = referer
       headers.origin = getOriginFromURL(referer)
       session.debuglog('found stream referer  : ' + referer)
-      referer_parameter = '&referer=' + encodeURIComponent(options.referer)
     }
-    var token_parameter = ''
     if ( options.streamURLToken ) {
       headers['x-cdn-token'] = options.streamURLToken
-      token_parameter = '&streamURLToken=' + encodeURIComponent(options.streamURLToken)
     }
     headers.gzip = true
     
     requestRetry(streamURL, headers, function(err, response) {
-      if (err) return res.error(err)
+      if (err) return respondError(res, err)
 
-      session.debuglog(response.body)
+      session.tracelog(response.body)
 
       var body = response.body.replace(/^\s+|\s+$/g, '').split('\n')
 
@@ -583,8 +740,8 @@ function getMasterPlaylist(streamURL, req, res, options = {}) {
       }
 
       var content_protect = ''
-      if ( session.protection.content_protect ) {
-        content_protect = '&content_protect=' + session.protection.content_protect
+      if ( credential ) {
+        content_protect = '&' + credential
       }
 
       // Some variables for controlling audio/video stream selection, if specified
@@ -625,7 +782,7 @@ function getMasterPlaylist(streamURL, req, res, options = {}) {
           return line
         } else if ( segment_found ) {
           segment_found = false
-          return http_root + '/segment.ts?url='+encodeURIComponent(url.resolve(streamURL, line.trim())) + content_protect + referer_parameter + token_parameter
+          return http_root + '/segment.ts?' + proxy_query('/segment.ts', {url: url.resolve(streamURL, line.trim()), referer: options.referer, streamURLToken: options.streamURLToken}, content_protect)
         }
 
         // Omit keyframe tracks
@@ -682,7 +839,7 @@ function getMasterPlaylist(streamURL, req, res, options = {}) {
                 //var parsed = line.match(/URI="([^"]+)"?$/)
                 var parsed = line.match('URI="([^"]+)"')
                 if ( parsed[1] ) {
-                  newurl = http_root + '/playlist.m3u8?url='+encodeURIComponent(url.resolve(streamURL, parsed[1].trim()))
+                  newurl = http_root + '/playlist.m3u8?' + proxy_query('/playlist.m3u8', {url: url.resolve(streamURL, parsed[1].trim()), referer: options.referer, streamURLToken: options.streamURLToken}, content_protect)
                   if ( force_vod != VALID_FORCE_VOD[0] ) newurl += '&force_vod=on'
                   if ( inning_half != VALID_INNING_HALF[0] ) newurl += '&inning_half=' + inning_half
                   if ( inning_number != VALID_INNING_NUMBER[0] ) newurl += '&inning_number=' + inning_number
@@ -690,7 +847,6 @@ function getMasterPlaylist(streamURL, req, res, options = {}) {
                   if ( skip_adjust != DEFAULT_SKIP_ADJUST ) newurl += '&skip_adjust=' + skip_adjust
                   if ( pad != VALID_PAD[0] ) newurl += '&pad=' + pad
                   if ( gamePk ) newurl += '&gamePk=' + gamePk
-                  newurl += content_protect + referer_parameter + token_parameter
 
                   // if user specified "none" for video track
                   if ( resolution == VALID_RESOLUTIONS[VALID_RESOLUTIONS.length-1] ) {
@@ -740,7 +896,7 @@ function getMasterPlaylist(streamURL, req, res, options = {}) {
           }
           var parsed = line.match('URI="([^"]+)"')
           if ( parsed[1] ) {
-            newurl = http_root + '/playlist.m3u8?url='+encodeURIComponent(url.resolve(streamURL, parsed[1].trim()))
+            newurl = http_root + '/playlist.m3u8?' + proxy_query('/playlist.m3u8', {url: url.resolve(streamURL, parsed[1].trim()), referer: options.referer, streamURLToken: options.streamURLToken}, content_protect)
             if ( force_vod != VALID_FORCE_VOD[0] ) newurl += '&force_vod=on'
             if ( inning_half != VALID_INNING_HALF[0] ) newurl += '&inning_half=' + inning_half
             if ( inning_number != VALID_INNING_NUMBER[0] ) newurl += '&inning_number=' + inning_number
@@ -748,7 +904,6 @@ function getMasterPlaylist(streamURL, req, res, options = {}) {
             if ( skip_adjust != DEFAULT_SKIP_ADJUST ) newurl += '&skip_adjust=' + skip_adjust
             if ( pad != VALID_PAD[0] ) newurl += '&pad=' + pad
             if ( gamePk ) newurl += '&gamePk=' + gamePk
-            newurl += content_protect + referer_parameter + token_parameter
             return line.replace(parsed[1], newurl)
           }
           return
@@ -760,7 +915,7 @@ function getMasterPlaylist(streamURL, req, res, options = {}) {
 
         if ( (resolution === VALID_RESOLUTIONS[0]) || (video_track_matched) ) {
           video_track_matched = false
-          newurl = encodeURIComponent(url.resolve(streamURL, line.trim()))
+          newurl = proxy_query('/playlist.m3u8', {url: url.resolve(streamURL, line.trim()), referer: options.referer, streamURLToken: options.streamURLToken}, content_protect)
           if ( force_vod != VALID_FORCE_VOD[0] ) newurl += '&force_vod=on'
           if ( inning_half != VALID_INNING_HALF[0] ) newurl += '&inning_half=' + inning_half
           if ( inning_number != VALID_INNING_NUMBER[0] ) newurl += '&inning_number=' + inning_number
@@ -769,8 +924,7 @@ function getMasterPlaylist(streamURL, req, res, options = {}) {
           if ( pad != VALID_PAD[0] ) newurl += '&pad=' + pad
           if ( gamePk ) newurl += '&gamePk=' + gamePk
           if ( audio_track != VALID_AUDIO_TRACKS[0] ) newurl += '&audio_track=' + encodeURIComponent(audio_track)
-          newurl += content_protect + referer_parameter + token_parameter
-          return http_root + '/playlist.m3u8?url='+newurl
+          return http_root + '/playlist.m3u8?'+newurl
         }
       })
       .filter(function(line) {
@@ -778,7 +932,7 @@ function getMasterPlaylist(streamURL, req, res, options = {}) {
       })
       .join('\n')+'\n'
 
-      session.debuglog(body)
+      session.tracelog(body)
       respond(response, res, Buffer.from(body))
     })
   }
@@ -797,6 +951,7 @@ app.get('/playlist.m3u8', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
 
   session.requestlog('playlist.m3u8', req, true)
+  touch_viewer(req)
 
   delete req.headers.host
 
@@ -804,20 +959,19 @@ app.get('/playlist.m3u8', async function(req, res) {
   session.debuglog('playlist.m3u8 url : ' + u)
 
   var referer = false
-  var referer_parameter = ''
   if ( req.query.referer ) {
     referer = decodeURIComponent(req.query.referer)
     session.debuglog('found playlist.m3u8 referer : ' + referer)
-    referer_parameter = '&referer=' + encodeURIComponent(req.query.referer)
   }
 
   var token = false
-  var token_parameter = ''
   if ( req.query.streamURLToken ) {
     token = decodeURIComponent(req.query.streamURLToken)
-    token_parameter = '&streamURLToken=' + req.query.streamURLToken
   }
 
+  // passed on to the segment URLs
+  var proxy_params = {referer: req.query.referer, streamURLToken: req.query.streamURLToken}
+
   var force_vod = req.query.force_vod || VALID_FORCE_VOD[0]
   var inning_half = req.query.inning_half || VALID_INNING_HALF[0]
   var inning_number = req.query.inning_number || VALID_INNING_NUMBER[0]
@@ -826,6 +980,7 @@ app.get('/playlist.m3u8', async function(req, res) {
   var pad = req.query.pad || VALID_PAD[0]
   var gamePk = req.query.gamePk || false
   var audio_track = req.query.audio_track || VALID_AUDIO_TRACKS[0]
+  var credential = req.credential
 
   var req = function () {
     var headers = {}
@@ -839,9 +994,9 @@ app.get('/playlist.m3u8', async function(req, res) {
     headers.gzip = true
 
     requestRetry(u, headers, function(err, response) {
-      if (err) return res.error(err)
+      if (err) return respondError(res, err)
 
-      session.debuglog(response.body)
+      session.tracelog(response.body)
 
       var body = response.body.replace(/^\s+|\s+$/g, '').split('\n')
 
@@ -858,10 +1013,11 @@ app.get('/playlist.m3u8', async function(req, res) {
       var time_counter = 0.0
       var skip_next = false
       var discontinuity = false
+      var prefetch_list = []
 
       var content_protect = ''
-      if ( session.protection.content_protect ) {
-        content_protect = '&content_protect=' + session.protection.content_protect
+      if ( credential ) {
+        content_protect = '&' + credential
       }
 
       if ( (gamePk) && ((inning_half != VALID_INNING_HALF[0]) || (inning_number != VALID_INNING_NUMBER[0]) || (skip != VALID_SKIP[0])) && (typeof session.temp_cache[gamePk] !== 'undefined') && (typeof session.temp_cache[gamePk].skip_markers !== 'undefined') ) {
@@ -927,13 +1083,14 @@ app.get('/playlist.m3u8', async function(req, res) {
 
         if (line[0] === '#') return line
 
-        let newline = http_root + '/segment.ts'
+        let pathname = '/segment.ts'
         if ( line.includes('.vtt') ) {
-          newline = http_root + '/subtitles.vtt'
+          pathname = '/subtitles.vtt'
+        } else {
+          prefetch_list.push({url: url.resolve(u, line.trim()), key: key, iv: iv})
         }
 
-        newline += '?url='+encodeURIComponent(url.resolve(u, line.trim())) + content_protect + referer_parameter + token_parameter
-        if ( key ) newline += '&key='+encodeURIComponent(key) + '&iv='+encodeURIComponent(iv)
+        let newline = http_root + pathname + '?' + proxy_query(pathname, Object.assign({url: url.resolve(u, line.trim()), key: key, iv: iv}, proxy_params), content_protect)
 
         // if an alternate audio track is specified, force removal of embedded audio
         if ( (audio_track != VALID_AUDIO_TRACKS[0]) && (audio_track != VALID_AUDIO_TRACKS[1]) ) {
@@ -947,6 +1104,8 @@ app.get('/playlist.m3u8', async function(req, res) {
       })
       .join('\n')+'\n'
 
+      save_prefetch_playlist(u, prefetch_list, proxy_params.referer, proxy_params.streamURLToken)
+
       let end_tag = '#EXT-X-ENDLIST'
       if ( pad != VALID_PAD[0] ) {
         let body_array = body.trim().split('\n')
@@ -972,7 +1131,7 @@ app.get('/playlist.m3u8', async function(req, res) {
           body += end_tag + '\n'
         }
       }
-      session.debuglog(body)
+      session.tracelog(body)
       respond(response, res, Buffer.from(body))
     })
   }
@@ -990,62 +1149,239 @@ app.get('/segment.ts', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
 
   session.requestlog('segment.ts', req, true)
+  touch_viewer(req)
 
   delete req.headers.host
 
   var u = req.query.url
   session.debuglog('segment.ts url : ' + u)
 
+  var headers = get_segment_headers(req.query.referer, req.query.streamURLToken)
+
+  get_segment(u, headers, req.query.key, req.query.iv, function(err, segment, sent) {
+    if (sent) return
+    if (err) return respondError(res, err)
+    respond({statusCode: segment.statusCode, headers: Object.assign({}, segment.headers)}, res, segment.body)
+  }, res)
+
+  prefetch_segments(u)
+})
+
+// Request headers for a segment, with its referer and stream token if specified
+function get_segment_headers(referer, token) {
   var headers = {encoding:null}
 
-  if ( req.query.referer ) {
-    session.debuglog('found segment.ts referer : ' + req.query.referer)
-    referer = decodeURIComponent(req.query.referer)
+  if ( referer ) {
+    session.debuglog('found segment.ts referer : ' + referer)
+    referer = decodeURIComponent(referer)
     headers.referer = referer
     headers.origin = getOriginFromURL(referer)
   }
 
-  if ( req.query.streamURLToken ) {
-    token = decodeURIComponent(req.query.streamURLToken)
-    headers['x-cdn-token'] = token
+  if ( token ) {
+    headers['x-cdn-token'] = decodeURIComponent(token)
   }
 
-  requestRetry(u, headers, function(err, response) {
-    if (err) return res.error(err)
-    if (!req.query.key) return respond(response, res, response.body)
+  return headers
+}
 
-    try {
-      var ku = req.query.key
-      if ( ku.startsWith('http') ) {
-        getKey(ku, headers, function(err, key) {
-          if (err) return res.error(err)
+// Get a segment, decrypted if a key is specified, from the segment cache or upstream
+// Requests for a segment that is already being fetched wait for that fetch instead of starting another one
+// If a response is specified and the segment is fetched, it is decrypted and sent to the response as it arrives
+// cb(err, segment, sent) where segment has the upstream statusCode and headers and the decrypted body, and sent is true if it was already sent
+function get_segment(u, headers, ku, iv, cb, res=false) {
+  let cache_key = get_segment_cache_key(u, ku, iv)
+  let cached = get_cached_segment(cache_key)
+  if ( cached ) return cb(null, cached, false)
+
+  if ( pending_segments[cache_key] ) {
+    session.debuglog('waiting for pending segment request')
+    pending_segments[cache_key].push(cb)
+    return
+  }
+  pending_segments[cache_key] = [cb]
 
-          var iv = Buffer.from(req.query.iv, 'hex')
-          session.debuglog('iv : 0x'+req.query.iv)
+  var sent = false
+  var done = function(err, segment, cacheable=false) {
+    let callbacks = pending_segments[cache_key]
+    delete pending_segments[cache_key]
+    if ( cacheable ) cache_segment(cache_key, segment)
+    for (var i=0; i<callbacks.length; i++) {
+      callbacks[i](err, segment, (i == 0) && sent)
+    }
+  }
 
-          var dc = crypto.createDecipheriv('aes-128-cbc', key, iv)
-          var buffer = Buffer.concat([dc.update(response.body), dc.final()])
+  var fetch = function(key) {
+    requestRetry(u, Object.assign({stream: true}, headers), function(err, response) {
+      if (err) return done(err)
+      let segment = {statusCode: response.statusCode, headers: response.headers, body: ''}
+      let chunks = []
 
-          respond(response, res, buffer)
+      // send unsuccessful responses as they are, once they have all arrived
+      if ( response.statusCode != 200 ) {
+        response.on('data', function(chunk) {
+          chunks.push(chunk)
         })
-      } else {
-        var iv = Buffer.from(req.query.iv, 'hex')
-        session.debuglog('iv : 0x'+req.query.iv)
+        response.on('end', function() {
+          segment.body = Buffer.concat(chunks)
+          done(null, segment)
+        })
+        response.on('error', done)
+        return
+      }
 
-        let key = Buffer.from(ku, "base64")
+      let body = response
+      let decipher = false
+      if ( key ) {
+        try {
+          session.debuglog('iv : 0x' + iv)
+          decipher = crypto.createDecipheriv('aes-128-cbc', key, Buffer.from(iv, 'hex'))
+        } catch (e) {
+          // a segment that can't be decrypted is returned empty, and not cached
+          session.errorlog('key decode error : ' + e.message)
+          session.countDecryptFailure()
+          response.resume()
+          return done(null, segment)
+        }
+        body = response.pipe(decipher)
+      }
 
-        var dc = crypto.createDecipheriv('aes-128-cbc', key, iv)
-        var buffer = Buffer.concat([dc.update(response.body), dc.final()])
+      if ( res ) {
+        sent = true
+        res.writeHead(response.statusCode, get_proxy_headers(response.headers))
+      }
 
-        respond(response, res, buffer)
+      var failed = false
+      var fail = function(err) {
+        if ( failed ) return
+        failed = true
+        if ( res ) res.end()
+        if ( decipher ) response.unpipe(decipher)
+        response.resume()
+        done(err)
       }
-    } catch (e) {
-      session.log('key decode error : ' + e.message)
-      return respond(response, res, '')
+
+      body.on('data', function(chunk) {
+        chunks.push(chunk)
+        if ( res ) {
+          res.write(chunk)
+          session.countProxiedBytes(chunk.length)
+        }
+      })
+      body.on('end', function() {
+        if ( failed ) return
+        segment.body = Buffer.concat(chunks)
+        if ( res ) res.end()
+        done(null, segment, true)
+      })
+      response.on('error', fail)
+      if ( decipher ) {
+        decipher.on('error', function(e) {
+          session.errorlog('key decode error : ' + e.message)
+          session.countDecryptFailure()
+          fail(e)
+        })
+      }
+    })
+  }
+
+  if ( !ku ) {
+    fetch(false)
+  } else if ( ku.startsWith('http') ) {
+    getKey(ku, headers, function(err, key) {
+      if (err) {
+        session.countDecryptFailure()
+        return done(err)
+      }
+      fetch(key)
+    })
+  } else {
+    fetch(Buffer.from(ku, "base64"))
+  }
+}
+
+// Segments are cached by their url with the key and iv used to decrypt them, so a request with a different key can't get another's decrypted segment
+function get_segment_cache_key(u, ku, iv) {
+  return JSON.stringify([u, ku || false, iv || false])
+}
+
+// Get a segment from the cache by its cache key, if present and not expired, marking it as most recently used
+function get_cached_segment(cache_key) {
+  if ( segment_cache_size <= 0 ) return
+  let segment = segment_cache.get(cache_key)
+  if ( segment ) {
+    segment_cache.delete(cache_key)
+    if ( segment.expires < Date.now() ) {
+      segment_cache_bytes -= segment.body.length
+      segment = undefined
+    } else {
+      segment_cache.set(cache_key, segment)
     }
-  })
-})
+  }
+  session.countCacheLookup('segments', segment ? true : false)
+  return segment
+}
+
+// Add a segment to the cache, then remove the least recently used segments until the cache is within its size limit
+function cache_segment(cache_key, segment) {
+  if ( (segment_cache_size <= 0) || (segment.body.length > segment_cache_size) ) return
+  if ( segment_cache.has(cache_key) ) {
+    segment_cache_bytes -= segment_cache.get(cache_key).body.length
+    segment_cache.delete(cache_key)
+  }
+  segment.expires = Date.now() + (segment_cache_ttl * 1000)
+  segment_cache.set(cache_key, segment)
+  segment_cache_bytes += segment.body.length
+  while ( segment_cache_bytes > segment_cache_size ) {
+    let oldest = segment_cache.keys().next().value
+    segment_cache_bytes -= segment_cache.get(oldest).body.length
+    segment_cache.delete(oldest)
+  }
+}
+
+// Remember the segments listed in a playlist response, so the ones after a requested segment can be prefetched
+function save_prefetch_playlist(playlist_url, segments, referer, token) {
+  if ( (prefetch_segment_count <= 0) || (segment_cache_size <= 0) ) return
+  remove_prefetch_playlist(playlist_url)
+  prefetch_playlists.set(playlist_url, {segments: segments, referer: referer, token: token})
+  for (var i=0; i<segments.length; i++) {
+    prefetch_index.set(segments[i].url, {playlist_url: playlist_url, index: i})
+  }
+  // only keep the most recent playlists
+  while ( prefetch_playlists.size > PREFETCH_MAX_PLAYLISTS ) {
+    remove_prefetch_playlist(prefetch_playlists.keys().next().value)
+  }
+}
+
+function remove_prefetch_playlist(playlist_url) {
+  let playlist = prefetch_playlists.get(playlist_url)
+  if ( !playlist ) return
+  for (var i=0; i<playlist.segments.length; i++) {
+    if ( prefetch_index.has(playlist.segments[i].url) && (prefetch_index.get(playlist.segments[i].url).playlist_url == playlist_url) ) {
+      prefetch_index.delete(playlist.segments[i].url)
+    }
+  }
+  prefetch_playlists.delete(playlist_url)
+}
 
+// Fetch the next segments after a requested one into the cache, if they aren't already there
+function prefetch_segments(u) {
+  let position = prefetch_index.get(u)
+  if ( !position ) return
+  let playlist = prefetch_playlists.get(position.playlist_url)
+  let headers = get_segment_headers(playlist.referer, playlist.token)
+  let last = Math.min(position.index + prefetch_segment_count, playlist.segments.length - 1)
+  for (var i=position.index+1; i<=last; i++) {
+    let segment = playlist.segments[i]
+    let cache_key = get_segment_cache_key(segment.url, segment.key, segment.iv)
+    if ( !segment_cache.has(cache_key) && !pending_segments[cache_key] ) {
+      session.debuglog('prefetching segment : ' + segment.url)
+      get_segment(segment.url, headers, segment.key, segment.iv, function(err) {
+        if (err) session.debuglog('prefetch segment error : ' + err.message)
+      })
+    }
+  }
+}
 
 // Listen for WebVTT subtitle requests
 app.get('/subtitles.vtt', async function(req, res) {
@@ -1075,11 +1411,11 @@ app.get('/subtitles.vtt', async function(req, res) {
 
   var req = function () {
     requestRetry(u, headers, function(err, response) {
-      if (err) return res.error(err)
+      if (err) return respondError(res, err)
 
       var body = response.body
 
-      session.debuglog(body)
+      session.tracelog(body)
       respond(response, res, Buffer.from(body))
     })
   }
@@ -1093,6 +1429,20 @@ app.get('/subtitles.vtt', async function(req, res) {
 })
 
 
+// Levels and organizations for a Game Changer from its query (already decoded, like channels.m3u), with a list of errors (empty if valid)
+function get_gamechanger_levels(query) {
+  let levels = { includeLevels: [], includeOrgs: [], errors: [] }
+  try {
+    for (const filter of ['includeLevels', 'includeOrgs']) {
+      if ( query[filter] ) levels[filter] = query[filter].toString().toUpperCase().split(',')
+    }
+    levels.errors = session.validate_gamechanger_levels(levels)
+  } catch (e) {
+    levels.errors = [ 'invalid includeLevels or includeOrgs : ' + e.message ]
+  }
+  return levels
+}
+
 // Listen for gamechanger.m3u master playlist requests
 app.get('/gamechanger.m3u8', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
@@ -1112,27 +1462,75 @@ app.get('/gamechanger.m3u8', async function(req, res) {
     resolution = VALID_RESOLUTIONS[1]
   }
 
+  // a saved profile replaces the filter and Stream Finder parameters
+  var profile = ''
+  if ( req.query.profile ) {
+    if ( !session.get_gamechanger_profile(req.query.profile) ) {
+      session.warnlog('Game changer profile not found : ' + req.query.profile)
+      res.writeHead(404, {'Content-Type': 'text/plain'})
+      res.end('Game Changer profile not found')
+      return
+    }
+    profile = '&profile=' + encodeURIComponent(req.query.profile)
+    session.debuglog('Game changer profile ' + req.query.profile)
+  }
+
   var streamFinder = ''
-  if ( req.query.streamFinder ) {
+  if ( req.query.streamFinder && !profile ) {
     streamFinder = '&streamFinder=' + req.query.streamFinder.toLowerCase()
     session.debuglog('Game changer Stream Finder ' + streamFinder)
   }
 
   var includeTeams = ''
-  if ( req.query.includeTeams ) {
+  if ( req.query.includeTeams && !profile ) {
     includeTeams = '&includeTeams=' + req.query.includeTeams.toUpperCase()
     session.debuglog('Game changer including teams ' + includeTeams)
   }
 
   var excludeTeams = ''
-  if ( req.query.excludeTeams ) {
+  if ( req.query.excludeTeams && !profile ) {
     excludeTeams = '&excludeTeams=' + req.query.excludeTeams.toUpperCase()
     session.debuglog('Game changer excluding teams ' + excludeTeams)
   }
 
+  // levels and organizations to follow, like channels.m3u
+  var includeLevels = ''
+  var includeOrgs = ''
+  if ( !profile ) {
+    let levels = get_gamechanger_levels(req.query)
+    if ( levels.errors.length > 0 ) {
+      session.warnlog('Game changer error : ' + levels.errors.join(', '))
+      res.writeHead(400, {'Content-Type': 'text/plain'})
+      res.end(levels.errors.join(', '))
+      return
+    }
+    if ( levels.includeLevels.length > 0 ) {
+      includeLevels = '&includeLevels=' + encodeURIComponent(levels.includeLevels.join(','))
+      session.debuglog('Game changer including levels ' + includeLevels)
+    }
+    if ( levels.includeOrgs.length > 0 ) {
+      includeOrgs = '&includeOrgs=' + encodeURIComponent(levels.includeOrgs.join(','))
+      session.debuglog('Game changer including orgs ' + includeOrgs)
+    }
+  }
+
+  // switching rules (dwell, finish, threshold, returnToPrevious)
+  var rules = ''
+  if ( !profile ) {
+    for (const [rule, value] of Object.entries(session.getGameChangerRules(req.query))) {
+      rules += '&' + rule + '=' + value
+    }
+    if ( rules ) session.debuglog('Game changer rules ' + rules)
+  }
+
+  var user = ''
+  if ( req.user ) {
+    user = get_user_parameters(req.user)
+  }
+
   var content_protect = ''
-  if ( session.protection.content_protect ) {
-    content_protect = '&content_protect=' + session.protection.content_protect
+  if ( req.credential ) {
+    content_protect = '&' + req.credential
   }
 
   var body = '#EXTM3U' + '\n' + '#EXT-X-INDEPENDENT-SEGMENTS' + '\n' + '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="program_audio",LANGUAGE="en",NAME="English",AUTOSELECT=YES,DEFAULT=YES' + '\n'
@@ -1141,12 +1539,12 @@ app.get('/gamechanger.m3u8', async function(req, res) {
 
   for ( gamechanger_resolution in GAMECHANGER_RESOLUTIONS ) {
     if ( resolution == gamechanger_resolution ) {
-      body += '#EXT-X-STREAM-INF:BANDWIDTH=' + GAMECHANGER_RESOLUTIONS[gamechanger_resolution].bandwidth + '000,RESOLUTION=' + GAMECHANGER_RESOLUTIONS[gamechanger_resolution].resolution + ',FRAME-RATE=' + GAMECHANGER_RESOLUTIONS[gamechanger_resolution].frame_rate + ',CODECS="mp4a.40.2,avc1.' + GAMECHANGER_RESOLUTIONS[gamechanger_resolution].codec + '",CLOSED-CAPTIONS="cc",AUDIO="aac"' + '\n' + http_root + '/gamechangerplaylist.m3u8?id=' + id + '&resolution=' + gamechanger_resolution + streamFinder + includeTeams + excludeTeams + content_protect + '\n'
+      body += '#EXT-X-STREAM-INF:BANDWIDTH=' + GAMECHANGER_RESOLUTIONS[gamechanger_resolution].bandwidth + '000,RESOLUTION=' + GAMECHANGER_RESOLUTIONS[gamechanger_resolution].resolution + ',FRAME-RATE=' + GAMECHANGER_RESOLUTIONS[gamechanger_resolution].frame_rate + ',CODECS="mp4a.40.2,avc1.' + GAMECHANGER_RESOLUTIONS[gamechanger_resolution].codec + '",CLOSED-CAPTIONS="cc",AUDIO="aac"' + '\n' + http_root + '/gamechangerplaylist.m3u8?id=' + id + '&resolution=' + gamechanger_resolution + profile + streamFinder + includeTeams + excludeTeams + includeLevels + includeOrgs + rules + user + content_protect + '\n'
       break
     }
   }
 
-  session.debuglog(body)
+  session.tracelog(body)
 
   let response = {"statusCode":200,"headers":{"content-type":"application/x-mpegURL","access-control-allow-origin":"*"}}
 
@@ -1154,6 +1552,30 @@ app.get('/gamechanger.m3u8', async function(req, res) {
 })
 
 
+// Get the variant playlist URL nearest a Game Changer resolution's bandwidth from a master playlist
+function get_gamechanger_variant(streamURL, resolution) {
+  return new Promise(function(resolve) {
+    requestRetry(streamURL, {}, function(err, response) {
+      if ( err || !response.body.startsWith('#EXTM3U') ) return resolve()
+      let body = response.body.split('\n')
+      let max_bandwidth = parseInt(GAMECHANGER_RESOLUTIONS[resolution].bandwidth) * 1000
+      let variant
+      let variant_bandwidth
+      for (var i=0; i<body.length-1; i++) {
+        let parsed = body[i].startsWith('#EXT-X-STREAM-INF') && body[i].match(/[:,]BANDWIDTH=([0-9]+)/)
+        if ( !parsed || !body[i+1] || body[i+1].startsWith('#') ) continue
+        let bandwidth = parseInt(parsed[1])
+        // the highest bandwidth up to the resolution's, or else the lowest
+        if ( !variant || ((bandwidth <= max_bandwidth) && ((variant_bandwidth > max_bandwidth) || (bandwidth > variant_bandwidth))) || ((bandwidth > max_bandwidth) && (variant_bandwidth > max_bandwidth) && (bandwidth < variant_bandwidth)) ) {
+          variant = url.resolve(streamURL, body[i+1].trim())
+          variant_bandwidth = bandwidth
+        }
+      }
+      resolve(variant)
+    })
+  })
+}
+
 // Listen for gamechanger playlist requests
 app.get('/gamechangerplaylist.m3u8', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
@@ -1166,14 +1588,42 @@ app.get('/gamechangerplaylist.m3u8', async function(req, res) {
 
   var id = req.query.id || null
   if ( !id ) {
-    session.log('Game changer error : no id specified')
+    session.errorlog('Game changer error : no id specified')
     respond(GAMECHANGER_RESPONSE_HEADERS, res, Buffer.from(''))
   } else {
     var game_changer_title = 'Game changer ' + id + ' '
 
     var resolution = req.query.resolution || VALID_RESOLUTIONS[2]
 
+    var profile = false
+    if ( req.query.profile ) {
+      profile = session.get_gamechanger_profile(req.query.profile)
+      if ( !profile ) {
+        session.errorlog(game_changer_title + 'error : profile ' + req.query.profile + ' not found')
+        respond(GAMECHANGER_RESPONSE_HEADERS, res, Buffer.from(''))
+        return
+      }
+      game_changer_title += 'profile ' + profile.id + ' '
+    }
+
+    var levels = get_gamechanger_levels(req.query)
+    if ( !profile && (levels.errors.length > 0) ) {
+      session.errorlog(game_changer_title + 'error : ' + levels.errors.join(', '))
+      res.writeHead(400, {'Content-Type': 'text/plain'})
+      res.end(levels.errors.join(', '))
+      return
+    }
+    var includeLevels = levels.includeLevels
+    var includeOrgs = levels.includeOrgs
+
+    if ( !is_internal_client(req) ) {
+      if ( !add_viewer(req, res, 'gamechanger:' + get_client(req) + ':' + id, 'gamechangerplaylist.m3u8', 'Game Changer ' + (profile ? profile.name : id), resolution) ) return
+    }
+
     var streamFinder = req.query.streamFinder || 'off'
+    if ( profile ) {
+      streamFinder = profile.streamFinder ? 'on' : 'off'
+    }
     if ( streamFinder == 'on' ) {
       game_changer_title += ' stream finder '
     }
@@ -1184,18 +1634,28 @@ app.get('/gamechangerplaylist.m3u8', async function(req, res) {
     var excludeTeams = req.query.excludeTeams || []
     if ( excludeTeams.length > 0 ) excludeTeams = excludeTeams.split(',')
 
+    var gamechanger_options = Object.assign({streamFinder: (streamFinder == 'on'), includeLevels: includeLevels, includeOrgs: includeOrgs}, session.getGameChangerRules(req.query))
+    if ( profile ) {
+      includeTeams = profile.includeTeams
+      excludeTeams = profile.excludeTeams
+      Object.assign(gamechanger_options, {profile: profile.name, stream_finder_settings: profile.stream_finder_settings, dwell: profile.dwell, finish: profile.finish, threshold: profile.threshold, returnToPrevious: profile.returnToPrevious, includeLevels: profile.includeLevels || [], includeOrgs: profile.includeOrgs || []})
+    }
+
+    var user = req.user
+    var credential = req.credential
+
     var req = async function () {
       var headers = {}
 
       var content_protect = ''
-      if ( session.protection.content_protect ) {
-        content_protect = '&content_protect=' + session.protection.content_protect
+      if ( credential ) {
+        content_protect = '&' + credential
       }
 
       // if 30+ seconds since our last access, assume stream was stopped and reset this gamechanger
       if ( !session.temp_cache.gamechanger || !session.temp_cache.gamechanger[id] || !session.temp_cache.gamechanger[id].segments || (session.temp_cache.gamechanger[id].segments.length == 0) || !session.temp_cache.gamechanger[id].lastAccess || (gamechangerAccess >= (new Date(new Date(session.temp_cache.gamechanger[id].lastAccess).getTime() + 30000))) ) {
         session.log(game_changer_title + 'starting/resetting gamechanger')
-        await session.resetGameChanger(id, includeTeams, excludeTeams)
+        await session.resetGameChanger(id, includeTeams, excludeTeams, user, gamechanger_options)
         
         if (streamFinder == 'on') {
           await session.getStreamFinderData(id)
@@ -1216,12 +1676,17 @@ app.get('/gamechangerplaylist.m3u8', async function(req, res) {
         } else {
           streamInfo = await session.getBestGame(id)
         }
-        if ( streamInfo && streamInfo.streamURL && streamInfo.streamURLToken && (streamInfo.streamURL != session.temp_cache.gamechanger[id].streamURL) ) {
+        if ( streamInfo && streamInfo.streamURL && (streamInfo.streamURLToken || streamInfo.master) && (streamInfo.streamURL != session.temp_cache.gamechanger[id].streamURL) ) {
           session.log(game_changer_title + 'game changed')
+          if ( session.temp_cache.gamechanger[id].streamURL ) {
+            session.countGameChangerSwitch((streamFinder == 'on') ? 'streamfinder' : 'gamechanger')
+          }
           streamURL = streamInfo.streamURL
           streamURLToken = streamInfo.streamURLToken
           session.temp_cache.gamechanger[id].streamURL = streamURL
           session.temp_cache.gamechanger[id].streamURLToken = streamURLToken
+          session.temp_cache.gamechanger[id].master = streamInfo.master || false
+          session.temp_cache.gamechanger[id].variants = {}
           if ( session.temp_cache.gamechanger[id].segments.length == GAMECHANGER_LIST_SIZE ) {
             discontinuity = true
             session.temp_cache.gamechanger[id].discontinuitySequence++
@@ -1241,13 +1706,27 @@ app.get('/gamechangerplaylist.m3u8', async function(req, res) {
           if ( !session.temp_cache.gamechanger[id].playlist[resolution] || !session.temp_cache.gamechanger[id].lastAccess[resolution] || (gamechangerAccess >= (new Date(new Date(session.temp_cache.gamechanger[id].lastAccess[resolution]).getTime() + 1500))) ) {
             session.temp_cache.gamechanger[id].lastAccess[resolution] = gamechangerAccess
             session.debuglog(game_changer_title + 'checking for new segments')
-            let u = streamURL + '_' + GAMECHANGER_RESOLUTIONS[resolution].url_bandwidth + 'K.m3u8'
-            headers['x-cdn-token'] = streamURLToken
+            let u
+            if ( session.temp_cache.gamechanger[id].master ) {
+              // MiLB and winter league streams name their variants differently, so pick one from the master playlist
+              if ( !session.temp_cache.gamechanger[id].variants[resolution] ) {
+                session.temp_cache.gamechanger[id].variants[resolution] = await get_gamechanger_variant(streamURL, resolution)
+              }
+              u = session.temp_cache.gamechanger[id].variants[resolution]
+              if ( !u ) {
+                session.log(game_changer_title + 'no variant found at ' + streamURL)
+                respond(GAMECHANGER_RESPONSE_HEADERS, res, Buffer.from(''))
+                return
+              }
+            } else {
+              u = streamURL + '_' + GAMECHANGER_RESOLUTIONS[resolution].url_bandwidth + 'K.m3u8'
+              headers['x-cdn-token'] = streamURLToken
+            }
             requestRetry(u, headers, function(err, response) {
               session.debuglog(game_changer_title + 'requested ' + u)
-              if (err) return res.error(err)
+              if (err) return respondError(res, err)
 
-              session.debuglog(response.body)
+              session.tracelog(response.body)
 
               var body = response.body.replace(/^\s+|\s+$/g, '').split('\n')
 
@@ -1258,16 +1737,24 @@ app.get('/gamechangerplaylist.m3u8', async function(req, res) {
               }
 
               // find the new segments, and make sure all segments have valid keys
+              // (MiLB and winter league streams may not be encrypted, so find their segments by duration instead)
               //let segments_to_key = []
               let new_segments = []
               let new_segments_complete = false
               let segment_count = 0
+              let encrypted = response.body.includes('#EXT-X-KEY')
               for (var i=(body.length-1); i>=0; i--) {
-                if ( body[i].startsWith('#EXT-X-KEY') ) {
-                  let key = url.resolve(u, body[i].match('URI="([^"]+)"')[1])
-                  let iv = body[i].match('IV=0x(.*)$')[1]
+                if ( (encrypted && body[i].startsWith('#EXT-X-KEY')) || (!encrypted && body[i].startsWith('#EXTINF')) ) {
+                  let key
+                  let iv
                   let ts
                   let extinf
+                  if ( encrypted ) {
+                    key = url.resolve(u, body[i].match('URI="([^"]+)"')[1])
+                    iv = body[i].match('IV=0x(.*)$')[1]
+                  } else {
+                    extinf = body[i]
+                  }
                   for (var j=1; j<=4; j++) {
                     if ( body[i+j] ) {
                       if ( !extinf && body[i+j].startsWith('#EXTINF') ) {
@@ -1278,7 +1765,7 @@ app.get('/gamechangerplaylist.m3u8', async function(req, res) {
                       if ( extinf && ts ) break;
                     }
                   }
-                  if ( key && iv && extinf && ts && !new_segments_complete ) {
+                  if ( ((key && iv) || !encrypted) && extinf && ts && !new_segments_complete ) {
                     session.debuglog(game_changer_title + 'found segment ' + ts)
                     if ( discontinuity ) {
                       session.debuglog(game_changer_title + 'only getting newest segment after stream change')
@@ -1308,7 +1795,7 @@ app.get('/gamechangerplaylist.m3u8', async function(req, res) {
               if ( discontinuity && (new_segments.length > 0) ) {
                 new_segments[0].discontinuity = true
               }
-              session.debuglog(game_changer_title + 'new segments : ' + JSON.stringify(new_segments))
+              session.tracelog(game_changer_title + 'new segments : ' + JSON.stringify(new_segments))
 
               // remove stored segments
               while ( session.temp_cache.gamechanger[id].segments.length > (GAMECHANGER_LIST_SIZE - new_segments.length) ) {
@@ -1328,10 +1815,10 @@ app.get('/gamechangerplaylist.m3u8', async function(req, res) {
                 if ( session.temp_cache.gamechanger[id].segments[i].discontinuity ) {
                   session.temp_cache.gamechanger[id].playlist[resolution] += '#EXT-X-DISCONTINUITY' + '\n'
                 }
-                session.temp_cache.gamechanger[id].playlist[resolution] += session.temp_cache.gamechanger[id].segments[i].extinf + '\n' + http_root + '/segment.ts?url=' + encodeURIComponent(session.temp_cache.gamechanger[id].segments[i].ts) + '&streamURLToken='+encodeURIComponent(session.temp_cache.gamechanger[id].segments[i].streamURLToken) + '&key='+encodeURIComponent(session.temp_cache.gamechanger[id].segments[i].key) + '&iv='+encodeURIComponent(session.temp_cache.gamechanger[id].segments[i].iv) + content_protect + '\n'
+                session.temp_cache.gamechanger[id].playlist[resolution] += session.temp_cache.gamechanger[id].segments[i].extinf + '\n' + http_root + '/segment.ts?' + proxy_query('/segment.ts', {url: session.temp_cache.gamechanger[id].segments[i].ts, streamURLToken: session.temp_cache.gamechanger[id].segments[i].streamURLToken, key: session.temp_cache.gamechanger[id].segments[i].key, iv: session.temp_cache.gamechanger[id].segments[i].iv}, content_protect) + '\n'
               }
 
-              session.debuglog(game_changer_title + 'playlist ' + session.temp_cache.gamechanger[id].playlist[resolution])
+              session.tracelog(game_changer_title + 'playlist ' + session.temp_cache.gamechanger[id].playlist[resolution])
               respond(GAMECHANGER_RESPONSE_HEADERS, res, Buffer.from(session.temp_cache.gamechanger[id].playlist[resolution]))
             })
             session.debuglog(game_changer_title + 'check for new segments complete')
@@ -1343,7 +1830,9 @@ app.get('/gamechangerplaylist.m3u8', async function(req, res) {
       //}
     }
 
-    return req()
+    return req().catch(function(e) {
+      respondError(res, e, game_changer_title.trim())
+    })
 
     requestRetry(u, headers, function(err, res) {
       if (err) return res.error(err)
@@ -1353,31 +1842,96 @@ app.get('/gamechangerplaylist.m3u8', async function(req, res) {
 })
 
 // Protect pages by password, or content by content_protect url parameter
+// sets req.user to the logged in user, or the user url parameter for content requests, for per-user settings
 async function protect(req, res) {
-  if (argv.page_username && argv.page_password) {
-    if ( !session.protection.content_protect || !req.query.content_protect || (req.query.content_protect != session.protection.content_protect) ) {
-      if ( !session.protection.content_protect || !req.query.content_protect || !req.query.content_protect[0] || (req.query.content_protect[0] != session.protection.content_protect) ) {
-        const reject = () => {
+  req.user = false
+  req.token = false
+  // Credential for the content URLs generated for this request: the caller's own token, or the content_protect key
+  req.credential = session.protection.content_protect ? 'content_protect=' + session.protection.content_protect : ''
+
+  // A signed handle stands in for the upstream parameters and content_protect key of a proxied playlist, segment, or subtitles URL
+  req.signed = false
+  if ( req.query.handle && SIGNED_HANDLE_PATHS.includes(req.url.split('?')[0]) ) {
+    let params = session.resolveSignedHandle(req.query.handle, req.url.split('?')[0])
+    if ( !params ) {
+      res.error(403, ' Invalid or expired handle')
+      return false
+    }
+    Object.assign(req.query, params)
+    req.signed = true
+  }
+
+  if ( session.hasUsers() ) {
+    const authorization = req.headers.authorization
+    if ( authorization && authorization.startsWith('Basic ') ) {
+      const credentials = Buffer.from(authorization.replace('Basic ', ''), 'base64').toString()
+      const separator = credentials.indexOf(':')
+      req.user = session.checkUserPassword(credentials.substring(0, separator), credentials.substring(separator+1))
+    }
+
+    if ( !req.user && !req.signed ) {
+      // API tokens are accepted as a token URL parameter, or an Authorization: Bearer or X-API-Token header
+      let token = req.query.token || req.headers['x-api-token']
+      if ( authorization && authorization.startsWith('Bearer ') ) {
+        token = authorization.replace('Bearer ', '')
+      }
+      if ( token ) {
+        req.token = session.check_token(Array.isArray(token) ? token[0] : token)
+        if ( !req.token ) {
+          res.error(401, ' Invalid or expired token')
+          return false
+        }
+        if ( !token_scope_allows(req.token.scope, req.url.split('?')[0]) ) {
+          session.debuglog('token ' + req.token.id + ' (' + req.token.name + ') scope ' + req.token.scope + ' does not allow ' + req.url.split('?')[0])
+          res.error(403, ' Forbidden')
+          return false
+        }
+        req.credential = 'token=' + encodeURIComponent(Array.isArray(token) ? token[0] : token)
+      } else {
+        // the content_protect key is in every content URL, so it can't open admin pages
+        let content_protect = Array.isArray(req.query.content_protect) ? req.query.content_protect[0] : req.query.content_protect
+        if ( !session.protection.content_protect || (content_protect != session.protection.content_protect) || ADMIN_SCOPE_PATHS.includes(req.url.split('?')[0]) ) {
           res.setHeader('www-authenticate', 'Basic')
           res.error(401, ' Not Authorized')
           return false
         }
+      }
+    }
 
-        const authorization = req.headers.authorization
+    // A content URL can carry a user along with that user's key, for their settings;
+    // only an admin can choose another user without the key (like to edit their settings)
+    if ( req.query.user && Object.hasOwn(session.users, req.query.user) && (is_admin(req) || session.checkUserKey(req.query.user, req.query.user_key)) ) {
+      req.user = req.query.user
+    }
+  }
+  return true
+}
 
-        if(!authorization) {
-          return reject()
-        }
+// Check whether a request is from an admin: a page login, or an admin token
+function is_admin(req) {
+  return (req.user || (req.token && (req.token.scope == 'admin'))) ? true : false
+}
 
-        const [username, password] = Buffer.from(authorization.replace('Basic ', ''), 'base64').toString().split(':')
+// URL parameters carrying a user and their key, for content URLs that players request without logging in
+function get_user_parameters(username) {
+  return '&user=' + encodeURIComponent(username) + '&user_key=' + session.getUserKey(username)
+}
 
-        if(! (username === argv.page_username && password === argv.page_password)) {
-          return reject()
-        }
-      }
-    }
+// Check whether an API token scope can access a path
+function token_scope_allows(scope, pathname) {
+  if ( scope == 'admin' ) {
+    return true
+  } else if ( scope == 'streams' ) {
+    return STREAMS_SCOPE_PATHS.includes(pathname)
+  } else if ( scope == 'guide' ) {
+    return GUIDE_SCOPE_PATHS.includes(pathname)
   }
-  return true
+  return !ADMIN_SCOPE_PATHS.includes(pathname)
+}
+
+// Escape text for an HTML page
+function escape_html(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;')
 }
 
 function getLastName(fullName) {
@@ -1390,6 +1944,119 @@ function getLastName(fullName) {
   return fullName.substring(indexOfSpace + 1);
 }
 
+// Determine the date, level, and org for a schedule request, using the fav_teams where appropriate
+// (shared by the home page and the API)
+function getScheduleQuery(req) {
+  let fav_teams = session.getFavTeams(req.user)
+  let gameDate = session.liveDate()
+  let today = gameDate
+  let yesterday = session.yesterdayDate()
+  let todayUTCHours = session.getTodayUTCHours()
+  let curDate = new Date()
+  if ( req.query.date ) {
+    if ( req.query.date == VALID_DATES[1] ) {
+      gameDate = yesterday
+    } else if ( req.query.date != VALID_DATES[0] ) {
+      gameDate = req.query.date
+    }
+  } else {
+    let utcHours = curDate.getUTCHours()
+    if ( (utcHours >= todayUTCHours) && (utcHours < YESTERDAY_UTC_HOURS) ) {
+      gameDate = yesterday
+    }
+  }
+
+  var levels = session.getLevels()
+  var level_labels = Object.keys(levels)
+  var default_level = level_labels[0]
+  var level = default_level
+  if ( req.query.level ) {
+    level = decodeURIComponent(req.query.level)
+  }
+  if ( typeof levels[level] === 'undefined' ) {
+    level = default_level
+  }
+
+  var level_ids = levels[level]
+  var default_org = level_labels[level_labels.length-1]
+  var org = default_org
+  var team_ids = ''
+  if ( req.query.org ) {
+    org = decodeURIComponent(req.query.org)
+    if ( typeof session.getAffiliateTeamIds(org) === 'undefined' ) {
+      org = default_org
+    } else {
+      team_ids += session.getTeamIds(org) + ',' + session.getAffiliateTeamIds(org)
+      level = default_org
+    }
+  } else if ( level_ids == levels['MLB'] ) {
+    team_ids = session.getTeamIds()
+    for (let i=0; i<fav_teams.length; i++) {
+      if ( fav_teams[i] != '' ) {
+        let affiliate_team_ids = session.getAffiliateTeamIds(fav_teams[i])
+        if ( affiliate_team_ids ) {
+          level_ids = levels['All']
+          team_ids += ',' + affiliate_team_ids
+        }
+      }
+    }
+  }
+  let cache_name = gameDate
+  if ( level_ids != levels['MLB'] ) {
+    cache_name += '.' + level_ids.replaceAll(',', '')
+  }
+  if ( team_ids != '' ) {
+    cache_name += '.' + team_ids.replaceAll(',', '')
+  }
+  if ( cache_name.length > 250 ) {
+    cache_name = cache_name.slice(0, 250)
+  }
+
+  return { gameDate: gameDate, today: today, yesterday: yesterday, todayUTCHours: todayUTCHours, levels: levels, default_level: default_level, level: level, level_ids: level_ids, default_org: default_org, org: org, team_ids: team_ids, cache_name: cache_name }
+}
+
+// The video broadcast of a Winter League / MiLB game, which has a single video feed, or false if it has none
+function get_milb_broadcast(game) {
+  if ( !game.broadcasts ) return false
+  for (var k = 0; k < game.broadcasts.length; k++) {
+    if ( game.broadcasts[k].name != 'Audio' ) return game.broadcasts[k]
+  }
+  return false
+}
+
+// The stream querystring of a Winter League / MiLB game, identified by event or gamePk
+function get_milb_querystring(game) {
+  let querystring
+  if ( session.getWinterIds().includes(game.teams['home'].team.league.id) ) {
+    if ( session.getAFLid() == game.teams['home'].team.league.id ) {
+      querystring = '?event=' + encodeURIComponent(game.teams['home'].team.abbreviation.toUpperCase())
+    //} else if ( session.getLMPid() == game.teams['home'].team.league.id ) {
+    //  querystring = '?event=' + encodeURIComponent(game.teams['home'].team.name.split(' ')[0].toUpperCase())
+    } else {
+      querystring = '?event=' + encodeURIComponent(game.teams['home'].team.shortName.toUpperCase())
+    }
+    querystring += '&league_id=' + game.teams['home'].team.league.id
+  } else {
+    querystring = '?gamePk=' + game.gamePk
+  }
+  return querystring
+}
+
+// The media type of an MLB broadcast: MLBTV, Spanish, or Audio
+function get_broadcast_media_type(broadcast) {
+  if ( broadcast.type == 'TV' ) {
+    return 'MLBTV'
+  } else if ( broadcast.language == 'es' ) {
+    return 'Spanish'
+  }
+  return 'Audio'
+}
+
+// Whether a video feed was found to be blacked out when it was last requested today
+function is_cached_blackout(mediaId, gameDate, today) {
+  return ((gameDate == today) && session.cache.media && session.cache.media[mediaId] && session.cache.media[mediaId].blackout && session.cache.media[mediaId].blackoutExpiry && (new Date(session.cache.media[mediaId].blackoutExpiry) > new Date())) ? true : false
+}
+
 // Server homepage, base URL
 app.get('/', async function(req, res) {
   try {
@@ -1397,80 +2064,40 @@ app.get('/', async function(req, res) {
 
     session.requestlog('homepage', req)
 
+    // Logged in users can save their own favorite teams
+    if ( req.user && (typeof req.query.fav_teams !== 'undefined') ) {
+      session.setFavTeams(req.user, req.query.fav_teams)
+    }
+    let fav_teams = session.getFavTeams(req.user)
+
     let server = (req.headers['x-forwarded-proto'] ? req.headers['x-forwarded-proto'] : 'http') + '://' + req.headers.host
     server += http_root
     let multiview_stream_url = 'http://127.0.0.1:' + session.data.multiviewPort + multiview_url_path
 
-    let gameDate = session.liveDate()
-    let today = gameDate
-    let yesterday = session.yesterdayDate()
-    let todayUTCHours = session.getTodayUTCHours()
+    let schedule_query = getScheduleQuery(req)
+    let gameDate = schedule_query.gameDate
+    let today = schedule_query.today
+    let yesterday = schedule_query.yesterday
+    let todayUTCHours = schedule_query.todayUTCHours
     let curDate = new Date()
-    if ( req.query.date ) {
-      if ( req.query.date == VALID_DATES[1] ) {
-        gameDate = yesterday
-      } else if ( req.query.date != VALID_DATES[0] ) {
-        gameDate = req.query.date
-      }
-    } else {
-      let utcHours = curDate.getUTCHours()
-      if ( (utcHours >= todayUTCHours) && (utcHours < YESTERDAY_UTC_HOURS) ) {
-        gameDate = yesterday
-      }
-    }
-
-    var levels = session.getLevels()
-    var level_labels = Object.keys(levels)
-    var default_level = level_labels[0]
-    var level = default_level
-    if ( req.query.level ) {
-      level = decodeURIComponent(req.query.level)
-    }
-    if ( typeof levels[level] === 'undefined' ) {
-      level = default_level
-    }
-
-    var level_ids = levels[level]
-    var default_org = level_labels[level_labels.length-1]
-    var org = default_org
-    var team_ids = ''
-    if ( req.query.org ) {
-      org = decodeURIComponent(req.query.org)
-      if ( typeof session.getAffiliateTeamIds(org) === 'undefined' ) {
-        org = default_org
-      } else {
-        team_ids += session.getTeamIds(org) + ',' + session.getAffiliateTeamIds(org)
-        level = default_org
-      }
-    } else if ( level_ids == levels['MLB'] ) {
-      team_ids = session.getTeamIds()
-      for (let i=0; i<session.credentials.fav_teams.length; i++) {
-        if ( session.credentials.fav_teams[i] != '' ) {
-          let affiliate_team_ids = session.getAffiliateTeamIds(session.credentials.fav_teams[i])
-          if ( affiliate_team_ids ) {
-            level_ids = levels['All']
-            team_ids += ',' + affiliate_team_ids
-          }
-        }
-      }
-    }
-    let cache_name = gameDate
-    if ( level_ids != levels['MLB'] ) {
-      cache_name += '.' + level_ids.replaceAll(',', '')
-    }
-    if ( team_ids != '' ) {
-      cache_name += '.' + team_ids.replaceAll(',', '')
-    }
-    if ( cache_name.length > 250 ) {
-      cache_name = cache_name.slice(0, 250)
-    }
+    var levels = schedule_query.levels
+    var default_level = schedule_query.default_level
+    var level = schedule_query.level
+    var level_ids = schedule_query.level_ids
+    var default_org = schedule_query.default_org
+    var org = schedule_query.org
+    var team_ids = schedule_query.team_ids
+    let cache_name = schedule_query.cache_name
 
     var cache_data = await session.getDayData(gameDate, false, level_ids, team_ids)
 
-    var linkType = VALID_LINK_TYPES[0]
+    // Logged in users' link type, resolution, and audio track selections are saved as their defaults
+    var default_linkType = session.getUserSetting(req.user, 'linkType') || VALID_LINK_TYPES[0]
+    var linkType = default_linkType
     if ( req.query.linkType ) {
       linkType = req.query.linkType
       session.setLinkType(linkType)
+      if ( VALID_LINK_TYPES.includes(linkType) ) session.setUserSetting(req.user, 'linkType', linkType)
     }
     var startFrom = VALID_START_FROM[0]
     if ( req.query.startFrom ) {
@@ -1488,13 +2115,17 @@ app.get('/', async function(req, res) {
     if ( req.query.mediaType ) {
       mediaType = req.query.mediaType
     }
-    var resolution = VALID_RESOLUTIONS[0]
+    var default_resolution = session.getUserSetting(req.user, 'resolution') || VALID_RESOLUTIONS[0]
+    var resolution = default_resolution
     if ( req.query.resolution ) {
       resolution = req.query.resolution
+      if ( VALID_RESOLUTIONS.includes(resolution) ) session.setUserSetting(req.user, 'resolution', resolution)
     }
-    var audio_track = VALID_AUDIO_TRACKS[0]
+    var default_audio_track = session.getUserSetting(req.user, 'audio_track') || VALID_AUDIO_TRACKS[0]
+    var audio_track = default_audio_track
     if ( req.query.audio_track ) {
       audio_track = req.query.audio_track
+      if ( VALID_AUDIO_TRACKS.includes(audio_track) ) session.setUserSetting(req.user, 'audio_track', audio_track)
     }
     var captions = VALID_CAPTIONS[0]
     if ( req.query.captions ) {
@@ -1531,13 +2162,11 @@ app.get('/', async function(req, res) {
       session.setScanMode(req.query.scan_mode)
     }
 
-    var content_protect = ''
     var content_protect_a = ''
     var content_protect_b = ''
-    if ( session.protection.content_protect ) {
-      content_protect = session.protection.content_protect
-      content_protect_a = '?content_protect=' + content_protect
-      content_protect_b = '&content_protect=' + content_protect
+    if ( req.credential ) {
+      content_protect_a = '?' + req.credential
+      content_protect_b = '&' + req.credential
     }
 
     var body = '<!DOCTYPE html><html><head><meta charset="UTF-8"><meta http-equiv="Content-type" content="text/html;charset=UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1,shrink-to-fit=no"><title>' + appname + '</title><link rel="icon" href="favicon.svg' + content_protect_a + '"><style type="text/css">input[type=text],input[type=button]{-webkit-appearance:none;-webkit-border-radius:0}body{width:480px;color:lightgray;background-color:black;font-family:Arial,Helvetica,sans-serif;-webkit-text-size-adjust:none}a{color:darkgray}button{color:lightgray;background-color:black}button.default{color:black;background-color:lightgray}table{width:100%;pad}table,th,td{border:1px solid darkgray;border-collapse:collapse}th,td{padding:5px}.tinytext,textarea,input[type="number"]{font-size:.8em}textarea{width:380px}.freegame,.freegame a{color:green}.blackout,.blackout a{text-decoration:line-through}'
@@ -1551,16 +2180,18 @@ app.get('/', async function(req, res) {
     body += '</style><script type="text/javascript">' + "\n";
 
     // Define option variables in page
-    body += 'var date="' + gameDate + '";var level="' + level + '";var org="' + org + '";var mediaType="' + mediaType + '";var resolution="' + resolution + '";var audio_track="' + audio_track + '";var captions="' + captions + '";var force_vod="' + force_vod + '";var inning_half="' + inning_half + '";var inning_number="' + inning_number + '";var skip="' + skip + '";var skip_adjust="' + skip_adjust + '";var pad="' + pad + '";var linkType="' + linkType + '";var startFrom="' + startFrom + '";var scores="' + scores + '";var controls="' + controls + '";var scan_mode="' + scan_mode + '";var content_protect="' + content_protect + '";' + "\n"
+    body += 'var date="' + gameDate + '";var level="' + level + '";var org="' + org + '";var mediaType="' + mediaType + '";var resolution="' + resolution + '";var audio_track="' + audio_track + '";var captions="' + captions + '";var force_vod="' + force_vod + '";var inning_half="' + inning_half + '";var inning_number="' + inning_number + '";var skip="' + skip + '";var skip_adjust="' + skip_adjust + '";var pad="' + pad + '";var linkType="' + linkType + '";var startFrom="' + startFrom + '";var scores="' + scores + '";var controls="' + controls + '";var scan_mode="' + scan_mode + '";var credential="' + req.credential + '";' + "\n"
 
     // Reload function, called after options change
-    body += 'var defaultDate="' + today + '";var curDate=new Date();var utcHours=curDate.getUTCHours();if ((utcHours >= ' + todayUTCHours + ') && (utcHours < ' + YESTERDAY_UTC_HOURS + ')){defaultDate="' + yesterday + '"}function reload(){var newurl="' + http_root + '/?";if (date != defaultDate){var urldate=date;if (date == "' + today + '"){urldate="today"}else if (date == "' + yesterday + '"){urldate="yesterday"}newurl+="date="+urldate+"&"}if (level != "' + default_level + '"){newurl+="level="+encodeURIComponent(level)+"&"}if (org != "All"){newurl+="org="+encodeURIComponent(org)+"&"}if (mediaType != "' + VALID_MEDIA_TYPES[0] + '"){newurl+="mediaType="+mediaType+"&"}if (mediaType=="Video"){if (resolution != "' + VALID_RESOLUTIONS[0] + '"){newurl+="resolution="+resolution+"&"}if (audio_track != "' + VALID_AUDIO_TRACKS[0] + '"){newurl+="audio_track="+encodeURIComponent(audio_track)+"&"}else if (resolution == "none"){newurl+="audio_track="+encodeURIComponent("' + VALID_AUDIO_TRACKS[2] + '")+"&"}if (captions != "' + VALID_CAPTIONS[0] + '"){newurl+="captions="+encodeURIComponent(captions)+"&"}if (inning_half != "' + VALID_INNING_HALF[0] + '"){newurl+="inning_half="+inning_half+"&"}if (inning_number != "' + VALID_INNING_NUMBER[0] + '"){newurl+="inning_number="+inning_number+"&"}if (skip != "' + VALID_SKIP[0] + '"){newurl+="skip="+skip+"&";if (skip_adjust != "' + DEFAULT_SKIP_ADJUST + '"){newurl+="skip_adjust="+skip_adjust+"&"}}}if (pad != "' + VALID_PAD[0] + '"){newurl+="pad="+pad+"&";}if (linkType != "' + VALID_LINK_TYPES[0] + '"){newurl+="linkType="+linkType+"&"}if (linkType=="' + VALID_LINK_TYPES[0] + '"){if (startFrom != "' + VALID_START_FROM[0] + '"){newurl+="startFrom="+startFrom+"&"}if (controls != "' + VALID_CONTROLS[0] + '"){newurl+="controls="+controls+"&"}}if (linkType=="Stream"){if (force_vod != "' + VALID_FORCE_VOD[0] + '"){newurl+="force_vod="+force_vod+"&"}}if (scores != "' + VALID_SCORES[0] + '"){newurl+="scores="+scores+"&"}if (scan_mode != "' + session.data.scan_mode + '"){newurl+="scan_mode="+scan_mode+"&"}if (content_protect != ""){newurl+="content_protect="+content_protect+"&"}window.location=newurl.substring(0,newurl.length-1)}' + "\n"
+    body += 'var defaultDate="' + today + '";var curDate=new Date();var utcHours=curDate.getUTCHours();if ((utcHours >= ' + todayUTCHours + ') && (utcHours < ' + YESTERDAY_UTC_HOURS + ')){defaultDate="' + yesterday + '"}function reload(){var newurl="' + http_root + '/?";if (date != defaultDate){var urldate=date;if (date == "' + today + '"){urldate="today"}else if (date == "' + yesterday + '"){urldate="yesterday"}newurl+="date="+urldate+"&"}if (level != "' + default_level + '"){newurl+="level="+encodeURIComponent(level)+"&"}if (org != "All"){newurl+="org="+encodeURIComponent(org)+"&"}if (mediaType != "' + VALID_MEDIA_TYPES[0] + '"){newurl+="mediaType="+mediaType+"&"}if (mediaType=="Video"){if (resolution != "' + default_resolution + '"){newurl+="resolution="+resolution+"&"}if (audio_track != "' + default_audio_track + '"){newurl+="audio_track="+encodeURIComponent(audio_track)+"&"}else if (resolution == "none"){newurl+="audio_track="+encodeURIComponent("' + VALID_AUDIO_TRACKS[2] + '")+"&"}if (captions != "' + VALID_CAPTIONS[0] + '"){newurl+="captions="+encodeURIComponent(captions)+"&"}if (inning_half != "' + VALID_INNING_HALF[0] + '"){newurl+="inning_half="+inning_half+"&"}if (inning_number != "' + VALID_INNING_NUMBER[0] + '"){newurl+="inning_number="+inning_number+"&"}if (skip != "' + VALID_SKIP[0] + '"){newurl+="skip="+skip+"&";if (skip_adjust != "' + DEFAULT_SKIP_ADJUST + '"){newurl+="skip_adjust="+skip_adjust+"&"}}}if (pad != "' + VALID_PAD[0] + '"){newurl+="pad="+pad+"&";}if (linkType != "' + default_linkType + '"){newurl+="linkType="+linkType+"&"}if (linkType=="' + VALID_LINK_TYPES[0] + '"){if (startFrom != "' + VALID_START_FROM[0] + '"){newurl+="startFrom="+startFrom+"&"}if (controls != "' + VALID_CONTROLS[0] + '"){newurl+="controls="+controls+"&"}}if (linkType=="Stream"){if (force_vod != "' + VALID_FORCE_VOD[0] + '"){newurl+="force_vod="+force_vod+"&"}}if (scores != "' + VALID_SCORES[0] + '"){newurl+="scores="+scores+"&"}if (scan_mode != "' + session.data.scan_mode + '"){newurl+="scan_mode="+scan_mode+"&"}if (credential != ""){newurl+=credential+"&"}window.location=newurl.substring(0,newurl.length-1)}' + "\n"
+
+    body += 'function savefavteams(){var newurl="' + http_root + '/?fav_teams="+encodeURIComponent(document.getElementById("fav_teams").value);if (credential != ""){newurl+="&"+credential}window.location=newurl}' + "\n"
 
     // Ajax function for multiview and highlights
     body += 'function makeGETRequest(url, callback){var request=new XMLHttpRequest();request.onreadystatechange=function(){if (request.readyState==4 && request.status==200){callback(request.responseText)}};request.open("GET", url);request.send();}' + "\n"
 
     // Multiview functions
-    body += 'var excludeTeams=[];function parsemultiviewresponse(responsetext){if (responsetext == "started"){setTimeout(function(){document.getElementById("startmultiview").innerHTML="Restart";document.getElementById("stopmultiview").innerHTML="Stop"},15000)}else if (responsetext == "stopped"){setTimeout(function(){document.getElementById("stopmultiview").innerHTML="Stopped";document.getElementById("startmultiview").innerHTML="Start"},3000)}else{alert(responsetext)}}function addmultiview(e, teams=[], excludes=[]){var newvalue=e.value;for(var i=1;i<=4;i++){var valuefound = false;var oldvalue="";if(!e.checked){oldvalue=e.value;newvalue=""}if ((document.getElementById("multiview" + i).value == oldvalue) || ((oldvalue != "") && (document.getElementById("multiview" + i).value.startsWith(oldvalue)))){if ((newvalue != "") && (excludes.length > 0)){newvalue+="&excludeTeams="+excludeTeams.toString()}document.getElementById("multiview" + i).value=newvalue;valuefound=true;break}}if(e.checked && !valuefound){e.checked=false}for(var i=0;i<teams.length;i++){if(e.checked){excludeTeams.push(teams[i])}else{var index=excludeTeams.indexOf(teams[i]);if (index !== -1){excludeTeams.splice(index,1)}}}}function startmultiview(e){var count=0;var getstr="";for(var i=1;i<=4;i++){if (document.getElementById("multiview"+i).value != ""){count++;getstr+="streams="+encodeURIComponent(document.getElementById("multiview"+i).value)+"&sync="+encodeURIComponent(document.getElementById("sync"+i).value)+"' + content_protect_b + '"+"&"}}if((count >= 1) && (count <= 4)){if (document.getElementById("faster").checked){getstr+="faster=true&dvr=true&"}else if (document.getElementById("dvr").checked){getstr+="dvr=true&"}if (document.getElementById("reencode").checked){getstr+="reencode=true&"}if (document.getElementById("park_audio").checked){getstr+="park_audio=true&"}if (document.getElementById("audio_url").value != ""){getstr+="audio_url="+encodeURIComponent(document.getElementById("audio_url").value)+"&";if (document.getElementById("audio_url_seek").value != "0"){getstr+="audio_url_seek="+encodeURIComponent(document.getElementById("audio_url_seek").value)}}e.innerHTML="starting...";makeGETRequest("' + http_root + '/multiview?"+getstr, parsemultiviewresponse)}else{alert("Multiview requires between 1-4 streams to be selected")}return false}function stopmultiview(e){e.innerHTML="stopping...";makeGETRequest("' + http_root + '/multiview' + content_protect_a + '", parsemultiviewresponse);return false}' + "\n"
+    body += 'var excludeTeams=[];function parsemultiviewresponse(responsetext){if (responsetext == "started"){setTimeout(function(){document.getElementById("startmultiview").innerHTML="Restart";document.getElementById("stopmultiview").innerHTML="Stop"},15000)}else if (responsetext == "stopped"){setTimeout(function(){document.getElementById("stopmultiview").innerHTML="Stopped";document.getElementById("startmultiview").innerHTML="Start"},3000)}else{alert(responsetext)}}function addmultiview(e, teams=[], excludes=[]){var newvalue=e.value;for(var i=1;i<=' + MULTIVIEW_LAYOUT_MAX_STREAMS['3x3'] + ';i++){var valuefound = false;var oldvalue="";if(!e.checked){oldvalue=e.value;newvalue=""}if ((document.getElementById("multiview" + i).value == oldvalue) || ((oldvalue != "") && (document.getElementById("multiview" + i).value.startsWith(oldvalue)))){if ((newvalue != "") && (excludes.length > 0)){newvalue+="&excludeTeams="+excludeTeams.toString()}document.getElementById("multiview" + i).value=newvalue;valuefound=true;break}}if(e.checked && !valuefound){e.checked=false}for(var i=0;i<teams.length;i++){if(e.checked){excludeTeams.push(teams[i])}else{var index=excludeTeams.indexOf(teams[i]);if (index !== -1){excludeTeams.splice(index,1)}}}}function startmultiview(e){var count=0;var getstr="";var layout=document.getElementById("layout").value;var max_streams=' + JSON.stringify(MULTIVIEW_LAYOUT_MAX_STREAMS).replaceAll('"', "'") + '[layout];for(var i=1;i<=' + MULTIVIEW_LAYOUT_MAX_STREAMS['3x3'] + ';i++){if (document.getElementById("multiview"+i).value != ""){count++;getstr+="streams="+encodeURIComponent(document.getElementById("multiview"+i).value)+"&sync="+(document.getElementById("auto_sync").checked ? "auto" : encodeURIComponent(document.getElementById("sync"+i).value))+"' + content_protect_b + '"+"&"}}if((count >= 1) && (count <= max_streams)){getstr+="layout="+encodeURIComponent(layout)+"&";if (document.getElementById("overlay").value != "' + VALID_MULTIVIEW_OVERLAYS[0] + '"){getstr+="overlay="+document.getElementById("overlay").value+"&"}if (layout == "pip"){getstr+="pip_corner="+encodeURIComponent(document.getElementById("pip_corner").value)+"&pip_scale="+encodeURIComponent(document.getElementById("pip_scale").value)+"&"}if (document.getElementById("faster").checked){getstr+="faster=true&dvr=true&"}else if (document.getElementById("dvr").checked){getstr+="dvr=true&"}if (document.getElementById("reencode").checked){getstr+="reencode=true&"}if (document.getElementById("park_audio").checked){getstr+="park_audio=true&"}if (document.getElementById("audio_url").value != ""){getstr+="audio_url="+encodeURIComponent(document.getElementById("audio_url").value)+"&";if (document.getElementById("auto_sync").checked){getstr+="audio_url_seek=auto"}else if (document.getElementById("audio_url_seek").value != "0"){getstr+="audio_url_seek="+encodeURIComponent(document.getElementById("audio_url_seek").value)}}e.innerHTML="starting...";makeGETRequest("' + http_root + '/multiview?"+getstr, parsemultiviewresponse)}else{alert("This multiview layout requires between 1-"+max_streams+" streams to be selected")}return false}function multiviewaudio(tile){makeGETRequest("' + http_root + '/multiview/audio?tile="+tile+"&mode="+document.getElementById("audio_focus_mode").value+"' + content_protect_b + '", function(responsetext){document.getElementById("audio_focus").innerHTML=responsetext})}function stopmultiview(e){e.innerHTML="stopping...";makeGETRequest("' + http_root + '/multiview' + content_protect_a + '", parsemultiviewresponse);return false}' + "\n"
 
     // Function to switch URLs to stream URLs, where necessary
     body += 'function stream_substitution(url){return url.replace(/\\/([a-zA-Z]+\.html)/,"/stream.m3u8")}' + "\n"
@@ -1572,6 +2203,10 @@ app.get('/', async function(req, res) {
 
     body += '<p><span class="tooltip tinytext">Touch or hover over an option name for more details</span></p>' + "\n"
 
+    if ( req.user ) {
+      body += '<p><span class="tooltip">Favorite Teams<span class="tooltiptext">Your favorite teams, by abbreviation in a comma-separated list if more than 1, are highlighted below and their affiliate games are included. Your link type, resolution, and audio track selections are also saved as your defaults, and your Stream Finder settings are kept separately.</span></span> for ' + req.user + ': <input type="text" id="fav_teams" value="' + fav_teams.toString() + '"> <button onclick="savefavteams()">Save</button></p>' + "\n"
+    }
+
     todayUTCHours -= 4
     body += '<p><span class="tooltip">Date<span class="tooltiptext">"today" lasts until ' + todayUTCHours + ' AM EST. Home page will default to yesterday between ' + todayUTCHours + ' AM - ' + (YESTERDAY_UTC_HOURS - 4) + ' AM EST.</span></span>: <input type="date" id="gameDate" value="' + gameDate + '"/> '
     for (var i = 0; i < VALID_DATES.length; i++) {
@@ -1899,8 +2534,10 @@ app.get('/', async function(req, res) {
           
           body += '<tr><td><span class="tooltip">' + compareStart.toLocaleString('en-US', { hour: 'numeric', minute: 'numeric', hour12: true }) + ' - ' + compareEnd.toLocaleString('en-US', { hour: 'numeric', minute: 'numeric', hour12: true }) + '<span class="tooltiptext">The stream finder stream will automatically switch between games according to your uploaded preferences. This stream is not affiliated with Baseball Reference, do not contact them for support. Visit <a href="http://bit.ly/bbrefsf">http://bit.ly/bbrefsf</a> to create and export your preferences, then upload and save them to mlbserver <a href="#streamfinder">below</a>. Does not support adaptive bitrate switching, will default to 720p60 resolution if not specified.</span></span></td><td>'
           if ( (currentDate >= compareStart) && (currentDate < compareEnd) ) {
-            let streamURL = server + '/gamechanger.m3u8?streamFinder=on'
-            let multiviewquerystring = '/gamechanger.m3u8?streamFinder=on&resolution=' + DEFAULT_MULTIVIEW_RESOLUTION + content_protect_b
+            // include the user, to use their Stream Finder settings
+            let user_b = req.user ? get_user_parameters(req.user) : ''
+            let streamURL = server + '/gamechanger.m3u8?streamFinder=on' + user_b
+            let multiviewquerystring = '/gamechanger.m3u8?streamFinder=on' + user_b + '&resolution=' + DEFAULT_MULTIVIEW_RESOLUTION + content_protect_b
             streamURL += content_protect_b
             if ( resolution != VALID_RESOLUTIONS[0] ) streamURL += '&resolution=' + resolution
             // force Video.js embed player for Stream Finder
@@ -2104,9 +2741,9 @@ app.get('/', async function(req, res) {
         let fav_style = ''
         if ( argv.free && cache_data.dates[0].games[j].broadcasts && cache_data.dates[0].games[j].broadcasts[0] && cache_data.dates[0].games[j].broadcasts[0].freeGame ) {
           body += ' class="freegame"'
-        } else if ( session.credentials.fav_teams.includes(cache_data.dates[0].games[j].teams['away'].team.abbreviation) || session.credentials.fav_teams.includes(cache_data.dates[0].games[j].teams['home'].team.abbreviation) ) {
+        } else if ( fav_teams.includes(cache_data.dates[0].games[j].teams['away'].team.abbreviation) || fav_teams.includes(cache_data.dates[0].games[j].teams['home'].team.abbreviation) ) {
           let fav_team = cache_data.dates[0].games[j].teams['away'].team.abbreviation
-          if ( session.credentials.fav_teams.includes(cache_data.dates[0].games[j].teams['home'].team.abbreviation) ) {
+          if ( fav_teams.includes(cache_data.dates[0].games[j].teams['home'].team.abbreviation) ) {
             fav_team = cache_data.dates[0].games[j].teams['home'].team.abbreviation
           }
           fav_style = ' style="color:#' + TEAM_COLORS[fav_team][0] + ';background:#' + TEAM_COLORS[fav_team][1] + ';"'
@@ -2122,13 +2759,7 @@ app.get('/', async function(req, res) {
         if ( (cache_data.dates[0].games[j].teams['away'].team.sport.id != levels['MLB']) && (cache_data.dates[0].games[j].teams['home'].team.sport.id != levels['MLB']) && (mediaType == 'MLBTV') ) {
           body += "<td>"
           if ( cache_data.dates[0].games[j].broadcasts ) {
-            let broadcastName = 'N/A'
-            for (var k = 0; k < cache_data.dates[0].games[j].broadcasts.length; k++) {
-              if ( cache_data.dates[0].games[j].broadcasts[k].name != 'Audio' ) {
-                broadcastName = mediaType
-                break
-              }
-            }
+            let broadcastName = get_milb_broadcast(cache_data.dates[0].games[j]) ? mediaType : 'N/A'
             if ( broadcastName == 'N/A' ) {
               body += broadcastName
             } else {
@@ -2139,19 +2770,7 @@ app.get('/', async function(req, res) {
                 let startTime = new Date(cache_data.dates[0].games[j].gameDate)
                 startTime.setMinutes(startTime.getMinutes()-30)
                 if ( (currentTime >= startTime) ) {
-                  let querystring
-                  if ( session.getWinterIds().includes(cache_data.dates[0].games[j].teams['home'].team.league.id) ) {
-                    if ( session.getAFLid() == cache_data.dates[0].games[j].teams['home'].team.league.id ) {
-                      querystring = '?event=' + encodeURIComponent(cache_data.dates[0].games[j].teams['home'].team.abbreviation.toUpperCase())
-                    //} else if ( session.getLMPid() == cache_data.dates[0].games[j].teams['home'].team.league.id ) {
-                    //  querystring = '?event=' + encodeURIComponent(cache_data.dates[0].games[j].teams['home'].team.name.split(' ')[0].toUpperCase())
-                    } else {
-                      querystring = '?event=' + encodeURIComponent(cache_data.dates[0].games[j].teams['home'].team.shortName.toUpperCase())
-                    }
-                    querystring += '&league_id=' + cache_data.dates[0].games[j].teams['home'].team.league.id
-                  } else {
-                    querystring = '?gamePk=' + gamePk
-                  }
+                  let querystring = get_milb_querystring(cache_data.dates[0].games[j])
                   let multiviewquerystring = querystring + '&resolution=' + DEFAULT_MULTIVIEW_RESOLUTION
                   if ( resolution != VALID_RESOLUTIONS[0] ) querystring += '&resolution=' + resolution
                   if ( linkType == VALID_LINK_TYPES[0] ) {
@@ -2194,13 +2813,7 @@ app.get('/', async function(req, res) {
             for (var k = 0; k < cache_data.dates[0].games[j].broadcasts.length; k++) {
               let broadcast = cache_data.dates[0].games[j].broadcasts[k]
               if ( broadcast.availableForStreaming ) {
-                let mediaTitle = 'Audio'
-                if ( broadcast.type == 'TV' ) {
-                  mediaTitle = 'MLBTV'
-                } else if ( broadcast.language == 'es' ) {
-                  mediaTitle = 'Spanish'
-                }
-                if ( mediaTitle == mediaType ) {
+                if ( get_broadcast_media_type(broadcast) == mediaType ) {
                   // for video, check that it's not in-market
                   /*if ( (mediaType == 'MLBTV') && await session.check_in_market(cache_data.dates[0].games[j].content.media.epg[k].items[x]) ) {
                     continue
@@ -2249,7 +2862,7 @@ app.get('/', async function(req, res) {
                         game_started = true
                       }
                       let mediaId = broadcast.mediaId
-                      if ( (mediaType == 'MLBTV') && (gameDate == today) && session.cache.media && session.cache.media[mediaId] && session.cache.media[mediaId].blackout && session.cache.media[mediaId].blackoutExpiry && (new Date(session.cache.media[mediaId].blackoutExpiry) > new Date()) ) {
+                      if ( (mediaType == 'MLBTV') && is_cached_blackout(mediaId, gameDate, today) ) {
                         body += '<span class="blackout">' + station + '</span>'
                       } else {
                         let querystring
@@ -2441,13 +3054,36 @@ app.get('/', async function(req, res) {
       }
 
       if ( mediaType == VALID_MEDIA_TYPES[0] ) {
-        body += '<table><tr><td><table><tr><td>1</td><td>2</tr><tr><td>3</td><td>4</td></tr></table><td><span class="tooltip">Multiview / Alternate Audio / Sync<span class="tooltiptext">For video streams only: create a new live stream combining 1-4 separate video streams, using the layout shown at left (if more than 1 video stream is selected). Check the boxes next to feeds above to add/remove them, then click "Start" when ready, "Stop" when done watching, or "Restart" to stop and start with the currently selected streams. May take up to 15 seconds after starting before it is ready to play.<br/><br/>No video scaling is performed: defaults to 540p video for each stream, which can combine to make one 1080p stream. Audio defaults to English (TV) audio. If you specify a different audio track instead, you can use the box after each URL below to adjust the sync in seconds (use positive values if audio is early and the audio stream needs to be padded with silence at the beginning to line up with the video; negative values if audio is late, and audio needs to be trimmed from the beginning.)<br/><br/>TIP #1: You can enter just 1 video stream here, at any resolution, to take advantage of the audio sync or alternate audio features without using multiview -- a single video stream will not be re-encoded and will be presented at its full resolution.<br/><br/>TIP #2: You can also manually enter streams from other sources like <a href="https://www.npmjs.com/package/milbserver" target="_blank">milbserver</a> in the boxes below. Make sure any manually entered streams have the desired resolution.<br/><br/>WARNING #1: if the mlbserver process dies or restarts while multiview is active, the ffmpeg encoding process will be orphaned and must be killed manually.<br/><br/>WARNING #2: If you did not specify a hardware encoder for ffmpeg on the command line, this will use your server CPU for encoding. Either way, your system may not be able to keep up with processing 4 video streams at once. Try fewer streams if you have perisistent trouble.</span></span>: <a id="startmultiview" href="" onclick="startmultiview(this);return false">Start'
-        if ( ffmpeg_status ) body += 'ed'
+        body += '<table><tr><td><table><tr><td>1</td><td>2</tr><tr><td>3</td><td>4</td></tr></table><td><span class="tooltip">Multiview / Alternate Audio / Sync<span class="tooltiptext">For video streams only: create a new live stream combining 1-9 separate video streams, using the layout selected below (if more than 1 video stream is selected; default 2x2 grid shown at left). Check the boxes next to feeds above to add/remove them, then click "Start" when ready, "Stop" when done watching, or "Restart" to stop and start with the currently selected streams. May take up to 15 seconds after starting before it is ready to play.<br/><br/>No video scaling is performed: defaults to 540p video for each stream, which is scaled as necessary to fit the selected layout in one 1080p stream. Audio defaults to English (TV) audio. If you specify a different audio track instead, you can use the box after each URL below to adjust the sync in seconds (use positive values if audio is early and the audio stream needs to be padded with silence at the beginning to line up with the video; negative values if audio is late, and audio needs to be trimmed from the beginning.)<br/><br/>TIP #1: You can enter just 1 video stream here, at any resolution, to take advantage of the audio sync or alternate audio features without using multiview -- a single video stream will not be re-encoded and will be presented at its full resolution.<br/><br/>TIP #2: You can also manually enter streams from other sources like <a href="https://www.npmjs.com/package/milbserver" target="_blank">milbserver</a> in the boxes below. Make sure any manually entered streams have the desired resolution.<br/><br/>WARNING #1: if the mlbserver process dies or restarts while multiview is active, the ffmpeg encoding process will be orphaned. On Linux it will be killed when mlbserver starts again; otherwise it must be killed manually. Running ffmpeg processes are listed on the jobs page.<br/><br/>WARNING #2: If you did not specify a hardware encoder for ffmpeg on the command line, this will use your server CPU for encoding. Either way, your system may not be able to keep up with processing 4 video streams at once. Try fewer streams if you have perisistent trouble.<br/><br/>TIP #3: This page controls multiview session ' + DEFAULT_MULTIVIEW_ID + '. Up to ' + multiview_max_sessions + ' sessions can run at once; start others by adding a different id parameter to the multiview request, and see ' + http_root + '/multiview.json for their URLs.</span></span>: <a id="startmultiview" href="" onclick="startmultiview(this);return false">Start'
+        if ( multiview_sessions[DEFAULT_MULTIVIEW_ID] && multiview_sessions[DEFAULT_MULTIVIEW_ID].status ) body += 'ed'
         body += '</a> | <a id="stopmultiview" href="" onclick="stopmultiview(this);return false">Stop'
-        if ( !ffmpeg_status ) body += 'ped'
+        if ( !multiview_sessions[DEFAULT_MULTIVIEW_ID] || !multiview_sessions[DEFAULT_MULTIVIEW_ID].status ) body += 'ped'
         body += '</a><br/>' + "\n"
         body += '<span class="tinytext">(check boxes next to games to add, then click "Start";<br/>must click "Stop" link above when done, or manually kill ffmpeg)</span></td></tr><tr><td colspan="2">' + "\n"
-        for (var i=1; i<=4; i++) {
+        body += '<span class="tooltip">Layout<span class="tooltiptext">How to arrange the video streams: a 2x2 grid (up to 4), picture-in-picture (2, with the second stream inset in the selected corner at the selected scale), 1 large + 3 small (up to 4), side-by-side (2, letterboxed), or a 3x3 grid (up to 9). Every stream is scaled to fit a ' + MULTIVIEW_OUTPUT_HEIGHT + 'p output.</span></span>: <select id="layout" onchange="document.getElementById(\'pip_options\').style.display=(this.value==\'pip\')?\'inline\':\'none\'">'
+        for (var i=0; i<VALID_MULTIVIEW_LAYOUTS.length; i++) {
+          body += '<option value="' + VALID_MULTIVIEW_LAYOUTS[i] + '">' + DISPLAY_MULTIVIEW_LAYOUTS[i] + '</option>'
+        }
+        body += '</select><span id="pip_options" style="display:none"> <select id="pip_corner">'
+        for (var i=0; i<VALID_PIP_CORNERS.length; i++) {
+          body += '<option value="' + VALID_PIP_CORNERS[i] + '">' + VALID_PIP_CORNERS[i] + '</option>'
+        }
+        body += '</select> scale <input type="number" id="pip_scale" value="' + DEFAULT_PIP_SCALE + '" min="0.1" max="0.5" step=".05" style="font-size:.8em;width:3em"/></span><br/>' + "\n"
+        body += '<span class="tooltip">Overlay<span class="tooltiptext">Label each tile with its team abbreviations, optionally with the live score, inning, and outs (MLB games only, refreshed every ' + MULTIVIEW_OVERLAY_INTERVAL + ' seconds). Requires more than 1 video stream.</span></span>: <select id="overlay">'
+        for (var i=0; i<VALID_MULTIVIEW_OVERLAYS.length; i++) {
+          body += '<option value="' + VALID_MULTIVIEW_OVERLAYS[i] + '">' + VALID_MULTIVIEW_OVERLAYS[i] + '</option>'
+        }
+        body += '</select><br/>' + "\n"
+        body += '<span class="tooltip">Audio focus<span class="tooltiptext">While multiview is running with more than 1 stream, choose which tile to hear in the default audio track without restarting: solo plays only that tile, mix plays it over the other tiles at reduced volume. Tile 1 is heard by default. The individual audio tracks are still available in players that let you choose.</span></span>: '
+        for (var i=1; i<=MULTIVIEW_LAYOUT_MAX_STREAMS['3x3']; i++) {
+          body += '<button onclick="multiviewaudio(' + i + ')">' + i + '</button> '
+        }
+        body += '<select id="audio_focus_mode">'
+        for (var i=0; i<VALID_AUDIO_FOCUS_MODES.length; i++) {
+          body += '<option value="' + VALID_AUDIO_FOCUS_MODES[i] + '">' + VALID_AUDIO_FOCUS_MODES[i] + '</option>'
+        }
+        body += '</select> <span id="audio_focus" class="tinytext"></span><br/>' + "\n"
+        for (var i=1; i<=MULTIVIEW_LAYOUT_MAX_STREAMS['3x3']; i++) {
           body += i + ': <textarea id="multiview' + i + '" rows=2 cols=60 oninput="this.value=stream_substitution(this.value)"></textarea>'
           body += '<input type="number" id="sync' + i + '" value="0.0" step=".1" style="vertical-align:top;font-size:.8em;width:3em"/>'
           body += '<br/>' + "\n"
@@ -2455,12 +3091,13 @@ app.get('/', async function(req, res) {
         body += '<input type="checkbox" id="dvr"/> <span class="tooltip">DVR: allow pausing/seeking multiview<span class="tooltiptext">If this is enabled, it will use more disk space but you will be able to pause and seek in the multiview stream. Not necessary if you are strictly watching live.</span></span><br/>' + "\n"
         body += '<input type="checkbox" id="faster" onchange="if (this.checked){document.getElementById(\'dvr\').checked=true}"/> <span class="tooltip">Encode faster than real-time<span class="tooltiptext">Implies DVR. Not necessary for live streams (which are only delivered in real-time), but if you want to seek ahead in archive streams using multiview, you may want to enable this. WARNING: ffmpeg may approach 100% CPU usage if you use this while combining multiple archive video streams in multiview.</span></span><br/>' + "\n"
         body += '<input type="checkbox" id="reencode"/> <span class="tooltip">Re-encode all audio<span class="tooltiptext">Uses more CPU. Generally only necessary if you need the multiview stream to continue after one of the individual streams has ended. (Any streams with sync adjustments above will automatically be re-encoded, regardless of this setting.)</span></span><br/>' + "\n"
+        body += '<input type="checkbox" id="auto_sync"/> <span class="tooltip">Auto sync: detect audio offsets<span class="tooltiptext">Instead of the sync values above, compare each stream\'s selected radio audio track (and the alternate audio URL below, if any) with the TV audio for ' + SYNC_DETECT_SECONDS + ' seconds before starting, and apply the detected offsets. Streams using the TV audio are not adjusted. Detected offsets are logged, and listed at ' + http_root + '/multiview.json.</span></span><br/>' + "\n"
         body += '<input type="checkbox" id="park_audio"/> <span class="tooltip">Park audio: filter out announcers<span class="tooltiptext">Implies re-encoding all audio. If this is enabled, an extra audio filter is applied to remove the announcer voices.</span></span><br/>' + "\n"
         body += '<hr><span class="tooltip">Alternate audio URL and sync<span class="tooltiptext">Optional: you can also include a separate audio-only URL as an additional alternate audio track. Archive games will likely require a very large negative sync value, as the radio broadcasts may not be trimmed like the video archives.</span></span>:<br/><textarea id="audio_url" rows=2 cols=60 oninput="this.value=stream_substitution(this.value)"></textarea><input id="audio_url_seek" type="number" value="0" style="vertical-align:top;font-size:.8em;width:4em"/>'
         body += '<hr>Watch: <a href="' + http_root + '/embed.html?msrc=' + encodeURIComponent(multiview_stream_url) + content_protect_b + '">Embed</a> | <a href="' + http_root + '/stream.m3u8?src=' + encodeURIComponent(multiview_stream_url) + content_protect_b + '">Stream</a> | <a href="' + http_root + '/chromecast.html?msrc=' + encodeURIComponent(multiview_stream_url) + content_protect_b + '">Chromecast</a> | <a href="' + http_root + '/advanced.html?msrc=' + encodeURIComponent(multiview_stream_url) + content_protect_b + '">Advanced</a> | <a href="' + http_root + '/download.ts?src=' + encodeURIComponent(multiview_stream_url) + content_protect_b + '&filename=' + gameDate + ' Multiview">Download</a><br/><span class="tinytext">Kodi STRM files: <a href="' + http_root + '/kodi.strm?src=' + encodeURIComponent(multiview_stream_url) + content_protect_b + '">Matrix/19+</a> (<a href="' + http_root + '/kodi.strm?version=18&src=' + encodeURIComponent(multiview_stream_url) + content_protect_b + '">Leia/18</a>)</span>'
         body += '</td></tr></table><br/>' + "\n"
     
-        body += '<table><tr><td><p><a name="streamfinder"/><span class="tooltip">Stream Finder Settings<span class="tooltiptext">Automatically switches between games according to your preferences. This program is not affiliated with Baseball Reference, do not contact them for support.</span></span></p><p><a download="mlbserverStreamFinder.txt" href="' + http_root + '/downloadsettings' + content_protect_a + '">Click to Download Currently Stored Settings</a></p><p><b><u>Step 1</b></u><br/>Export and download your desired Stream Finder settings at this link:<br/><a href="https://www.baseball-reference.com/stream-finder.shtml" target="_blank">https://www.baseball-reference.com/stream-finder.shtml</a></p><form method="POST" enctype="multipart/form-data" action="' + http_root + '/upload' + content_protect_a + '"><p><b><u>Step 2</b></u><br/>Click this button and select the settings file you just downloaded:<br/><input name="file" type="file" onchange="form.submit()"/></p></form></td></tr></table><br/>' + "\n"
+        body += '<table><tr><td><p><a name="streamfinder"/><span class="tooltip">Stream Finder Settings<span class="tooltiptext">Automatically switches between games according to your preferences. This program is not affiliated with Baseball Reference, do not contact them for support.</span></span></p><p><a download="mlbserverStreamFinder.txt" href="' + http_root + '/downloadsettings' + content_protect_a + '">Click to Download Currently Stored Settings</a></p><p><b><u>Step 1</b></u><br/>Export and download your desired Stream Finder settings at this link:<br/><a href="https://www.baseball-reference.com/stream-finder.shtml" target="_blank">https://www.baseball-reference.com/stream-finder.shtml</a></p><form method="POST" enctype="multipart/form-data" action="' + http_root + '/upload' + content_protect_a + '"><p><b><u>Step 2</b></u><br/>Click this button and select the settings file you just downloaded:<br/><input name="file" type="file" onchange="form.submit()"/></p></form><p>Or <a href="' + http_root + '/streamfinder' + content_protect_a + '">edit your settings in mlbserver</a>, with player search.</p></td></tr></table><br/>' + "\n"
     }
 
     body += '<table><tr><td>' + "\n"
@@ -2482,8 +3119,8 @@ app.get('/', async function(req, res) {
     body += '<p><span class="tooltip">All<span class="tooltiptext">Will include all entitled live MLB broadcasts (games plus Big Inning, Game Changer, and Multiview, as well as MASN, MLB Network, SNLA, and/or SNY as appropriate). If favorite team(s) have been provided, it will also include affiliate games for those organizations. Channels/games subject to blackout will be omitted by default. See below for an additional option to override that.</span></span>: <a href="' + http_root + '/channels.m3u?mediaType=' + mediaType + '&resolution=' + resolution + content_protect_b + '">channels.m3u</a> and <a href="' + http_root + '/guide.xml?mediaType=' + mediaType + content_protect_b + '">guide.xml</a> and <a href="' + http_root + '/calendar.ics?mediaType=' + mediaType + content_protect_b + '">calendar.ics</a></p>' + "\n"
 
     let include_teams = 'ath,atl'
-    if ( (session.credentials.fav_teams.length > 0) && (session.credentials.fav_teams[0].length > 0) ) {
-      include_teams = session.credentials.fav_teams.toString()
+    if ( (fav_teams.length > 0) && (fav_teams[0].length > 0) ) {
+      include_teams = fav_teams.toString()
     }
     body += '<p><span class="tooltip">By team<span class="tooltiptext">Including a team (MLB only, by abbreviation, in a comma-separated list if more than 1) will include all of its broadcasts, or if that team is not broadcasting the game, it will include the national broadcast or opponent\'s broadcast if available. It will also include affiliate games for those organizations. Channels/games subject to blackout will be omitted by default. See below for an additional option to override that.</span></span>: <a href="' + http_root + '/channels.m3u?mediaType=' + mediaType + '&resolution=' + resolution + '&includeTeams=' + include_teams + content_protect_b + '">channels.m3u</a> and <a href="' + http_root + '/guide.xml?mediaType=' + mediaType + '&includeTeams=' + include_teams + content_protect_b + '">guide.xml</a> and <a href="' + http_root + '/calendar.ics?mediaType=' + mediaType + '&includeTeams=' + include_teams + content_protect_b + '">calendar.ics</a></p>' + "\n"
     
@@ -2521,6 +3158,10 @@ app.get('/', async function(req, res) {
       gamechanger_resolution = 'best'
     }
     body += '<p><span class="tooltip">Include (or exclude) Game Changer<span class="tooltiptext">The game changer stream will automatically switch between the highest leverage active live non-blackout games, and should be available whenever there are such games available. Does not support adaptive bitrate switching, will default to best resolution if not specified.</span></span>: <a href="' + http_root + '/channels.m3u?mediaType=' + mediaType + '&resolution=' + gamechanger_resolution + '&includeTeams=gamechanger' + content_protect_b + '">m3u</a> and <a href="' + http_root + '/guide.xml?mediaType=' + mediaType + '&includeTeams=gamechanger' + content_protect_b + '">xml</a> and <a href="' + http_root + '/calendar.ics?mediaType=' + mediaType + '&includeTeams=gamechanger' + content_protect_b + '">ics</a></p>' + "\n"
+
+    body += '<p><span class="tooltip">Game Changer profiles<span class="tooltiptext">Save named Game Changer profiles with their own team filters, Stream Finder rules, and minimum dwell time. Each profile gets its own channel in the m3u and xml links above.</span></span>: <a href="' + http_root + '/gamechanger_profiles' + content_protect_a + '">manage</a></p>' + "\n"
+
+    body += '<p><span class="tooltip">Game Changer history<span class="tooltiptext">See each game switch by the Game Changer and Stream Finder streams, with the rule that triggered it and the leverage of each active game at the time.</span></span>: <a href="' + http_root + '/gamechanger_history' + content_protect_a + '">live</a></p>' + "\n"
     
     body += '<p><span class="tooltip">Include (or exclude) Stream Finder<span class="tooltiptext">The stream finder stream will automatically switch between games according to your uploaded preferences. This stream is not affiliated with Baseball Reference, do not contact them for support. Visit <a href="http://bit.ly/bbrefsf">http://bit.ly/bbrefsf</a> to create and export your preferences, then upload and save them to mlbserver <a href="#streamfinder">above</a>. Does not support adaptive bitrate switching, will default to best resolution if not specified.</span></span>: <a href="' + http_root + '/channels.m3u?mediaType=' + mediaType + '&resolution=' + gamechanger_resolution + '&includeTeams=streamfinder' + content_protect_b + '">m3u</a> and <a href="' + http_root + '/guide.xml?mediaType=' + mediaType + '&includeTeams=streamfinder' + content_protect_b + '">xml</a> and <a href="' + http_root + '/calendar.ics?mediaType=' + mediaType + '&includeTeams=streamfinder' + content_protect_b + '">ics</a></p>' + "\n"
 
@@ -2538,6 +3179,8 @@ app.get('/', async function(req, res) {
 
     body += '<p><span class="tooltip">Create Off Air events between games<span class="tooltiptext">An optional parameter added to the URL will create "Off Air" events in the XML guide, listing the time of the next game on that channel. A value of "channels" will format the events in the style of the <a href="https://community.getchannels.com/t/mlb-tv-for-channels/27492">legacy Channels container</a>.</span></span>: <a href="' + http_root + '/guide.xml?mediaType=' + mediaType + '&includeTeams=' + include_teams + '&offAir=true' + content_protect_b + '">guide.xml</a> or <a href="' + http_root + '/guide.xml?mediaType=' + mediaType + '&includeTeams=' + include_teams + '&offAir=channels' + content_protect_b + '">legacy</a></p>' + "\n"
 
+
+    body += '<p><span class="tooltip">HDHomeRun tuner<span class="tooltiptext">Plex, Jellyfin, and other DVR software can add this server as a network tuner using its address. The optional --tuner_count command line argument limits the number of concurrent tuner streams. Any channel filters added to the discover.json URL are passed through to the lineup.</span></span>: <a href="' + http_root + '/discover.json' + content_protect_a + '">discover.json</a> and <a href="' + http_root + '/lineup.json' + content_protect_a + '">lineup.json</a></p>' + "\n"
     body += '</td></tr></table><br/>' + "\n"
 
     body += '<table><tr><td>' + "\n"
@@ -2546,8 +3189,8 @@ app.get('/', async function(req, res) {
     let example_types = [ ['embed.html', 'Embed'], ['stream.m3u8', 'Stream'], ['chromecast.html', 'Chromecast'], ['kodi.strm', 'Kodi'] ]
 
     let example_team = 'ath'
-    if ( session.credentials.fav_teams.length > 0 ) {
-      example_team = session.credentials.fav_teams[0]
+    if ( fav_teams.length > 0 ) {
+      example_team = fav_teams[0]
     }
 
     let examples = [
@@ -2591,11 +3234,33 @@ app.get('/', async function(req, res) {
       let example_streamURL = gamechanger_streamURL + '&' + gamechanger_types[i] + 'cludeTeams=' + include_teams
       body += '&bull; ' + gamechanger_types[i] + 'clude: <a href="' + http_root + '/embed.html?src=' + encodeURIComponent(example_streamURL) + '&startFrom=' + VALID_START_FROM[1] + content_protect_b + '">Embed</a> | <a href="' + example_streamURL + '">Stream</a> | <a href="' + http_root + '/chromecast.html?src=' + encodeURIComponent(example_streamURL) + content_protect_b + '">Chromecast</a> | <a href="' + http_root + '/advanced.html?src=' + encodeURIComponent(example_streamURL) + content_protect_b + '">Advanced</a> | <a href="' + http_root + '/kodi.strm?src=' + encodeURIComponent(example_streamURL) + content_protect_b + '">Kodi</a><br/>' + "\n"
     }
-    
+
+    body += '<p><span class="tooltip">Game Changer switching rules example<span class="tooltiptext">Game Changer and Stream Finder streams (or saved profiles) can set a minimum dwell time in seconds on each game (dwell), finish the current at-bat or half-inning before switching (finish=atbat or finish=inning), how much higher another game\'s leverage index must be to switch to it (threshold, default 1.5 for the Game Changer or 0.5 for Stream Finder), and whether to return to the previous game after a highlight (returnToPrevious=true). Useful to reduce switching back and forth.</span></span>:</p>' + "\n"
+    let rules_streamURL = gamechanger_streamURL + '&dwell=120&finish=inning&threshold=2&returnToPrevious=true'
+    body += '<p>&bull; rules: <a href="' + http_root + '/embed.html?src=' + encodeURIComponent(rules_streamURL) + '&startFrom=' + VALID_START_FROM[1] + content_protect_b + '">Embed</a> | <a href="' + rules_streamURL + '">Stream</a></p>' + "\n"
+
+    body += '<p><span class="tooltip">Game Changer by level or org examples<span class="tooltiptext">Like the m3u and xml links above, Game Changer (and Stream Finder) supports including levels (AAA, AA, A+ encoded as A%2B, A, WINTER, or ALL) or affiliates by org, using MiLB streams for MiLB and winter league games. Useful for following the winter leagues in the offseason.</span></span>:</p>' + "\n"
+    let levels_streamURL = gamechanger_streamURL + '&includeLevels=winter'
+    let orgs_streamURL = gamechanger_streamURL + '&includeOrgs=ath'
+    body += '<p>&bull; winter leagues: <a href="' + http_root + '/embed.html?src=' + encodeURIComponent(levels_streamURL) + '&startFrom=' + VALID_START_FROM[1] + content_protect_b + '">Embed</a> | <a href="' + levels_streamURL + '">Stream</a><br/>' + "\n"
+    body += '&bull; org: <a href="' + http_root + '/embed.html?src=' + encodeURIComponent(orgs_streamURL) + '&startFrom=' + VALID_START_FROM[1] + content_protect_b + '">Embed</a> | <a href="' + orgs_streamURL + '">Stream</a></p>' + "\n"
+    
     body += '<p><span class="tooltip">Comskip link examples<span class="tooltiptext">You can generate a <a href="https://github.com/erikkaashoek/Comskip">Comskip</a>-style file to automatically skip sections (breaks, idle time, or non-action pitches) of games you record using DVR software when watched in compatible players. For example, if you record a game from your local OTA channel using Tvheadend, you can then fetch one of these Comskip files, put it in the same directory with the same name as your recorded video file, and Kodi will automatically skip those sections while you watch the video.<br><br>Specifying the team and broadcast_start_timestamp in the URL is required! For the timestamp, use the  time your DVR software began the recording. This should be your local time in YYYY-MM-DDTHH:MM:SS format.<br><br>Specifying a skip_adjust value in the URL is recommended, to adjust for broadcast delays. This will vary across different channels and different video sources.<br><br>For the txt file format, specifying the video frame rate (fps) in the URL is also required. This will commonly be either 30, 59.94, or 60, depending on your video source.<br><br>Optionally, setting pad to "on" will generate random extra skips at the end, to help avoid timeline spoilers.</span></span>: <a href="' + http_root + '/comskip.edl?team=CHC&date=2025-10-01&pad=on&skip=pitches&skip_adjust=11&broadcast_start_timestamp=2025-10-01T14:00:00' + content_protect_a + '">comskip.edl</a> or <a href="' + http_root + '/comskip.txt?team=CHC&date=2025-10-01&pad=on&skip=pitches&skip_adjust=11&broadcast_start_timestamp=2025-10-01T14:00:00&fps=59.94' + content_protect_a + '">comskip.txt</a></p>' + "\n"
 
     body += '</p></td></tr></table><br/>' + "\n"
 
+    body += '<p><span class="tooltip">JSON API<span class="tooltiptext">Returns the games for a date, level, or org (same parameters as this page), with their broadcasts, media states, blackouts, and stream/embed/download links. Optional resolution and audio_track parameters are applied to video links.</span></span>: <a href="' + http_root + '/api/v1/games' + content_protect_a + '">' + server + '/api/v1/games' + content_protect_a + '</a></p>' + "\n"
+
+    body += '<p><span class="tooltip">Jobs<span class="tooltiptext">Lists every running ffmpeg process (streams, downloads, multiview, recordings) with its client and resource usage, and lets you kill them.</span></span>: <a href="' + http_root + '/jobs' + content_protect_a + '">Manage ffmpeg jobs</a></p>' + "\n"
+
+    body += '<p><span class="tooltip">Viewers<span class="tooltiptext">Lists who is watching what (HLS streams, Game Changer, stream.ts, and downloads) with their client, resolution, and how long they have been watching. The optional --max_streams command line argument limits the number of concurrent streams, to stay within your account\'s device limits.</span></span>: <a href="' + http_root + '/viewers' + content_protect_a + '">Show active viewers</a></p>' + "\n"
+
+    body += '<p><span class="tooltip">Tokens<span class="tooltiptext">Issue, list, and revoke named API tokens, which can be used in place of the content_protect key and limited to streams, guides, or admin pages, with an optional expiry.</span></span>: <a href="' + http_root + '/tokens' + content_protect_a + '">Manage API tokens</a></p>' + "\n"
+
+    body += '<p><span class="tooltip">Metrics<span class="tooltiptext">Request, proxied bytes, upstream latency, cache, ffmpeg job, and Game Changer switch counters in Prometheus text format, for scraping by Prometheus or a compatible monitoring system.</span></span>: <a href="' + http_root + '/metrics' + content_protect_a + '">' + server + '/metrics' + content_protect_a + '</a></p>' + "\n"
+
+    body += '<p><span class="tooltip">Recordings<span class="tooltiptext">Schedule automatic server-side recordings of games by team, saved to a library folder.</span></span>: <a href="' + http_root + '/recordings' + content_protect_a + '">Manage recordings</a></p>' + "\n"
+
     body += '<p><span class="tooltip">Sample video<span class="tooltiptext">A sample stream. Useful for testing and troubleshooting.</span></span>: <a href="' + http_root + '/embed.html' + content_protect_a + '">Embed</a> | <a href="' + http_root + '/stream.m3u8' + content_protect_a + '">Stream</a> | <a href="' + http_root + '/chromecast.html' + content_protect_a + '">Chromecast</a> | <a href="' + http_root + '/advanced.html' + content_protect_a + '">Advanced</a></p>' + "\n"
 
     body += '<p><span class="tooltip">Bookmarklets for MLB.com<span class="tooltiptext">If you watch at MLB.com, drag these bookmarklets to your bookmarks toolbar and use them to hide parts of the interface.</span></span>: <a href="javascript:(function(){let x=document.querySelector(\'#mlbtv-stats-panel\');if(x.style.display==\'none\'){x.style.display=\'initial\';}else{x.style.display=\'none\';}})();">Boxscore</a> | <a href="javascript:(function(){let x=document.querySelector(\'.mlbtv-header-container\');if(x.style.display==\'none\'){let y=document.querySelector(\'.mlbtv-players-container\');y.style.display=\'none\';x.style.display=\'initial\';setTimeout(function(){y.style.display=\'initial\';},15);}else{x.style.display=\'none\';}})();">Scoreboard</a> | <a href="javascript:(function(){let x=document.querySelector(\'.mlbtv-container--footer\');if(x.style.display==\'none\'){let y=document.querySelector(\'.mlbtv-players-container\');y.style.display=\'none\';x.style.display=\'initial\';setTimeout(function(){y.style.display=\'initial\';},15);}else{x.style.display=\'none\';}})();">Linescore</a> | <a href="javascript:(function(){let x=document.querySelector(\'#mlbtv-stats-panel\');if(x.style.display==\'none\'){x.style.display=\'initial\';}else{x.style.display=\'none\';}x=document.querySelector(\'.mlbtv-header-container\');if(x.style.display==\'none\'){x.style.display=\'initial\';}else{x.style.display=\'none\';}x=document.querySelector(\'.mlbtv-container--footer\');if(x.style.display==\'none\'){let y=document.querySelector(\'.mlbtv-players-container\');y.style.display=\'none\';x.style.display=\'initial\';setTimeout(function(){y.style.display=\'initial\';},15);}else{x.style.display=\'none\';}})();">All</a></p>' + "\n"
@@ -2664,7 +3329,7 @@ span.onclick = function() {
     res.end(body)
   } catch (e) {
     let error_message = 'home request error : ' + e.message
-    session.log(error_message)
+    session.errorlog(error_message)
     if ( body ) {
       res.end(body + error_message)
     } else {
@@ -2673,6 +3338,193 @@ span.onclick = function() {
   }
 })
 
+// Listen for API requests for a day's games, including their broadcasts and ready-made links
+// (uses the same date, level, org, and fav_teams logic as the home page)
+app.get('/api/v1/games', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('api/v1/games', req)
+
+    let server = (req.headers['x-forwarded-proto'] ? req.headers['x-forwarded-proto'] : 'http') + '://' + req.headers.host + http_root
+
+    let schedule_query = getScheduleQuery(req)
+    let gameDate = schedule_query.gameDate
+    let levels = schedule_query.levels
+    let fav_teams = session.getFavTeams(req.user)
+
+    var resolution = session.getUserSetting(req.user, 'resolution') || VALID_RESOLUTIONS[0]
+    if ( req.query.resolution ) {
+      resolution = req.query.resolution
+    }
+    var audio_track = session.getUserSetting(req.user, 'audio_track') || VALID_AUDIO_TRACKS[0]
+    if ( req.query.audio_track ) {
+      audio_track = req.query.audio_track
+    }
+
+    var content_protect_b = ''
+    if ( req.credential ) {
+      content_protect_b = '&' + req.credential
+    }
+
+    var cache_data = await session.getDayData(gameDate, false, schedule_query.level_ids, schedule_query.team_ids)
+
+    let blackouts = {}
+    let pre_post_shows = {}
+    if ( cache_data.dates && cache_data.dates[0] && cache_data.dates[0].games && (cache_data.dates[0].games.length > 0) ) {
+      blackouts = await session.get_blackout_games(cache_data.dates[0].date, true)
+      if ( gameDate >= schedule_query.today ) {
+        pre_post_shows = await session.get_pre_post_shows(cache_data.dates[0].date)
+      }
+    }
+
+    // Build the stream, embed, and download links for a querystring
+    function getLinks(querystring, filename) {
+      return {
+        stream: server + '/stream.m3u8' + querystring + content_protect_b,
+        embed: server + '/embed.html' + querystring + content_protect_b,
+        download: server + '/download.ts' + querystring + '&filename=' + encodeURIComponent(filename) + content_protect_b
+      }
+    }
+
+    let response = {
+      date: gameDate,
+      level: schedule_query.level,
+      org: schedule_query.org,
+      updated: (session.cache.dates && session.cache.dates[schedule_query.cache_name]) ? session.getCacheUpdatedDate(schedule_query.cache_name) : false,
+      games: []
+    }
+
+    if ( cache_data.dates && cache_data.dates[0] && cache_data.dates[0].games ) {
+      let curDate = new Date()
+      for (var j = 0; j < cache_data.dates[0].games.length; j++) {
+        let game = cache_data.dates[0].games[j]
+        let gamePk = game.gamePk.toString()
+        let mlb_game = (game.teams['away'].team.sport.id == levels['MLB']) || (game.teams['home'].team.sport.id == levels['MLB'])
+
+        let game_object = {
+          gamePk: game.gamePk,
+          gameDate: game.gameDate,
+          startTimeTBD: (game.status.startTimeTBD == true),
+          abstractGameState: game.status.abstractGameState,
+          detailedState: game.status.detailedState,
+          doubleHeader: game.doubleHeader,
+          gameNumber: game.gameNumber,
+          description: game.description || '',
+          seriesDescription: game.seriesDescription,
+          scheduledInnings: await session.get_scheduled_innings(game),
+          currentInning: (game.linescore && game.linescore.currentInning) ? game.linescore.currentInning : false,
+          inningHalf: (game.linescore && game.linescore.inningHalf) ? game.linescore.inningHalf : false,
+          free: (game.broadcasts && game.broadcasts[0] && game.broadcasts[0].freeGame) ? true : false,
+          favorite: fav_teams.includes(game.teams['away'].team.abbreviation) || fav_teams.includes(game.teams['home'].team.abbreviation),
+          teams: {},
+          broadcasts: []
+        }
+
+        let filename = gameDate + ' '
+        let team_types = ['away', 'home']
+        for (var t = 0; t < team_types.length; t++) {
+          let team = game.teams[team_types[t]]
+          let team_name = team.team.abbreviation
+          if ( team.team.sport.name != 'Major League Baseball' ) {
+            team_name = team.team.shortName
+          }
+          filename += team_name + ((t == 0) ? ' @ ' : ' ')
+          game_object.teams[team_types[t]] = {
+            abbreviation: team.team.abbreviation,
+            name: team_name,
+            level: session.getLevelNameFromSportId(team.team.sport.id),
+            score: (typeof team.score !== 'undefined') ? team.score : false,
+            probablePitcher: (team.probablePitcher && team.probablePitcher.fullName) ? team.probablePitcher.fullName : false
+          }
+        }
+        if ( game.doubleHeader != 'N' ) {
+          filename += 'Game ' + game.gameNumber + ' '
+        }
+
+        if ( !mlb_game ) {
+          // Winter League / MiLB games have a single video feed, identified by gamePk or event
+          let broadcast = get_milb_broadcast(game)
+          if ( broadcast ) {
+            let broadcast_object = {
+              mediaId: false,
+              mediaType: 'Video',
+              callSign: broadcast.callSign || broadcast.name,
+              blackout: false,
+              urls: false
+            }
+            let startTime = new Date(game.gameDate)
+            startTime.setMinutes(startTime.getMinutes()-30)
+            if ( (game.status.detailedState != 'Postponed') && (game.status.detailedState != 'Cancelled') && (curDate >= startTime) ) {
+              let querystring = get_milb_querystring(game)
+              if ( resolution != VALID_RESOLUTIONS[0] ) querystring += '&resolution=' + resolution
+              broadcast_object.urls = getLinks(querystring, filename + broadcast_object.callSign)
+            }
+            game_object.broadcasts.push(broadcast_object)
+          }
+        } else if ( game.broadcasts ) {
+          for (var k = 0; k < game.broadcasts.length; k++) {
+            let broadcast = game.broadcasts[k]
+            if ( !broadcast.availableForStreaming ) continue
+
+            let mediaType = get_broadcast_media_type(broadcast)
+            if ( mediaType == 'MLBTV' ) mediaType = 'Video'
+            let teamabbr = broadcast.isNational ? 'NATIONAL' : game.teams[(broadcast.homeAway == 'away') ? 'away' : 'home'].team.abbreviation
+            let mediaId = broadcast.mediaId
+            let mediaStateCode = (broadcast.mediaState && broadcast.mediaState.mediaStateCode) ? broadcast.mediaState.mediaStateCode : false
+
+            let broadcast_object = {
+              mediaId: mediaId,
+              mediaType: mediaType,
+              callSign: broadcast.callSign,
+              team: teamabbr,
+              homeAway: broadcast.homeAway,
+              isNational: broadcast.isNational ? true : false,
+              language: broadcast.language,
+              mediaState: mediaStateCode,
+              pregame: (pre_post_shows.pregame_shows && pre_post_shows.pregame_shows[mediaId]) ? true : false,
+              postgame: (pre_post_shows.postgame_shows && pre_post_shows.postgame_shows[mediaId]) ? true : false,
+              blackout: false,
+              urls: false
+            }
+
+            if ( blackouts[gamePk] && blackouts[gamePk].blackout_feeds && blackouts[gamePk].blackout_feeds.includes(mediaId) ) {
+              broadcast_object.blackout = true
+              broadcast_object.blackout_type = blackouts[gamePk].blackout_type
+              if ( blackouts[gamePk].blackoutExpiry ) {
+                broadcast_object.blackoutExpiry = blackouts[gamePk].blackoutExpiry
+              }
+            } else if ( (mediaType == 'Video') && is_cached_blackout(mediaId, gameDate, schedule_query.today) ) {
+              broadcast_object.blackout = true
+              broadcast_object.blackoutExpiry = session.cache.media[mediaId].blackoutExpiry
+            }
+
+            if ( (mediaStateCode == 'MEDIA_ON') || (mediaStateCode == 'MEDIA_ARCHIVE') || (game.status.abstractGameState == 'Final') ) {
+              let querystring = '?mediaId=' + mediaId
+              if ( mediaType == 'Video' ) {
+                if ( resolution != VALID_RESOLUTIONS[0] ) querystring += '&resolution=' + resolution
+                if ( audio_track != VALID_AUDIO_TRACKS[0] ) querystring += '&audio_track=' + encodeURIComponent(audio_track)
+              }
+              broadcast_object.urls = getLinks(querystring, filename + broadcast.callSign)
+            }
+
+            game_object.broadcasts.push(broadcast_object)
+          }
+        }
+
+        response.games.push(game_object)
+      }
+    }
+
+    res.writeHead(200, {'Content-Type': 'application/json'})
+    res.end(JSON.stringify(response))
+  } catch (e) {
+    session.errorlog('api/v1/games request error : ' + e.message)
+    res.writeHead(e.statusCode || 500, {'Content-Type': 'application/json'})
+    res.end(JSON.stringify({error: 'api/v1/games request error : ' + e.message}))
+  }
+})
+
 // Listen for OPTIONS requests and respond with CORS headers
 app.options('*', function(req, res) {
   session.requestlog('options', req, true)
@@ -2708,8 +3560,8 @@ app.get('/embed-videojs.html', async function(req, res) {
     video_url = req.query.src
   } else if ( req.query.msrc ) {
     video_url += '?'
-    if ( req.query.content_protect ) {
-      video_url += 'content_protect=' + req.query.content_protect + '&'
+    if ( req.credential ) {
+      video_url += req.credential + '&'
     }
     video_url += 'src=' + req.query.msrc
   } else {
@@ -2721,8 +3573,8 @@ app.get('/embed-videojs.html', async function(req, res) {
   session.debuglog('embed-videojs src : ' + video_url)
 
   let content_protect = ''
-  if ( session.protection.content_protect ) {
-    content_protect = '?content_protect=' + session.protection.content_protect
+  if ( req.credential ) {
+    content_protect = '?' + req.credential
   }
 
   var body = `<html>
@@ -2842,8 +3694,8 @@ app.get('/embed.html', async function(req, res) {
     video_url = req.query.src
   } else if ( req.query.msrc ) {
     video_url += '?'
-    if ( req.query.content_protect ) {
-      video_url += 'content_protect=' + req.query.content_protect + '&'
+    if ( req.credential ) {
+      video_url += req.credential + '&'
     }
     video_url += 'src=' + req.query.msrc
   } else {
@@ -2855,8 +3707,8 @@ app.get('/embed.html', async function(req, res) {
   session.debuglog('embed src : ' + video_url)
 
   let content_protect = ''
-  if ( session.protection.content_protect ) {
-    content_protect = '?content_protect=' + session.protection.content_protect
+  if ( req.credential ) {
+    content_protect = '?' + req.credential
   }
 
   // Adapted from https://hls-js.netlify.app/demo/basic-usage.html and https://hls-js-dev.netlify.app/demo
@@ -2891,8 +3743,8 @@ app.get('/advanced.html', async function(req, res) {
     video_url = req.query.src
   } else if ( req.query.msrc ) {
     video_url = server + video_url + '?'
-    if ( req.query.content_protect ) {
-      video_url += 'content_protect=' + req.query.content_protect + '&'
+    if ( req.credential ) {
+      video_url += req.credential + '&'
     }
     video_url += 'src=' + req.query.msrc
   } else {
@@ -2920,8 +3772,8 @@ app.get('/chromecast.html', async function(req, res) {
     video_url = req.query.src
   } else if ( req.query.msrc ) {
     video_url = server + video_url + '?'
-    if ( req.query.content_protect ) {
-      video_url += 'content_protect=' + req.query.content_protect + '&'
+    if ( req.credential ) {
+      video_url += req.credential + '&'
     }
     video_url += 'src=' + req.query.msrc
   } else {
@@ -2940,63 +3792,67 @@ app.get('/chromecast.html', async function(req, res) {
 app.get('/channels.m3u', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
 
-  session.requestlog('channels.m3u', req)
+  try {
+    session.requestlog('channels.m3u', req)
 
-  let mediaType = VALID_MEDIA_TYPES[0]
-  if ( req.query.mediaType ) {
-    mediaType = req.query.mediaType
-  }
+    let mediaType = VALID_MEDIA_TYPES[0]
+    if ( req.query.mediaType ) {
+      mediaType = req.query.mediaType
+    }
 
-  let includeTeams = []
-  if ( req.query.includeTeams ) {
-    includeTeams = req.query.includeTeams.toUpperCase().split(',')
-  }
-  let excludeTeams = []
-  if ( req.query.excludeTeams ) {
-    excludeTeams = req.query.excludeTeams.toUpperCase().split(',')
-  }
+    let includeTeams = []
+    if ( req.query.includeTeams ) {
+      includeTeams = req.query.includeTeams.toUpperCase().split(',')
+    }
+    let excludeTeams = []
+    if ( req.query.excludeTeams ) {
+      excludeTeams = req.query.excludeTeams.toUpperCase().split(',')
+    }
 
-  let server = (req.headers['x-forwarded-proto'] ? req.headers['x-forwarded-proto'] : 'http') + '://' + req.headers.host + http_root
+    let server = (req.headers['x-forwarded-proto'] ? req.headers['x-forwarded-proto'] : 'http') + '://' + req.headers.host + http_root
 
-  let resolution = 'best'
-  if ( req.query.resolution ) {
-    resolution = req.query.resolution
-  }
+    let resolution = 'best'
+    if ( req.query.resolution ) {
+      resolution = req.query.resolution
+    }
 
-  let pipe = 'false'
-  if ( req.query.pipe ) {
-    pipe = req.query.pipe
-  }
+    let pipe = 'false'
+    if ( req.query.pipe ) {
+      pipe = req.query.pipe
+    }
 
-  let startingChannelNumber = 1
-  if ( req.query.startingChannelNumber ) {
-    startingChannelNumber = req.query.startingChannelNumber
-  }
+    let startingChannelNumber = 1
+    if ( req.query.startingChannelNumber ) {
+      startingChannelNumber = req.query.startingChannelNumber
+    }
 
-  let audio_track = false
-  if ( req.query.audio_track ) {
-    audio_track = req.query.audio_track
-  }
+    let audio_track = false
+    if ( req.query.audio_track ) {
+      audio_track = req.query.audio_track
+    }
 
-  let includeBlackouts = 'false'
-  if ( req.query.includeBlackouts ) {
-    includeBlackouts = req.query.includeBlackouts
-  }
+    let includeBlackouts = 'false'
+    if ( req.query.includeBlackouts ) {
+      includeBlackouts = req.query.includeBlackouts
+    }
 
-  let includeLevels = []
-  if ( req.query.includeLevels ) {
-    includeLevels = decodeURIComponent(req.query.includeLevels.toUpperCase()).split(',')
-  }
+    let includeLevels = []
+    if ( req.query.includeLevels ) {
+      includeLevels = decodeURIComponent(req.query.includeLevels.toUpperCase()).split(',')
+    }
 
-  let includeOrgs = []
-  if ( req.query.includeOrgs ) {
-    includeOrgs = req.query.includeOrgs.toUpperCase().split(',')
-  }
+    let includeOrgs = []
+    if ( req.query.includeOrgs ) {
+      includeOrgs = req.query.includeOrgs.toUpperCase().split(',')
+    }
 
-  var body = await session.getTVData('channels', mediaType, includeTeams, excludeTeams, includeLevels, includeOrgs, server, includeBlackouts, 'false', audio_track, 'false', resolution, pipe, startingChannelNumber)
+    var body = await session.getTVData('channels', mediaType, includeTeams, excludeTeams, includeLevels, includeOrgs, server, includeBlackouts, 'false', audio_track, 'false', resolution, pipe, startingChannelNumber, req.credential)
 
-  res.writeHead(200, {'Content-Type': 'audio/x-mpegurl'})
-  res.end(body)
+    res.writeHead(200, {'Content-Type': 'audio/x-mpegurl'})
+    res.end(body)
+  } catch (e) {
+    respondError(res, e, 'channels.m3u')
+  }
 })
 
 // Listen for calendar.ics requests
@@ -3047,12 +3903,12 @@ app.get('/calendar.ics', async function(req, res) {
 
     let server = (req.headers['x-forwarded-proto'] ? req.headers['x-forwarded-proto'] : 'http') + '://' + req.headers.host + http_root
 
-    var body = await session.getTVData('calendar', mediaType, includeTeams, excludeTeams, includeLevels, includeOrgs, server, includeBlackouts, includeTeamsInTitles, audio_track)
+    var body = await session.getTVData('calendar', mediaType, includeTeams, excludeTeams, includeLevels, includeOrgs, server, includeBlackouts, includeTeamsInTitles, audio_track, 'false', 'best', 'false', 1, req.credential)
 
     res.writeHead(200, {'Content-Type': 'text/calendar'})
     res.end(body)
   } catch (e) {
-    session.log('calendar.ics request error : ' + e.message)
+    session.errorlog('calendar.ics request error : ' + e.message)
     res.end('calendar.ics request error, check log')
   }
 })
@@ -3062,97 +3918,267 @@ app.get('/calendar.ics', async function(req, res) {
 app.get('/guide.xml', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
 
-  session.requestlog('guide.xml', req)
+  try {
+    session.requestlog('guide.xml', req)
 
-  let mediaType = VALID_MEDIA_TYPES[0]
-  if ( req.query.mediaType ) {
-    mediaType = req.query.mediaType
-  }
+    let mediaType = VALID_MEDIA_TYPES[0]
+    if ( req.query.mediaType ) {
+      mediaType = req.query.mediaType
+    }
 
-  let includeTeams = []
-  if ( req.query.includeTeams ) {
-    includeTeams = req.query.includeTeams.toUpperCase().split(',')
-  }
-  let excludeTeams = []
-  if ( req.query.excludeTeams ) {
-    excludeTeams = req.query.excludeTeams.toUpperCase().split(',')
-  }
+    let includeTeams = []
+    if ( req.query.includeTeams ) {
+      includeTeams = req.query.includeTeams.toUpperCase().split(',')
+    }
+    let excludeTeams = []
+    if ( req.query.excludeTeams ) {
+      excludeTeams = req.query.excludeTeams.toUpperCase().split(',')
+    }
+
+    let audio_track = false
+    if ( req.query.audio_track ) {
+      audio_track = req.query.audio_track
+    }
+
+    let includeBlackouts = 'false'
+    if ( req.query.includeBlackouts ) {
+      includeBlackouts = req.query.includeBlackouts
+    }
+
+    let includeLevels = []
+    if ( req.query.includeLevels ) {
+      includeLevels = decodeURIComponent(req.query.includeLevels.toUpperCase()).split(',')
+    }
+
+    let includeOrgs = []
+    if ( req.query.includeOrgs ) {
+      includeOrgs = req.query.includeOrgs.toUpperCase().split(',')
+    }
+
+    let includeTeamsInTitles = 'false'
+    if ( req.query.includeTeamsInTitles ) {
+      includeTeamsInTitles = req.query.includeTeamsInTitles
+    }
+
+    let offAir = 'false'
+    if ( req.query.offAir ) {
+      offAir = req.query.offAir
+    }
 
-  let audio_track = false
-  if ( req.query.audio_track ) {
-    audio_track = req.query.audio_track
+    let server = (req.headers['x-forwarded-proto'] ? req.headers['x-forwarded-proto'] : 'http') + '://' + req.headers.host + http_root
+
+    var body = await session.getTVData('guide', mediaType, includeTeams, excludeTeams, includeLevels, includeOrgs, server, includeBlackouts, includeTeamsInTitles, audio_track, offAir, 'best', 'false', 1, req.credential)
+
+    res.end(body)
+  } catch (e) {
+    respondError(res, e, 'guide.xml')
   }
+})
 
-  let includeBlackouts = 'false'
-  if ( req.query.includeBlackouts ) {
-    includeBlackouts = req.query.includeBlackouts
+// HDHomeRun device info, shared by discover.json and device.xml
+function getHDHomeRunDevice(req) {
+  let server = (req.headers['x-forwarded-proto'] ? req.headers['x-forwarded-proto'] : 'http') + '://' + req.headers.host + http_root
+  let device_id = crypto.createHash('md5').update(appname + port).digest('hex').substring(0, 8).toUpperCase()
+
+  // pass any channel filters through to the lineup
+  let lineup_url = server + '/lineup.json'
+  let urlArray = req.url.split('?')
+  if ( urlArray.length == 2 ) {
+    lineup_url += '?' + urlArray[1]
+  } else if ( req.credential ) {
+    lineup_url += '?' + req.credential
   }
 
-  let includeLevels = []
-  if ( req.query.includeLevels ) {
-    includeLevels = decodeURIComponent(req.query.includeLevels.toUpperCase()).split(',')
+  return {
+    FriendlyName: appname,
+    Manufacturer: 'Silicondust',
+    ManufacturerURL: 'https://github.com/tonywagner/mlbserver',
+    ModelNumber: 'HDTC-2US',
+    FirmwareName: 'hdhomeruntc_atsc',
+    FirmwareVersion: HDHOMERUN_FIRMWARE_VERSION,
+    DeviceID: device_id,
+    DeviceAuth: appname,
+    BaseURL: server,
+    LineupURL: lineup_url,
+    TunerCount: tuner_count || DEFAULT_TUNER_COUNT
   }
+}
+
+// Listen for HDHomeRun discover.json requests
+app.get('/discover.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('discover.json', req)
 
-  let includeOrgs = []
-  if ( req.query.includeOrgs ) {
-    includeOrgs = req.query.includeOrgs.toUpperCase().split(',')
+    res.writeHead(200, {'Content-Type': 'application/json'})
+    res.end(JSON.stringify(getHDHomeRunDevice(req)))
+  } catch (e) {
+    session.errorlog('discover.json request error : ' + e.message)
+    res.end('discover.json request error, check log')
   }
+})
+
+// Listen for HDHomeRun device.xml requests
+app.get('/device.xml', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
 
-  let includeTeamsInTitles = 'false'
-  if ( req.query.includeTeamsInTitles ) {
-    includeTeamsInTitles = req.query.includeTeamsInTitles
+  try {
+    session.requestlog('device.xml', req)
+
+    let device = getHDHomeRunDevice(req)
+
+    var body = '<?xml version="1.0" encoding="UTF-8"?>' + "\n" +
+    '<root xmlns="urn:schemas-upnp-org:device-1-0">' + "\n" +
+    '  <specVersion><major>1</major><minor>0</minor></specVersion>' + "\n" +
+    '  <URLBase>' + device.BaseURL + '</URLBase>' + "\n" +
+    '  <device>' + "\n" +
+    '    <deviceType>urn:schemas-upnp-org:device:MediaServer:1</deviceType>' + "\n" +
+    '    <friendlyName>' + device.FriendlyName + '</friendlyName>' + "\n" +
+    '    <manufacturer>' + device.Manufacturer + '</manufacturer>' + "\n" +
+    '    <modelName>' + device.ModelNumber + '</modelName>' + "\n" +
+    '    <modelNumber>' + device.ModelNumber + '</modelNumber>' + "\n" +
+    '    <serialNumber></serialNumber>' + "\n" +
+    '    <UDN>uuid:' + device.DeviceID + '</UDN>' + "\n" +
+    '  </device>' + "\n" +
+    '</root>'
+
+    res.writeHead(200, {'Content-Type': 'application/xml'})
+    res.end(body)
+  } catch (e) {
+    session.errorlog('device.xml request error : ' + e.message)
+    res.end('device.xml request error, check log')
   }
+})
 
-  let offAir = 'false'
-  if ( req.query.offAir ) {
-    offAir = req.query.offAir
+// Listen for HDHomeRun lineup_status.json requests
+app.get('/lineup_status.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('lineup_status.json', req)
+
+    res.writeHead(200, {'Content-Type': 'application/json'})
+    res.end(JSON.stringify({ScanInProgress: 0, ScanPossible: 1, Source: 'Cable', SourceList: ['Cable']}))
+  } catch (e) {
+    session.errorlog('lineup_status.json request error : ' + e.message)
+    res.end('lineup_status.json request error, check log')
   }
+})
 
-  let server = (req.headers['x-forwarded-proto'] ? req.headers['x-forwarded-proto'] : 'http') + '://' + req.headers.host + http_root
+// Listen for HDHomeRun lineup.json requests
+app.get('/lineup.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
 
-  var body = await session.getTVData('guide', mediaType, includeTeams, excludeTeams, includeLevels, includeOrgs, server, includeBlackouts, includeTeamsInTitles, audio_track, offAir)
+  try {
+    session.requestlog('lineup.json', req)
 
-  res.end(body)
+    let mediaType = VALID_MEDIA_TYPES[0]
+    if ( req.query.mediaType ) {
+      mediaType = req.query.mediaType
+    }
+
+    let includeTeams = []
+    if ( req.query.includeTeams ) {
+      includeTeams = req.query.includeTeams.toUpperCase().split(',')
+    }
+    let excludeTeams = []
+    if ( req.query.excludeTeams ) {
+      excludeTeams = req.query.excludeTeams.toUpperCase().split(',')
+    }
+
+    let server = (req.headers['x-forwarded-proto'] ? req.headers['x-forwarded-proto'] : 'http') + '://' + req.headers.host + http_root
+
+    let resolution = 'best'
+    if ( req.query.resolution ) {
+      resolution = req.query.resolution
+    }
+
+    let startingChannelNumber = 1
+    if ( req.query.startingChannelNumber ) {
+      startingChannelNumber = req.query.startingChannelNumber
+    }
+
+    let audio_track = false
+    if ( req.query.audio_track ) {
+      audio_track = req.query.audio_track
+    }
+
+    let includeBlackouts = 'false'
+    if ( req.query.includeBlackouts ) {
+      includeBlackouts = req.query.includeBlackouts
+    }
+
+    let includeLevels = []
+    if ( req.query.includeLevels ) {
+      includeLevels = decodeURIComponent(req.query.includeLevels.toUpperCase()).split(',')
+    }
+
+    let includeOrgs = []
+    if ( req.query.includeOrgs ) {
+      includeOrgs = req.query.includeOrgs.toUpperCase().split(',')
+    }
+
+    var body = await session.getTVData('lineup', mediaType, includeTeams, excludeTeams, includeLevels, includeOrgs, server, includeBlackouts, 'false', audio_track, 'false', resolution, 'false', startingChannelNumber, req.credential)
+
+    res.writeHead(200, {'Content-Type': 'application/json'})
+    res.end(JSON.stringify(body || []))
+  } catch (e) {
+    session.errorlog('lineup.json request error : ' + e.message)
+    res.end('lineup.json request error, check log')
+  }
 })
 
 // Listen for entitlements requests
 app.get('/entitlements', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
 
-  session.requestlog('entitlements', req, true)
+  try {
+    session.requestlog('entitlements', req, true)
 
-  var body = await session.getEntitlements()
+    var body = await session.getEntitlements()
 
-  res.end(body)
+    res.end(body)
+  } catch (e) {
+    respondError(res, e, 'entitlements')
+  }
 })
 
 // Listen for SVG image requests
 app.get('/image.svg', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
 
-  session.requestlog('image.svg', req, true)
+  try {
+    session.requestlog('image.svg', req, true)
 
-  let teamId = 'MLB'
-  if ( req.query.teamId ) {
-    teamId = req.query.teamId
-  }
+    let teamId = 'MLB'
+    if ( req.query.teamId ) {
+      teamId = req.query.teamId
+    }
 
-  var body = await session.getImage(teamId)
+    var body = await session.getImage(teamId)
 
-  res.writeHead(200, {'Content-Type': 'image/svg+xml'})
-  res.end(body)
+    res.writeHead(200, {'Content-Type': 'image/svg+xml'})
+    res.end(body)
+  } catch (e) {
+    respondError(res, e, 'image.svg')
+  }
 })
 
 // Listen for favicon requests
 app.get('/favicon.svg', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
 
-  session.requestlog('favicon.svg', req, true)
+  try {
+    session.requestlog('favicon.svg', req, true)
 
-  var body = await session.getImage('MLB')
+    var body = await session.getImage('MLB')
 
-  res.writeHead(200, {'Content-Type': 'image/svg+xml'})
-  res.end(body)
+    res.writeHead(200, {'Content-Type': 'image/svg+xml'})
+    res.end(body)
+  } catch (e) {
+    respondError(res, e, 'favicon.svg')
+  }
 })
 
 // Listen for highlights requests
@@ -3168,8 +4194,7 @@ app.get('/highlights', async function(req, res) {
     }
     res.end(JSON.stringify(highlightsData))
   } catch (e) {
-    session.log('highlights request error : ' + e.message)
-    res.end('')
+    respondError(res, e, 'highlights')
   }
 })
 
@@ -3180,14 +4205,25 @@ app.get('/multiview', async function(req, res) {
   try {
     session.requestlog('multiview', req)
 
-    try {
-      ffmpeg_command.kill()
-      session.clear_multiview_files()
-    } catch (e) {
-      //session.debuglog('error killing multiview command:' + e.message)
+    let multiview_id = DEFAULT_MULTIVIEW_ID
+    if ( req.query.id ) {
+      if ( !VALID_MULTIVIEW_ID.test(req.query.id) ) {
+        res.end('invalid multiview id')
+        return
+      }
+      multiview_id = req.query.id
     }
 
+    stop_multiview_stream(multiview_id)
+
     if ( req.query.streams ) {
+      if ( Object.keys(multiview_sessions).length >= multiview_max_sessions ) {
+        res.end('multiview limit reached: ' + multiview_max_sessions + ' sessions already running, stop one first')
+        return
+      }
+      // Reserve the session while waiting to start it
+      multiview_sessions[multiview_id] = { id: multiview_id, status: false, started: false, streams: [], layout: VALID_MULTIVIEW_LAYOUTS[0] }
+
       let sync = []
       if ( req.query.sync ) {
         sync = req.query.sync
@@ -3218,34 +4254,496 @@ app.get('/multiview', async function(req, res) {
       if ( req.query.audio_url_seek && (req.query.audio_url_seek != '0') ) {
         audio_url_seek = req.query.audio_url_seek
       }
-      // Wait to restart it
-      setTimeout(function() {
-        res.end(start_multiview_stream(req.query.streams, sync, dvr, faster, reencode, park_audio, audio_url, audio_url_seek))
+      let layout = VALID_MULTIVIEW_LAYOUTS[0]
+      if ( req.query.layout && VALID_MULTIVIEW_LAYOUTS.includes(req.query.layout) ) {
+        layout = req.query.layout
+      }
+      let pip_corner = VALID_PIP_CORNERS[0]
+      if ( req.query.pip_corner && VALID_PIP_CORNERS.includes(req.query.pip_corner) ) {
+        pip_corner = req.query.pip_corner
+      }
+      let pip_scale = DEFAULT_PIP_SCALE
+      if ( req.query.pip_scale && (parseFloat(req.query.pip_scale) >= 0.1) && (parseFloat(req.query.pip_scale) <= 0.5) ) {
+        pip_scale = parseFloat(req.query.pip_scale)
+      }
+      let overlay = VALID_MULTIVIEW_OVERLAYS[0]
+      if ( req.query.overlay && VALID_MULTIVIEW_OVERLAYS.includes(req.query.overlay) ) {
+        overlay = req.query.overlay
+      }
+      let labels = []
+      if ( req.query.labels ) {
+        labels = req.query.labels
+      }
+      // Wait to restart it, detecting any automatic sync values first
+      setTimeout(async function() {
+        try {
+          let streams = Array.isArray(req.query.streams) ? req.query.streams : [req.query.streams]
+          if ( !Array.isArray(sync) ) sync = [sync]
+          let detections = []
+          let detected_sync = {}
+          for (let i=0; i<streams.length; i++) {
+            if ( sync[i] == 'auto' ) {
+              sync[i] = 0
+              // Only streams with a radio audio track can be compared against their own TV audio
+              if ( get_tv_audio_url(streams[i]) != streams[i] ) {
+                detections.push(detect_audio_sync(get_tv_audio_url(streams[i]), streams[i], 'multiview stream ' + (i+1)).then(function(result) {
+                  sync[i] = result.offset
+                  detected_sync[i+1] = result
+                }))
+              }
+            }
+          }
+          if ( audio_url_seek == 'auto' ) {
+            audio_url_seek = false
+            if ( audio_url ) detections.push(detect_audio_sync(get_tv_audio_url(streams[0]), audio_url, 'multiview alternate audio').then(function(result) {
+              if ( result.offset != 0 ) audio_url_seek = result.offset
+              detected_sync['audio_url'] = result
+            }))
+          }
+          await Promise.all(detections)
+
+          res.end(start_multiview_stream(multiview_id, streams, sync, dvr, faster, reencode, park_audio, audio_url, audio_url_seek, layout, pip_corner, pip_scale, overlay, labels))
+          if ( multiview_sessions[multiview_id] ) multiview_sessions[multiview_id].detected_sync = detected_sync
+        } catch (e) {
+          session.errorlog('multiview request error : ' + e.message)
+          res.end('multiview request error, check log')
+        }
       }, 5000)
     } else {
       res.end('stopped')
     }
   } catch (e) {
-    session.log('multiview request error : ' + e.message)
+    session.errorlog('multiview request error : ' + e.message)
     res.end('multiview request error, check log')
   }
 })
 
-function start_multiview_stream(streams, sync, dvr, faster, reencode, park_audio, audio_url, audio_url_seek) {
+// Listen for multiview stop requests
+app.get('/multiview/stop', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('multiview/stop', req)
+
+    let multiview_id = req.query.id || DEFAULT_MULTIVIEW_ID
+    if ( !VALID_MULTIVIEW_ID.test(multiview_id) ) {
+      res.end('invalid multiview id')
+      return
+    }
+
+    stop_multiview_stream(multiview_id)
+    res.end('stopped')
+  } catch (e) {
+    session.errorlog('multiview/stop request error : ' + e.message)
+    res.end('multiview/stop request error, check log')
+  }
+})
+
+// Listen for multiview audio focus requests
+app.get('/multiview/audio', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('multiview/audio', req)
+
+    let multiview_id = req.query.id || DEFAULT_MULTIVIEW_ID
+    if ( !multiview_sessions[multiview_id] || !multiview_sessions[multiview_id].status || !multiview_sessions[multiview_id].focus ) {
+      res.end('audio focus requires a running multiview session with more than 1 audio stream')
+      return
+    }
+
+    // Tiles are numbered from 1, as on the home page
+    let tile = parseInt(req.query.tile) - 1
+    if ( !multiview_sessions[multiview_id].focus.tiles.includes(tile) ) {
+      res.end('invalid tile, or tile has no audio')
+      return
+    }
+    let mode = VALID_AUDIO_FOCUS_MODES[0]
+    if ( req.query.mode && VALID_AUDIO_FOCUS_MODES.includes(req.query.mode) ) {
+      mode = req.query.mode
+    }
+
+    res.end(set_multiview_audio_focus(multiview_id, tile, mode))
+  } catch (e) {
+    session.errorlog('multiview/audio request error : ' + e.message)
+    res.end('multiview/audio request error, check log')
+  }
+})
+
+// Listen for audio sync detection requests, comparing a stream's TV audio to its radio track or an alternate audio URL
+app.get('/sync.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('sync.json', req)
+
+    if ( !req.query.src ) {
+      res.writeHead(400, {'Content-Type': 'application/json'})
+      res.end(JSON.stringify({ error: 'src parameter is required' }))
+      return
+    }
+    let reference_url = get_tv_audio_url(req.query.src)
+    let audio_url = req.query.audio_url || req.query.src
+    if ( audio_url == reference_url ) {
+      res.writeHead(400, {'Content-Type': 'application/json'})
+      res.end(JSON.stringify({ error: 'specify an audio_url, or a src with a radio audio_track' }))
+      return
+    }
+
+    let result = await detect_audio_sync(reference_url, audio_url, 'sync.json', req, res)
+    result.seconds = SYNC_DETECT_SECONDS
+    res.writeHead(200, {'Content-Type': 'application/json'})
+    res.end(JSON.stringify(result))
+  } catch (e) {
+    session.errorlog('sync.json request error : ' + e.message)
+    res.end('sync.json request error, check log')
+  }
+})
+
+// Listen for multiview session list requests
+app.get('/multiview.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('multiview.json', req)
+
+    let server = (req.headers['x-forwarded-proto'] ? req.headers['x-forwarded-proto'] : 'http') + '://' + req.headers.host + http_root
+
+    var content_protect_b = ''
+    if ( req.credential ) {
+      content_protect_b = '&' + req.credential
+    }
+
+    let sessions = []
+    for (const [key, value] of Object.entries(multiview_sessions)) {
+      sessions.push({
+        id: value.id,
+        status: value.status ? 'started' : 'starting',
+        started: value.started,
+        streams: value.streams.length,
+        layout: value.layout,
+        audio_focus: value.focus ? { tile: value.focus.tile + 1, mode: value.focus.mode } : false,
+        detected_sync: value.detected_sync || {},
+        master: 'http://127.0.0.1:' + session.data.multiviewPort + get_multiview_url_path(value.id),
+        url: server + '/stream.m3u8?src=' + encodeURIComponent('http://127.0.0.1:' + session.data.multiviewPort + get_multiview_url_path(value.id)) + content_protect_b,
+        stop: server + '/multiview/stop?id=' + encodeURIComponent(value.id) + content_protect_b
+      })
+    }
+
+    res.writeHead(200, {'Content-Type': 'application/json'})
+    res.end(JSON.stringify({ max_sessions: multiview_max_sessions, sessions: sessions }))
+  } catch (e) {
+    session.errorlog('multiview.json request error : ' + e.message)
+    res.end('multiview.json request error, check log')
+  }
+})
+
+// Master playlist path for a multiview session, on the multiview server
+// (which only listens locally, so the path doesn't need a content credential)
+function get_multiview_url_path(id) {
+  return '/' + hls_base + '/' + id + '/' + multiview_stream_name
+}
+
+// Kill a multiview session's ffmpeg command, if any, and clear its files
+function stop_multiview_stream(id) {
+  if ( multiview_sessions[id] ) {
+    try {
+      if ( multiview_sessions[id].command ) multiview_sessions[id].command.kill()
+    } catch (e) {
+      //session.debuglog('error killing multiview command:' + e.message)
+    }
+    remove_multiview_session(id)
+  }
+  session.clear_multiview_files(id)
+}
+
+// Change the tile volumes in a multiview session's audio focus track, without restarting it,
+// by sending filter commands to the running ffmpeg process on its stdin
+// (ffmpeg reads a line starting with "c" as "target time command argument")
+function set_multiview_audio_focus(id, tile, mode) {
+  let ffmpeg_process = multiview_sessions[id].command.ffmpegProc
+  if ( !ffmpeg_process || !ffmpeg_process.stdin || !ffmpeg_process.stdin.writable ) {
+    session.errorlog('multiview stream ' + id + ' audio focus error : ffmpeg is not accepting commands')
+    return 'audio focus error, check log'
+  }
+  let focus = multiview_sessions[id].focus
+  let commands = ''
+  for (var i=0; i<focus.tiles.length; i++) {
+    let volume = 0
+    if ( focus.tiles[i] == tile ) {
+      volume = 1
+    } else if ( mode == 'mix' ) {
+      volume = AUDIO_FOCUS_DUCK_VOLUME
+    }
+    commands += 'cvolume@tile' + focus.tiles[i] + ' -1 volume ' + volume + "\n"
+  }
+  ffmpeg_process.stdin.write(commands)
+  focus.tile = tile
+  focus.mode = mode
+  session.log('multiview stream ' + id + ' audio focus on tile ' + (tile+1) + ' (' + mode + ')')
+  return 'tile ' + (tile+1) + ' ' + mode
+}
+
+// Forget a multiview session and stop updating its overlays
+function remove_multiview_session(id) {
+  if ( multiview_sessions[id] ) {
+    clearInterval(multiview_sessions[id].overlay_timer)
+    delete multiview_sessions[id]
+  }
+}
+
+// Find the game for a multiview stream URL (by gamePk, mediaId, or team) in the linescore data
+function get_multiview_tile_game(stream_url, cache_data) {
+  if ( !cache_data || !cache_data.dates || !cache_data.dates[0] || !cache_data.dates[0].games ) return false
+  let query = url.parse(stream_url, true).query
+  // the linescore data only covers MLB, so MiLB and winter league tiles just keep their label
+  if ( query.event || query.league_id || (query.level && (query.level.toUpperCase() != 'MLB')) ) return false
+  let games = cache_data.dates[0].games
+  let team_game = false
+  for (var i=0; i<games.length; i++) {
+    if ( query.gamePk && (games[i].gamePk.toString() == query.gamePk) ) return games[i]
+    if ( query.mediaId && games[i].broadcasts ) {
+      for (var j=0; j<games[i].broadcasts.length; j++) {
+        if ( games[i].broadcasts[j].mediaId == query.mediaId ) return games[i]
+      }
+    }
+    if ( query.team && ((games[i].teams['away'].team.abbreviation == query.team.toUpperCase()) || (games[i].teams['home'].team.abbreviation == query.team.toUpperCase())) ) {
+      // prefer a live game, for doubleheaders
+      if ( !team_game || (games[i].status.abstractGameState == 'Live') ) team_game = games[i]
+    }
+  }
+  return team_game
+}
+
+// Build the overlay text for a multiview tile: a label (or team abbreviations), optionally with score, inning, and outs
+function get_multiview_overlay_text(stream_url, label, overlay, cache_data) {
+  let text = label || ''
+  let game = get_multiview_tile_game(stream_url, cache_data)
+  if ( game ) {
+    if ( text == '' ) text = game.teams['away'].team.abbreviation + ' @ ' + game.teams['home'].team.abbreviation
+    if ( (overlay == 'scores') && game.linescore && game.linescore.teams && ((game.status.abstractGameState == 'Live') || (game.status.abstractGameState == 'Final')) ) {
+      text += '  ' + (game.linescore.teams.away.runs || 0) + '-' + (game.linescore.teams.home.runs || 0)
+      if ( game.status.abstractGameState == 'Final' ) {
+        text += '  Final'
+      } else if ( game.linescore.inningState && game.linescore.currentInningOrdinal ) {
+        text += '  ' + game.linescore.inningState + ' ' + game.linescore.currentInningOrdinal
+        if ( (game.linescore.inningState == 'Top') || (game.linescore.inningState == 'Bottom') ) {
+          let outs = game.linescore.outs || 0
+          text += ', ' + outs + ' out' + ((outs == 1) ? '' : 's')
+        }
+      }
+    }
+  }
+  return text
+}
+
+// Update a multiview session's overlay text files, which ffmpeg re-reads every frame
+async function update_multiview_overlays(id) {
+  try {
+    if ( !multiview_sessions[id] || !multiview_sessions[id].overlays ) return
+    let cache_data = await session.getLinescoreData()
+    // Session may have stopped while waiting for data
+    if ( !multiview_sessions[id] ) return
+    let overlays = multiview_sessions[id].overlays
+    for (var i=0; i<overlays.length; i++) {
+      session.write_multiview_overlay(id, i, get_multiview_overlay_text(overlays[i].stream, overlays[i].label, multiview_sessions[id].overlay, cache_data))
+    }
+  } catch (e) {
+    session.errorlog('multiview overlay update error : ' + e.message)
+  }
+}
+
+// Get the URL for a stream's TV audio, to compare against its radio audio track
+// (returns the same URL if it already uses the TV audio)
+function get_tv_audio_url(stream_url) {
+  if ( stream_url.match(/audio_track=[^&]+/) ) {
+    return stream_url.replace(/audio_track=[^&]+/, 'audio_track=' + DEFAULT_MULTIVIEW_AUDIO_TRACK)
+  }
+  return stream_url
+}
+
+// Decode the first audio track of a URL to mono PCM, and reduce it to an envelope of loudness onsets
+// (increases in frame loudness), which line up between broadcasts even with different announcers
+function get_audio_envelope(audio_url, seconds, req=false, res=false) {
+  return new Promise(function(resolve, reject) {
+    let chunks = []
+    let command = ffmpeg({ timeout: seconds * 3 })
+    register_ffmpeg_job(command, 'audio sync', audio_url, req, res)
+    command.input(audio_url)
+    .addInputOption('-thread_queue_size', '4096')
+    .addOutputOption('-map', '0:a:0')
+    .addOutputOption('-t', seconds.toString())
+    .addOutputOption('-ac', '1')
+    .addOutputOption('-ar', SYNC_SAMPLE_RATE.toString())
+    .addOutputOption('-f', 's16le')
+    .on('error', function(err, stdout, stderr) {
+      reject(err)
+    })
+    .on('end', function() {
+      let pcm = Buffer.concat(chunks)
+      let frame_size = SYNC_SAMPLE_RATE / SYNC_ENVELOPE_RATE
+      let envelope = []
+      let previous_level = 0
+      for (var i=0; ((i + frame_size) * 2) <= pcm.length; i+=frame_size) {
+        let sum = 0
+        for (var j=i; j<(i + frame_size); j++) {
+          let sample = pcm.readInt16LE(j * 2)
+          sum += sample * sample
+        }
+        let level = Math.log(1 + Math.sqrt(sum / frame_size))
+        envelope.push(Math.max(0, level - previous_level))
+        previous_level = level
+      }
+      resolve(envelope)
+    })
+    command.pipe().on('data', function(chunk) {
+      chunks.push(chunk)
+    })
+  })
+}
+
+// Cross-correlate one window of the reference envelope with the audio envelope, sliding the audio against it,
+// and return the best lag in envelope frames
+function get_window_offset(reference, audio, window_start, window_end) {
+  let max_lag = SYNC_MAX_OFFSET * SYNC_ENVELOPE_RATE
+  let best = { lag: 0, correlation: -1 }
+  for (var lag=-max_lag; lag<=max_lag; lag++) {
+    let start = Math.max(window_start, -lag)
+    let end = Math.min(window_end, audio.length - lag)
+    let n = end - start
+    // Require the overlap to cover at least half of the window
+    if ( n < ((window_end - window_start) / 2) ) continue
+    let sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0
+    for (var t=start; t<end; t++) {
+      let x = reference[t]
+      let y = audio[t + lag]
+      sx += x
+      sy += y
+      sxx += x * x
+      syy += y * y
+      sxy += x * y
+    }
+    let denominator = Math.sqrt(((n * sxx) - (sx * sx)) * ((n * syy) - (sy * sy)))
+    if ( denominator == 0 ) continue
+    let correlation = ((n * sxy) - (sx * sy)) / denominator
+    if ( correlation > best.correlation ) {
+      best = { lag: lag, correlation: correlation }
+    }
+  }
+  return best
+}
+
+// Find the offset of the audio envelope against the reference over a sliding window, and return it in seconds
+// (positive if the audio is early and should be delayed, negative if it is late and should be trimmed):
+// the median offset of the windows that correlate well, so a stretch of crowd noise or dead air can't decide it
+function get_envelope_offset(reference, audio) {
+  let window_size = SYNC_WINDOW_SECONDS * SYNC_ENVELOPE_RATE
+  let windows = []
+  for (var start=0; (start + window_size) <= reference.length; start+=(SYNC_WINDOW_STEP * SYNC_ENVELOPE_RATE)) {
+    windows.push(get_window_offset(reference, audio, start, start + window_size))
+  }
+  // A short capture is compared as a single window
+  if ( windows.length == 0 ) windows.push(get_window_offset(reference, audio, 0, reference.length))
+
+  let matches = windows.filter(window => window.correlation >= SYNC_MIN_CORRELATION)
+  if ( matches.length == 0 ) {
+    let best = windows.reduce((a, b) => (b.correlation > a.correlation) ? b : a)
+    return { offset: (best.lag * -1) / SYNC_ENVELOPE_RATE, correlation: best.correlation, windows: windows.length, matching_windows: 0 }
+  }
+  matches.sort((a, b) => a.lag - b.lag)
+  let median = matches[Math.floor(matches.length / 2)]
+  let correlation = matches.reduce((sum, window) => sum + window.correlation, 0) / matches.length
+  return { offset: (median.lag * -1) / SYNC_ENVELOPE_RATE, correlation: correlation, windows: windows.length, matching_windows: matches.length }
+}
+
+// Detect the audio sync offset of an audio URL against a reference (TV) audio URL
+// (req and res, if given, stop the detection when the client disconnects)
+async function detect_audio_sync(reference_url, audio_url, title, req=false, res=false) {
+  try {
+    session.log(title + ' detecting audio sync over ' + SYNC_DETECT_SECONDS + ' seconds')
+    let envelopes = await Promise.all([get_audio_envelope(reference_url, SYNC_DETECT_SECONDS, req, res), get_audio_envelope(audio_url, SYNC_DETECT_SECONDS, req, res)])
+    let result = get_envelope_offset(envelopes[0], envelopes[1])
+    result.correlation = Math.round(result.correlation * 1000) / 1000
+    if ( result.correlation < SYNC_MIN_CORRELATION ) {
+      session.log(title + ' audio sync detection inconclusive (correlation ' + result.correlation + '), using 0')
+      result.offset = 0
+    } else {
+      session.log(title + ' detected audio sync offset ' + result.offset + ' seconds (correlation ' + result.correlation + ', ' + result.matching_windows + ' of ' + result.windows + ' windows)')
+    }
+    return result
+  } catch (e) {
+    session.errorlog(title + ' audio sync detection error : ' + e.message)
+    return { offset: 0, correlation: 0, error: e.message }
+  }
+}
+
+// Get the size and position of each multiview input for a layout, to fit the output resolution
+function get_multiview_tiles(layout, stream_count, pip_corner, pip_scale) {
+  let W = MULTIVIEW_OUTPUT_WIDTH
+  let H = MULTIVIEW_OUTPUT_HEIGHT
+  let tiles = []
+  if ( layout == 'pip' ) {
+    // Full size main stream with a smaller inset in one corner
+    let w = Math.round(W * pip_scale / 2) * 2
+    let h = Math.round(H * pip_scale / 2) * 2
+    let margin = 20
+    tiles.push({ w: W, h: H, x: 0, y: 0 })
+    tiles.push({ w: w, h: h, x: pip_corner.endsWith('left') ? margin : (W - w - margin), y: pip_corner.startsWith('top') ? margin : (H - h - margin) })
+  } else if ( layout == '1+3' ) {
+    // Main stream at 2/3 size, with up to 3 small streams stacked on the right
+    tiles.push({ w: W*2/3, h: H*2/3, x: 0, y: 0 })
+    for (var i=1; i<stream_count; i++) {
+      tiles.push({ w: W/3, h: H/3, x: W*2/3, y: (i-1) * H/3 })
+    }
+  } else if ( layout == 'side-by-side' ) {
+    // Letterboxed side by side, centered vertically by the final pad
+    tiles.push({ w: W/2, h: H/2, x: 0, y: 0 })
+    tiles.push({ w: W/2, h: H/2, x: W/2, y: 0 })
+  } else {
+    let columns = (layout == '3x3') ? 3 : 2
+    for (var i=0; i<stream_count; i++) {
+      tiles.push({ w: W/columns, h: H/columns, x: (i % columns) * W/columns, y: Math.floor(i / columns) * H/columns })
+    }
+  }
+  return tiles.slice(0, stream_count)
+}
+
+function start_multiview_stream(id, streams, sync, dvr, faster, reencode, park_audio, audio_url, audio_url_seek, layout=VALID_MULTIVIEW_LAYOUTS[0], pip_corner=VALID_PIP_CORNERS[0], pip_scale=DEFAULT_PIP_SCALE, overlay=VALID_MULTIVIEW_OVERLAYS[0], labels=[]) {
   try {
-    ffmpeg_command = ffmpeg({ timeout: 432000 })
+    // Session was stopped while waiting to start
+    if ( !multiview_sessions[id] ) return 'stopped'
+
+    var ffmpeg_command = ffmpeg({ timeout: 432000 })
 
     // If it's not already an array (only 1 parameter was passed in URL), convert it
     if ( !Array.isArray(streams) ) streams = [streams]
+    register_ffmpeg_job(ffmpeg_command, 'multiview ' + id, streams.join(' '))
     if ( !Array.isArray(sync) ) sync = [sync]
-
-    // Max 4 streams
-    var stream_count = Math.min(streams.length, 4)
+    if ( !Array.isArray(labels) ) labels = [labels]
+
+    multiview_sessions[id] = { id: id, command: ffmpeg_command, status: false, started: new Date(), streams: streams, layout: layout, overlay: overlay }
+    let multiview_directory = session.get_multiview_directory(id)
+
+    // Limit streams to what the layout can hold
+    var stream_count = Math.min(streams.length, MULTIVIEW_LAYOUT_MAX_STREAMS[layout])
+    var tiles = get_multiview_tiles(layout, stream_count, pip_corner, pip_scale)
+
+    // Overlays are drawn on each tile, so they only apply if more than 1 stream
+    // Start with the labels (or nothing), then fill in game details asynchronously
+    if ( (overlay != VALID_MULTIVIEW_OVERLAYS[0]) && (stream_count > 1) ) {
+      multiview_sessions[id].overlays = []
+      for (var i=0; i<stream_count; i++) {
+        let label = labels[i] || ''
+        multiview_sessions[id].overlays.push({ stream: streams[i], label: label, file: session.write_multiview_overlay(id, i, label) })
+      }
+      update_multiview_overlays(id)
+      multiview_sessions[id].overlay_timer = setInterval(update_multiview_overlays, MULTIVIEW_OVERLAY_INTERVAL * 1000, id)
+    }
 
     var audio_present = []
     var complexFilter = []
     var xstack_inputs = []
-    var xstack_layout = '0_0|w0_0'
+    var xstack_layout = []
     var map_audio = ''
 
     // Video
@@ -3264,13 +4762,19 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, park_audio
       if ( !faster ) ffmpeg_command.native()
 
       // Only apply filters if more than 1 stream
+      // Scale each input to its tile, letterboxing if necessary
       if ( stream_count > 1 ) {
+        let drawtext = ''
+        if ( multiview_sessions[id].overlays ) {
+          drawtext = ',drawtext=' + (overlayFont ? 'fontfile=\'' + overlayFont.replaceAll('\\', '/').replaceAll('\'', '') + '\':' : '') + 'textfile=\'' + multiview_sessions[id].overlays[i].file.replaceAll('\\', '/').replaceAll('\'', '') + '\':reload=1:fontcolor=white:fontsize=' + Math.round(tiles[i].h / 16) + ':box=1:boxcolor=black@0.6:boxborderw=6:x=10:y=10'
+        }
         complexFilter.push({
-          filter: 'setpts=PTS-STARTPTS',
+          filter: 'scale=' + tiles[i].w + ':' + tiles[i].h + ':force_original_aspect_ratio=decrease,pad=' + tiles[i].w + ':' + tiles[i].h + ':(ow-iw)/2:(oh-ih)/2,setsar=1,setpts=PTS-STARTPTS' + drawtext,
           inputs: i+':v:0',
           outputs: 'v'+i
         })
         xstack_inputs.push('v'+i)
+        xstack_layout.push(tiles[i].x + '_' + tiles[i].y)
       }
 
       // Check if audio is present
@@ -3302,14 +4806,28 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, park_audio
     // Only apply filters if more than 1 stream
     if ( stream_count > 1 ) {
       video_output = 'out'
-      if ( stream_count > 2 ) xstack_layout += '|0_h0'
-      if ( stream_count > 3 ) xstack_layout += '|w0_h0'
-      complexFilter.push({
-        filter: 'xstack',
-        options: { inputs:stream_count, layout: xstack_layout, fill:'black' },
-        inputs: xstack_inputs,
-        outputs: video_output
-      })
+      if ( layout == 'pip' ) {
+        complexFilter.push({
+          filter: 'overlay',
+          options: { x: tiles[1].x, y: tiles[1].y },
+          inputs: xstack_inputs,
+          outputs: video_output
+        })
+      } else {
+        complexFilter.push({
+          filter: 'xstack',
+          options: { inputs:stream_count, layout: xstack_layout.join('|'), fill:'black' },
+          inputs: xstack_inputs,
+          outputs: 'stack'
+        })
+        // Pad any unused tile space to the full output resolution
+        complexFilter.push({
+          filter: 'pad',
+          options: { w: MULTIVIEW_OUTPUT_WIDTH, h: MULTIVIEW_OUTPUT_HEIGHT, x: '(ow-iw)/2', y: '(oh-ih)/2' },
+          inputs: 'stack',
+          outputs: video_output
+        })
+      }
       video_output = '[' + video_output + ']'
     }
 
@@ -3317,6 +4835,7 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, park_audio
     // Since audio filters require re-encoding, only apply them if sync value is specified or if "re-encode" box is checked
     // Filters: resampling preserve timestamps and padding allows the multiview stream to continue if one stream ends
     audio_reencoded = []
+    var audio_filters = {}
     for (var i=0; i<audio_present.length; i++) {
       //let audio_input = audio_present[i] + ':a:m:language:en?'
       let audio_input = audio_present[i] + ':a:'
@@ -3333,7 +4852,7 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, park_audio
       if ( sync[audio_present[i]] ) {
         if ( sync[audio_present[i]] > 0 ) {
           session.log('delaying audio for stream ' + (audio_present[i]+1) + ' by ' + sync[audio_present[i]] + ' seconds')
-          filter = 'adelay=' + (sync[i] * 1000) + ':all=1,'
+          filter = 'adelay=' + (sync[audio_present[i]] * 1000) + ':all=1,'
         } else if ( sync[audio_present[i]] < 0 ) {
           session.log('trimming audio for stream ' + (audio_present[i]+1) + ' by ' + sync[audio_present[i]] + ' seconds')
           filter = 'atrim=start=' + (sync[audio_present[i]] * -1) + 's,'
@@ -3343,6 +4862,7 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, park_audio
       if ( park_audio ) {
         filter = 'pan=stereo|c0=c0|c1=-1*c1,'
       }
+      audio_filters[audio_present[i]] = filter
       if ( reencode || (filter != '') ) {
         audio_reencoded.push(audio_present[i])
         complexFilter.push({
@@ -3353,6 +4873,34 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, park_audio
       }
     }
 
+    // Audio focus: an extra default track mixing the tiles' audio, where each tile's volume
+    // can be changed while running (see set_multiview_audio_focus), starting with the first tile solo
+    var focus_tiles = []
+    if ( stream_count > 1 ) {
+      for (var i=0; i<audio_present.length; i++) {
+        if ( audio_present[i] < stream_count ) focus_tiles.push(audio_present[i])
+      }
+    }
+    if ( focus_tiles.length > 1 ) {
+      let focus_inputs = []
+      for (var i=0; i<focus_tiles.length; i++) {
+        complexFilter.push({
+          filter: 'aresample=async=1:first_pts=0,' + audio_filters[focus_tiles[i]] + 'asetpts=PTS-STARTPTS,volume@tile' + focus_tiles[i] + '=volume=' + ((i == 0) ? 1 : 0) + ',apad',
+          inputs: focus_tiles[i] + ':a:0',
+          outputs: 'focus' + i
+        })
+        focus_inputs.push('focus' + i)
+      }
+      // amix scales each input down by the number of inputs, so scale the mix back up to keep each tile
+      // at its own volume (amix's normalize option would do this, but needs ffmpeg 5 or newer)
+      complexFilter.push({
+        filter: 'amix=inputs=' + focus_tiles.length + ':duration=first,volume=' + focus_tiles.length,
+        inputs: focus_inputs,
+        outputs: 'focus'
+      })
+      multiview_sessions[id].focus = { tiles: focus_tiles, tile: focus_tiles[0], mode: VALID_AUDIO_FOCUS_MODES[0] }
+    }
+
     if ( complexFilter.length > 0 ) {
       ffmpeg_command.complexFilter(complexFilter)
     }
@@ -3375,10 +4923,14 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, park_audio
       }
       ffmpeg_command.addOutputOption('-map', audio_output)
       var_stream_map += ' a:' + i + ',agroup:aac,language:ENG'
-      if ( i == 0 ) {
+      if ( (i == 0) && !multiview_sessions[id].focus ) {
         var_stream_map += ',default:yes'
       }
     }
+    if ( multiview_sessions[id].focus ) {
+      ffmpeg_command.addOutputOption('-map', '[focus]')
+      var_stream_map += ' a:' + audio_present.length + ',agroup:aac,language:ENG,default:yes'
+    }
 
     // Default to keep only 1 minute of segments on disk, unless dvr is specified
     var hls_list_size = 60 / SECONDS_PER_SEGMENT
@@ -3390,7 +4942,7 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, park_audio
 
     if ( stream_count > 1 ) {
       // Only re-encode video if there is more than 1 video stream
-      let bandwidth = 1040 * stream_count
+      let bandwidth = 1040 * Math.max(stream_count, 4)
       ffmpeg_command.addOutputOption('-c:v', ffmpegEncoder)
       .addOutputOption('-pix_fmt:v', 'yuv420p')
       .addOutputOption('-r:v', '30')
@@ -3421,6 +4973,12 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, park_audio
         ffmpeg_command.addOutputOption('-ac:a:' + i, '1')
       }
     }
+    if ( multiview_sessions[id].focus ) {
+      ffmpeg_command.addOutputOption('-c:a:' + audio_present.length, 'aac')
+      if ( park_audio ) {
+        ffmpeg_command.addOutputOption('-ac:a:' + audio_present.length, '1')
+      }
+    }
     // Drop subtitles/captions
     // End after 6 hours in case we forget to stop it manually
     // Set HLS parameters
@@ -3437,27 +4995,33 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, park_audio
     }
 
     ffmpeg_command.addOutputOption('-start_number', '1')
-    .addOutputOption('-hls_segment_filename', session.get_multiview_directory() + '/stream_%v_%d.ts')
+    .addOutputOption('-hls_segment_filename', multiview_directory + '/stream_%v_%d.ts')
     .addOutputOption('-var_stream_map', var_stream_map)
     .addOutputOption('-master_pl_name', multiview_stream_name)
     .addOutputOption('-y')
-    .output(session.get_multiview_directory() + '/stream-%v.m3u8')
+    .output(multiview_directory + '/stream-%v.m3u8')
     .on('start', function(commandLine) {
-      session.log('multiview stream started')
-      ffmpeg_status = true
-      if ( argv.debug || argv.ffmpeg_logging ) {
+      session.log('multiview stream ' + id + ' started')
+      if ( multiview_sessions[id] && (multiview_sessions[id].command == ffmpeg_command) ) multiview_sessions[id].status = true
+      if ( session.debug || argv.ffmpeg_logging ) {
         session.log('multiview stream command: ' + commandLine)
       }
+      // audio focus commands are written to stdin, which fails once ffmpeg exits
+      if ( ffmpeg_command.ffmpegProc ) {
+        ffmpeg_command.ffmpegProc.stdin.on('error', function(e) {
+          session.debuglog('multiview stream ' + id + ' stdin error : ' + e.message)
+        })
+      }
     })
     .on('error', function(err, stdout, stderr) {
-      session.log('multiview stream stopped: ' + err.message)
-      ffmpeg_status = false
+      session.log('multiview stream ' + id + ' stopped: ' + err.message)
+      if ( multiview_sessions[id] && (multiview_sessions[id].command == ffmpeg_command) ) remove_multiview_session(id)
       if ( stdout ) session.log(stdout)
       if ( stderr ) session.log(stderr)
     })
     .on('end', function() {
-      session.log('multiview stream ended')
-      ffmpeg_status = false
+      session.log('multiview stream ' + id + ' ended')
+      if ( multiview_sessions[id] && (multiview_sessions[id].command == ffmpeg_command) ) remove_multiview_session(id)
     })
 
     if ( argv.ffmpeg_logging ) {
@@ -3469,11 +5033,12 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, park_audio
 
     ffmpeg_command.run()
 
-    session.log('multiview stream command started')
+    session.log('multiview stream ' + id + ' command started')
 
     return 'started'
   } catch (e) {
-    session.log('multiview start error : ' + e.message)
+    remove_multiview_session(id)
+    session.errorlog('multiview start error : ' + e.message)
     return 'multiview start error, check log'
   }
 }
@@ -3493,8 +5058,8 @@ app.get('/kodi.strm', async function(req, res) {
       video_url = req.query.src
     } else if ( req.query.msrc ) {
       video_url = server + video_url + '?'
-      if ( req.query.content_protect ) {
-        video_url += 'content_protect=' + req.query.content_protect + '&'
+      if ( req.credential ) {
+        video_url += req.credential + '&'
       }
       video_url += 'src=' + req.query.msrc
     } else {
@@ -3524,7 +5089,7 @@ app.get('/kodi.strm', async function(req, res) {
 
     res.end(body)
   } catch (e) {
-    session.log('kodi.strm request error : ' + e.message)
+    session.errorlog('kodi.strm request error : ' + e.message)
     res.end('kodi.strm request error, check log')
   }
 })
@@ -3538,6 +5103,7 @@ app.get('/download.ts', async function(req, res) {
     // we'll know it's an actual download request if it include a filename parameter
     if ( req.query.filename ) {
       session.requestlog('download.ts', req)
+      if ( !add_viewer(req, res, 'download.ts:' + (viewer_count + 1), 'download.ts', get_viewer_title(req.query), req.query.resolution || 'best', true) ) return
     } else {
       session.debuglog('force alternate audio', req)
       ffmpeg_timeout = 20
@@ -3566,7 +5132,8 @@ app.get('/download.ts', async function(req, res) {
       }
     }
 
-    ffmpeg_command = ffmpeg({ timeout: ffmpeg_timeout })
+    let ffmpeg_command = ffmpeg({ timeout: ffmpeg_timeout })
+    register_ffmpeg_job(ffmpeg_command, req.query.filename ? 'download' : 'alternate audio', video_url, req, res)
 
     // Set input stream and minimize ffmpeg startup latency
     ffmpeg_command.input(video_url)
@@ -3625,7 +5192,7 @@ app.get('/download.ts', async function(req, res) {
     .output(res)
     .on('start', function(commandLine) {
       session.debuglog('download.ts command started for ' + video_url)
-      if ( argv.debug || argv.ffmpeg_logging ) {
+      if ( session.debug || argv.ffmpeg_logging ) {
         session.log('download.ts command: ' + commandLine)
       }
     })
@@ -3659,69 +5226,1261 @@ app.get('/download.ts', async function(req, res) {
 
     ffmpeg_command.run()
   } catch (e) {
-    session.log('download.ts request error : ' + e.message)
-    res.end('')
+    respondError(res, e, 'download.ts')
   }
 })
 
-// Process Stream Finder settings upload requests
-app.post('/upload', async function(req, res) {
-  if ( ! (await protect(req, res)) ) return
+// Refresh the recording schedule when needed, then start any recordings that are due
+async function check_recordings(force_update = false) {
+  try {
+    let currentDate = new Date()
+    if ( force_update || ((currentDate.getTime() - recorder_schedule_updated) >= (RECORDER_SCHEDULE_INTERVAL * 1000)) ) {
+      recorder_schedule_updated = currentDate.getTime()
+      await session.update_recordings('http://127.0.0.1:' + session.data.port + http_root)
+    }
+
+    for (const [id, recording] of Object.entries(session.recordings.recordings)) {
+      if ( (recording.status == 'scheduled') && (currentDate >= new Date(recording.start)) ) {
+        if ( currentDate >= new Date(recording.stop) ) {
+          session.log('recording of ' + recording.title + ' missed its scheduled time')
+          session.set_recording_status(id, 'failed', 'missed scheduled time')
+        } else if ( !recorder_commands[id] ) {
+          start_recording(id)
+        }
+      }
+    }
+  } catch (e) {
+    session.errorlog('check recordings error : ' + e.message)
+  }
+}
 
+function start_recording(id) {
   try {
-    session.requestlog('upload', req)
-    
-    let content_protect = ''
-    if ( req.query.content_protect ) {
-      content_protect += '?content_protect=' + req.query.content_protect
+    let recording = session.recordings.recordings[id]
+    let video_url = 'http://127.0.0.1:' + session.data.port + http_root + recording.stream
+
+    // if a previous attempt already wrote a file, continue in a new part
+    let file = path.join(session.get_recording_directory(), recording.file)
+    if ( recording.files.length > 0 ) {
+      file = file.replace(/\.ts$/, ' part ' + (recording.files.length + 1) + '.ts')
     }
-    
-    req.on('body', function(body) {
-      session.parse_stream_finder_settings(body)
-      let response = '<p><b>SUCCESS!</b></p><p>Your Stream Finder settings have been saved in mlbserver.</p><p>Select the Stream Finder stream to use them, or <a href="' + http_root + '/' + content_protect + '#streamfinder">click here</a> to replace them with new settings.</p>'
-      res.end(response)
+
+    let recorder_command = ffmpeg({ timeout: 432000 })
+    recorder_commands[id] = recorder_command
+    register_ffmpeg_job(recorder_command, 'recording ' + recording.title, video_url)
+
+    // Set input stream and minimize ffmpeg startup latency
+    recorder_command.input(video_url)
+    .addInputOption('-fflags', 'nobuffer')
+    .addInputOption('-probesize', '1000000')
+    .addInputOption('-analyzeduration', '0')
+
+    // video, if any
+    if ( recording.mediaType == VALID_MEDIA_TYPES[0] ) {
+      recorder_command.addOutputOption('-map', '0:v:0')
+      .addOutputOption('-c:v', 'copy')
+    }
+
+    // audio
+    recorder_command.addOutputOption('-map', '0:a')
+    .addOutputOption('-c:a', 'copy')
+
+    recorder_command.addOutputOption('-sn')
+    .addOutputOption('-t', RECORDER_MAX_DURATION)
+    .addOutputOption('-f', 'mpegts')
+    .addOutputOption('-y')
+    .output(file)
+    .on('start', function(commandLine) {
+      session.log('recording of ' + recording.title + ' started to ' + file)
+      if ( session.debug || argv.ffmpeg_logging ) {
+        session.log('recording command: ' + commandLine)
+      }
+      recording.files.push(file)
+      recording.started = new Date().toISOString()
+      session.set_recording_status(id, 'recording')
+    })
+    .on('error', function(err, stdout, stderr) {
+      delete recorder_commands[id]
+      if ( stdout ) session.debuglog(stdout)
+      if ( stderr ) session.debuglog(stderr)
+      if ( !session.recordings.recordings[id] || (session.recordings.recordings[id].status == 'cancelled') ) return
+      session.log('recording of ' + recording.title + ' stopped: ' + err.message)
+      // try again on the next check, as long as the game should still be on
+      if ( new Date() < new Date(recording.stop) ) {
+        session.set_recording_status(id, 'scheduled', err.message)
+      } else {
+        session.set_recording_status(id, 'failed', err.message)
+      }
+    })
+    .on('end', function() {
+      delete recorder_commands[id]
+      session.log('recording of ' + recording.title + ' completed')
+      recording.ended = new Date().toISOString()
+      session.set_recording_status(id, 'completed')
     })
+
+    if ( argv.ffmpeg_logging ) {
+      session.log('ffmpeg output logging enabled')
+      recorder_command.on('stderr', function(stderrLine) {
+        session.log(stderrLine);
+      })
+    }
+
+    recorder_command.run()
   } catch (e) {
-    session.log('upload error : ' + e.message)
-    res.end('upload error, check log')
+    delete recorder_commands[id]
+    session.errorlog('recording start error : ' + e.message)
   }
-})
+}
 
-// Listen for Stream Finder settings download requests
-app.get('/downloadsettings', async function(req, res) {
+function stop_recording(id) {
+  if ( recorder_commands[id] ) {
+    try {
+      recorder_commands[id].kill('SIGKILL')
+    } catch (e) {
+      session.debuglog('error killing recording command: ' + e.message)
+    }
+    delete recorder_commands[id]
+  }
+}
+
+// Listen for recordings API requests (list, add/delete rules, cancel/delete recordings)
+app.get('/recordings.json', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
 
   try {
-    session.requestlog('downloadsettings', req)
-
-    var file_name = 'mlbserverStreamFinder.txt'
-    var body = JSON.stringify(session.stream_finder_settings)
-
-    var download_headers = {
-      'Content-Disposition': 'attachment; filename="' + file_name + '"'
+    session.requestlog('recordings.json', req)
+
+    let error = false
+    if ( req.query.action == 'add_rule' ) {
+      let rule = {}
+      rule.team = req.query.team ? req.query.team.toUpperCase() : ''
+      rule.level = req.query.level ? decodeURIComponent(req.query.level).toUpperCase() : VALID_RECORDING_LEVELS[0]
+      rule.mediaType = req.query.mediaType || VALID_MEDIA_TYPES[0]
+      rule.audio_track = false
+      if ( req.query.audio_track && (req.query.audio_track != VALID_AUDIO_TRACKS[0]) ) {
+        rule.audio_track = req.query.audio_track
+      }
+      rule.skip = req.query.skip || VALID_SKIP[0]
+      if ( rule.team == '' ) {
+        error = 'team is required'
+      } else if ( !session.getAffiliateTeamIds(rule.team) ) {
+        error = 'unknown team'
+      } else if ( !VALID_RECORDING_LEVELS.includes(rule.level) ) {
+        error = 'invalid level'
+      } else if ( !VALID_MEDIA_TYPES.includes(rule.mediaType) ) {
+        error = 'invalid mediaType'
+      } else if ( (rule.level != VALID_RECORDING_LEVELS[0]) && (rule.mediaType != VALID_MEDIA_TYPES[0]) ) {
+        error = 'minor league recordings are only available as video'
+      } else if ( !VALID_SKIP.includes(rule.skip) ) {
+        error = 'invalid skip'
+      } else {
+        session.add_recording_rule(rule)
+        await check_recordings(true)
+      }
+    } else if ( req.query.action == 'delete_rule' ) {
+      if ( !session.delete_recording_rule(req.query.id) ) error = 'rule not found'
+    } else if ( req.query.action == 'cancel' ) {
+      let recording = session.recordings.recordings[req.query.id]
+      if ( !recording ) {
+        error = 'recording not found'
+      } else if ( (recording.status == 'scheduled') || (recording.status == 'recording') ) {
+        session.set_recording_status(req.query.id, 'cancelled')
+        stop_recording(req.query.id)
+        session.log('cancelled recording of ' + recording.title)
+      }
+    } else if ( req.query.action == 'delete' ) {
+      stop_recording(req.query.id)
+      if ( !session.delete_recording(req.query.id) ) error = 'recording not found'
+    } else if ( req.query.action ) {
+      error = 'invalid action'
     }
-    res.writeHead(200, download_headers)
 
-    res.end(body)
+    if ( error ) {
+      res.writeHead(400, {'Content-Type': 'application/json'})
+      res.end(JSON.stringify({error: error}))
+    } else {
+      res.writeHead(200, {'Content-Type': 'application/json'})
+      res.end(JSON.stringify({rules: Object.values(session.recordings.rules), recordings: Object.values(session.recordings.recordings)}))
+    }
   } catch (e) {
-    session.log('downloadsettings request error : ' + e.message)
-    res.end('downloadsettings request error, check log')
+    session.errorlog('recordings.json request error : ' + e.message)
+    res.end('recordings.json request error, check log')
   }
 })
 
-// Listen for Stream Finder icon requests
-app.get('/stream_finder_icon.png', async function(req, res) {
+// Listen for recordings page requests
+app.get('/recordings', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
 
   try {
-    session.requestlog('stream_finder_icon.png', req)
-    
+    session.requestlog('recordings', req)
+
+    var content_protect_a = ''
+    var content_protect_b = ''
+    if ( req.credential ) {
+      content_protect_a = '?' + req.credential
+      content_protect_b = '&' + req.credential
+    }
+
+    var body = '<!DOCTYPE html><html><head><meta charset="UTF-8"><meta http-equiv="Content-type" content="text/html;charset=UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1,shrink-to-fit=no"><title>' + appname + ' recordings</title><link rel="icon" href="favicon.svg' + content_protect_a + '"><style type="text/css">body{width:480px;color:lightgray;background-color:black;font-family:Arial,Helvetica,sans-serif;-webkit-text-size-adjust:none}a{color:darkgray}button{color:lightgray;background-color:black}table{width:100%}table,th,td{border:1px solid darkgray;border-collapse:collapse}th,td{padding:5px}.tinytext{font-size:.8em}</style><script type="text/javascript">' + "\n"
+
+    body += 'function makeGETRequest(url, callback){var request=new XMLHttpRequest();request.onreadystatechange=function(){if (request.readyState==4){callback(request.status, request.responseText)}};request.open("GET", url);request.send();}' + "\n"
+    body += 'function parserecordingsresponse(status, responsetext){if (status == 200){location.reload()}else{try{alert(JSON.parse(responsetext).error)}catch(e){alert(responsetext)}}}' + "\n"
+    body += 'function recordingaction(action, id){if ((action != "delete") || confirm("Delete this recording and its files?")){makeGETRequest("' + http_root + '/recordings.json?action="+action+"&id="+encodeURIComponent(id)+"' + content_protect_b + '", parserecordingsresponse)}return false}' + "\n"
+    body += 'function addrule(){var getstr="action=add_rule";var fields=["team","level","mediaType","audio_track","skip"];for(var i=0;i<fields.length;i++){getstr+="&"+fields[i]+"="+encodeURIComponent(document.getElementById(fields[i]).value)}makeGETRequest("' + http_root + '/recordings.json?"+getstr+"' + content_protect_b + '", parserecordingsresponse);return false}' + "\n"
+    body += '</script></head><body><h1>' + appname + ' recordings</h1>' + "\n"
+
+    body += '<p><a href="' + http_root + '/' + content_protect_a + '">Back to home page</a></p>' + "\n"
+
+    // Rules
+    body += '<table><tr><th>Team</th><th>Level</th><th>Media</th><th>Audio</th><th>Skip</th><th></th></tr>' + "\n"
+    for (const [id, rule] of Object.entries(session.recordings.rules)) {
+      body += '<tr><td>' + escape_html(rule.team) + '</td><td>' + escape_html(rule.level) + '</td><td>' + escape_html(rule.mediaType) + '</td><td>' + escape_html(rule.audio_track || VALID_AUDIO_TRACKS[0]) + '</td><td>' + escape_html(rule.skip) + '</td><td><a href="#" onclick="return recordingaction(\'delete_rule\', \'' + id + '\')">Delete</a></td></tr>' + "\n"
+    }
+    body += '<tr><td><input type="text" id="team" size="4" placeholder="NYY"/></td>'
+    body += '<td><select id="level">'
+    for (var i=0; i<VALID_RECORDING_LEVELS.length; i++) {
+      body += '<option value="' + VALID_RECORDING_LEVELS[i] + '">' + VALID_RECORDING_LEVELS[i] + '</option>'
+    }
+    body += '</select></td><td><select id="mediaType">'
+    for (var i=0; i<VALID_MEDIA_TYPES.length; i++) {
+      body += '<option value="' + VALID_MEDIA_TYPES[i] + '">' + VALID_MEDIA_TYPES[i] + '</option>'
+    }
+    body += '</select></td><td><select id="audio_track"><option value="' + VALID_AUDIO_TRACKS[0] + '">' + VALID_AUDIO_TRACKS[0] + '</option><option value="radio">radio</option><option value="spanish">spanish</option></select></td><td><select id="skip">'
+    for (var i=0; i<VALID_SKIP.length; i++) {
+      body += '<option value="' + VALID_SKIP[i] + '">' + VALID_SKIP[i] + '</option>'
+    }
+    body += '</select></td><td><button onclick="return addrule()">Add</button></td></tr></table>' + "\n"
+    body += '<p class="tinytext">For minor league levels, the team is the parent MLB organization. Recordings are saved to ' + escape_html(session.get_recording_directory()) + '</p>' + "\n"
+
+    // Recordings
+    body += '<table><tr><th>Game</th><th>Start</th><th>Status</th><th></th></tr>' + "\n"
+    let recordings = Object.values(session.recordings.recordings).sort(function(a, b) {
+      return (a.start > b.start) ? 1 : -1
+    })
+    for (var i=0; i<recordings.length; i++) {
+      let recording = recordings[i]
+      body += '<tr><td>' + escape_html(recording.title) + '<br/><span class="tinytext">' + escape_html(recording.file) + '</span></td><td>' + new Date(recording.start).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: 'numeric' }) + '</td><td>' + recording.status
+      if ( recording.message ) {
+        body += '<br/><span class="tinytext">' + escape_html(recording.message) + '</span>'
+      }
+      body += '</td><td>'
+      if ( (recording.status == 'scheduled') || (recording.status == 'recording') ) {
+        body += '<a href="#" onclick="return recordingaction(\'cancel\', \'' + recording.id + '\')">Cancel</a> '
+      }
+      body += '<a href="#" onclick="return recordingaction(\'delete\', \'' + recording.id + '\')">Delete</a></td></tr>' + "\n"
+    }
+    body += '</table></body></html>'
+
+    res.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'})
+    res.end(body)
+  } catch (e) {
+    session.errorlog('recordings request error : ' + e.message)
+    res.end('recordings request error, check log')
+  }
+})
+
+function get_client(req) {
+  return req.headers['x-forwarded-for'] || (req.connection && req.connection.remoteAddress) || false
+}
+
+// Requests from this server's own ffmpeg jobs (stream.ts, downloads, multiview, recordings) aren't counted as separate viewers
+function is_internal_client(req) {
+  return !req.headers['x-forwarded-for'] && req.connection && [ '127.0.0.1', '::1', '::ffff:127.0.0.1' ].includes(req.connection.remoteAddress)
+}
+
+// A short description of what a stream request is for
+function get_viewer_title(query) {
+  if ( query.filename ) return query.filename
+  if ( query.team ) return [ query.team, query.level, query.mediaType, query.date ].filter(v => v).join(' ')
+  if ( query.event ) return 'event ' + query.event
+  if ( query.gamePk ) return 'game ' + query.gamePk
+  if ( query.mediaId ) return 'media ' + query.mediaId
+  return 'stream'
+}
+
+function remove_stale_viewers() {
+  let stale = new Date(Date.now() - (VIEWER_TIMEOUT * 1000))
+  for (const [key, viewer] of Object.entries(viewers)) {
+    if ( !viewer.connection && (viewer.last_seen < stale) ) {
+      session.debuglog('viewer ' + viewer.id + ' (' + viewer.title + ') stopped watching')
+      delete viewers[key]
+    }
+  }
+}
+
+// Start tracking a viewer under a key, or refresh it if it is already being tracked
+// HLS and Game Changer viewers expire when their requests stop, while connection viewers (stream.ts, download.ts) are removed when the client disconnects
+// Returns the key, or false after responding with an error if the maximum number of concurrent streams is already in use
+function add_viewer(req, res, key, type, title, resolution, connection=false) {
+  remove_stale_viewers()
+  if ( viewers[key] ) {
+    viewers[key].last_seen = new Date()
+    return key
+  }
+
+  let client = get_client(req)
+  let user_agent = req.headers['user-agent'] || false
+  if ( !connection ) {
+    // a new stream from the same HLS player replaces its previous one, like when changing channels
+    for (const [other_key, viewer] of Object.entries(viewers)) {
+      if ( !viewer.connection && (viewer.client == client) && (viewer.user_agent == user_agent) ) {
+        session.debuglog('viewer ' + viewer.id + ' (' + viewer.title + ') replaced by a new stream')
+        delete viewers[other_key]
+      }
+    }
+  }
+
+  if ( (max_streams > 0) && (Object.keys(viewers).length >= max_streams) ) {
+    session.warnlog(type + ' request rejected : maximum of ' + max_streams + ' concurrent streams in use')
+    res.writeHead(429, {'Content-Type': 'text/plain', 'access-control-allow-origin': '*'})
+    res.end('Maximum of ' + max_streams + ' concurrent streams in use, stop another stream and try again')
+    return false
+  }
+
+  viewer_count++
+  viewers[key] = { id: viewer_count.toString(), type: type, title: title, resolution: resolution || VALID_RESOLUTIONS[0], client: client, user_agent: user_agent, user: req.user || false, started: new Date(), last_seen: new Date(), connection: connection }
+  session.debuglog('viewer ' + viewers[key].id + ' (' + title + ') started watching from ' + client)
+
+  if ( connection ) {
+    res.on('close', function() {
+      if ( viewers[key] ) {
+        session.debuglog('viewer ' + viewers[key].id + ' (' + title + ') disconnected')
+        delete viewers[key]
+      }
+    })
+  }
+
+  return key
+}
+
+// Refresh an HLS viewer when its player requests a variant playlist or segment with the same stream token
+function touch_viewer(req) {
+  if ( req.query.streamURLToken && !is_internal_client(req) ) {
+    let key = 'hls:' + get_client(req) + ':' + req.query.streamURLToken
+    if ( viewers[key] ) viewers[key].last_seen = new Date()
+  }
+}
+
+// Get the list of active viewers, with how long they have been watching
+function get_viewer_list() {
+  remove_stale_viewers()
+  let now = Date.now()
+  return Object.values(viewers).map(function(viewer) {
+    return { id: viewer.id, type: viewer.type, title: viewer.title, resolution: viewer.resolution, client: viewer.client, user_agent: viewer.user_agent, user: viewer.user, started: viewer.started, watching_seconds: Math.round((now - viewer.started) / 1000) }
+  })
+}
+
+// Track an ffmpeg command as a job until it finishes, and save its process id in case the server restarts
+// If a request and response are specified, the job is killed when that client disconnects
+function register_ffmpeg_job(command, purpose, input, req=false, res=false) {
+  ffmpeg_job_count++
+  let id = ffmpeg_job_count.toString()
+  let job = { id: id, purpose: purpose, input: input, started: new Date(), client: false, pid: false, request_id: session.getRequestId(), command: command }
+  if ( req ) {
+    job.client = get_client(req)
+    if ( req.headers['user-agent'] ) job.user_agent = req.headers['user-agent']
+  }
+  ffmpeg_jobs[id] = job
+
+  command.on('start', function() {
+    if ( command.ffmpegProc ) job.pid = command.ffmpegProc.pid
+    session.debuglog('ffmpeg job ' + id + ' (' + purpose + ') started with pid ' + job.pid)
+    save_ffmpeg_jobs()
+  })
+  .on('error', function(err) {
+    session.debuglog('ffmpeg job ' + id + ' (' + purpose + ') stopped : ' + err.message)
+    remove_ffmpeg_job(id)
+  })
+  .on('end', function() {
+    session.debuglog('ffmpeg job ' + id + ' (' + purpose + ') ended')
+    remove_ffmpeg_job(id)
+  })
+
+  if ( res ) {
+    res.on('close', function() {
+      if ( ffmpeg_jobs[id] ) {
+        session.debuglog('client disconnected, killing ffmpeg job ' + id + ' (' + purpose + ')')
+        kill_ffmpeg_job(id)
+      }
+    })
+  }
+
+  return id
+}
+
+function remove_ffmpeg_job(id) {
+  if ( ffmpeg_jobs[id] ) {
+    delete ffmpeg_jobs[id]
+    save_ffmpeg_jobs()
+  }
+}
+
+function save_ffmpeg_jobs() {
+  let jobs = []
+  for (const [id, job] of Object.entries(ffmpeg_jobs)) {
+    if ( job.pid ) jobs.push({ pid: job.pid, purpose: job.purpose })
+  }
+  session.save_jobs(jobs)
+}
+
+function kill_ffmpeg_job(id) {
+  if ( !ffmpeg_jobs[id] ) return false
+  // a killed recording is cancelled, so the scheduler doesn't start it again
+  for (const [recording_id, recorder_command] of Object.entries(recorder_commands)) {
+    if ( (recorder_command === ffmpeg_jobs[id].command) && session.recordings.recordings[recording_id] ) {
+      session.set_recording_status(recording_id, 'cancelled', 'killed from the jobs page')
+      session.log('cancelled recording of ' + session.recordings.recordings[recording_id].title)
+    }
+  }
+  try {
+    ffmpeg_jobs[id].command.kill('SIGKILL')
+  } catch (e) {
+    session.debuglog('error killing ffmpeg job ' + id + ': ' + e.message)
+  }
+  remove_ffmpeg_job(id)
+  return true
+}
+
+// Get the list of jobs without their commands, with resource usage where available
+function get_ffmpeg_job_list() {
+  let jobs = []
+  for (const [id, job] of Object.entries(ffmpeg_jobs)) {
+    let usage = job.pid ? session.get_process_usage(job.pid) : false
+    jobs.push({ id: job.id, purpose: job.purpose, input: session.redact(job.input), started: job.started, client: job.client, user_agent: job.user_agent || false, request_id: job.request_id, pid: job.pid, sync: (job.sync !== undefined) ? job.sync : false, cpu_seconds: usage ? usage.cpu_seconds : false, memory_mb: usage ? usage.memory_mb : false })
+  }
+  return jobs
+}
+
+// Listen for ffmpeg jobs API requests (list, kill)
+app.get('/jobs.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('jobs.json', req)
+
+    let error = false
+    if ( req.query.action == 'kill' ) {
+      if ( kill_ffmpeg_job(req.query.id) ) {
+        session.log('killed ffmpeg job ' + req.query.id)
+      } else {
+        error = 'job not found'
+      }
+    } else if ( req.query.action ) {
+      error = 'invalid action'
+    }
+
+    if ( error ) {
+      res.writeHead(400, {'Content-Type': 'application/json'})
+      res.end(JSON.stringify({error: error}))
+    } else {
+      res.writeHead(200, {'Content-Type': 'application/json'})
+      res.end(JSON.stringify({jobs: get_ffmpeg_job_list()}))
+    }
+  } catch (e) {
+    session.errorlog('jobs.json request error : ' + e.message)
+    res.end('jobs.json request error, check log')
+  }
+})
+
+// Listen for ffmpeg jobs page requests
+app.get('/jobs', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('jobs', req)
+
+    var content_protect_a = ''
+    var content_protect_b = ''
+    if ( req.credential ) {
+      content_protect_a = '?' + req.credential
+      content_protect_b = '&' + req.credential
+    }
+
+    var body = '<!DOCTYPE html><html><head><meta charset="UTF-8"><meta http-equiv="Content-type" content="text/html;charset=UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1,shrink-to-fit=no"><title>' + appname + ' jobs</title><link rel="icon" href="favicon.svg' + content_protect_a + '"><style type="text/css">body{width:480px;color:lightgray;background-color:black;font-family:Arial,Helvetica,sans-serif;-webkit-text-size-adjust:none}a{color:darkgray}table{width:100%}table,th,td{border:1px solid darkgray;border-collapse:collapse}th,td{padding:5px}.tinytext{font-size:.8em;word-break:break-all}</style><script type="text/javascript">' + "\n"
+
+    body += 'function makeGETRequest(url, callback){var request=new XMLHttpRequest();request.onreadystatechange=function(){if (request.readyState==4){callback(request.status, request.responseText)}};request.open("GET", url);request.send();}' + "\n"
+    body += 'function killjob(id){if (confirm("Kill this ffmpeg job?")){makeGETRequest("' + http_root + '/jobs.json?action=kill&id="+encodeURIComponent(id)+"' + content_protect_b + '", function(status, responsetext){if (status == 200){location.reload()}else{try{alert(JSON.parse(responsetext).error)}catch(e){alert(responsetext)}}})}return false}' + "\n"
+    body += '</script></head><body><h1>' + appname + ' jobs</h1>' + "\n"
+
+    body += '<p><a href="' + http_root + '/' + content_protect_a + '">Back to home page</a> | <a href="' + http_root + '/jobs.json' + content_protect_a + '">JSON</a></p>' + "\n"
+
+    let jobs = get_ffmpeg_job_list()
+    body += '<table><tr><th>Job</th><th>Started</th><th>Usage</th><th></th></tr>' + "\n"
+    for (var i=0; i<jobs.length; i++) {
+      let job = jobs[i]
+      body += '<tr><td>' + escape_html(job.purpose) + '<br/><span class="tinytext">' + escape_html(job.input)
+      if ( job.client ) {
+        body += '<br/>client: ' + escape_html(job.client)
+      }
+      body += '</span></td><td>' + job.started.toLocaleString('en-US', { hour: 'numeric', minute: 'numeric', second: 'numeric' }) + '</td><td>'
+      if ( job.pid ) {
+        body += 'pid ' + job.pid
+        if ( job.cpu_seconds !== false ) {
+          body += '<br/><span class="tinytext">' + job.cpu_seconds + 's CPU, ' + job.memory_mb + ' MB</span>'
+        }
+      }
+      body += '</td><td><a href="#" onclick="return killjob(\'' + job.id + '\')">Kill</a></td></tr>' + "\n"
+    }
+    if ( jobs.length == 0 ) {
+      body += '<tr><td colspan="4">No ffmpeg jobs running</td></tr>' + "\n"
+    }
+    body += '</table></body></html>'
+
+    res.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'})
+    res.end(body)
+  } catch (e) {
+    session.errorlog('jobs request error : ' + e.message)
+    res.end('jobs request error, check log')
+  }
+})
+
+// Listen for viewers API requests
+app.get('/viewers.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('viewers.json', req)
+
+    res.writeHead(200, {'Content-Type': 'application/json'})
+    res.end(JSON.stringify({max_streams: max_streams || false, viewers: get_viewer_list()}))
+  } catch (e) {
+    session.errorlog('viewers.json request error : ' + e.message)
+    res.end('viewers.json request error, check log')
+  }
+})
+
+// Listen for viewers page requests
+app.get('/viewers', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('viewers', req)
+
+    var content_protect_a = ''
+    if ( req.credential ) {
+      content_protect_a = '?' + req.credential
+    }
+
+    var body = '<!DOCTYPE html><html><head><meta charset="UTF-8"><meta http-equiv="Content-type" content="text/html;charset=UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1,shrink-to-fit=no"><meta http-equiv="refresh" content="' + VIEWER_TIMEOUT + '"><title>' + appname + ' viewers</title><link rel="icon" href="favicon.svg' + content_protect_a + '"><style type="text/css">body{width:480px;color:lightgray;background-color:black;font-family:Arial,Helvetica,sans-serif;-webkit-text-size-adjust:none}a{color:darkgray}table{width:100%}table,th,td{border:1px solid darkgray;border-collapse:collapse}th,td{padding:5px}.tinytext{font-size:.8em;word-break:break-all}</style></head><body><h1>' + appname + ' viewers</h1>' + "\n"
+
+    body += '<p><a href="' + http_root + '/' + content_protect_a + '">Back to home page</a> | <a href="' + http_root + '/viewers.json' + content_protect_a + '">JSON</a></p>' + "\n"
+
+    let viewer_list = get_viewer_list()
+    body += '<p>' + viewer_list.length + (max_streams ? ' of ' + max_streams : '') + ' concurrent streams in use</p>' + "\n"
+
+    body += '<table><tr><th>Watching</th><th>Client</th><th>For</th></tr>' + "\n"
+    for (var i=0; i<viewer_list.length; i++) {
+      let viewer = viewer_list[i]
+      body += '<tr><td>' + escape_html(viewer.title) + '<br/><span class="tinytext">' + escape_html(viewer.type) + ', ' + escape_html(viewer.resolution) + '</span></td><td>' + escape_html(viewer.client)
+      if ( viewer.user ) {
+        body += '<br/><span class="tinytext">user: ' + escape_html(viewer.user) + '</span>'
+      }
+      if ( viewer.user_agent ) {
+        body += '<br/><span class="tinytext">' + escape_html(viewer.user_agent) + '</span>'
+      }
+      body += '</td><td>' + new Date(viewer.watching_seconds * 1000).toISOString().substring(11, 19) + '</td></tr>' + "\n"
+    }
+    if ( viewer_list.length == 0 ) {
+      body += '<tr><td colspan="3">No active viewers</td></tr>' + "\n"
+    }
+    body += '</table></body></html>'
+
+    res.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'})
+    res.end(body)
+  } catch (e) {
+    session.errorlog('viewers request error : ' + e.message)
+    res.end('viewers request error, check log')
+  }
+})
+
+// Listen for Game Changer switch history requests
+app.get('/gamechanger_history.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('gamechanger_history.json', req, true)
+
+    res.writeHead(200, {'Content-Type': 'application/json'})
+    res.end(JSON.stringify({gamechangers: session.getGameChangerHistory(req.query.id || false)}))
+  } catch (e) {
+    session.errorlog('gamechanger_history.json request error : ' + e.message)
+    res.end('gamechanger_history.json request error, check log')
+  }
+})
+
+// Listen for Game Changer switch history page requests, which update themselves from the JSON
+app.get('/gamechanger_history', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('gamechanger_history', req)
+
+    var content_protect_a = ''
+    var content_protect_b = ''
+    if ( req.credential ) {
+      content_protect_a = '?' + req.credential
+      content_protect_b = '&' + req.credential
+    }
+
+    let history_url = http_root + '/gamechanger_history.json' + content_protect_a
+    if ( req.query.id ) {
+      history_url = http_root + '/gamechanger_history.json?id=' + encodeURIComponent(req.query.id) + content_protect_b
+    }
+
+    var body = '<!DOCTYPE html><html><head><meta charset="UTF-8"><meta http-equiv="Content-type" content="text/html;charset=UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1,shrink-to-fit=no"><title>' + appname + ' Game Changer history</title><link rel="icon" href="favicon.svg' + content_protect_a + '"><style type="text/css">body{width:480px;color:lightgray;background-color:black;font-family:Arial,Helvetica,sans-serif;-webkit-text-size-adjust:none}a{color:darkgray}table{width:100%}table,th,td{border:1px solid darkgray;border-collapse:collapse}th,td{padding:5px;vertical-align:top}.tinytext{font-size:.8em}</style><script type="text/javascript">' + "\n"
+
+    body += 'function makeGETRequest(url, callback){var request=new XMLHttpRequest();request.onreadystatechange=function(){if (request.readyState==4){callback(request.status, request.responseText)}};request.open("GET", url);request.send();}' + "\n"
+    body += 'function esc(text){return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/\'/g, "&#39;")}' + "\n"
+    body += 'function li(value){return (value === null) ? "" : " (LI " + Number(value).toFixed(2) + ")"}' + "\n"
+    body += 'function game(pk, teams, value){return pk ? (esc(teams || pk) + li(value)) : "none"}' + "\n"
+    body += 'function render(gamechangers){var html="";for (var i=0; i<gamechangers.length; i++){var gamechanger=gamechangers[i];var filters=[];if (gamechanger.profile) filters.push("profile " + esc(gamechanger.profile));if (gamechanger.streamFinder) filters.push("Stream Finder");if (gamechanger.user) filters.push("user " + esc(gamechanger.user));if (gamechanger.includeTeams.length > 0) filters.push("including " + esc(gamechanger.includeTeams.join(", ")));if (gamechanger.excludeTeams.length > 0) filters.push("excluding " + esc(gamechanger.excludeTeams.join(", ")));' +
+      'html+="<h3>Game Changer " + esc(gamechanger.id) + "</h3><p class=\\"tinytext\\">Started " + new Date(gamechanger.started).toLocaleString() + (filters.length > 0 ? ", " + filters.join(", ") : "") + "</p>";' +
+      'html+="<table><tr><th>Time</th><th>Switch</th></tr>";for (var j=gamechanger.switches.length-1; j>=0; j--){var entry=gamechanger.switches[j];var games="";for (var k=0; k<entry.games.length; k++){games+=esc(entry.games[k].teams) + li(entry.games[k].LI) + "<br/>"}' +
+      'html+="<tr><td class=\\"tinytext\\">" + new Date(entry.time).toLocaleTimeString() + "</td><td>" + game(entry.from, entry.from_teams, entry.from_LI) + " &rarr; " + game(entry.to, entry.to_teams, entry.to_LI) + "<br/><span class=\\"tinytext\\">" + esc(entry.reason) + "</span><details class=\\"tinytext\\"><summary>Active games</summary>" + games + "</details></td></tr>"}' +
+      'if (gamechanger.switches.length == 0) html+="<tr><td colspan=\\"2\\">No switches yet</td></tr>";html+="</table>"}' +
+      'if (gamechangers.length == 0) html="<p>No Game Changer streams started since the server started</p>";document.getElementById("history").innerHTML=html}' + "\n"
+    body += 'function update(){makeGETRequest("' + history_url + '", function(status, responsetext){if (status == 200){render(JSON.parse(responsetext).gamechangers)}})}' + "\n"
+    body += 'setInterval(update, ' + (GAMECHANGER_HISTORY_REFRESH * 1000) + ');' + "\n"
+    body += '</script></head><body onload="update()"><h1>' + appname + ' Game Changer history</h1>' + "\n"
+
+    body += '<p><a href="' + http_root + '/' + content_protect_a + '">Back to home page</a> | <a href="' + history_url + '">JSON</a></p>' + "\n"
+
+    body += '<p class="tinytext">Every game switch for each Game Changer stream, newest first, with the rule that triggered it and the leverage index (LI) of each active game at the time. Updates every ' + GAMECHANGER_HISTORY_REFRESH + ' seconds.</p>' + "\n"
+
+    body += '<div id="history"></div></body></html>'
+
+    res.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'})
+    res.end(body)
+  } catch (e) {
+    session.errorlog('gamechanger_history request error : ' + e.message)
+    res.end('gamechanger_history request error, check log')
+  }
+})
+
+// Listen for API token list requests
+app.get('/tokens.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('tokens.json', req)
+
+    // issuing and revoking change state, so they are only accepted by POST
+    if ( req.query.action ) {
+      res.writeHead(400, {'Content-Type': 'application/json'})
+      res.end(JSON.stringify({error: 'use POST to issue or revoke a token'}))
+    } else {
+      res.writeHead(200, {'Content-Type': 'application/json'})
+      res.end(JSON.stringify({tokens: session.list_tokens()}))
+    }
+  } catch (e) {
+    session.errorlog('tokens.json request error : ' + e.message)
+    res.end('tokens.json request error, check log')
+  }
+})
+
+// Issue or revoke an API token, from a JSON body like {"action":"issue","name":"...","scope":"...","expires":7} or {"action":"revoke","id":"..."}
+app.post('/tokens.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('tokens.json', req)
+
+    req.on('body', function(body) {
+      let error = false
+      let issued = false
+      let request = {}
+      try {
+        request = (typeof body === 'object') && !Buffer.isBuffer(body) ? body : JSON.parse(body.toString())
+        if ( !request || (typeof request !== 'object') ) request = {}
+      } catch (e) {
+        error = 'request is not valid JSON'
+      }
+
+      if ( !error && (request.action == 'issue') ) {
+        let name = (request.name || '').toString().replace(/[^A-Za-z0-9 ._-]+/g, '').substring(0, 64)
+        let expires_days = request.expires ? parseInt(request.expires) : false
+        if ( !name ) {
+          error = 'missing name'
+        } else if ( (expires_days !== false) && !(expires_days > 0) ) {
+          error = 'invalid expires'
+        } else {
+          issued = session.issue_token(name, request.scope || session.getTokenScopes()[0], expires_days)
+          if ( !issued ) error = 'invalid scope'
+        }
+      } else if ( !error && (request.action == 'revoke') ) {
+        if ( !session.revoke_token(request.id) ) {
+          error = 'token not found'
+        }
+      } else if ( !error ) {
+        error = 'invalid action'
+      }
+
+      if ( error ) {
+        res.writeHead(400, {'Content-Type': 'application/json'})
+        res.end(JSON.stringify({error: error}))
+      } else {
+        let response = {tokens: session.list_tokens()}
+        if ( issued ) response.issued = issued
+        res.writeHead(200, {'Content-Type': 'application/json'})
+        res.end(JSON.stringify(response))
+      }
+    })
+  } catch (e) {
+    session.errorlog('tokens.json save error : ' + e.message)
+    res.end('tokens.json save error, check log')
+  }
+})
+
+// Listen for API tokens page requests
+app.get('/tokens', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('tokens', req)
+
+    var content_protect_a = ''
+    if ( req.credential ) {
+      content_protect_a = '?' + req.credential
+    }
+
+    var body = '<!DOCTYPE html><html><head><meta charset="UTF-8"><meta http-equiv="Content-type" content="text/html;charset=UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1,shrink-to-fit=no"><title>' + appname + ' tokens</title><link rel="icon" href="favicon.svg' + content_protect_a + '"><style type="text/css">body{width:480px;color:lightgray;background-color:black;font-family:Arial,Helvetica,sans-serif;-webkit-text-size-adjust:none}a{color:darkgray}table{width:100%}table,th,td{border:1px solid darkgray;border-collapse:collapse}th,td{padding:5px}.tinytext{font-size:.8em;word-break:break-all}</style><script type="text/javascript">' + "\n"
+
+    body += 'function makePOSTRequest(url, data, callback){var request=new XMLHttpRequest();request.onreadystatechange=function(){if (request.readyState==4){callback(request.status, request.responseText)}};request.open("POST", url);request.setRequestHeader("Content-Type", "application/json");request.send(JSON.stringify(data));}' + "\n"
+    body += 'function showerror(status, responsetext){try{alert(JSON.parse(responsetext).error)}catch(e){alert(responsetext)}}' + "\n"
+    body += 'function issuetoken(){makePOSTRequest("' + http_root + '/tokens.json' + content_protect_a + '", {action:"issue",name:document.getElementById("name").value,scope:document.getElementById("scope").value,expires:document.getElementById("expires").value}, function(status, responsetext){if (status == 200){prompt("Copy this token now, it will not be shown again:", JSON.parse(responsetext).issued.token);location.reload()}else{showerror(status, responsetext)}});return false}' + "\n"
+    body += 'function revoketoken(id){if (confirm("Revoke this token?")){makePOSTRequest("' + http_root + '/tokens.json' + content_protect_a + '", {action:"revoke",id:id}, function(status, responsetext){if (status == 200){location.reload()}else{showerror(status, responsetext)}})}return false}' + "\n"
+    body += '</script></head><body><h1>' + appname + ' tokens</h1>' + "\n"
+
+    body += '<p><a href="' + http_root + '/' + content_protect_a + '">Back to home page</a> | <a href="' + http_root + '/tokens.json' + content_protect_a + '">JSON</a></p>' + "\n"
+
+    body += '<p class="tinytext">Use a token in place of content_protect, as a token URL parameter or an "Authorization: Bearer" or "X-API-Token" header. Streams tokens can only access streams and playlists, guide tokens can only access channels, guide, calendar, and API data, and only admin tokens can access admin pages like this one.</p>' + "\n"
+
+    body += '<p><input type="text" id="name" placeholder="Name" size="12"> <select id="scope">'
+    let scopes = session.getTokenScopes()
+    for (var i=0; i<scopes.length; i++) {
+      body += '<option value="' + scopes[i] + '">' + scopes[i] + '</option>'
+    }
+    body += '</select> <select id="expires"><option value="">never expires</option><option value="1">1 day</option><option value="7">7 days</option><option value="30">30 days</option><option value="365">1 year</option></select> <button onclick="return issuetoken()">Issue</button></p>' + "\n"
+
+    let tokens = session.list_tokens()
+    body += '<table><tr><th>Token</th><th>Expires</th><th>Last used</th><th></th></tr>' + "\n"
+    for (var i=0; i<tokens.length; i++) {
+      let token = tokens[i]
+      body += '<tr><td>' + token.name + '<br/><span class="tinytext">' + token.scope + ', created ' + new Date(token.created).toLocaleString() + '</span></td>'
+      body += '<td class="tinytext">' + (token.expires ? new Date(token.expires).toLocaleString() : 'never') + '</td>'
+      body += '<td class="tinytext">' + (token.last_used ? new Date(token.last_used).toLocaleString() : 'never') + '</td>'
+      body += '<td><a href="#" onclick="return revoketoken(\'' + token.id + '\')">Revoke</a></td></tr>' + "\n"
+    }
+    if ( tokens.length == 0 ) {
+      body += '<tr><td colspan="4">No tokens issued</td></tr>' + "\n"
+    }
+    body += '</table></body></html>'
+
+    res.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'})
+    res.end(body)
+  } catch (e) {
+    session.errorlog('tokens request error : ' + e.message)
+    res.end('tokens request error, check log')
+  }
+})
+
+// Listen for Game Changer profile API requests (list, delete)
+app.get('/gamechanger_profiles.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('gamechanger_profiles.json', req)
+
+    let error = false
+    if ( req.query.action == 'delete' ) {
+      if ( !session.delete_gamechanger_profile(req.query.id) ) {
+        error = 'profile not found'
+      }
+    } else if ( req.query.action ) {
+      error = 'invalid action'
+    }
+
+    if ( error ) {
+      res.writeHead(400, {'Content-Type': 'application/json'})
+      res.end(JSON.stringify({errors: [error]}))
+    } else {
+      res.writeHead(200, {'Content-Type': 'application/json'})
+      res.end(JSON.stringify({profiles: session.list_gamechanger_profiles()}))
+    }
+  } catch (e) {
+    session.errorlog('gamechanger_profiles.json request error : ' + e.message)
+    res.end('gamechanger_profiles.json request error, check log')
+  }
+})
+
+// Create a Game Changer profile, or update one if an id is given, responding with any validation errors
+app.post('/gamechanger_profiles.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('gamechanger_profiles.json', req)
+
+    req.on('body', function(body) {
+      let errors = []
+      let profile
+      try {
+        profile = (typeof body === 'object') && !Buffer.isBuffer(body) ? body : JSON.parse(body.toString())
+        errors = session.validate_gamechanger_profile(profile)
+      } catch (e) {
+        errors = [ 'profile is not valid JSON : ' + e.message ]
+      }
+
+      if ( errors.length == 0 ) {
+        profile = session.save_gamechanger_profile(profile, req.query.id || false)
+        if ( !profile ) {
+          errors = [ req.query.id ? 'profile not found' : 'a profile with that name already exists' ]
+        }
+      }
+
+      if ( errors.length > 0 ) {
+        session.warnlog('gamechanger profile not saved : ' + errors.join('; '))
+        res.writeHead(400, {'Content-Type': 'application/json'})
+        res.end(JSON.stringify({errors: errors}))
+      } else {
+        res.writeHead(200, {'Content-Type': 'application/json'})
+        res.end(JSON.stringify({profile: profile, profiles: session.list_gamechanger_profiles()}))
+      }
+    })
+  } catch (e) {
+    session.errorlog('gamechanger_profiles.json save error : ' + e.message)
+    res.end('gamechanger_profiles.json save error, check log')
+  }
+})
+
+// Listen for Game Changer profiles page requests
+app.get('/gamechanger_profiles', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('gamechanger_profiles', req)
+
+    var content_protect_a = ''
+    var content_protect_b = ''
+    if ( req.credential ) {
+      content_protect_a = '?' + req.credential
+      content_protect_b = '&' + req.credential
+    }
+
+    let profiles = session.list_gamechanger_profiles()
+    let server = (req.headers['x-forwarded-proto'] ? req.headers['x-forwarded-proto'] : 'http') + '://' + req.headers.host + http_root
+
+    var body = '<!DOCTYPE html><html><head><meta charset="UTF-8"><meta http-equiv="Content-type" content="text/html;charset=UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1,shrink-to-fit=no"><title>' + appname + ' Game Changer profiles</title><link rel="icon" href="favicon.svg' + content_protect_a + '"><style type="text/css">body{width:480px;color:lightgray;background-color:black;font-family:Arial,Helvetica,sans-serif;-webkit-text-size-adjust:none}a{color:darkgray}table{width:100%}table,th,td{border:1px solid darkgray;border-collapse:collapse}th,td{padding:5px}textarea{width:100%;height:6em}.tinytext{font-size:.8em;word-break:break-all}.error{color:red}</style><script type="text/javascript">' + "\n"
+
+    body += 'var profiles = ' + JSON.stringify(profiles).replace(/</g, '\\u003c') + ';' + "\n"
+    body += 'var my_stream_finder_settings = ' + JSON.stringify(session.getStreamFinderSettings(req.user)).replace(/</g, '\\u003c') + ';' + "\n"
+    body += 'var editing = false;' + "\n"
+    body += 'function makeRequest(method, url, data, callback){var request=new XMLHttpRequest();request.onreadystatechange=function(){if (request.readyState==4){callback(request.status, request.responseText)}};request.open(method, url);if (data){request.setRequestHeader("Content-Type", "text/plain")};request.send(data);}' + "\n"
+    body += 'function showerrors(responsetext){var message;try{message=JSON.parse(responsetext).errors.join("<br/>")}catch(e){message=responsetext}document.getElementById("result").innerHTML=\'<span class="error">\'+message+\'</span>\'}' + "\n"
+    body += 'function teamlist(id){var value=document.getElementById(id).value.toUpperCase().replace(/[^A-Z+,]+/g,"");return value ? value.split(",").filter(function(v){return v}) : []}' + "\n"
+    body += 'function editprofile(i){var profile=profiles[i];editing=profile.id;document.getElementById("name").value=profile.name;document.getElementById("includeTeams").value=profile.includeTeams.join(",");document.getElementById("excludeTeams").value=profile.excludeTeams.join(",");document.getElementById("streamFinder").checked=profile.streamFinder;document.getElementById("stream_finder_settings").value=profile.stream_finder_settings ? JSON.stringify(profile.stream_finder_settings) : "";document.getElementById("dwell").value=profile.dwell;document.getElementById("finish").value=profile.finish || "off";document.getElementById("threshold").value=(profile.threshold === null) ? "" : profile.threshold;document.getElementById("returnToPrevious").checked=profile.returnToPrevious || false;document.getElementById("includeLevels").value=(profile.includeLevels || []).join(",");document.getElementById("includeOrgs").value=(profile.includeOrgs || []).join(",");document.getElementById("save").innerHTML="Update";return false}' + "\n"
+    body += 'function newprofile(){editing=false;document.getElementById("name").value="";document.getElementById("includeTeams").value="";document.getElementById("excludeTeams").value="";document.getElementById("streamFinder").checked=false;document.getElementById("stream_finder_settings").value=JSON.stringify(my_stream_finder_settings);document.getElementById("dwell").value="0";document.getElementById("finish").value="off";document.getElementById("threshold").value="";document.getElementById("returnToPrevious").checked=false;document.getElementById("includeLevels").value="";document.getElementById("includeOrgs").value="";document.getElementById("save").innerHTML="Create";document.getElementById("result").innerHTML="";return false}' + "\n"
+    body += 'function saveprofile(){var profile={name:document.getElementById("name").value,includeTeams:teamlist("includeTeams"),excludeTeams:teamlist("excludeTeams"),streamFinder:document.getElementById("streamFinder").checked,dwell:parseInt(document.getElementById("dwell").value)||0,finish:document.getElementById("finish").value,threshold:(document.getElementById("threshold").value === "") ? null : parseFloat(document.getElementById("threshold").value),returnToPrevious:document.getElementById("returnToPrevious").checked,includeLevels:teamlist("includeLevels"),includeOrgs:teamlist("includeOrgs")};var rules=document.getElementById("stream_finder_settings").value.trim();if (rules){try{profile.stream_finder_settings=JSON.parse(rules)}catch(e){showerrors(\'{"errors":["Stream Finder rules are not valid JSON"]}\');return false}}makeRequest("POST", "' + http_root + '/gamechanger_profiles.json' + content_protect_a + '"+(editing ? "' + (content_protect_a ? '&' : '?') + 'id="+encodeURIComponent(editing) : ""), JSON.stringify(profile), function(status, responsetext){if (status == 200){location.reload()}else{showerrors(responsetext)}});return false}' + "\n"
+    body += 'function deleteprofile(id){if (confirm("Delete this profile?")){makeRequest("GET", "' + http_root + '/gamechanger_profiles.json?action=delete&id="+encodeURIComponent(id)+"' + content_protect_b + '", null, function(status, responsetext){if (status == 200){location.reload()}else{showerrors(responsetext)}})}return false}' + "\n"
+    body += '</script></head><body onload="newprofile()"><h1>' + appname + ' Game Changer profiles</h1>' + "\n"
+
+    body += '<p><a href="' + http_root + '/' + content_protect_a + '">Back to home page</a> | <a href="' + http_root + '/gamechanger_profiles.json' + content_protect_a + '">JSON</a></p>' + "\n"
+
+    body += '<p class="tinytext">Each profile has its own channel in channels.m3u and guide.xml, with an id based on its name when it was created. Include or exclude all profiles with the GAMECHANGER team, or one profile with its GAMECHANGER.ID channel name, like GAMECHANGER.' + (profiles.length > 0 ? profiles[0].id.toUpperCase() : 'NL-WEST-ONLY') + '.</p>' + "\n"
+
+    body += '<table><tr><th>Profile</th><th>Switching</th><th></th></tr>' + "\n"
+    for (var i=0; i<profiles.length; i++) {
+      let profile = profiles[i]
+      let streamURL = server + '/gamechanger.m3u8?profile=' + profile.id + '&resolution=best' + content_protect_b
+      let filters = []
+      if ( profile.includeTeams.length > 0 ) filters.push('including ' + profile.includeTeams.join(', '))
+      if ( profile.excludeTeams.length > 0 ) filters.push('excluding ' + profile.excludeTeams.join(', '))
+      if ( profile.includeLevels && (profile.includeLevels.length > 0) ) filters.push('levels ' + profile.includeLevels.join(', '))
+      if ( profile.includeOrgs && (profile.includeOrgs.length > 0) ) filters.push('orgs ' + profile.includeOrgs.join(', '))
+      body += '<tr><td>' + profile.name + '<br/><span class="tinytext">GAMECHANGER.' + profile.id.toUpperCase() + '</span></td>'
+      body += '<td class="tinytext">' + (profile.streamFinder ? 'Stream Finder' + (profile.stream_finder_settings ? ' (profile rules)' : ' (viewer\'s rules)') : 'highest leverage') + (filters.length > 0 ? ', ' + filters.join(', ') : '') + (profile.dwell > 0 ? ', dwell ' + profile.dwell + 's' : '') + ((profile.finish && (profile.finish != 'off')) ? ', finish ' + ((profile.finish == 'atbat') ? 'at-bat' : 'half-inning') : '') + ((profile.threshold !== null) && (typeof profile.threshold !== 'undefined') ? ', threshold ' + profile.threshold : '') + (profile.returnToPrevious ? ', returns after highlights' : '') + '</td>'
+      body += '<td><a href="' + streamURL + '">Stream</a> | <a href="#" onclick="return editprofile(' + i + ')">Edit</a> | <a href="#" onclick="return deleteprofile(\'' + profile.id + '\')">Delete</a></td></tr>' + "\n"
+    }
+    if ( profiles.length == 0 ) {
+      body += '<tr><td colspan="3">No profiles saved</td></tr>' + "\n"
+    }
+    body += '</table>' + "\n"
+
+    body += '<p><input type="text" id="name" placeholder="Name" maxlength="50"> <a href="#" onclick="return newprofile()">New</a></p>' + "\n"
+    body += '<p>Include teams: <input type="text" id="includeTeams" placeholder="' + session.getOrgs().slice(0, 3).join(',') + '"><br/>Exclude teams: <input type="text" id="excludeTeams"></p>' + "\n"
+    body += '<p>Include levels: <input type="text" id="includeLevels" placeholder="AAA,WINTER"><br/>Include orgs: <input type="text" id="includeOrgs" placeholder="' + session.getOrgs().slice(0, 2).join(',') + '"><br/><span class="tinytext">Like channels.m3u, levels (MLB, AAA, AA, A+, A, WINTER, or ALL) follow only those levels\' games, and orgs follow all MLB games plus those organizations\' affiliates. MiLB and winter league games use MiLB streams. Stream Finder rules only follow MLB games.</span></p>' + "\n"
+    body += '<p><label><input type="checkbox" id="streamFinder"> Use Stream Finder rules</label><br/><span class="tinytext">Rules for this profile (starting with a copy of your current <a href="' + http_root + '/streamfinder' + content_protect_a + '">Stream Finder settings</a>), or leave empty to use each viewer\'s own settings:</span><br/><textarea id="stream_finder_settings"></textarea></p>' + "\n"
+    body += '<p>Minimum dwell time: <input type="number" id="dwell" min="0" max="3600" style="width:5em"> seconds on each game before switching</p>' + "\n"
+    body += '<p>Before switching, finish the current <select id="finish"><option value="off">nothing extra</option><option value="atbat">at-bat</option><option value="inning">half-inning</option></select><br/><span class="tinytext">The Game Changer always finishes the current at-bat; this also stops Stream Finder immediate priorities from interrupting it.</span></p>' + "\n"
+    body += '<p>Leverage threshold: <input type="number" id="threshold" min="0" max="10" step="0.1" placeholder="default" style="width:5em"><br/><span class="tinytext">How much higher another game\'s leverage index must be to switch to it (default 1.5 for the Game Changer, or 0.5 over the current highest leverage game for Stream Finder).</span></p>' + "\n"
+    body += '<p><label><input type="checkbox" id="returnToPrevious"> Return to the previous game after a highlight</label><br/><span class="tinytext">After switching away from an active game for a large leverage jump or a Stream Finder priority, return to it when that at-bat is over.</span></p>' + "\n"
+    body += '<p><button id="save" onclick="return saveprofile()">Create</button> <span id="result"></span></p>' + "\n"
+    body += '</body></html>'
+
+    res.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'})
+    res.end(body)
+  } catch (e) {
+    session.errorlog('gamechanger_profiles request error : ' + e.message)
+    res.end('gamechanger_profiles request error, check log')
+  }
+})
+
+// Format one metric in the Prometheus text format, with samples as [labels, value] pairs
+function prometheus_metric(name, type, help, samples) {
+  let text = '# HELP ' + name + ' ' + help + "\n" + '# TYPE ' + name + ' ' + type + "\n"
+  for (var i=0; i<samples.length; i++) {
+    let labels = []
+    for (const [label, value] of Object.entries(samples[i][0])) {
+      labels.push(label + '="' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"')
+    }
+    text += name + (samples[i].length > 2 ? samples[i][2] : '') + (labels.length > 0 ? '{' + labels.join(',') + '}' : '') + ' ' + samples[i][1] + "\n"
+  }
+  return text
+}
+
+// Listen for Prometheus metrics requests
+app.get('/metrics', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('metrics', req, true)
+
+    let metrics = session.getMetrics()
+    let body = ''
+
+    let samples = []
+    for (const [route, count] of Object.entries(metrics.requests)) {
+      samples.push([{route: route}, count])
+    }
+    body += prometheus_metric('mlbserver_requests_total', 'counter', 'Requests by route.', samples)
+
+    body += prometheus_metric('mlbserver_proxied_bytes_total', 'counter', 'Bytes of proxied playlists, segments, and subtitles sent to clients.', [[{}, metrics.proxied_bytes]])
+
+    body += prometheus_metric('mlbserver_segment_decrypt_failures_total', 'counter', 'Segment requests that could not be decrypted.', [[{}, metrics.decrypt_failures]])
+
+    samples = []
+    let failure_samples = []
+    for (const [host, upstream] of Object.entries(metrics.upstream)) {
+      samples.push([{host: host}, upstream.seconds.toFixed(3), '_sum'])
+      samples.push([{host: host}, upstream.count, '_count'])
+      failure_samples.push([{host: host}, upstream.failures])
+    }
+    body += prometheus_metric('mlbserver_upstream_request_duration_seconds', 'summary', 'Upstream request latency by host.', samples)
+    body += prometheus_metric('mlbserver_upstream_request_failures_total', 'counter', 'Failed upstream requests by host.', failure_samples)
+
+    samples = []
+    for (const [category, lookups] of Object.entries(metrics.cache)) {
+      samples.push([{category: category, result: 'hit'}, lookups.hit])
+      samples.push([{category: category, result: 'miss'}, lookups.miss])
+    }
+    body += prometheus_metric('mlbserver_cache_lookups_total', 'counter', 'Cache lookups by category and result.', samples)
+
+    // multiview and recording job purposes include their id or title, so group them by type
+    let job_counts = {}
+    for (const [id, job] of Object.entries(ffmpeg_jobs)) {
+      let purpose = job.purpose.replace(/^(multiview|recording) .*$/, '$1')
+      job_counts[purpose] = (job_counts[purpose] || 0) + 1
+    }
+    samples = []
+    for (const [purpose, count] of Object.entries(job_counts)) {
+      samples.push([{purpose: purpose}, count])
+    }
+    body += prometheus_metric('mlbserver_ffmpeg_jobs', 'gauge', 'Active ffmpeg jobs by purpose.', samples)
+
+    body += prometheus_metric('mlbserver_segment_cache_bytes', 'gauge', 'Size of the decrypted segments in the segment cache.', [[{}, segment_cache_bytes]])
+    body += prometheus_metric('mlbserver_segment_cache_segments', 'gauge', 'Decrypted segments in the segment cache.', [[{}, segment_cache.size]])
+
+    samples = []
+    for (const [type, count] of Object.entries(metrics.gamechanger_switches)) {
+      samples.push([{type: type}, count])
+    }
+    body += prometheus_metric('mlbserver_gamechanger_switches_total', 'counter', 'Game Changer and Stream Finder game switches.', samples)
+
+    res.writeHead(200, {'Content-Type': 'text/plain; version=0.0.4; charset=utf-8'})
+    res.end(body)
+  } catch (e) {
+    session.errorlog('metrics request error : ' + e.message)
+    res.end('metrics request error, check log')
+  }
+})
+
+// Listen for liveness requests (not page protected, for container healthchecks)
+app.get('/healthz', async function(req, res) {
+  session.requestlog('healthz', req, true)
+  res.writeHead(200, {'Content-Type': 'application/json'})
+  res.end(JSON.stringify({status: 'ok', uptime: Math.round(process.uptime())}))
+})
+
+// Run a readiness check function, resolving with its result as {ok, message}
+function readiness_check(check) {
+  let timer
+  let timeout = new Promise(function(resolve, reject) {
+    timer = setTimeout(function() {
+      reject(new Error('timed out after ' + READINESS_CHECK_TIMEOUT + ' seconds'))
+    }, READINESS_CHECK_TIMEOUT * 1000)
+  })
+  return Promise.race([Promise.resolve().then(check), timeout])
+  .then(function(message) {
+    return {ok: true, message: message}
+  }, function(e) {
+    return {ok: false, message: e.message}
+  })
+  .finally(function() {
+    clearTimeout(timer)
+  })
+}
+
+function check_ffmpeg() {
+  return new Promise(function(resolve, reject) {
+    if ( !pathToFfmpeg ) return reject(new Error('no ffmpeg path'))
+    child_process.execFile(pathToFfmpeg, ['-version'], {timeout: READINESS_CHECK_TIMEOUT * 1000}, function(err, stdout) {
+      if (err) return reject(err)
+      resolve(stdout.split("\n")[0])
+    })
+  })
+}
+
+function check_multiview_server() {
+  return new Promise(function(resolve, reject) {
+    let socket = net.connect(multiview_port, '127.0.0.1', function() {
+      socket.end()
+      resolve('listening on port ' + multiview_port)
+    })
+    socket.on('error', reject)
+  })
+}
+
+// Listen for readiness requests (not page protected, for container healthchecks)
+// responds 503 if any check fails, with the details only in the debug log
+app.get('/readyz', async function(req, res) {
+  session.requestlog('readyz', req, true)
+
+  let checks = {
+    login_token: await readiness_check(function() { return session.checkLoginToken() }),
+    session: await readiness_check(function() { return session.checkSession() }),
+    cache_directory: await readiness_check(function() { return session.checkCacheDirectory() }),
+    ffmpeg: await readiness_check(check_ffmpeg),
+    multiview_server: await readiness_check(check_multiview_server)
+  }
+
+  let ready = true
+  for (const [name, check] of Object.entries(checks)) {
+    if ( !check.ok ) {
+      ready = false
+      session.debuglog('readyz ' + name + ' check failed : ' + check.message)
+    }
+  }
+
+  res.writeHead(ready ? 200 : 503, {'Content-Type': 'application/json'})
+  res.end(JSON.stringify({status: ready ? 'ready' : 'not ready'}))
+})
+
+// Process Stream Finder settings upload requests
+app.post('/upload', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('upload', req)
+    
+    let content_protect = ''
+    if ( req.credential ) {
+      content_protect += '?' + req.credential
+    }
+    
+    req.on('body', function(body) {
+      try {
+        session.parse_stream_finder_settings(body, req.user)
+      } catch (e) {
+        session.warnlog('upload error : ' + e.message)
+        res.end('<p><b>ERROR</b></p><p>' + escape_html(e.message) + '</p><p><a href="' + http_root + '/' + content_protect + '#streamfinder">Click here</a> to try again, or <a href="' + http_root + '/streamfinder' + content_protect + '">edit your settings in mlbserver</a>.</p>')
+        return
+      }
+      let response = '<p><b>SUCCESS!</b></p><p>Your Stream Finder settings have been saved in mlbserver.</p><p>Select the Stream Finder stream to use them, or <a href="' + http_root + '/' + content_protect + '#streamfinder">click here</a> to replace them with new settings.</p>'
+      res.end(response)
+    })
+  } catch (e) {
+    session.errorlog('upload error : ' + e.message)
+    res.end('upload error, check log')
+  }
+})
+
+// Listen for Stream Finder settings API requests (get, player search)
+app.get('/streamfinder.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('streamfinder.json', req)
+
+    let response
+    if ( req.query.action == 'search' ) {
+      response = {players: await session.searchPlayers(req.query.q || '')}
+    } else if ( req.query.action ) {
+      res.writeHead(400, {'Content-Type': 'application/json'})
+      res.end(JSON.stringify({error: 'invalid action'}))
+      return
+    } else {
+      response = {settings: session.getStreamFinderSettings(req.user)}
+    }
+
+    res.writeHead(200, {'Content-Type': 'application/json'})
+    res.end(JSON.stringify(response))
+  } catch (e) {
+    session.errorlog('streamfinder.json request error : ' + e.message)
+    res.end('streamfinder.json request error, check log')
+  }
+})
+
+// Save Stream Finder settings from the editor, responding with any validation errors
+app.post('/streamfinder.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('streamfinder.json', req)
+
+    req.on('body', function(body) {
+      let errors = []
+      try {
+        let stream_finder_settings = (typeof body === 'object') && !Buffer.isBuffer(body) ? body : JSON.parse(body.toString())
+        errors = session.validate_stream_finder_settings(stream_finder_settings)
+        if ( errors.length == 0 ) {
+          session.setStreamFinderSettings(req.user, stream_finder_settings)
+          session.log('stream finder settings saved from editor')
+        }
+      } catch (e) {
+        errors = [ 'settings are not valid JSON : ' + e.message ]
+      }
+
+      if ( errors.length > 0 ) {
+        session.warnlog('stream finder settings not saved : ' + errors.join('; '))
+        res.writeHead(400, {'Content-Type': 'application/json'})
+        res.end(JSON.stringify({errors: errors}))
+      } else {
+        res.writeHead(200, {'Content-Type': 'application/json'})
+        res.end(JSON.stringify({settings: session.getStreamFinderSettings(req.user)}))
+      }
+    })
+  } catch (e) {
+    session.errorlog('streamfinder.json save error : ' + e.message)
+    res.end('streamfinder.json save error, check log')
+  }
+})
+
+// Listen for Stream Finder settings editor page requests
+app.get('/streamfinder', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('streamfinder', req)
+
+    var content_protect_a = ''
+    var content_protect_b = ''
+    if ( req.credential ) {
+      content_protect_a = '?' + req.credential
+      content_protect_b = '&' + req.credential
+    }
+    // keep the user, to edit their own settings
+    var user_parameter = ''
+    if ( req.query.user && req.user ) {
+      user_parameter = get_user_parameters(req.user)
+    }
+
+    let teams = {}
+    let orgs = session.getOrgs()
+    for (var i=0; i<orgs.length; i++) {
+      teams[session.getTeamIds(orgs[i])] = orgs[i]
+    }
+
+    var body = '<!DOCTYPE html><html><head><meta charset="UTF-8"><meta http-equiv="Content-type" content="text/html;charset=UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1,shrink-to-fit=no"><title>' + appname + ' Stream Finder settings</title><link rel="icon" href="favicon.svg' + content_protect_a + '"><style type="text/css">body{width:480px;color:lightgray;background-color:black;font-family:Arial,Helvetica,sans-serif;-webkit-text-size-adjust:none}a{color:darkgray}table{width:100%}table,th,td{border:1px solid darkgray;border-collapse:collapse}th,td{padding:5px}input[type=text],input[type=number]{width:6em}.tinytext{font-size:.8em}.error{color:red}</style>' + "\n"
+
+    body += '<script type="text/javascript">' + "\n"
+    // the data is escaped for the script element, so a saved value can't close it
+    body += 'var settings=' + JSON.stringify(session.getStreamFinderSettings(req.user)).replace(/</g, '\\u003c') + ';' + "\n"
+    body += 'var options=' + JSON.stringify(session.getStreamFinderPriorityTypes()).replace(/</g, '\\u003c') + ';' + "\n"
+    body += 'var teams=' + JSON.stringify(teams).replace(/</g, '\\u003c') + ';' + "\n"
+    body += 'var priorities=settings.priority ? Object.values(settings.priority) : [];var players=[];' + "\n"
+    body += 'function makeRequest(method, url, data, callback){var request=new XMLHttpRequest();request.onreadystatechange=function(){if (request.readyState==4){callback(request.status, request.responseText)}};request.open(method, url);if (data){request.setRequestHeader("Content-Type", "text/plain")};request.send(data);}' + "\n"
+    body += 'function esc(text){return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/\'/g, "&#39;")}' + "\n"
+    body += 'function option(value, label, selected){return "<option value=\'" + esc(value) + "\'" + (selected ? " selected" : "") + ">" + esc(label) + "</option>"}' + "\n"
+    body += 'function dataInput(i){var priority=priorities[i];var kind=options.types[priority.type];var data=(priority.data === undefined) ? "" : priority.data.toString();var html="";if (kind == "team"){html="<select onchange=\'priorities[" + i + "].data=this.value\'>" + option("", "team", false);for (var id in teams) html+=option(id, teams[id], id == data);return html + "</select>"}else if ((kind == "situation") || (kind == "misc")){var values=(kind == "situation") ? options.situations : options.misc;html="<select onchange=\'priorities[" + i + "].data=this.value\'>" + option("", kind, false);for (var j=0; j<values.length; j++) html+=option(values[j], values[j], values[j] == data);return html + "</select>"}html="<input type=\'" + ((kind == "player") ? "text" : "number") + "\' value=\'" + esc(data) + "\' placeholder=\'" + ((kind == "player") ? "player id" : ((kind == "inning") ? "after inning" : "minimum")) + "\'" + ((kind == "leverage") ? " step=\'.1\'" : "") + " onchange=\'priorities[" + i + "].data=this.value;delete priorities[" + i + "].name\'>";if ((kind == "player") && priority.name) html+="<br/><span class=\'tinytext\'>" + esc(priority.name) + "</span>";return html}' + "\n"
+    body += 'function render(){var html="<tr><th>#</th><th>Type</th><th>Data</th><th>Immediate</th><th></th></tr>";for (var i=0; i<priorities.length; i++){html+="<tr><td>" + (i+1) + "</td><td><select onchange=\'priorities[" + i + "].type=this.value;priorities[" + i + "].data=&quot;&quot;;render()\'>";for (var type in options.types) html+=option(type, type, type == priorities[i].type);html+="</select></td><td>" + dataInput(i) + "</td>";html+="<td><input type=\'checkbox\'" + ((priorities[i].immediate == "Y") ? " checked" : "") + " onchange=\'priorities[" + i + "].immediate=this.checked ? &quot;Y&quot; : &quot;N&quot;\'></td>";html+="<td><button onclick=\'move(" + i + ",-1)\'>&uarr;</button><button onclick=\'move(" + i + ",1)\'>&darr;</button><button onclick=\'priorities.splice(" + i + ",1);render()\'>Remove</button></td></tr>"}if (priorities.length == 0) html+="<tr><td colspan=\'5\'>No priorities, the highest leverage game is shown</td></tr>";document.getElementById("priorities").innerHTML=html}' + "\n"
+    body += 'function move(i, offset){if ((i+offset < 0) || (i+offset >= priorities.length)) return;var priority=priorities.splice(i, 1)[0];priorities.splice(i+offset, 0, priority);render()}' + "\n"
+    body += 'function addpriority(type, data, name){var priority={type:type, data:data || "", immediate:"N"};if (name) priority.name=name;priorities.push(priority);render()}' + "\n"
+    body += 'function addplayer(type, i){addpriority(type, players[i].id, players[i].name)}' + "\n"
+    body += 'function search(){var q=document.getElementById("player_search").value;document.getElementById("players").innerHTML="Searching...";makeRequest("GET", "' + http_root + '/streamfinder.json?action=search&q=" + encodeURIComponent(q) + "' + content_protect_b + user_parameter + '", null, function(status, responsetext){var html="";try{players=JSON.parse(responsetext).players;for (var i=0; i<players.length; i++){html+=esc(players[i].name) + " <span class=\'tinytext\'>" + esc(players[i].position) + " " + esc(players[i].team) + "</span> ";html+="<button onclick=\'addplayer(&quot;bat&quot;," + i + ")\'>bat</button><button onclick=\'addplayer(&quot;pit&quot;," + i + ")\'>pit</button><button onclick=\'addplayer(&quot;run&quot;," + i + ")\'>run</button><br/>"}if (players.length == 0) html="No players found"}catch(e){html="Search failed"}document.getElementById("players").innerHTML=html});return false}' + "\n"
+    body += 'function save(){var ignore=[];var checkboxes=document.getElementsByName("ignore");for (var i=0; i<checkboxes.length; i++){if (checkboxes[i].checked) ignore.push(checkboxes[i].value)}settings.priority=priorities;settings.ignore=ignore;settings.on_deck=document.getElementById("on_deck").checked ? "Y" : "N";settings.include_CLI=document.getElementById("include_CLI").checked ? "Y" : "N";makeRequest("POST", "' + http_root + '/streamfinder.json' + content_protect_a + (content_protect_a ? user_parameter : user_parameter.replace('&', '?')) + '", JSON.stringify(settings), function(status, responsetext){var message="Saved";try{var response=JSON.parse(responsetext);if (response.errors) message="<span class=\'error\'>" + response.errors.map(esc).join("<br/>") + "</span>"}catch(e){message="<span class=\'error\'>" + esc(responsetext) + "</span>"}document.getElementById("result").innerHTML=message});return false}' + "\n"
+    body += '</script></head><body onload="render()"><h1>' + appname + ' Stream Finder settings</h1>' + "\n"
+
+    body += '<p><a href="' + http_root + '/' + content_protect_a + '#streamfinder">Back to home page</a> | <a href="' + http_root + '/streamfinder.json' + content_protect_a + '">JSON</a></p>' + "\n"
+
+    body += '<p class="tinytext">The Stream Finder checks each priority in order, and switches to the first game that matches it. Otherwise it shows the highest leverage game. Immediate priorities can interrupt the current batter.</p>' + "\n"
+
+    body += '<table id="priorities"></table>' + "\n"
+    body += '<p>Add: <select id="new_type">'
+    for (const type of Object.keys(session.getStreamFinderPriorityTypes().types)) {
+      body += '<option value="' + type + '">' + type + '</option>'
+    }
+    body += '</select> <button onclick="addpriority(document.getElementById(\'new_type\').value)">Add priority</button></p>' + "\n"
+
+    body += '<p><form onsubmit="return search()">Player search: <input type="text" id="player_search" style="width:12em"> <button type="submit">Search</button></form></p><p id="players"></p>' + "\n"
+
+    let stream_finder_settings = session.getStreamFinderSettings(req.user)
+    let ignore = (stream_finder_settings.ignore || []).map(v => v.toString())
+    body += '<p>Ignore teams:<br/>'
+    for (const [id, team] of Object.entries(teams)) {
+      body += '<label style="display:inline-block;width:4.5em"><input type="checkbox" name="ignore" value="' + id + '"' + (ignore.includes(id) ? ' checked' : '') + '>' + team + '</label> '
+    }
+    body += '</p>' + "\n"
+
+    body += '<p><label><input type="checkbox" id="on_deck"' + ((stream_finder_settings.on_deck == 'Y') ? ' checked' : '') + '> Batter priorities include the on-deck batter (with less than 2 outs)</label><br/>'
+    body += '<label><input type="checkbox" id="include_CLI"' + ((stream_finder_settings.include_CLI == 'Y') ? ' checked' : '') + '> Include championship leverage index (CLI) in leverage</label></p>' + "\n"
+
+    body += '<p><button onclick="save()">Save</button> <span id="result"></span></p>' + "\n"
+    body += '</body></html>'
+
+    res.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'})
+    res.end(body)
+  } catch (e) {
+    session.errorlog('streamfinder request error : ' + e.message)
+    res.end('streamfinder request error, check log')
+  }
+})
+
+// Listen for Stream Finder settings download requests
+app.get('/downloadsettings', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('downloadsettings', req)
+
+    var file_name = 'mlbserverStreamFinder.txt'
+    var body = JSON.stringify(session.getStreamFinderSettings(req.user))
+
+    var download_headers = {
+      'Content-Disposition': 'attachment; filename="' + file_name + '"'
+    }
+    res.writeHead(200, download_headers)
+
+    res.end(body)
+  } catch (e) {
+    session.errorlog('downloadsettings request error : ' + e.message)
+    res.end('downloadsettings request error, check log')
+  }
+})
+
+// Listen for Stream Finder icon requests
+app.get('/stream_finder_icon.png', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('stream_finder_icon.png', req)
+    
     var body = await session.getPNGImage('stream_finder_icon')
     
     res.writeHead(200, {'Content-Type': 'image/png'})
     res.end(body)
   } catch (e) {
-    session.log('stream_finder_icon.png request error : ' + e.message)
+    session.errorlog('stream_finder_icon.png request error : ' + e.message)
     res.end('stream_finder_icon.png request error, check log')
   }
 })
@@ -3761,7 +6520,7 @@ app.get('/comskip.edl', async function(req, res) {
 
     res.end(body)
   } catch (e) {
-    session.log('comskip.edl request error : ' + e.message)
+    session.errorlog('comskip.edl request error : ' + e.message)
     res.end('comskip.edl request error, check log')
   }
 })
@@ -3776,7 +6535,7 @@ app.get('/comskip.txt', async function(req, res) {
     var body = ''
     
     if ( !req.query.fps ) {
-      session.log('comskip.txt error : specifying the video FPS in the request URL is required')
+      session.errorlog('comskip.txt error : specifying the video FPS in the request URL is required')
     } else {
       let fps = req.query.fps
     
@@ -3802,7 +6561,7 @@ app.get('/comskip.txt', async function(req, res) {
 
     res.end(body)
   } catch (e) {
-    session.log('comskip.txt request error : ' + e.message)
+    session.errorlog('comskip.txt request error : ' + e.message)
     res.end('comskip.txt request error, check log')
   }
 })
@@ -3831,7 +6590,7 @@ app.get('/mpegts.html', async function(req, res) {
 
     res.end(body)
   } catch (e) {
-    session.log('mpegts.html request error : ' + e.message)
+    session.errorlog('mpegts.html request error : ' + e.message)
     res.end('')
   }
 })
@@ -3841,6 +6600,26 @@ app.get('/mpegts.html', async function(req, res) {
 app.get('/stream.ts', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
 
+  if ( (tuner_count > 0) && (active_tuners >= tuner_count) ) {
+    session.log('stream.ts request rejected : all ' + tuner_count + ' tuners in use')
+    res.writeHead(503, {'Content-Type': 'text/plain', 'X-HDHomeRun-Error': '805 All Tuners In Use'})
+    res.end('All tuners in use')
+    return
+  }
+
+  if ( !add_viewer(req, res, 'stream.ts:' + (viewer_count + 1), 'stream.ts', get_viewer_title(req.query), req.query.resolution || 'best', true) ) return
+
+  // Release the tuner only once, whichever way the command finishes
+  var tuner_released = false
+  var release_tuner = function() {
+    if ( !tuner_released ) {
+      tuner_released = true
+      active_tuners--
+      session.debuglog('stream.ts released tuner, ' + active_tuners + ' in use')
+    }
+  }
+  active_tuners++
+
   try {
     let server = 'http://127.0.0.1:' + session.data.port + http_root
 
@@ -3870,7 +6649,12 @@ app.get('/stream.ts', async function(req, res) {
       video_url = video_url.replace('audio_track=all', 'audio_track=English')
     }
 
-    ffmpeg_command = ffmpeg({ timeout: 432000 })
+    let ffmpeg_command = ffmpeg({ timeout: 432000 })
+    let job_id = register_ffmpeg_job(ffmpeg_command, 'stream.ts', video_url, req, res)
+    let closed = false
+    res.on('close', function() {
+      closed = true
+    })
 
     // Set input live stream and minimize ffmpeg startup latency
     ffmpeg_command.input(video_url)
@@ -3884,17 +6668,41 @@ app.get('/stream.ts', async function(req, res) {
 
     let video_input = 0
     let audio_input = 0
-    
+
+    var headers = {'Content-Type': 'video/mp2t',"access-control-allow-origin":"*"}
+
+    // Detect audio sync automatically if requested, by comparing the radio audio track with the TV audio
+    // (stream.ts sync is positive when the audio is late, the opposite of the detected offset)
+    let sync = req.query.sync
+    if ( sync == 'auto' ) {
+      sync = 0
+      if ( get_tv_audio_url(video_url) != video_url ) {
+        // Send the headers now, so the client doesn't time out while waiting for the detection
+        res.writeHead(200, headers)
+        let result = await detect_audio_sync(get_tv_audio_url(video_url), video_url, 'stream.ts', req, res)
+        if ( closed ) {
+          session.debuglog('stream.ts client disconnected during audio sync detection')
+          release_tuner()
+          return
+        }
+        sync = result.offset * -1
+        // Listed with the job at /jobs.json
+        if ( ffmpeg_jobs[job_id] ) ffmpeg_jobs[job_id].sync = sync
+      } else {
+        session.log('stream.ts automatic sync requires a radio audio_track, ignoring')
+      }
+    }
+
     // Adjust audio sync, if specified
-    if ( req.query.sync ) {
-      if ( req.query.sync > 0 ) {
-        session.log('stream.ts delaying video by ' + req.query.sync + ' seconds')
+    if ( sync ) {
+      if ( sync > 0 ) {
+        session.log('stream.ts delaying video by ' + sync + ' seconds')
         video_input = 1
-        ffmpeg_command.addInputOption('-itsoffset', req.query.sync)
+        ffmpeg_command.addInputOption('-itsoffset', sync)
       } else {
-        session.log('stream.ts delaying audio by ' + (req.query.sync * -1) + ' seconds')
+        session.log('stream.ts delaying audio by ' + (sync * -1) + ' seconds')
         audio_input = 1
-        ffmpeg_command.addInputOption('-itsoffset', (req.query.sync * -1))
+        ffmpeg_command.addInputOption('-itsoffset', (sync * -1))
       }
       ffmpeg_command.input(video_url)
       .addInputOption('-thread_queue_size', '4096')
@@ -3916,7 +6724,7 @@ app.get('/stream.ts', async function(req, res) {
     .output(res)
     .on('start', function(commandLine) {
       session.debuglog('stream.ts command started')
-      if ( argv.debug || argv.ffmpeg_logging ) {
+      if ( session.debug || argv.ffmpeg_logging ) {
         session.log('stream.ts command: ' + commandLine)
       }
     })
@@ -3924,9 +6732,11 @@ app.get('/stream.ts', async function(req, res) {
       session.debuglog('stream.ts command stopped: ' + err.message)
       if ( stdout ) session.debuglog(stdout)
       if ( stderr ) session.debuglog(stderr)
+      release_tuner()
     })
     .on('end', function() {
       session.debuglog('stream.ts command ended')
+      release_tuner()
     })
 
     if ( argv.ffmpeg_logging ) {
@@ -3936,12 +6746,11 @@ app.get('/stream.ts', async function(req, res) {
       })
     }
 
-    var headers = {'Content-Type': 'video/mp2t',"access-control-allow-origin":"*"}
-    res.writeHead(200, headers)
+    if ( !res.headersSent ) res.writeHead(200, headers)
 
     ffmpeg_command.run()
   } catch (e) {
-    session.log('stream.ts request error : ' + e.message)
-    res.end('')
+    release_tuner()
+    respondError(res, e, 'stream.ts')
   }
 })
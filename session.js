@@ -5,17 +5,31 @@
 // Required Node packages for the session class
 const fs = require('fs')
 const path = require('path')
+const crypto = require('crypto')
+const http = require('http')
+const https = require('https')
 const readlineSync = require('readline-sync')
 const FileCookieStore = require('tough-cookie-filestore')
 const parseString = require('xml2js').parseString
+const { AsyncLocalStorage } = require('async_hooks')
 
 const MULTIVIEW_DIRECTORY_NAME = 'multiview'
+const RECORDINGS_DIRECTORY_NAME = 'recordings'
+const USERS_DIRECTORY_NAME = 'users'
 
 // Default user agent to use for API requests
 const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/133.0.0.0 Safari/537.36'
 
-// Other variables to use in API communications
-const GRAPHQL_URL = 'https://media-gateway.mlb.com/graphql'
+// Upstream API base URLs by service name
+// the upstream_url option replaces them all with a path on a single alternate server (like test/mock_upstream.js)
+const UPSTREAM_URLS = {
+  'ids': 'https://ids.mlb.com',
+  'media-gateway': 'https://media-gateway.mlb.com',
+  'statsapi': 'https://statsapi.mlb.com',
+  'mastapi': 'https://mastapi.mobile.mlbinfra.com',
+  'milb': 'https://dai.tv.milb.com',
+  'baseball-reference': 'https://www.baseball-reference.com'
+}
 
 // Default date handling
 const TODAY_UTC_HOURS = 8 // UTC hours (EST + 4) into tomorrow to still use today's date
@@ -58,6 +72,61 @@ const MLB_PADDING = 2
 // hardcode extra Game Changer padding for MLB, in 10-second increments as needed
 const MLB_GAMECHANGER_PADDING = 0
 
+// Upstream failure handling
+const UPSTREAM_TRIES = 3 // attempts per upstream API request
+const UPSTREAM_BACKOFF_BASE = 500 // milliseconds before the first retry, doubled for each subsequent one
+const UPSTREAM_BACKOFF_MAX = 8000 // milliseconds
+const CIRCUIT_BREAKER_THRESHOLD = 5 // consecutive failures before requests to a host are stopped
+const CIRCUIT_BREAKER_COOLDOWN = 30 // seconds before a trial request is sent to a stopped host
+
+// API token scopes: all content except admin pages, only streams, only guides, or everything including admin pages
+const VALID_TOKEN_SCOPES = [ 'all', 'streams', 'guide', 'admin' ]
+const TOKEN_LAST_USED_SAVE_INTERVAL = 60 // seconds between saving a token's last used time to file
+
+// Signed URLs
+const DEFAULT_SIGNED_URL_TTL = 120 // minutes that signed segment handles are valid, and that playlist handles stay valid without being reloaded
+// Live players reload the same variant playlist URL for the whole game, so its handles slide their expiry forward on each use
+const SLIDING_HANDLE_PATHS = [ '/playlist.m3u8' ]
+const SIGNED_HANDLE_PRUNE_INTERVAL = 60 // seconds between removing expired handles from the map
+
+// Stream Finder priority types, and the kind of data each one takes
+const STREAM_FINDER_PRIORITY_TYPES = { 'bat': 'player', 'pit': 'player', 'run': 'player', 'team': 'team', 'team_bat': 'team', 'team_pit': 'team', 'LI': 'leverage', 'NoNo': 'inning', 'GameSit': 'situation', 'Misc': 'misc' }
+const STREAM_FINDER_GAME_SITUATIONS = [ 'through5_tie', 'through6_tie', 'through7_tie', 'through8_tie', 'through5_1run', 'through6_1run', 'through7_1run', 'through8_1run' ]
+const STREAM_FINDER_MISC = [ 'PosP_pit', 'extra', 'replay' ]
+const STREAM_FINDER_FLAGS = [ 'on_deck', 'include_CLI' ]
+const PLAYER_SEARCH_LIMIT = 20
+
+// Game Changer profiles
+const GAMECHANGER_PROFILE_NAME_LENGTH = 50
+const GAMECHANGER_MAX_DWELL = 3600 // seconds
+
+// Game Changer switching rules: whether to finish the current at-bat or half-inning before switching, and the default leverage differences to switch
+const VALID_GAMECHANGER_FINISH = [ 'off', 'atbat', 'inning' ]
+const DEFAULT_GAMECHANGER_THRESHOLD = 1.5 // leverage above the current game, for the Game Changer
+const DEFAULT_STREAMFINDER_THRESHOLD = 0.5 // leverage above the current highest leverage game, for Stream Finder
+const GAMECHANGER_MAX_THRESHOLD = 10
+
+// Game Changer switch history
+const GAMECHANGER_HISTORY_SIZE = 100 // switches kept per game changer
+const GAMECHANGER_HISTORY_COUNT = 20 // game changers kept, removing the least recently started first
+
+// Upstream connection pooling (connections are reused, but not limited, so segment requests to one CDN host never queue)
+const UPSTREAM_KEEP_ALIVE_TIMEOUT = 30 // seconds to keep an idle upstream connection open for reuse
+
+// Logging
+const LOG_LEVELS = [ 'error', 'warn', 'info', 'debug', 'trace' ] // in order of verbosity
+const VALID_LOG_FORMATS = [ 'text', 'json' ]
+const DEFAULT_LOG_FILE_SIZE = 10 // megabytes before the log file is rotated
+const DEFAULT_LOG_FILE_COUNT = 5 // rotated log files to keep
+// Patterns for secrets in log messages, the first group of each is kept
+const LOG_REDACTIONS = [
+  /(Bearer\s+)[^\s"',]+/gi,
+  /([?&](?:streamURLToken|content_protect|token|access_token|password|user_key)=)[^&\s"']+/gi,
+  /("(?:[a-z_]*password|[a-z_]*token|authorization|x-cdn-token|content_protect)"\s*:\s*")[^"]*/gi,
+  /(token[ :=]+)[A-Za-z0-9._~+\/=-]{16,}/gi,
+  /(\/\/[^\/\s:@]+:)[^@\/\s]+(?=@)/g
+]
+
 // Base situation table for Stream Finder
 const BASESIT_TABLE = {
   '0': {
@@ -859,10 +928,82 @@ const LI_TABLE = {
     },
 }
 
+// Error for a failed upstream request, with the HTTP status to return to the client
+class upstreamError extends Error {
+  constructor(message, host=false, statusCode=502, retryable=false) {
+    super(message)
+    this.name = 'upstreamError'
+    this.host = host
+    this.statusCode = statusCode
+    this.retryable = retryable
+  }
+}
+
+// Per-request log fields (request_id and route), carried through async calls and ffmpeg events
+const log_context = new AsyncLocalStorage()
+
+// Counters for the /metrics endpoint, kept outside the class so they survive session resets
+var metrics = {
+  requests: {},
+  proxied_bytes: 0,
+  decrypt_failures: 0,
+  upstream: {},
+  cache: {},
+  gamechanger_switches: {}
+}
+
+// Game Changer switches by game changer id, also outside the class so they survive session resets
+var gamechanger_history = {}
+
+// Upstream URLs, tokens, and keys behind signed handles, by handle id, with the key used to sign them
+// (also outside the class so handles survive session resets, but not restarts)
+var signed_handles = {
+  key: crypto.randomBytes(32),
+  entries: new Map(),
+  pruned: Date.now()
+}
+
+// Keep-alive agents for upstream connections, by protocol and host (also outside the class, so pooled connections survive session resets)
+var upstream_agents = {}
+
 class sessionClass {
   // Initialize the class
   constructor(argv = {}) {
-    this.debug = argv.debug
+    // Log level defaults to debug if the debug option is present, or info otherwise
+    this.log_level = LOG_LEVELS.indexOf(argv.debug ? 'debug' : 'info')
+    if ( argv.log_level && LOG_LEVELS.includes(argv.log_level) ) {
+      this.log_level = LOG_LEVELS.indexOf(argv.log_level)
+    }
+    this.debug = (this.log_level >= LOG_LEVELS.indexOf('debug'))
+    this.log_format = VALID_LOG_FORMATS.includes(argv.log_format) ? argv.log_format : VALID_LOG_FORMATS[0]
+    this.log_file = argv.log_file ? true : false
+    this.log_file_size = (parseFloat(argv.log_file_size) || DEFAULT_LOG_FILE_SIZE) * 1024 * 1024
+    this.log_file_count = isNaN(parseInt(argv.log_file_count)) ? DEFAULT_LOG_FILE_COUNT : parseInt(argv.log_file_count)
+    this.signed_url_ttl = Math.ceil((parseFloat(argv.signed_url_ttl) || DEFAULT_SIGNED_URL_TTL) * 60)
+    // Secrets from options, redacted from log messages along with the stored ones
+    this.log_secrets = [ argv.account_password, argv.page_password, argv.content_protect ]
+
+    // Page protection logins, from the page_username/page_password pair and the users option (comma-separated username:password pairs)
+    this.users = {}
+    if ( argv.page_username && argv.page_password ) {
+      this.users[argv.page_username] = argv.page_password
+    }
+    if ( argv.users ) {
+      let users = argv.users.toString().split(',')
+      for (var i=0; i<users.length; i++) {
+        let separator = users[i].indexOf(':')
+        let username = users[i].substring(0, separator).trim()
+        let password = users[i].substring(separator+1)
+        if ( (separator > 0) && password && /^[A-Za-z0-9._-]+$/.test(username) ) {
+          this.users[username] = password
+          this.log_secrets.push(password)
+        } else {
+          this.warnlog('ignoring invalid user ' + username + ', usernames may only use letters, numbers, periods, underscores, and hyphens, followed by a colon and password')
+        }
+      }
+    }
+    // Settings loaded from each user's file, by username
+    this.user_settings = {}
 
     let dirname = __dirname
     if ( argv.data_directory ) {
@@ -880,6 +1021,22 @@ class sessionClass {
     this.DATA_FILE = path.join(this.DATA_DIRECTORY, 'data.json')
     this.CACHE_FILE = path.join(this.CACHE_DIRECTORY, 'cache.json')
     this.STREAM_FINDER_SETTINGS_FILE = path.join(this.DATA_DIRECTORY, 'stream_finder_settings.json')
+    this.RECORDINGS_FILE = path.join(this.DATA_DIRECTORY, 'recordings.json')
+    this.JOBS_FILE = path.join(this.DATA_DIRECTORY, 'jobs.json')
+    this.TOKENS_FILE = path.join(this.DATA_DIRECTORY, 'tokens.json')
+    this.GAMECHANGER_PROFILES_FILE = path.join(this.DATA_DIRECTORY, 'gamechanger_profiles.json')
+    this.LOG_FILE = path.join(this.DATA_DIRECTORY, 'mlbserver.log')
+    this.USERS_DIRECTORY = path.join(this.DATA_DIRECTORY, USERS_DIRECTORY_NAME)
+
+    // Set upstream API base URLs, redirecting them to an alternate server if specified
+    this.upstream_urls = {}
+    for (const [service, base_url] of Object.entries(UPSTREAM_URLS)) {
+      if ( argv.upstream_url ) {
+        this.upstream_urls[service] = argv.upstream_url.replace(/\/+$/, '') + '/' + service
+      } else {
+        this.upstream_urls[service] = base_url
+      }
+    }
 
     // Read credentials from file, if present
     this.credentials = this.readFileToJson(this.CREDENTIALS_FILE) || {}
@@ -899,7 +1056,7 @@ class sessionClass {
           this.credentials.account_username = readlineSync.question('Enter account username (email address): ')
           this.credentials.account_password = readlineSync.question('Enter account password: ', { hideEchoBack: true })
         } catch {
-          this.log('error: required account credentials not present in Docker compose/run')
+          this.errorlog('error: required account credentials not present in Docker compose/run')
           process.exit(1)
         }
         this.save_credentials()
@@ -910,7 +1067,7 @@ class sessionClass {
     // If page username/password protection is specified, retrieve or generate a random string of random length
     // to protect non-page content (streams, playlists, guides, images)
     this.protection = {}
-    if ( argv.page_username && argv.page_password ) {
+    if ( this.hasUsers() ) {
       // Read protection data from file, if present
       this.protection = this.readFileToJson(this.PROTECTION_FILE) || {}
 
@@ -943,6 +1100,14 @@ class sessionClass {
     }
     this.createDirectory(this.multiview_path)
 
+    // Set recording library path
+    if ( argv.recording_path ) {
+      this.recording_path = argv.recording_path
+    } else {
+      this.recording_path = path.join(dirname, RECORDINGS_DIRECTORY_NAME)
+    }
+    this.createDirectory(this.recording_path)
+
     // Create cookie storage file if it doesn't already exist
     this.createFile(this.COOKIE_FILE)
     // Verify its contents are valid
@@ -956,18 +1121,39 @@ class sessionClass {
     // Set up http requests with the cookie jar
     this.request = require('request-promise')
     this.jar = this.request.jar(new FileCookieStore(this.COOKIE_FILE))
-    this.request = this.request.defaults({timeout:15000, agent:false, jar: this.request.jar()})
+    this.request = this.request.defaults({timeout:15000, jar: this.request.jar()})
+    // plain request, without buffering the body for a promise, for streaming responses
+    this.stream_request = require('request').defaults({timeout:15000})
 
     // Load session data and cache from files
     this.data = this.readFileToJson(this.DATA_FILE) || {}
     this.cache = this.readFileToJson(this.CACHE_FILE) || {}
     this.stream_finder_settings = this.readFileToJson(this.STREAM_FINDER_SETTINGS_FILE) || {}
 
+    // Load recording rules and recordings, and reschedule any that were interrupted by a restart
+    this.recordings = this.readFileToJson(this.RECORDINGS_FILE) || {}
+    if ( !this.recordings.rules ) this.recordings.rules = {}
+    if ( !this.recordings.recordings ) this.recordings.recordings = {}
+    for (const [id, recording] of Object.entries(this.recordings.recordings)) {
+      if ( recording.status == 'recording' ) {
+        recording.status = 'scheduled'
+      }
+    }
+
+    // Load API tokens, stored by id with a hash of the token value
+    this.tokens = this.readFileToJson(this.TOKENS_FILE) || {}
+
+    // Load saved Game Changer profiles, stored by id
+    this.gamechanger_profiles = this.readFileToJson(this.GAMECHANGER_PROFILES_FILE) || {}
+
     // Define empty temporary cache (for skip, gamechanger, and key data)
     this.temp_cache = {}
     // Store previous keys, for return without retrieval
     this.temp_cache.prevKeys = {}
 
+    // Circuit breakers for upstream hosts, by host name
+    this.circuit_breakers = {}
+
     // Default scan_mode and linkType values
     if ( !this.data.scan_mode ) {
       this.setScanMode('off')
@@ -1044,6 +1230,88 @@ class sessionClass {
     this.save_session_data()
   }
 
+  hasUsers() {
+    return (Object.keys(this.users).length > 0)
+  }
+
+  // Check a page protection login, returning the username if valid
+  checkUserPassword(username, password) {
+    if ( username && Object.hasOwn(this.users, username) && (this.users[username] === password) ) {
+      return username
+    }
+    return false
+  }
+
+  // Key for content URLs that carry a user, so players can use that user's settings without logging in
+  // (derived from the user's password, so only that login's pages can generate it)
+  getUserKey(username) {
+    if ( !username || !Object.hasOwn(this.users, username) ) return false
+    return crypto.createHmac('sha256', this.users[username]).update('user:' + username).digest('hex').substring(0, 32)
+  }
+
+  // Check a user key from a content URL
+  checkUserKey(username, key) {
+    let expected = this.getUserKey(username)
+    if ( !expected || !key || (typeof key != 'string') || (key.length != expected.length) ) return false
+    return crypto.timingSafeEqual(Buffer.from(key), Buffer.from(expected))
+  }
+
+  // Per-user settings (fav_teams, linkType, resolution, audio_track, stream_finder_settings), stored in the users folder of the data directory
+  getUserSettings(username) {
+    if ( !Object.hasOwn(this.user_settings, username) ) {
+      this.user_settings[username] = this.readFileToJson(path.join(this.USERS_DIRECTORY, username + '.json')) || {}
+    }
+    return this.user_settings[username]
+  }
+
+  // Get a user's setting, or undefined if not set or not a valid user
+  getUserSetting(username, key) {
+    if ( username && Object.hasOwn(this.users, username) ) {
+      return this.getUserSettings(username)[key]
+    }
+  }
+
+  // Save a user's setting, returning false if not a valid user
+  setUserSetting(username, key, value) {
+    if ( !username || !Object.hasOwn(this.users, username) ) return false
+    let settings = this.getUserSettings(username)
+    if ( settings[key] !== value ) {
+      settings[key] = value
+      this.createDirectory(this.USERS_DIRECTORY)
+      this.writeJsonToFile(JSON.stringify(settings), path.join(this.USERS_DIRECTORY, username + '.json'))
+      this.debuglog('user ' + username + ' ' + key + ' saved to file')
+    }
+    return true
+  }
+
+  // A user's favorite teams, defaulting to the shared fav_teams
+  getFavTeams(username=false) {
+    let fav_teams = this.getUserSetting(username, 'fav_teams')
+    if ( typeof fav_teams === 'undefined' ) {
+      fav_teams = this.credentials.fav_teams || []
+    }
+    return fav_teams
+  }
+
+  // Parse a comma-separated list of team abbreviations and save it as a user's favorite teams, ignoring invalid abbreviations
+  setFavTeams(username, fav_teams) {
+    fav_teams = fav_teams.toString().toUpperCase().replace(/[^A-Z,]+/g,'').split(',').filter(v => Object.keys(TEAM_IDS).includes(v))
+    this.setUserSetting(username, 'fav_teams', fav_teams)
+    return fav_teams
+  }
+
+  // A user's Stream Finder settings, defaulting to the shared settings
+  getStreamFinderSettings(username=false) {
+    return this.getUserSetting(username, 'stream_finder_settings') || this.stream_finder_settings
+  }
+
+  setStreamFinderSettings(username, stream_finder_settings) {
+    if ( !this.setUserSetting(username, 'stream_finder_settings', stream_finder_settings) ) {
+      this.stream_finder_settings = stream_finder_settings
+      this.save_stream_finder_settings()
+    }
+  }
+
   // Set the multiview stream URL path
   setMultiviewStreamURLPath(url_path) {
     this.data.multiviewStreamURLPath = url_path
@@ -1123,6 +1391,10 @@ class sessionClass {
     return LEVELS
   }
 
+  getTokenScopes() {
+    return VALID_TOKEN_SCOPES
+  }
+
   getAFLid() {
     return AFL_ID
   }
@@ -1287,6 +1559,14 @@ class sessionClass {
     this.save_cache_data()
   }
 
+  setRostersCacheExpiry(expiryDate) {
+    if ( !this.cache.rosters ) {
+      this.cache.rosters = {}
+    }
+    this.cache.rosters.rostersCacheExpiry = expiryDate
+    this.save_cache_data()
+  }
+
   setBreakExpiry(id, game_pk) {
     let currentDate = new Date()
     currentDate.setSeconds(currentDate.getSeconds()+109)
@@ -1336,7 +1616,7 @@ class sessionClass {
 
   markBlackoutError(mediaId) {
     this.createMediaCache(mediaId)
-    this.log('saving blackout error to prevent repeated access attempts')
+    this.warnlog('saving blackout error to prevent repeated access attempts')
     this.cache.media[mediaId].blackout = true
     // Expire it in 1 hour
     let seconds_to_expire = 60*60
@@ -1344,15 +1624,90 @@ class sessionClass {
     this.save_cache_data()
   }
 
+  // Log a message at a level from LOG_LEVELS, if the log level includes it
+  // json format adds the request_id and route of the current request, if any
+  logAt(level, msg) {
+    if ( LOG_LEVELS.indexOf(level) > this.log_level ) return
+    msg = this.redact(String(msg))
+    let line
+    if ( this.log_format == 'json' ) {
+      let entry = { time: new Date().toISOString(), level: level, msg: msg }
+      let context = log_context.getStore()
+      if ( context ) Object.assign(entry, context)
+      line = JSON.stringify(entry)
+    } else {
+      line = this.localTimeString() + ' ' + msg
+    }
+    console.log(line)
+    if ( this.log_file ) this.writeLogFile(line)
+  }
+
   log(msg) {
-    console.log(this.localTimeString() + ' ' + msg)
+    this.logAt('info', msg)
+  }
+
+  errorlog(msg) {
+    this.logAt('error', msg)
+  }
+
+  warnlog(msg) {
+    this.logAt('warn', msg)
   }
 
   debuglog(msg) {
-    if (this.debug) this.log(msg)
+    this.logAt('debug', msg)
+  }
+
+  // for full playlists and response bodies
+  tracelog(msg) {
+    this.logAt('trace', msg)
+  }
+
+  // Replace tokens, passwords (including those in URLs), and content_protect values with [redacted]
+  redact(msg) {
+    for (var i=0; i<LOG_REDACTIONS.length; i++) {
+      msg = msg.replace(LOG_REDACTIONS[i], '$1[redacted]')
+    }
+    let secrets = this.log_secrets.concat([ this.credentials && this.credentials.account_password, this.protection && this.protection.content_protect, this.data && this.data.loginToken ])
+    for (var i=0; i<secrets.length; i++) {
+      if ( secrets[i] && (secrets[i].length >= 4) ) {
+        msg = msg.split(secrets[i]).join('[redacted]')
+      }
+    }
+    return msg
+  }
+
+  // Append a line to the log file in the data directory, rotating it to numbered files when it reaches the size limit
+  writeLogFile(line) {
+    try {
+      line += "\n"
+      if ( this.log_file_bytes === undefined ) {
+        this.createDirectory(this.DATA_DIRECTORY)
+        this.log_file_bytes = fs.existsSync(this.LOG_FILE) ? fs.statSync(this.LOG_FILE).size : 0
+      }
+      if ( (this.log_file_bytes > 0) && ((this.log_file_bytes + Buffer.byteLength(line)) > this.log_file_size) ) {
+        if ( this.log_file_count > 0 ) {
+          for (var i=this.log_file_count; i>0; i--) {
+            let from = (i > 1) ? (this.LOG_FILE + '.' + (i-1)) : this.LOG_FILE
+            if ( fs.existsSync(from) ) fs.renameSync(from, this.LOG_FILE + '.' + i)
+          }
+        } else {
+          fs.unlinkSync(this.LOG_FILE)
+        }
+        this.log_file_bytes = 0
+      }
+      fs.appendFileSync(this.LOG_FILE, line)
+      this.log_file_bytes += Buffer.byteLength(line)
+    } catch (e) {
+      this.log_file = false
+      console.log('log file disabled after error : ' + e.message)
+    }
   }
 
+  // Log a request, and assign it an id (from an X-Request-Id header, if valid) for the rest of its log messages
   requestlog(type, req, debug=false) {
+    let request_id = (req.headers && req.headers['x-request-id'] && /^[A-Za-z0-9._-]{1,64}$/.test(req.headers['x-request-id'])) ? req.headers['x-request-id'] : this.getRandomString(12)
+    log_context.enterWith({ request_id: request_id, route: type })
     if ( req.url ) {
       let msg = type + ' request : ' + req.url
       if ( req.headers && req.headers['x-forwarded-for'] ) {
@@ -1361,13 +1716,55 @@ class sessionClass {
         msg += ' from: ' + req.connection.remoteAddress
       }
       if ( req.headers && req.headers['user-agent'] ) msg += ' using: ' + req.headers['user-agent']
-      if (!debug || this.debug) this.log(msg)
+      this.logAt(debug ? 'debug' : 'info', msg)
     }
+    this.countRequest(type)
+  }
+
+  // The current request's id, or false outside of a request
+  getRequestId() {
+    let context = log_context.getStore()
+    return context ? context.request_id : false
+  }
+
+  countRequest(type) {
+    metrics.requests[type] = (metrics.requests[type] || 0) + 1
+  }
+
+  countProxiedBytes(bytes) {
+    metrics.proxied_bytes += bytes
+  }
+
+  countDecryptFailure() {
+    metrics.decrypt_failures++
+  }
+
+  // Count a cache lookup as a hit or miss, by cache category
+  countCacheLookup(category, hit) {
+    if ( !metrics.cache[category] ) metrics.cache[category] = { hit: 0, miss: 0 }
+    metrics.cache[category][hit ? 'hit' : 'miss']++
+  }
+
+  // type is gamechanger or streamfinder
+  countGameChangerSwitch(type) {
+    metrics.gamechanger_switches[type] = (metrics.gamechanger_switches[type] || 0) + 1
+  }
+
+  // Add the duration of an upstream request (successful or not) to its host's totals
+  recordUpstreamLatency(host, start, failed=false) {
+    if ( !metrics.upstream[host] ) metrics.upstream[host] = { seconds: 0, count: 0, failures: 0 }
+    metrics.upstream[host].seconds += (Date.now() - start) / 1000
+    metrics.upstream[host].count++
+    if ( failed ) metrics.upstream[host].failures++
+  }
+
+  getMetrics() {
+    return metrics
   }
 
   halt(msg) {
     this.log(msg)
-    process.exit(1)
+    throw new upstreamError(msg)
   }
 
   logout() {
@@ -1395,20 +1792,48 @@ class sessionClass {
     }
   }
 
-  get_multiview_directory() {
+  // each multiview session gets its own subdirectory, named by its id
+  get_multiview_directory(id=false) {
+    if ( id ) {
+      let multiview_directory = path.join(this.multiview_path, id)
+      this.createDirectory(multiview_directory)
+      return multiview_directory
+    }
     return this.multiview_path
   }
 
-  clear_multiview_files() {
+  // write a multiview overlay text file, via a temporary file so ffmpeg never reads a partial update
+  write_multiview_overlay(id, index, text) {
+    let overlay_file = path.join(this.get_multiview_directory(id), 'overlay_' + index + '.txt')
     try {
-      if ( this.multiview_path ) {
-        fs.readdir(this.multiview_path, (err, files) => {
-          if (err) throw err
+      fs.writeFileSync(overlay_file + '.tmp', text)
+      fs.renameSync(overlay_file + '.tmp', overlay_file)
+    } catch(e){
+      this.debuglog('write multiview overlay error : ' + e.message)
+    }
+    return overlay_file
+  }
+
+  // clear a multiview session's files, or all multiview files and session subdirectories if no id is specified
+  clear_multiview_files(id=false) {
+    try {
+      let multiview_directory = this.multiview_path
+      if ( multiview_directory && id ) multiview_directory = path.join(multiview_directory, id)
+      if ( multiview_directory && fs.existsSync(multiview_directory) ) {
+        // errors in these callbacks can't be caught below, so log them instead
+        fs.readdir(multiview_directory, { withFileTypes: true }, (err, files) => {
+          if (err) return this.debuglog('clear multiview files error : ' + err.message)
 
           for (const file of files) {
-            fs.unlink(path.join(this.multiview_path, file), err => {
-              if (err) throw err
-            })
+            if ( file.isDirectory() ) {
+              fs.rm(path.join(multiview_directory, file.name), { recursive: true, force: true }, err => {
+                if (err) this.debuglog('clear multiview files error : ' + err.message)
+              })
+            } else {
+              fs.unlink(path.join(multiview_directory, file.name), err => {
+                if (err) this.debuglog('clear multiview files error : ' + err.message)
+              })
+            }
           }
         })
       }
@@ -1445,10 +1870,92 @@ class sessionClass {
     this.debuglog('cache file saved')
   }
 
-  parse_stream_finder_settings(body) {
-    this.stream_finder_settings = JSON.parse(body.match(/^([{][\s\S]+[}])$/m)[1])
+  // Settings are saved for the specified user, or shared if no user is specified
+  // Parse uploaded Stream Finder settings, throwing an error if they can't be found or aren't valid
+  parse_stream_finder_settings(body, username=false) {
+    let match = body.match(/^([{][\s\S]+[}])$/m)
+    if ( !match || !this.isValidJson(match[1]) ) {
+      throw new Error('no Stream Finder settings found in the uploaded file')
+    }
+    let stream_finder_settings = JSON.parse(match[1])
     this.debuglog('stream finder settings parsed')
-    this.save_stream_finder_settings()
+    this.save_valid_stream_finder_settings(stream_finder_settings, username)
+  }
+
+  // Validate and save Stream Finder settings, throwing an error listing any problems
+  save_valid_stream_finder_settings(stream_finder_settings, username=false) {
+    let errors = this.validate_stream_finder_settings(stream_finder_settings)
+    if ( errors.length > 0 ) {
+      throw new Error('invalid Stream Finder settings : ' + errors.join('; '))
+    }
+    this.setStreamFinderSettings(username, stream_finder_settings)
+  }
+
+  // Check Stream Finder settings against the format used by the Stream Finder, returning a list of error messages
+  validate_stream_finder_settings(stream_finder_settings) {
+    let errors = []
+    if ( !stream_finder_settings || (typeof stream_finder_settings !== 'object') || Array.isArray(stream_finder_settings) ) {
+      return [ 'settings must be an object' ]
+    }
+
+    if ( typeof stream_finder_settings.priority !== 'undefined' ) {
+      if ( !stream_finder_settings.priority || (typeof stream_finder_settings.priority !== 'object') ) {
+        errors.push('priority must be a list')
+      } else {
+        let priorities = Object.values(stream_finder_settings.priority)
+        for (var i=0; i<priorities.length; i++) {
+          let priority = priorities[i]
+          let label = 'priority ' + (i+1)
+          if ( !priority || (typeof priority !== 'object') ) {
+            errors.push(label + ' must be an object')
+            continue
+          }
+          let kind = STREAM_FINDER_PRIORITY_TYPES[priority.type]
+          let data = ((typeof priority.data === 'undefined') || (priority.data === null)) ? '' : priority.data.toString()
+          if ( !kind ) {
+            errors.push(label + ' has unknown type "' + priority.type + '", expected one of ' + Object.keys(STREAM_FINDER_PRIORITY_TYPES).join(', '))
+          } else if ( ((kind == 'player') || (kind == 'team')) && !/^[0-9]+$/.test(data) ) {
+            errors.push(label + ' (' + priority.type + ') needs a numeric ' + kind + ' id, not "' + data + '"')
+          } else if ( (kind == 'leverage') && !(parseFloat(data) > 0) ) {
+            errors.push(label + ' (LI) needs a leverage index greater than 0, not "' + data + '"')
+          } else if ( (kind == 'inning') && (!/^[0-9]+$/.test(data) || (parseInt(data) < 1) || (parseInt(data) > 9)) ) {
+            errors.push(label + ' (NoNo) needs an inning from 1 to 9, not "' + data + '"')
+          } else if ( (kind == 'situation') && !STREAM_FINDER_GAME_SITUATIONS.includes(data) ) {
+            errors.push(label + ' (GameSit) has unknown situation "' + data + '", expected one of ' + STREAM_FINDER_GAME_SITUATIONS.join(', '))
+          } else if ( (kind == 'misc') && !STREAM_FINDER_MISC.includes(data) ) {
+            errors.push(label + ' (Misc) has unknown option "' + data + '", expected one of ' + STREAM_FINDER_MISC.join(', '))
+          }
+          if ( (typeof priority.immediate !== 'undefined') && !['Y', 'N'].includes(priority.immediate) ) {
+            errors.push(label + ' immediate must be Y or N')
+          }
+        }
+      }
+    }
+
+    if ( typeof stream_finder_settings.ignore !== 'undefined' ) {
+      if ( !Array.isArray(stream_finder_settings.ignore) ) {
+        errors.push('ignore must be a list of team ids')
+      } else {
+        for (var i=0; i<stream_finder_settings.ignore.length; i++) {
+          if ( !/^[0-9]+$/.test(stream_finder_settings.ignore[i]) ) {
+            errors.push('ignore has invalid team id "' + stream_finder_settings.ignore[i] + '"')
+          }
+        }
+      }
+    }
+
+    for (var i=0; i<STREAM_FINDER_FLAGS.length; i++) {
+      let flag = stream_finder_settings[STREAM_FINDER_FLAGS[i]]
+      if ( (typeof flag !== 'undefined') && !['Y', 'N'].includes(flag) ) {
+        errors.push(STREAM_FINDER_FLAGS[i] + ' must be Y or N')
+      }
+    }
+
+    return errors
+  }
+
+  getStreamFinderPriorityTypes() {
+    return { types: STREAM_FINDER_PRIORITY_TYPES, situations: STREAM_FINDER_GAME_SITUATIONS, misc: STREAM_FINDER_MISC }
   }
 
   save_stream_finder_settings() {
@@ -1457,6 +1964,477 @@ class sessionClass {
     this.debuglog('stream finder settings saved to file')
   }
 
+  get_recording_directory() {
+    return this.recording_path
+  }
+
+  save_recordings() {
+    this.createDirectory(this.DATA_DIRECTORY)
+    this.writeJsonToFile(JSON.stringify(this.recordings), this.RECORDINGS_FILE)
+    this.debuglog('recordings saved to file')
+  }
+
+  save_tokens() {
+    this.createDirectory(this.DATA_DIRECTORY)
+    this.writeJsonToFile(JSON.stringify(this.tokens), this.TOKENS_FILE)
+    this.tokens_saved = Date.now()
+    this.debuglog('tokens saved to file')
+  }
+
+  save_gamechanger_profiles() {
+    this.createDirectory(this.DATA_DIRECTORY)
+    this.writeJsonToFile(JSON.stringify(this.gamechanger_profiles), this.GAMECHANGER_PROFILES_FILE)
+    this.debuglog('gamechanger profiles saved to file')
+  }
+
+  // Profile ids are derived from the name when a profile is created, and kept after that so its channel stays the same
+  gamechanger_profile_id(name) {
+    return name.toString().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+  }
+
+  // Check a Game Changer profile, returning a list of errors (empty if valid)
+  validate_gamechanger_profile(profile) {
+    if ( !profile || (typeof profile !== 'object') || Array.isArray(profile) ) {
+      return [ 'profile must be an object' ]
+    }
+
+    let errors = []
+    if ( (typeof profile.name !== 'string') || (profile.name.trim() == '') ) {
+      errors.push('name is required')
+    } else if ( profile.name.length > GAMECHANGER_PROFILE_NAME_LENGTH ) {
+      errors.push('name must be ' + GAMECHANGER_PROFILE_NAME_LENGTH + ' characters or less')
+    } else if ( /[<>&"]/.test(profile.name) ) {
+      errors.push('name cannot include <, >, &, or "')
+    } else if ( this.gamechanger_profile_id(profile.name) == '' ) {
+      errors.push('name must include a letter or number')
+    }
+
+    for (const filter of ['includeTeams', 'excludeTeams']) {
+      if ( typeof profile[filter] === 'undefined' ) continue
+      if ( !Array.isArray(profile[filter]) ) {
+        errors.push(filter + ' must be a list of team abbreviations')
+        continue
+      }
+      let invalid = profile[filter].filter(v => !TEAM_IDS[v])
+      if ( invalid.length > 0 ) {
+        errors.push(filter + ' has unknown teams ' + invalid.join(', '))
+      }
+    }
+
+    if ( (typeof profile.streamFinder !== 'undefined') && (typeof profile.streamFinder !== 'boolean') ) {
+      errors.push('streamFinder must be true or false')
+    }
+    if ( profile.stream_finder_settings ) {
+      let stream_finder_errors = this.validate_stream_finder_settings(profile.stream_finder_settings)
+      for (var i=0; i<stream_finder_errors.length; i++) {
+        errors.push('Stream Finder ' + stream_finder_errors[i])
+      }
+    }
+
+    if ( (typeof profile.dwell !== 'undefined') && (!Number.isInteger(profile.dwell) || (profile.dwell < 0) || (profile.dwell > GAMECHANGER_MAX_DWELL)) ) {
+      errors.push('dwell must be a whole number of seconds from 0 to ' + GAMECHANGER_MAX_DWELL)
+    }
+    if ( (typeof profile.finish !== 'undefined') && !VALID_GAMECHANGER_FINISH.includes(profile.finish) ) {
+      errors.push('finish must be one of ' + VALID_GAMECHANGER_FINISH.join(', '))
+    }
+    if ( (typeof profile.threshold !== 'undefined') && (profile.threshold !== null) && ((typeof profile.threshold !== 'number') || !(profile.threshold >= 0) || (profile.threshold > GAMECHANGER_MAX_THRESHOLD)) ) {
+      errors.push('threshold must be a leverage difference from 0 to ' + GAMECHANGER_MAX_THRESHOLD + ', or null for the default')
+    }
+    if ( (typeof profile.returnToPrevious !== 'undefined') && (typeof profile.returnToPrevious !== 'boolean') ) {
+      errors.push('returnToPrevious must be true or false')
+    }
+
+    return errors.concat(this.validate_gamechanger_levels(profile))
+  }
+
+  // Check the includeLevels and includeOrgs of a Game Changer profile or stream, returning a list of errors (empty if valid)
+  validate_gamechanger_levels(options) {
+    let errors = []
+    let valid_levels = Object.keys(LEVELS).map(v => v.toUpperCase())
+    for (const [filter, valid, description] of [['includeLevels', v => valid_levels.includes(v), 'levels'], ['includeOrgs', v => AFFILIATE_TEAM_IDS[v], 'organizations']]) {
+      if ( typeof options[filter] === 'undefined' ) continue
+      if ( !Array.isArray(options[filter]) ) {
+        errors.push(filter + ' must be a list of ' + description)
+        continue
+      }
+      let invalid = options[filter].filter(v => !valid(v))
+      if ( invalid.length > 0 ) {
+        errors.push(filter + ' has unknown ' + description + ' ' + invalid.join(', '))
+      }
+    }
+    return errors
+  }
+
+  // Save a valid Game Changer profile, creating it if no id is given, and returning it (or false if the id is unknown or taken)
+  save_gamechanger_profile(profile, id=false) {
+    let existing
+    if ( id ) {
+      existing = this.get_gamechanger_profile(id)
+      if ( !existing ) return false
+    } else {
+      id = this.gamechanger_profile_id(profile.name)
+      if ( Object.hasOwn(this.gamechanger_profiles, id) ) return false
+    }
+    this.gamechanger_profiles[id] = {
+      id: id,
+      name: profile.name.trim(),
+      includeTeams: profile.includeTeams || [],
+      excludeTeams: profile.excludeTeams || [],
+      streamFinder: profile.streamFinder || false,
+      stream_finder_settings: profile.stream_finder_settings || false,
+      dwell: profile.dwell || 0,
+      finish: profile.finish || VALID_GAMECHANGER_FINISH[0],
+      threshold: (typeof profile.threshold === 'number') ? profile.threshold : null,
+      returnToPrevious: profile.returnToPrevious || false,
+      includeLevels: profile.includeLevels || [],
+      includeOrgs: profile.includeOrgs || [],
+      created: existing ? existing.created : new Date().toISOString()
+    }
+    this.log((existing ? 'updated' : 'created') + ' gamechanger profile ' + id)
+    this.save_gamechanger_profiles()
+    return this.gamechanger_profiles[id]
+  }
+
+  // Game Changer switching rules from query parameters, ignoring invalid values
+  getGameChangerRules(query) {
+    let rules = {}
+    let dwell = Number(query.dwell)
+    if ( query.dwell && Number.isInteger(dwell) && (dwell >= 0) && (dwell <= GAMECHANGER_MAX_DWELL) ) {
+      rules.dwell = dwell
+    }
+    if ( VALID_GAMECHANGER_FINISH.includes(query.finish) ) {
+      rules.finish = query.finish
+    }
+    let threshold = parseFloat(query.threshold)
+    if ( (threshold >= 0) && (threshold <= GAMECHANGER_MAX_THRESHOLD) ) {
+      rules.threshold = threshold
+    }
+    if ( query.returnToPrevious ) {
+      rules.returnToPrevious = (query.returnToPrevious == 'true')
+    }
+    return rules
+  }
+
+  // Level and team ids of the games a Game Changer follows, from includeLevels and includeOrgs like getTVData
+  // MLB only if neither is set; includeLevels takes precedence, and includeOrgs adds those organizations' affiliates to all MLB teams
+  getGameChangerLevels(includeLevels=[], includeOrgs=[]) {
+    let level_ids = LEVELS['MLB']
+    let team_ids = []
+    if ( includeLevels.length > 0 ) {
+      if ( includeLevels.includes('ALL') ) {
+        level_ids = LEVELS['All']
+      } else {
+        let level_list = []
+        for (let i = 0; i < includeLevels.length; i++) {
+          if ( LEVELS[includeLevels[i]] ) {
+            level_list.push(LEVELS[includeLevels[i]])
+          }
+        }
+        if ( level_list.length > 0 ) level_ids = level_list.toString()
+      }
+    } else if ( includeOrgs.length > 0 ) {
+      level_ids = LEVELS['All']
+      team_ids = this.getTeamIds().split(',')
+      for (let i = 0; i < includeOrgs.length; i++) {
+        if ( AFFILIATE_TEAM_IDS[includeOrgs[i]] ) {
+          team_ids = team_ids.concat(AFFILIATE_TEAM_IDS[includeOrgs[i]].split(','))
+        }
+      }
+    }
+    return { level_ids, team_ids }
+  }
+
+  list_gamechanger_profiles() {
+    return Object.values(this.gamechanger_profiles).sort(function(a, b) {
+      return a.created.localeCompare(b.created)
+    })
+  }
+
+  get_gamechanger_profile(id) {
+    return Object.hasOwn(this.gamechanger_profiles, id) && this.gamechanger_profiles[id]
+  }
+
+  delete_gamechanger_profile(id) {
+    if ( !Object.hasOwn(this.gamechanger_profiles, id) ) return false
+    this.log('deleted gamechanger profile ' + id)
+    delete this.gamechanger_profiles[id]
+    this.save_gamechanger_profiles()
+    return true
+  }
+
+  hash_token(token) {
+    return crypto.createHash('sha256').update(token).digest('hex')
+  }
+
+  // Issue a named API token, returning its value (which is only stored as a hash, so it can't be shown again)
+  issue_token(name, scope=VALID_TOKEN_SCOPES[0], expires_days=false) {
+    if ( !VALID_TOKEN_SCOPES.includes(scope) ) return false
+    let token = crypto.randomBytes(24).toString('hex')
+    let id = this.getRandomString(8)
+    let created = new Date()
+    this.tokens[id] = {
+      id: id,
+      name: name,
+      scope: scope,
+      hash: this.hash_token(token),
+      created: created.toISOString(),
+      expires: expires_days ? new Date(created.getTime() + (expires_days * 24 * 60 * 60 * 1000)).toISOString() : false,
+      last_used: false
+    }
+    this.log('issued ' + scope + ' token ' + id + ' (' + name + ')')
+    this.save_tokens()
+    return { id: id, token: token }
+  }
+
+  // List tokens without their hashes
+  list_tokens() {
+    return Object.values(this.tokens).map(function(token) {
+      let { hash, ...listed } = token
+      return listed
+    })
+  }
+
+  revoke_token(id) {
+    if ( !Object.hasOwn(this.tokens, id) ) return false
+    this.log('revoked token ' + id + ' (' + this.tokens[id].name + ')')
+    delete this.tokens[id]
+    this.save_tokens()
+    return true
+  }
+
+  // Check an API token value, returning its record if valid and unexpired, and updating its last used time
+  check_token(token) {
+    if ( !token ) return false
+    let hash = this.hash_token(token.toString())
+    let record = Object.values(this.tokens).find(v => v.hash === hash)
+    if ( !record ) return false
+    let now = new Date()
+    if ( record.expires && (new Date(record.expires) < now) ) {
+      this.debuglog('expired token ' + record.id + ' (' + record.name + ')')
+      return false
+    }
+    let first_use = !record.last_used
+    record.last_used = now.toISOString()
+    if ( first_use || !this.tokens_saved || ((now - this.tokens_saved) >= (TOKEN_LAST_USED_SAVE_INTERVAL * 1000)) ) {
+      this.save_tokens()
+    }
+    return record
+  }
+
+  // The signature covers the path too, so a handle only works on the path it was issued for
+  sign_handle_id(id, expires, pathname) {
+    return crypto.createHmac('sha256', signed_handles.key).update(id + '.' + expires + '.' + pathname).digest('hex').substring(0, 32)
+  }
+
+  // Store proxy parameters (url, streamURLToken, referer, key, iv) server-side, returning an opaque signed handle for them on a path like "id.expires.signature"
+  // The same parameters get the same handle until it is halfway to expiring, so repeated playlist reloads don't grow the map
+  signHandle(params, pathname) {
+    let now = Math.floor(Date.now() / 1000)
+    if ( (Date.now() - signed_handles.pruned) >= (SIGNED_HANDLE_PRUNE_INTERVAL * 1000) ) {
+      for (const [id, entry] of signed_handles.entries) {
+        if ( entry.expires < now ) signed_handles.entries.delete(id)
+      }
+      signed_handles.pruned = Date.now()
+    }
+    let id = crypto.createHash('sha256').update(JSON.stringify(params)).digest('hex').substring(0, 32)
+    let entry = signed_handles.entries.get(id)
+    if ( !entry || ((entry.expires - now) < (this.signed_url_ttl / 2)) ) {
+      entry = { params: params, expires: now + this.signed_url_ttl }
+      signed_handles.entries.set(id, entry)
+    }
+    return id + '.' + entry.expires + '.' + this.sign_handle_id(id, entry.expires, pathname)
+  }
+
+  // Resolve a signed handle to its proxy parameters, or false if it is invalid, expired, or for a different path
+  // Playlist handles expire a TTL after their last use instead of when they were signed
+  resolveSignedHandle(handle, pathname) {
+    let parts = (handle || '').toString().split('.')
+    if ( parts.length != 3 ) return false
+    let [id, expires, signature] = parts
+    let expected = this.sign_handle_id(id, expires, pathname)
+    if ( (signature.length != expected.length) || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)) ) {
+      this.debuglog('invalid signed handle signature')
+      return false
+    }
+    let now = Math.floor(Date.now() / 1000)
+    let entry = signed_handles.entries.get(id)
+    let sliding = SLIDING_HANDLE_PATHS.includes(pathname)
+    if ( !entry || ((sliding ? entry.expires : parseInt(expires)) < now) ) {
+      this.debuglog('expired signed handle')
+      return false
+    }
+    if ( sliding ) {
+      entry.expires = Math.max(entry.expires, now + this.signed_url_ttl)
+    }
+    return entry.params
+  }
+
+  // save the process ids of running ffmpeg jobs, so they can be cleaned up if the server restarts
+  save_jobs(jobs) {
+    this.createDirectory(this.DATA_DIRECTORY)
+    this.writeJsonToFile(JSON.stringify(jobs), this.JOBS_FILE)
+  }
+
+  // kill any ffmpeg jobs left running by a previous run of the server
+  kill_orphaned_jobs() {
+    let jobs = this.readFileToJson(this.JOBS_FILE) || []
+    for (var i=0; i<jobs.length; i++) {
+      // make sure the process id hasn't been reused by something else
+      if ( jobs[i].pid && this.is_ffmpeg_process(jobs[i].pid) ) {
+        try {
+          process.kill(jobs[i].pid, 'SIGKILL')
+          this.log('killed orphaned ffmpeg job ' + jobs[i].pid + ' (' + jobs[i].purpose + ')')
+        } catch(e) {
+          this.debuglog('kill orphaned job error : ' + e.message)
+        }
+      }
+    }
+    this.save_jobs([])
+  }
+
+  // check whether a process is ffmpeg (Linux only, otherwise assumes not)
+  is_ffmpeg_process(pid) {
+    try {
+      return fs.readFileSync('/proc/' + pid + '/cmdline', 'utf8').includes('ffmpeg')
+    } catch(e) {
+      return false
+    }
+  }
+
+  // get CPU time and memory usage for a process (Linux only)
+  get_process_usage(pid) {
+    try {
+      let stat = fs.readFileSync('/proc/' + pid + '/stat', 'utf8')
+      // fields after the command name, starting with state: utime and stime are in clock ticks, rss is in pages
+      let fields = stat.substring(stat.lastIndexOf(')') + 2).split(' ')
+      return {
+        cpu_seconds: (parseInt(fields[11]) + parseInt(fields[12])) / 100,
+        memory_mb: Math.round(parseInt(fields[21]) * 4096 / 1048576)
+      }
+    } catch(e) {
+      return false
+    }
+  }
+
+  add_recording_rule(rule) {
+    rule.id = this.getRandomString(8)
+    rule.created = new Date().toISOString()
+    this.recordings.rules[rule.id] = rule
+    this.log('added recording rule ' + rule.id + ' for ' + rule.team + ' ' + rule.level + ' ' + rule.mediaType)
+    this.save_recordings()
+    return rule.id
+  }
+
+  // Deleting a rule also removes any of its recordings which haven't started yet
+  delete_recording_rule(rule_id) {
+    if ( !this.recordings.rules[rule_id] ) return false
+    delete this.recordings.rules[rule_id]
+    for (const [id, recording] of Object.entries(this.recordings.recordings)) {
+      if ( (recording.rule_id == rule_id) && (recording.status == 'scheduled') ) {
+        delete this.recordings.recordings[id]
+      }
+    }
+    this.log('deleted recording rule ' + rule_id)
+    this.save_recordings()
+    return true
+  }
+
+  set_recording_status(id, status, message=false) {
+    if ( !this.recordings.recordings[id] ) return
+    this.recordings.recordings[id].status = status
+    if ( message ) {
+      this.recordings.recordings[id].message = message
+    }
+    this.save_recordings()
+  }
+
+  // Deleting a recording also removes its files from the library
+  delete_recording(id) {
+    if ( !this.recordings.recordings[id] ) return false
+    let files = this.recordings.recordings[id].files || []
+    for (let i=0; i<files.length; i++) {
+      try {
+        if ( fs.existsSync(files[i]) ) fs.unlinkSync(files[i])
+      } catch(e) {
+        this.errorlog('delete recording file error : ' + e.message)
+      }
+    }
+    delete this.recordings.recordings[id]
+    this.log('deleted recording ' + id)
+    this.save_recordings()
+    return true
+  }
+
+  // Library file name like "2024-04-01 Yankees at Astros.ts"
+  get_recording_filename(program, rule) {
+    let name = program.date + ' ' + program.title
+    if ( program.gameNumber ) {
+      name += ' Game ' + program.gameNumber
+    }
+    if ( rule.mediaType != 'Video' ) {
+      name += ' ' + rule.mediaType
+    } else if ( rule.audio_track ) {
+      name += ' ' + rule.audio_track
+    }
+    return name.replace(/[^\w\s.-]/g, '').replace(/\s+/g, ' ').trim() + '.ts'
+  }
+
+  // Check the guide programs for each recording rule, and schedule any new matching games
+  async update_recordings(server) {
+    try {
+      let currentDate = new Date()
+      let changed = false
+      for (const [rule_id, rule] of Object.entries(this.recordings.rules)) {
+        this.debuglog('update_recordings checking rule ' + rule_id)
+        let includeTeams = []
+        let includeLevels = []
+        let includeOrgs = []
+        if ( rule.level == 'MLB' ) {
+          includeTeams = [rule.team]
+          includeLevels = ['MLB']
+        } else {
+          includeOrgs = [rule.team]
+        }
+        let programs = await this.getTVData('programs', rule.mediaType, includeTeams, [], includeLevels, includeOrgs, server, 'false', 'false', rule.audio_track, 'false', 'best')
+        if ( !programs ) continue
+        for (let i=0; i<programs.length; i++) {
+          let program = programs[i]
+          if ( (program.level != rule.level) || (currentDate > new Date(program.stop)) ) continue
+          let id = rule_id + '.' + program.gamePk
+          if ( this.recordings.recordings[id] ) continue
+
+          // store the stream path without the server, since the port may change between restarts
+          let stream = program.stream.replace(server, '')
+          if ( rule.skip && (rule.skip != 'off') ) {
+            stream += '&skip=' + encodeURIComponent(rule.skip)
+          }
+          this.recordings.recordings[id] = {
+            id: id,
+            rule_id: rule_id,
+            gamePk: program.gamePk,
+            channelid: program.channelid,
+            title: program.title,
+            date: program.date,
+            mediaType: rule.mediaType,
+            start: program.start,
+            stop: program.stop,
+            stream: stream,
+            file: this.get_recording_filename(program, rule),
+            files: [],
+            status: 'scheduled'
+          }
+          this.log('scheduled recording of ' + program.title + ' at ' + program.start)
+          changed = true
+        }
+      }
+      if ( changed ) {
+        this.save_recordings()
+      }
+    } catch(e) {
+      this.errorlog('update_recordings error : ' + e.message)
+    }
+  }
+
   // Generate a random integer in a range
   getRandomInteger(min, max) {
     return Math.floor(Math.random() * (max - min) ) + min;
@@ -1473,44 +2451,146 @@ class sessionClass {
     return s
   }
 
+  // Get the base URL for an upstream API service
+  upstreamURL(service) {
+    return this.upstream_urls[service]
+  }
+
+  // Convert a failed request into an upstreamError, with the status to return to the client
+  getUpstreamError(e, host) {
+    if ( e instanceof upstreamError ) return e
+    let message = 'upstream ' + host + ' request failed'
+    let statusCode = 502
+    let retryable = true
+    if ( e.statusCode ) {
+      message += ' with status ' + e.statusCode
+      retryable = (e.statusCode >= 500) || (e.statusCode == 429)
+    } else {
+      let cause = e.cause || e
+      if ( (cause.code == 'ETIMEDOUT') || (cause.code == 'ESOCKETTIMEDOUT') ) {
+        statusCode = 504
+      }
+      message += ' : ' + (cause.code || e.message)
+    }
+    return new upstreamError(message, host, statusCode, retryable)
+  }
+
+  // Retry only failures where the host may recover (connection errors, 5xx, or rate limiting)
+  isRetryableError(e) {
+    return (e instanceof upstreamError) ? e.retryable : true
+  }
+
+  // Exponential backoff with jitter: a random delay between half and all of the doubled base delay
+  getBackoffDelay(attempt) {
+    let delay = Math.min(UPSTREAM_BACKOFF_MAX, UPSTREAM_BACKOFF_BASE * Math.pow(2, attempt - 1))
+    return Math.round((delay / 2) + (Math.random() * delay / 2))
+  }
+
+  // Get the keep-alive agent for a URL's protocol and host, creating it if needed
+  getUpstreamAgent(u) {
+    let parsed
+    try {
+      parsed = new URL(u)
+    } catch (e) {
+      return undefined
+    }
+    let key = parsed.protocol + '//' + parsed.host
+    if ( !upstream_agents[key] ) {
+      let agentClass = (parsed.protocol == 'https:') ? https.Agent : http.Agent
+      upstream_agents[key] = new agentClass({ keepAlive: true, timeout: UPSTREAM_KEEP_ALIVE_TIMEOUT * 1000 })
+      this.debuglog('created keep-alive agent for ' + key)
+    }
+    return upstream_agents[key]
+  }
+
+  getUpstreamHost(u) {
+    try {
+      return new URL(u).host
+    } catch (e) {
+      return u
+    }
+  }
+
+  // Throw if a host's circuit breaker is open, or let one trial request through after the cooldown
+  checkCircuitBreaker(host) {
+    let breaker = this.circuit_breakers[host]
+    if ( breaker && breaker.opened ) {
+      let cooldown_remaining = Math.ceil(((breaker.opened.getTime() + (CIRCUIT_BREAKER_COOLDOWN * 1000)) - new Date().getTime()) / 1000)
+      if ( cooldown_remaining > 0 ) {
+        throw new upstreamError('upstream ' + host + ' is unavailable after repeated failures, try again in ' + cooldown_remaining + ' seconds', host, 503, false)
+      }
+      this.debuglog('circuit breaker trial request for ' + host)
+    }
+  }
+
+  // Track consecutive failures for a host, opening its circuit breaker at the threshold
+  recordUpstreamResult(host, available) {
+    let breaker = this.circuit_breakers[host]
+    if ( available ) {
+      if ( breaker && breaker.opened ) this.log('circuit breaker closed for ' + host)
+      delete this.circuit_breakers[host]
+    } else {
+      if ( !breaker ) breaker = this.circuit_breakers[host] = { failures: 0, opened: false }
+      breaker.failures++
+      if ( breaker.failures >= CIRCUIT_BREAKER_THRESHOLD ) {
+        if ( !breaker.opened ) this.warnlog('circuit breaker opened for ' + host + ' after ' + breaker.failures + ' consecutive failures')
+        breaker.opened = new Date()
+      }
+    }
+  }
+
+  // Upstream API request with retries and circuit breaker, throws an upstreamError on failure
+  async upstreamRequest(method, reqObj) {
+    let host = this.getUpstreamHost(reqObj.url)
+    for (let attempt=1; attempt<=UPSTREAM_TRIES; attempt++) {
+      this.checkCircuitBreaker(host)
+      let start = Date.now()
+      reqObj.agent = this.getUpstreamAgent(reqObj.url)
+      try {
+        let body = await this.request[method](reqObj)
+        this.recordUpstreamLatency(host, start)
+        this.recordUpstreamResult(host, true)
+        return body
+      } catch (e) {
+        let error = this.getUpstreamError(e, host)
+        this.recordUpstreamLatency(host, start, true)
+        this.recordUpstreamResult(host, !error.retryable)
+        if ( !error.retryable || (attempt == UPSTREAM_TRIES) ) throw error
+        let delay = this.getBackoffDelay(attempt)
+        this.warnlog(error.message + ', retrying in ' + delay + 'ms')
+        await this.sleep(delay)
+      }
+    }
+  }
+
   // Generic http GET request function
-  httpGet(reqObj, exit=true) {
+  // failures throw an upstreamError, or return false if throw_errors is false
+  async httpGet(reqObj, throw_errors=true) {
     reqObj.jar = this.jar
-    return new Promise((resolve, reject) => {
-      this.request.get(reqObj)
-      .then(function(body) {
-        resolve(body)
-      })
-      .catch(function(e) {
-        console.log('http get failed : ' + e.message)
-        console.log(reqObj)
-        if ( exit ) {
-          process.exit(1)
-        } else {
-          resolve(false)
-        }
-      })
-    })
+    try {
+      return await this.upstreamRequest('get', reqObj)
+    } catch (e) {
+      this.warnlog('http get failed : ' + e.message)
+      if ( throw_errors ) throw e
+      return false
+    }
   }
 
-  // Generic http POST request function
-  httpPost(reqObj) {
+  // Generic http POST request function, failures throw an upstreamError
+  async httpPost(reqObj) {
     reqObj.jar = this.jar
-    return new Promise((resolve, reject) => {
-      this.request.post(reqObj)
-      .then(function(body) {
-        resolve(body)
-      })
-      .catch(function(e) {
-        console.log('http post failed : ' + e.message)
-        console.log(reqObj)
-        process.exit(1)
-      })
-    })
+    try {
+      return await this.upstreamRequest('post', reqObj)
+    } catch (e) {
+      this.warnlog('http post failed : ' + e.message)
+      throw e
+    }
   }
 
   // request to use when fetching videos
-  streamVideo(u, opts, tries, cb) {
+  // server errors and failed connections are passed to the callback as an upstreamError, other responses are passed through
+  // with opts.stream, the response is passed through as soon as its headers arrive, for reading its body as a stream
+  streamVideo(u, opts, cb) {
     opts.jar = this.jar
     opts.headers = {
       'User-Agent': USER_AGENT
@@ -1525,13 +2605,70 @@ class sessionClass {
     if ( opts['x-cdn-token'] ) {
       opts.headers['x-cdn-token'] = opts['x-cdn-token']
     }
-    this.request(u, opts, cb)
+    let host = this.getUpstreamHost(u)
+    try {
+      this.checkCircuitBreaker(host)
+    } catch (e) {
+      return cb(e)
+    }
+    opts.agent = this.getUpstreamAgent(u)
+    let start = Date.now()
+    if ( opts.stream ) {
+      return this.streamVideoResponse(u, host, start, opts, cb)
+    }
+    this.request(u, opts, (err, response) => {
+      if ( !err && (response.statusCode >= 500) ) {
+        err = response
+      }
+      this.recordUpstreamLatency(host, start, err ? true : false)
+      if ( err ) {
+        let error = this.getUpstreamError(err, host)
+        this.recordUpstreamResult(host, !error.retryable)
+        this.warnlog('stream video failed on url : ' + u)
+        this.warnlog('stream video failed with error : ' + error.message)
+        this.tracelog('stream video failed with headers: ' + JSON.stringify(opts.headers))
+        return cb(error)
+      }
+      this.recordUpstreamResult(host, true)
+      cb(null, response)
+    })
     .catch(function(e) {
-      let curDate = new Date()
-      console.log(curDate.toLocaleString() + ' stream video failed on url : ' + u)
-      console.log(curDate.toLocaleString() + ' stream video failed with error : ' + e.message.toString())
-      console.log(curDate.toLocaleString() + ' stream video failed with headers: ' + JSON.stringify(opts.headers))
-      if ( (tries == 0) && !u.startsWith('http://127.0.0.1') ) process.exit(1)
+      // failures are handled in the callback above
+    })
+  }
+
+  streamVideoResponse(u, host, start, opts, cb) {
+    let response = false
+    let fail = (err) => {
+      let error = this.getUpstreamError(err, host)
+      this.recordUpstreamLatency(host, start, true)
+      this.recordUpstreamResult(host, !error.retryable)
+      this.warnlog('stream video failed on url : ' + u)
+      this.warnlog('stream video failed with error : ' + error.message)
+      return error
+    }
+    let request_opts = Object.assign({}, opts)
+    delete request_opts.stream
+    this.stream_request(u, request_opts)
+    .on('response', (res) => {
+      if ( res.statusCode >= 500 ) {
+        res.resume()
+        return cb(fail(res))
+      }
+      response = res
+      response.on('end', () => {
+        this.recordUpstreamLatency(host, start)
+        this.recordUpstreamResult(host, true)
+      })
+      cb(null, response)
+    })
+    .on('error', (err) => {
+      if ( response ) {
+        // failed after the response started, so pass the error on to whatever is reading it
+        response.emit('error', fail(err))
+      } else {
+        cb(fail(err))
+      }
     })
   }
 
@@ -1545,7 +2682,7 @@ class sessionClass {
       this.debuglog('using cached deviceId')
       return this.data.deviceId
     } else {
-      this.log('failed to getDeviceId')
+      this.warnlog('failed to getDeviceId')
     }
   }
 
@@ -1559,7 +2696,7 @@ class sessionClass {
       this.debuglog('using cached sessionId')
       return this.data.sessionId
     } else {
-      this.log('failed to getSessionId')
+      this.warnlog('failed to getSessionId')
     }
   }
 
@@ -1573,7 +2710,7 @@ class sessionClass {
       this.debuglog('using cached entitlements')
       return this.data.entitlements
     } else {
-      this.log('failed to getEntitlements')
+      this.warnlog('failed to getEntitlements')
     }
   }
 
@@ -1581,7 +2718,7 @@ class sessionClass {
   async getSession() {
     this.debuglog('getSession')
     let reqObj = {
-      url: GRAPHQL_URL,
+      url: this.upstreamURL('media-gateway') + '/graphql',
       headers: {
         'accept': 'application/json, text/plain, */*',
 		    'accept-encoding': 'gzip, deflate, br',
@@ -1617,7 +2754,7 @@ class sessionClass {
     }
     var response = await this.httpPost(reqObj)
     if ( response ) {
-      this.debuglog('getSession response : ' + JSON.stringify(response))
+      this.tracelog('getSession response : ' + JSON.stringify(response))
       this.data.deviceId = response.data.initSession.deviceId
       this.data.sessionId = response.data.initSession.sessionId
       var entitlements = []
@@ -1627,8 +2764,47 @@ class sessionClass {
       this.data.entitlements = entitlements
       this.save_session_data()
     } else {
-      this.log('getSession response failure')
+      this.warnlog('getSession response failure')
+    }
+  }
+
+  // Readiness checks for /readyz, which throw on failure or return a short status message
+  // (they only read cached state, so an unauthenticated request can't make the server contact upstream)
+
+  checkLoginToken() {
+    // an expired token is renewed on the next request that needs it, so only a missing one means not ready
+    if ( !this.data.loginToken ) {
+      throw new Error('no login token')
+    }
+    return 'login token present'
+  }
+
+  checkSession() {
+    if ( !this.data.deviceId || !this.data.sessionId ) {
+      throw new Error('no deviceId and sessionId')
     }
+    return 'deviceId and sessionId present'
+  }
+
+  // Log in and start a session in advance, so the readiness checks pass before the first stream request
+  async prepareSession() {
+    try {
+      await this.getLoginToken()
+      if ( !this.data.deviceId || !this.data.sessionId ) {
+        await this.getSession()
+      }
+    } catch (e) {
+      this.errorlog('prepare session error : ' + e.message)
+    }
+  }
+
+  // write and remove a test file, since a read-only mount can still look writable
+  checkCacheDirectory() {
+    this.createDirectory(this.CACHE_DIRECTORY)
+    let test_file = path.join(this.CACHE_DIRECTORY, '.readyz')
+    fs.writeFileSync(test_file, new Date().toISOString())
+    fs.unlinkSync(test_file)
+    return 'cache directory is writable'
   }
 
   // new API call
@@ -1636,6 +2812,7 @@ class sessionClass {
     this.debuglog('getStreamURL from ' + mediaId)
     if ( this.cache.media && this.cache.media[mediaId] && this.cache.media[mediaId].streamURL && this.cache.media[mediaId].streamURLToken && this.cache.media[mediaId].streamURLExpiry && (Date.parse(this.cache.media[mediaId].streamURLExpiry) > new Date()) ) {
       this.debuglog('using cached streamURL and token')
+      this.countCacheLookup('media', true)
       let streamInfo = {streamURL: this.cache.media[mediaId].streamURL, streamURLToken: this.cache.media[mediaId].streamURLToken}
       if ( this.cache.media[mediaId].rawStreamURL ) {
         streamInfo['rawStreamURL'] = this.cache.media[mediaId].rawStreamURL
@@ -1643,9 +2820,11 @@ class sessionClass {
       return streamInfo
     } else if ( this.cache.media && this.cache.media[mediaId] && this.cache.media[mediaId].blackout && this.cache.media[mediaId].blackoutExpiry && (Date.parse(this.cache.media[mediaId].blackoutExpiry) > new Date()) ) {
       this.log('mediaId recently blacked out, skipping')
+      this.countCacheLookup('media', true)
     } else {
+      this.countCacheLookup('media', false)
       let reqObj = {
-        url: GRAPHQL_URL,
+        url: this.upstreamURL('media-gateway') + '/graphql',
         simple: false,
         headers: {
           'accept': 'application/json, text/plain, */*',
@@ -1678,7 +2857,7 @@ class sessionClass {
       }
       var response = await this.httpPost(reqObj)
       if ( response ) {
-        this.debuglog('getStreamURL response : ' + JSON.stringify(response))
+        this.tracelog('getStreamURL response : ' + JSON.stringify(response))
         if ( response.data && response.data.initPlaybackSession && response.data.initPlaybackSession.playback && response.data.initPlaybackSession.playback.url ) {
           let rawStreamURL = response.data.initPlaybackSession.playback.url
           this.debuglog('getStreamURL rawStreamURL : ' + rawStreamURL)
@@ -1696,7 +2875,7 @@ class sessionClass {
           return false
         }
       } else {
-        this.log('getStreamURL response failure')
+        this.warnlog('getStreamURL response failure')
       }
     }
   }
@@ -1707,7 +2886,7 @@ class sessionClass {
     if ( !this.data.loginToken || !this.data.loginTokenExpiry || (Date.parse(this.data.loginTokenExpiry) < new Date()) ) {
       this.debuglog('need to get loginToken')
       let reqObj = {
-        url: 'https://ids.mlb.com/oauth2/aus1m088yK07noBfh356/v1/token',
+        url: this.upstreamURL('ids') + '/oauth2/aus1m088yK07noBfh356/v1/token',
         headers: {
           'user-agent': 'okhttp/3.12.1',
           'content-type': 'application/x-www-form-urlencoded'
@@ -1722,7 +2901,7 @@ class sessionClass {
       }
       var response = await this.httpPost(reqObj)
       if ( this.isValidJson(response) ) {
-        this.debuglog('getLoginToken : ' + response)
+        this.tracelog('getLoginToken : ' + response)
         let obj = JSON.parse(response)
         this.debuglog('getLoginToken token : ' + obj.access_token)
         this.debuglog('getLoginToken expires in : ' + obj.expires_in)
@@ -1732,7 +2911,7 @@ class sessionClass {
         await this.getSession()
         return this.data.loginToken
       } else {
-        this.log('getLoginToken response failure')
+        this.warnlog('getLoginToken response failure')
       }
     } else {
       this.debuglog('using cached loginToken')
@@ -1952,7 +3131,7 @@ class sessionClass {
         this.log('will not find mediaId for future date')
       }
     } catch(e) {
-      this.log('getMediaId error : ' + e.message)
+      this.errorlog('getMediaId error : ' + e.message)
     }
   }
 
@@ -1966,8 +3145,9 @@ class sessionClass {
       let cache_file = path.join(this.CACHE_DIRECTORY, cache_name+'.json')
       let currentDate = new Date()
       if ( !fs.existsSync(cache_file) || !this.cache || !this.cache.highlights || !this.cache.highlights[cache_name] || !this.cache.highlights[cache_name].highlightsCacheExpiry || (currentDate > new Date(this.cache.highlights[cache_name].highlightsCacheExpiry)) ) {
+        this.countCacheLookup('highlights', false)
         let reqObj = {
-          url: 'https://statsapi.mlb.com/api/v1/game/' + gamePk + '/content',
+          url: this.upstreamURL('statsapi') + '/api/v1/game/' + gamePk + '/content',
           headers: {
             'User-agent': USER_AGENT,
             'Origin': 'https://www.mlb.com',
@@ -2008,10 +3188,11 @@ class sessionClass {
           // finally save the setting
           this.setHighlightsCacheExpiry(cache_name, cacheExpiry)
         } else {
-          this.log('error : invalid json from url ' + reqObj.url)
+          this.errorlog('error : invalid json from url ' + reqObj.url)
         }
       } else {
         this.debuglog('using cached highlight data')
+        this.countCacheLookup('highlights', true)
         cache_data = this.readFileToJson(cache_file)
       }
       if (cache_data && cache_data.highlights && cache_data.highlights.highlights && cache_data.highlights.highlights.items) {
@@ -2019,7 +3200,7 @@ class sessionClass {
         return array.sort(this.GetSortOrder('date'))
       }
     } catch(e) {
-      this.log('getHighlightsData error : ' + e.message)
+      this.errorlog('getHighlightsData error : ' + e.message)
     }
   }
 
@@ -2061,7 +3242,7 @@ class sessionClass {
       }
       
       //let data_url = 'https://bdfed.stitch.mlbinfra.com/bdfed/transform-mlb-scoreboard?stitch_env=prod&sortTemplate=2&sportId=1&sportId=17&startDate=' + dateString + '&endDate=' + dateString + '&gameType=E&&gameType=S&&gameType=R&&gameType=F&&gameType=D&&gameType=L&&gameType=W&&gameType=A&language=en&leagueId=104&leagueId=103&leagueId=131&contextTeamId='
-      let data_url = 'https://statsapi.mlb.com/api/v1/schedule?sportId=' + level_ids
+      let data_url = this.upstreamURL('statsapi') + '/api/v1/schedule?sportId=' + level_ids
       if ( team_ids != '' ) {
         data_url += '&teamId=' + team_ids
       }
@@ -2069,13 +3250,14 @@ class sessionClass {
       if ( team && !team.toUpperCase().startsWith('NATIONAL.') && !team.toUpperCase().startsWith('FREE.') ) {
         this.debuglog('getDayData for team ' + team + ' on date ' + dateString)
         cache_name = team.toUpperCase() + dateString
-        data_url = 'https://statsapi.mlb.com/api/v1/schedule?sportId=1&teamId=' + TEAM_IDS[team.toUpperCase()] + '&startDate=' + dateString + '&endDate=' + dateString + '&hydrate=team,broadcasts(all)'
+        data_url = this.upstreamURL('statsapi') + '/api/v1/schedule?sportId=1&teamId=' + TEAM_IDS[team.toUpperCase()] + '&startDate=' + dateString + '&endDate=' + dateString + '&hydrate=team,broadcasts(all)'
       } else {
         this.debuglog('getDayData for level(s) ' + level_ids + ' on date ' + dateString)
       }
       let cache_file = path.join(this.CACHE_DIRECTORY, cache_name+'.json')
       let currentDate = new Date()
       if ( !fs.existsSync(cache_file) || !this.cache || !this.cache.dates || !this.cache.dates[cache_name] || !this.cache.dates[cache_name].dateCacheExpiry || (currentDate > new Date(this.cache.dates[cache_name].dateCacheExpiry)) ) {
+        this.countCacheLookup('dates', false)
         let reqObj = {
           url: data_url,
           headers: {
@@ -2132,17 +3314,18 @@ class sessionClass {
           // finally save the setting
           this.setDateCacheExpiry(cache_name, cacheExpiry)
         } else {
-          this.log('error : invalid json from url ' + reqObj.url)
+          this.errorlog('error : invalid json from url ' + reqObj.url)
         }
       } else {
         this.debuglog('using cached date data')
+        this.countCacheLookup('dates', true)
         cache_data = this.readFileToJson(cache_file)
       }
       if (cache_data) {
         return cache_data
       }
     } catch(e) {
-      this.log('getDayData error : ' + e.message)
+      this.errorlog('getDayData error : ' + e.message)
     }
   }
 
@@ -2170,11 +3353,12 @@ class sessionClass {
       let cache_file = path.join(this.CACHE_DIRECTORY, cache_name + '.json')
       let currentDate = new Date()
       if ( !fs.existsSync(cache_file) || !this.cache || !this.cache.weeks || !this.cache.weeks[cache_name] || !this.cache.weeks[cache_name].weekCacheExpiry || (currentDate > new Date(this.cache.weeks[cache_name].weekCacheExpiry)) ) {
+        this.countCacheLookup('weeks', false)
         let startDate = this.liveDate(utcHours)
         let endDate = new Date(startDate)
         endDate.setDate(endDate.getDate()+20)
         endDate = endDate.toISOString().substring(0,10)
-        let data_url = 'https://statsapi.mlb.com/api/v1/schedule?sportId=' + level_ids
+        let data_url = this.upstreamURL('statsapi') + '/api/v1/schedule?sportId=' + level_ids
         if ( team_ids != '' ) {
           data_url += '&teamId=' + team_ids
         }
@@ -2203,23 +3387,28 @@ class sessionClass {
           // finally save the setting
           this.setWeekCacheExpiry(cache_name, cacheExpiry)
         } else {
-          this.log('error : invalid json from url ' + reqObj.url)
+          this.errorlog('error : invalid json from url ' + reqObj.url)
         }
       } else {
         this.debuglog('using cached week data')
+        this.countCacheLookup('weeks', true)
         cache_data = this.readFileToJson(cache_file)
       }
       if (cache_data) {
         return cache_data
       }
     } catch(e) {
-      this.log('getWeeksData error : ' + e.message)
+      this.errorlog('getWeeksData error : ' + e.message)
     }
   }
 
-  // get TV data (channels or guide)
-  async getTVData(dataType, mediaType, includeTeams, excludeTeams, includeLevels, includeOrgs, server, includeBlackouts, includeTeamsInTitles='false', audio_track=false, offAir='false', resolution='best', pipe='false', startingChannelNumber=1) {
+  // get TV data (channels, guide, calendar, lineup, or programs)
+  async getTVData(dataType, mediaType, includeTeams, excludeTeams, includeLevels, includeOrgs, server, includeBlackouts, includeTeamsInTitles='false', audio_track=false, offAir='false', resolution='best', pipe='false', startingChannelNumber=1, credential=false) {
     try {
+      // stream URLs carry the requester's credential, or the content_protect key for internal requests
+      if ( credential === false ) {
+        credential = this.protection.content_protect ? 'content_protect=' + this.protection.content_protect : ''
+      }
       this.debuglog('getTVData for ' + dataType)
 
       var body = ''
@@ -2229,6 +3418,9 @@ class sessionClass {
       // output ICS calendar data, if requested
       } else if ( dataType == 'calendar' ) {
         body = 'BEGIN:VCALENDAR' + "\n" + 'PRODID:-//mlbserver//MLB Calendar//EN' + "\n" + 'VERSION:2.0'
+      // output HDHomeRun lineup data or structured program data, if requested
+      } else if ( (dataType == 'lineup') || (dataType == 'programs') ) {
+        body = []
       // otherwise output XML guide data
       } else {
         body = '<?xml version="1.0" encoding="UTF-8"?>' + "\n" +
@@ -2238,6 +3430,7 @@ class sessionClass {
       var channels = {}
       var calendar = ""
       var programs = ""
+      var program_list = []
 
       try {
         this.debuglog('getTVData processing')
@@ -2372,7 +3565,7 @@ class sessionClass {
                       }
                       stream += '&level=' + encodeURIComponent(this.getLevelNameFromSportId(sportId))
                       stream += '&resolution=' + resolution
-                      if ( this.protection.content_protect ) stream += '&content_protect=' + this.protection.content_protect
+                      if ( credential ) stream += '&' + credential
                       if ( pipe == 'true' ) stream = await this.convert_stream_to_pipe(stream, channelid)
                       if ( !channels[channelid] ) {
                         channels[channelid] = await this.create_channel_object(channelid, logo, stream, mediaType)
@@ -2462,7 +3655,7 @@ class sessionClass {
                       // MILB calendar ICS
                       let prefix = 'Watch'
                       let location = server + '/embed.html?team=' + encodeURIComponent(team) + '&mediaType=' + streamMediaType
-                      if ( this.protection.content_protect ) location += '&content_protect=' + this.protection.content_protect
+                      if ( credential ) location += '&' + credential
                       calendar += await this.generate_ics_event(prefix, calendar_start, calendar_stop, subtitle, description, location)
                       
                       // Off Air if necessary
@@ -2475,6 +3668,11 @@ class sessionClass {
                       // MILB guide XML
                       programs += await this.generate_xml_program(channelid, start, stop, title, description, logo, this.convertDateToAirDate(new Date(cache_data.dates[i].games[j].gameDate)), subtitle, team_id, cache_data.dates[i].games[j].gamePk, away_team, home_team)
 
+                      // MILB program data
+                      if ( dataType == 'programs' ) {
+                        program_list.push(await this.create_program_object(channelid, stream, new Date(stopDate.getTime() - (gameHours * 60 * 60 * 1000)), stopDate, subtitle, cache_data.dates[i].date, cache_data.dates[i].games[j], this.getLevelNameFromSportId(sportId)))
+                      }
+
                       //break
                     //}
                   }
@@ -2598,7 +3796,7 @@ class sessionClass {
                               stream += '&audio_track=' + audio_track
                             }
                             if ( includeBlackouts == 'true' ) stream += '&includeBlackouts=' + includeBlackouts
-                            if ( this.protection.content_protect ) stream += '&content_protect=' + this.protection.content_protect
+                            if ( credential ) stream += '&' + credential
                             if ( pipe == 'true' ) stream = await this.convert_stream_to_pipe(stream, channelid)
 
                             if ( !channels[channelid] ) {
@@ -2710,11 +3908,16 @@ class sessionClass {
                               location += '&audio_track=' + audio_track
                             }
                             if ( includeBlackouts == 'true' ) location += '&includeBlackouts=' + includeBlackouts
-                            if ( this.protection.content_protect ) location += '&content_protect=' + this.protection.content_protect
+                            if ( credential ) location += '&' + credential
                             calendar += await this.generate_ics_event(prefix, calendar_start, calendar_stop, subtitle, description, location)
 
                             // MLB guide XML
                             programs += await this.generate_xml_program(channelid, start, stop, title, description, icon, this.convertDateToAirDate(new Date(cache_data.dates[i].games[j].gameDate)), subtitle, seriesId, cache_data.dates[i].games[j].gamePk, away_team, home_team)
+
+                            // MLB program data
+                            if ( dataType == 'programs' ) {
+                              program_list.push(await this.create_program_object(channelid, stream, new Date(stopDate.getTime() - (gameHours * 60 * 60 * 1000)), stopDate, subtitle, cache_data.dates[i].date, cache_data.dates[i].games[j], 'MLB'))
+                            }
                             
                             // pre- and post-game shows
                             if ( pre_post_shows.pregame_shows[broadcast.mediaId] || pre_post_shows.postgame_shows[broadcast.mediaId] ) {
@@ -2777,7 +3980,7 @@ class sessionClass {
                     let channelid = mediaType + '.MASN'
                     //if ( this.protection.content_protect ) logo += '&amp;content_protect=' + this.protection.content_protect
                     let stream = server + '/stream.m3u8?event=masn&mediaType=Video&resolution=' + resolution
-                    if ( this.protection.content_protect ) stream += '&content_protect=' + this.protection.content_protect
+                    if ( credential ) stream += '&' + credential
                     if ( pipe == 'true' ) stream = await this.convert_stream_to_pipe(stream, channelid)
                     channels[channelid] = await this.create_channel_object(channelid, logo, stream, mediaType)
 
@@ -2809,7 +4012,7 @@ class sessionClass {
                     let channelid = mediaType + '.MLBN'
                     //if ( this.protection.content_protect ) logo += '&amp;content_protect=' + this.protection.content_protect
                     let stream = server + '/stream.m3u8?event=mlbn&mediaType=Video&resolution=' + resolution
-                    if ( this.protection.content_protect ) stream += '&content_protect=' + this.protection.content_protect
+                    if ( credential ) stream += '&' + credential
                     if ( pipe == 'true' ) stream = await this.convert_stream_to_pipe(stream, channelid)
                     channels[channelid] = await this.create_channel_object(channelid, logo, stream, mediaType)
 
@@ -2841,7 +4044,7 @@ class sessionClass {
                     let channelid = mediaType + '.SNLA'
                     //if ( this.protection.content_protect ) logo += '&amp;content_protect=' + this.protection.content_protect
                     let stream = server + '/stream.m3u8?event=snla&mediaType=Video&resolution=' + resolution
-                    if ( this.protection.content_protect ) stream += '&content_protect=' + this.protection.content_protect
+                    if ( credential ) stream += '&' + credential
                     if ( pipe == 'true' ) stream = await this.convert_stream_to_pipe(stream, channelid)
                     channels[channelid] = await this.create_channel_object(channelid, logo, stream, mediaType)
 
@@ -2873,7 +4076,7 @@ class sessionClass {
                     let channelid = mediaType + '.SNY'
                     //if ( this.protection.content_protect ) logo += '&amp;content_protect=' + this.protection.content_protect
                     let stream = server + '/stream.m3u8?event=sny&mediaType=Video&resolution=' + resolution
-                    if ( this.protection.content_protect ) stream += '&content_protect=' + this.protection.content_protect
+                    if ( credential ) stream += '&' + credential
                     if ( pipe == 'true' ) stream = await this.convert_stream_to_pipe(stream, channelid)
                     channels[channelid] = await this.create_channel_object(channelid, logo, stream, mediaType)
 
@@ -2903,7 +4106,7 @@ class sessionClass {
               let channelid = mediaType + '.BIGINNING'
               //if ( this.protection.content_protect ) logo += '&amp;content_protect=' + this.protection.content_protect
               let stream = server + '/stream.m3u8?event=biginning&mediaType=Video&resolution=' + resolution
-              if ( this.protection.content_protect ) stream += '&content_protect=' + this.protection.content_protect
+              if ( credential ) stream += '&' + credential
               if ( pipe == 'true' ) stream = await this.convert_stream_to_pipe(stream, channelid)
               channels[channelid] = await this.create_channel_object(channelid, logo, stream, mediaType)
 
@@ -2928,7 +4131,7 @@ class sessionClass {
                     // Big Inning calendar ICS
                     let prefix = 'Watch'
                     let location = server + '/embed.html?event=biginning&mediaType=Video&resolution=' + resolution
-                    if ( this.protection.content_protect ) location += '&content_protect=' + this.protection.content_protect
+                    if ( credential ) location += '&' + credential
                     calendar += await this.generate_ics_event(prefix, new Date(this.cache.bigInningSchedule[gameDate][j].start), new Date(this.cache.bigInningSchedule[gameDate][j].end), title, description, location)
                   
                     // Off Air if necessary
@@ -2965,45 +4168,16 @@ class sessionClass {
               //if ( this.protection.content_protect ) logo += '&amp;content_protect=' + this.protection.content_protect
               let logo = 'https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRi5AKF6eAu9Va9BzZzgw0PSsQXw8rXPiQLHA'
               let stream = server + '/gamechanger.m3u8?resolution=' + resolution
-              if ( this.protection.content_protect ) stream += '&content_protect=' + this.protection.content_protect
+              if ( credential ) stream += '&' + credential
               if ( pipe == 'true' ) stream = await this.convert_stream_to_pipe(stream, channelid)
               channels[channelid] = await this.create_channel_object(channelid, logo, stream, mediaType)
 
               let title = 'MLB.TV Game Changer'
               let description = 'Automatically switches between the highest leverage active live games.'
 
-              for (var i = 0; i < cache_data.dates.length; i++) {
-                if ( cache_data.dates[i].games.length > 1 ) {
-                  this.debuglog('getTVData processing Game Changer for date ' + cache_data.dates[i].date)
-                  let gameIndexes = gameIndexes_obj[cache_data.dates[i].date]
-                  if ( (typeof gameIndexes.firstGameIndex !== 'undefined') && (typeof gameIndexes.lastGameIndex !== 'undefined') && (gameIndexes.firstGameIndex !== gameIndexes.lastGameIndex) ) {
-                    this.debuglog('getTVData Game Changer available for date ' + cache_data.dates[i].date)
-                    let gameDate = new Date(cache_data.dates[i].games[gameIndexes.firstGameIndex].gameDate)
-                    let start = this.convertDateToXMLTV(gameDate)
-                    gameDate = new Date(cache_data.dates[i].games[gameIndexes.lastGameIndex].gameDate)
-                    let stopDate = gameDate
-                    stopDate.setHours(gameDate.getHours()+4)
-                    let stop = this.convertDateToXMLTV(stopDate)
-
-                    // Game Changer calendar ICS
-                    let prefix = 'Watch'
-                    let location = server + '/embed.html?src=' + encodeURIComponent(stream)
-                    if ( this.protection.content_protect ) location += '&content_protect=' + this.protection.content_protect
-                    calendar += await this.generate_ics_event(prefix, new Date(cache_data.dates[i].games[gameIndexes.firstGameIndex].gameDate), gameDate, title, description, location)
-                    
-                    // Off Air if necessary
-                    let off_air_event = await this.generate_off_air_event(offAir, channelid, cache_data.dates[i].date, channels[channelid].stop, cache_data.dates[i].games[gameIndexes.firstGameIndex].gameDate, title)
-                    if ( off_air_event ) {
-                      programs += off_air_event
-                      channels[channelid].stop = stop
-                    }
-
-                    // Game Changer guide XML
-                    programs += await this.generate_xml_program(channelid, start, stop, title, description, logo, this.convertDateToAirDate(gameDate))
-                  }
-                  this.debuglog('getTVData completed Game Changer for date ' + cache_data.dates[i].date)
-                }
-              }
+              let channel_programs = await this.generate_switching_channel_programs('Game Changer', channels[channelid], title, description, logo, credential, server, offAir, cache_data.dates, gameIndexes_obj)
+              calendar += channel_programs.calendar
+              programs += channel_programs.programs
               this.debuglog('getTVData completed Game Changer')
             }
           }
@@ -3019,46 +4193,51 @@ class sessionClass {
               //if ( this.protection.content_protect ) logo += '&amp;content_protect=' + this.protection.content_protect
               let logo = server + '/stream_finder_icon.png'
               let stream = server + '/gamechanger.m3u8?streamFinder=on&resolution=' + resolution
-              if ( this.protection.content_protect ) stream += '&content_protect=' + this.protection.content_protect
+              if ( credential ) stream += '&' + credential
               if ( pipe == 'true' ) stream = await this.convert_stream_to_pipe(stream, channelid)
               channels[channelid] = await this.create_channel_object(channelid, logo, stream, mediaType)
 
               let title = 'MLB.TV Stream Finder'
               let description = 'Automatically switches between games according to your preferences. This stream is not affiliated with Baseball Reference, do not contact them for support. Visit http://bit.ly/bbrefsf to create and export your preferences, then upload and save them to mlbserver at ' + server
 
-              for (var i = 0; i < cache_data.dates.length; i++) {
-                if ( cache_data.dates[i].games.length > 1 ) {
-                  this.debuglog('getTVData processing Stream Finder for date ' + cache_data.dates[i].date)
-                  let gameIndexes = gameIndexes_obj[cache_data.dates[i].date]
-                  if ( (typeof gameIndexes.firstGameIndex !== 'undefined') && (typeof gameIndexes.lastGameIndex !== 'undefined') && (gameIndexes.firstGameIndex !== gameIndexes.lastGameIndex) ) {
-                    this.debuglog('getTVData Stream Finder available for date ' + cache_data.dates[i].date)
-                    let gameDate = new Date(cache_data.dates[i].games[gameIndexes.firstGameIndex].gameDate)
-                    let start = this.convertDateToXMLTV(gameDate)
-                    gameDate = new Date(cache_data.dates[i].games[gameIndexes.lastGameIndex].gameDate)
-                    let stopDate = gameDate
-                    stopDate.setHours(gameDate.getHours()+4)
-                    let stop = this.convertDateToXMLTV(stopDate)
-
-                    // Stream Finder calendar ICS
-                    let prefix = 'Watch'
-                    let location = server + '/embed.html?src=' + encodeURIComponent(stream)
-                    if ( this.protection.content_protect ) location += '&content_protect=' + this.protection.content_protect
-                    calendar += await this.generate_ics_event(prefix, new Date(cache_data.dates[i].games[gameIndexes.firstGameIndex].gameDate), gameDate, title, description, location)
-                    
-                    // Off Air if necessary
-                    let off_air_event = await this.generate_off_air_event(offAir, channelid, cache_data.dates[i].date, channels[channelid].stop, cache_data.dates[i].games[gameIndexes.firstGameIndex].gameDate, title)
-                    if ( off_air_event ) {
-                      programs += off_air_event
-                      channels[channelid].stop = stop
-                    }
+              let channel_programs = await this.generate_switching_channel_programs('Stream Finder', channels[channelid], title, description, logo, credential, server, offAir, cache_data.dates, gameIndexes_obj)
+              calendar += channel_programs.calendar
+              programs += channel_programs.programs
+              this.debuglog('getTVData completed Stream Finder')
+            }
+          }
 
-                    // Stream Finder guide XML
-                    programs += await this.generate_xml_program(channelid, start, stop, title, description, logo, this.convertDateToAirDate(gameDate))
-                  }
-                  this.debuglog('getTVData completed Stream Finder for date ' + cache_data.dates[i].date)
-                }
+          // Game Changer profiles, each on its own channel
+          if ( (entitlements.length > 0) && (mediaType == 'MLBTV') && ((includeLevels.length == 0) || includeLevels.includes('MLB') || includeLevels.includes('ALL')) ) {
+            let profiles = this.list_gamechanger_profiles()
+            for (var p = 0; p < profiles.length; p++) {
+              let profile = profiles[p]
+              let profile_channel = 'GAMECHANGER.' + profile.id.toUpperCase()
+              if ( (excludeTeams.length > 0) && (excludeTeams.includes('GAMECHANGER') || excludeTeams.includes(profile_channel)) ) {
+                continue
+              } else if ( (includeTeams.length == 0) || includeTeams.includes('GAMECHANGER') || includeTeams.includes(profile_channel) ) {
+                this.debuglog('getTVData processing Game Changer profile ' + profile.id)
+                let channelid = mediaType + '.' + profile_channel
+                let logo = profile.streamFinder ? (server + '/stream_finder_icon.png') : 'https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRi5AKF6eAu9Va9BzZzgw0PSsQXw8rXPiQLHA'
+                let stream = server + '/gamechanger.m3u8?profile=' + profile.id + '&resolution=' + resolution
+                if ( credential ) stream += '&' + credential
+                if ( pipe == 'true' ) stream = await this.convert_stream_to_pipe(stream, channelid)
+                channels[channelid] = await this.create_channel_object(channelid, logo, stream, mediaType)
+
+                let title = 'MLB.TV Game Changer: ' + profile.name
+                let description = 'Automatically switches between ' + (profile.streamFinder ? 'games according to the profile\'s Stream Finder preferences' : 'the highest leverage active live games')
+                if ( profile.includeTeams.length > 0 ) description += ', including ' + profile.includeTeams.join(', ')
+                if ( profile.excludeTeams.length > 0 ) description += ', excluding ' + profile.excludeTeams.join(', ')
+                if ( profile.dwell > 0 ) description += ', staying on each game for at least ' + profile.dwell + ' seconds'
+                if ( profile.finish && (profile.finish != 'off') ) description += ', finishing each ' + ((profile.finish == 'atbat') ? 'at-bat' : 'half-inning') + ' before switching'
+                if ( profile.returnToPrevious ) description += ', returning to the previous game after highlights'
+                description += '.'
+
+                let channel_programs = await this.generate_switching_channel_programs('Game Changer profile ' + profile.id, channels[channelid], title, description, logo, credential, server, offAir, cache_data.dates, gameIndexes_obj)
+                calendar += channel_programs.calendar
+                programs += channel_programs.programs
+                this.debuglog('getTVData completed Game Changer profile ' + profile.id)
               }
-              this.debuglog('getTVData completed Stream Finder')
             }
           }
 
@@ -3073,7 +4252,7 @@ class sessionClass {
               //if ( this.protection.content_protect ) logo += '&amp;content_protect=' + this.protection.content_protect
               let logo = 'https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRi5AKF6eAu9Va9BzZzgw0PSsQXw8rXPiQLHA'
               let stream = server + '/stream.m3u8?src=' + encodeURIComponent('http://127.0.0.1:' + this.data.multiviewPort + this.data.multiviewStreamURLPath)
-              if ( this.protection.content_protect ) stream += '&content_protect=' + this.protection.content_protect
+              if ( credential ) stream += '&' + credential
               if ( pipe == 'true' ) stream = await this.convert_stream_to_pipe(stream, channelid)
               channels[channelid] = await this.create_channel_object(channelid, logo, stream, mediaType)
 
@@ -3116,7 +4295,7 @@ class sessionClass {
           }
         }
       } catch(e) {
-        this.log('getTVData processing error : ' + e.message)
+        this.errorlog('getTVData processing error : ' + e.message)
       }
 
       // output M3U channel data, if requested
@@ -3127,9 +4306,22 @@ class sessionClass {
           body += value.stream + "\n"
           channelnumber++
         }
+      // output structured program data, if requested
+      } else if ( dataType == 'programs' ) {
+        body = program_list
       // output ICS calendar data, if requested
       } else if ( dataType == 'calendar' ) {
         body += calendar + "\n" + 'END:VCALENDAR'
+      // output HDHomeRun lineup data, if requested
+      } else if ( dataType == 'lineup' ) {
+        let channelnumber = startingChannelNumber
+        for (const [key, value] of Object.entries(channels)) {
+          // tuner clients expect MPEG-TS, so wrap each channel stream in stream.ts
+          let stream = server + '/stream.ts?src=' + encodeURIComponent(value.stream)
+          if ( credential ) stream += '&' + credential
+          body.push({GuideNumber: '1.' + channelnumber, GuideName: key, URL: stream})
+          channelnumber++
+        }
       // otherwise output XML guide data
       } else {
         for (const [key, value] of Object.entries(channels)) {
@@ -3143,7 +4335,7 @@ class sessionClass {
 
       return body
     } catch(e) {
-      this.log('getTVData error : ' + e.message)
+      this.errorlog('getTVData error : ' + e.message)
     }
   }
 
@@ -3169,7 +4361,7 @@ class sessionClass {
       }
       var response = await this.httpGet(reqObj, false)
       if ( response ) {
-        this.debuglog('getImage response : ' + response)
+        this.tracelog('getImage response : ' + response)
         fs.writeFileSync(imagePath, response)
       } else {
         this.debuglog('failed to get image for ' + teamId)
@@ -3200,8 +4392,9 @@ class sessionClass {
       let cache_file = path.join(this.CACHE_DIRECTORY, cache_name+'.json')
       let currentDate = new Date()
       if ( !fs.existsSync(cache_file) || !this.cache || !this.cache.gameday || !this.cache.gameday[cache_name] || !this.cache.gameday[cache_name].gamedayCacheExpiry || (currentDate > new Date(this.cache.gameday[cache_name].gamedayCacheExpiry)) ) {
+        this.countCacheLookup('gameday', false)
         let reqObj = {
-          url: 'https://statsapi.mlb.com/api/v1.1/game/' + gamePk + '/feed/live',
+          url: this.upstreamURL('statsapi') + '/api/v1.1/game/' + gamePk + '/feed/live',
           headers: {
             'User-agent': USER_AGENT,
             'Origin': 'https://www.mlb.com',
@@ -3212,7 +4405,7 @@ class sessionClass {
         }
         var response = await this.httpGet(reqObj, false)
         if ( response && this.isValidJson(response) ) {
-          this.debuglog(response)
+          this.tracelog(response)
           cache_data = JSON.parse(response)
           this.save_json_cache_file(cache_name, cache_data)
 
@@ -3237,20 +4430,87 @@ class sessionClass {
           // finally save the setting
           this.setGamedayCacheExpiry(cache_name, cacheExpiry)
         } else {
-          this.log('error : invalid response from url ' + reqObj.url)
+          this.errorlog('error : invalid response from url ' + reqObj.url)
         }
       } else {
         this.debuglog('using cached gameday data')
+        this.countCacheLookup('gameday', true)
         cache_data = this.readFileToJson(cache_file)
       }
       if (cache_data) {
         return cache_data
       }
     } catch(e) {
-      this.log('getGamedayData error : ' + e.message)
+      this.errorlog('getGamedayData error : ' + e.message)
+    }
+  }
+
+  // Get the 40-man rosters of all MLB teams, as a list of players with their id, name, position, and team
+  async getRosters() {
+    try {
+      this.debuglog('getRosters')
+
+      let cache_data
+      let cache_name = 'rosters'
+      let cache_file = path.join(this.CACHE_DIRECTORY, cache_name+'.json')
+      let currentDate = new Date()
+      if ( !fs.existsSync(cache_file) || !this.cache || !this.cache.rosters || !this.cache.rosters.rostersCacheExpiry || (currentDate > new Date(this.cache.rosters.rostersCacheExpiry)) ) {
+        this.countCacheLookup('rosters', false)
+        cache_data = []
+        for (const [team, team_id] of Object.entries(TEAM_IDS)) {
+          let reqObj = {
+            url: this.upstreamURL('statsapi') + '/api/v1/teams/' + team_id + '/roster?rosterType=40Man',
+            headers: {
+              'User-agent': USER_AGENT,
+              'Origin': 'https://www.mlb.com',
+              'Accept-Encoding': 'gzip, deflate, br',
+              'Content-type': 'application/json'
+            },
+            gzip: true
+          }
+          var response = await this.httpGet(reqObj, false)
+          if ( response && this.isValidJson(response) ) {
+            let roster_data = JSON.parse(response)
+            if ( roster_data.roster ) {
+              for (var i=0; i<roster_data.roster.length; i++) {
+                cache_data.push({ id: roster_data.roster[i].person.id, name: roster_data.roster[i].person.fullName, position: roster_data.roster[i].position ? roster_data.roster[i].position.abbreviation : '', team: team, team_id: team_id })
+              }
+            }
+          } else {
+            this.errorlog('error : invalid response from url ' + reqObj.url)
+            // don't cache incomplete rosters
+            return cache_data
+          }
+        }
+        this.save_json_cache_file(cache_name, cache_data)
+
+        // rosters change daily at most
+        let oneDayFromNow = new Date()
+        oneDayFromNow.setDate(oneDayFromNow.getDate()+1)
+        this.setRostersCacheExpiry(oneDayFromNow)
+      } else {
+        this.debuglog('using cached rosters')
+        this.countCacheLookup('rosters', true)
+        cache_data = this.readFileToJson(cache_file)
+      }
+      return cache_data || []
+    } catch(e) {
+      this.errorlog('getRosters error : ' + e.message)
+      return []
     }
   }
 
+  // Search the rosters for players whose name includes the query, ignoring case and accents
+  async searchPlayers(query) {
+    let normalize = function(name) {
+      return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    }
+    query = normalize(query.toString().trim())
+    if ( query == '' ) return []
+    let rosters = await this.getRosters()
+    return rosters.filter(player => normalize(player.name).includes(query)).slice(0, PLAYER_SEARCH_LIMIT)
+  }
+
   // Get variant playlist
   async getVariantPlaylist(streamURL, streamURLToken) {
     try {
@@ -3290,7 +4550,7 @@ class sessionClass {
         return body
       }
     } catch(e) {
-      this.log('getVariantPlaylist error : ' + e.message)
+      this.errorlog('getVariantPlaylist error : ' + e.message)
     }
   }
 
@@ -3314,7 +4574,7 @@ class sessionClass {
         }
       }
     } catch(e) {
-      this.log('getBroadcastStart error : ' + e.message)
+      this.errorlog('getBroadcastStart error : ' + e.message)
     }
   }
 
@@ -3522,15 +4782,15 @@ class sessionClass {
           this.debuglog('getSkipMarkers found ' + new Date(total_skip_time * 1000).toISOString().substr(11, 8) + ' total skip time')
         }
       } else {
-        this.log('getSkipMarkers failed to find broadcast start time')
+        this.warnlog('getSkipMarkers failed to find broadcast start time')
       }
 
-      this.debuglog('getSkipMarkers skip markers: ' + JSON.stringify(skip_markers))
+      this.tracelog('getSkipMarkers skip markers: ' + JSON.stringify(skip_markers))
       this.temp_cache[gamePk].skip_markers = skip_markers
 
       return true
     } catch(e) {
-      this.log('getSkipMarkers error : ' + e.message)
+      this.errorlog('getSkipMarkers error : ' + e.message)
     }
   }
 
@@ -3556,6 +4816,7 @@ class sessionClass {
       
       let currentDate = new Date()
       if ( !this.cache || !this.cache.bigInningScheduleCacheExpiry || (currentDate > new Date(this.cache.bigInningScheduleCacheExpiry)) ) {
+        this.countCacheLookup('bigInningSchedule', false)
         if ( !this.cache.bigInningSchedule ) this.cache.bigInningSchedule = {}
         let reqObj = {
           url: 'https://www.fubo.tv/welcome/channel/mlb-big-inning',
@@ -3590,7 +4851,7 @@ class sessionClass {
               })
             });
           });
-          this.debuglog(JSON.stringify(this.cache.bigInningSchedule))
+          this.tracelog(JSON.stringify(this.cache.bigInningSchedule))
 
           // Default cache period is 1 day from now
           let oneDayFromNow = new Date()
@@ -3600,10 +4861,11 @@ class sessionClass {
 
           this.save_cache_data()
         } else {
-          this.log('error : invalid response from url ' + reqObj.url)
+          this.errorlog('error : invalid response from url ' + reqObj.url)
         }
       } else {
         this.debuglog('using cached big inning schedule')
+        this.countCacheLookup('bigInningSchedule', true)
       }
       // If we requested the schedule for a specific date, and it exists, return it
       if ( dateString ) {
@@ -3612,7 +4874,7 @@ class sessionClass {
         }
       }
     } catch(e) {
-      this.log('getBigInningSchedule error : ' + e.message)
+      this.errorlog('getBigInningSchedule error : ' + e.message)
     }
   }
 
@@ -3626,6 +4888,7 @@ class sessionClass {
       let cache_file = path.join(this.CACHE_DIRECTORY, cache_name + '.json')
       let currentDate = new Date()
       if ( !fs.existsSync(cache_file) || !this.cache || !this.cache.eventURLCacheExpiry || !this.cache.eventURLCacheExpiry[cache_name] || (currentDate > new Date(this.cache.eventURLCacheExpiry[cache_name])) ) {
+        this.countCacheLookup('eventURL', false)
         let reqObj = {
           url: url,
           headers: {
@@ -3637,7 +4900,7 @@ class sessionClass {
         }
         var response = await this.httpGet(reqObj, false)
         if ( response && this.isValidJson(response) ) {
-          this.debuglog(response)
+          this.tracelog(response)
           cache_data = JSON.parse(response)
           this.save_json_cache_file(cache_name, cache_data)
 
@@ -3653,18 +4916,19 @@ class sessionClass {
           this.cache.eventURLCacheExpiry[cache_name] = cacheExpiry
           this.save_cache_data()
         } else {
-          this.log('error : invalid json from url ' + reqObj.url)
+          this.errorlog('error : invalid json from url ' + reqObj.url)
           return
         }
       } else {
         this.debuglog('using cached event data')
+        this.countCacheLookup('eventURL', true)
         cache_data = this.readFileToJson(cache_file)
       }
       if (cache_data) {
         return cache_data
       }
     } catch(e) {
-      this.log('getEventData error : ' + e.message)
+      this.errorlog('getEventData error : ' + e.message)
     }
   }
 
@@ -3711,7 +4975,7 @@ class sessionClass {
         }
       }
     } catch(e) {
-      this.log('getEventURL error : ' + e.message)
+      this.errorlog('getEventURL error : ' + e.message)
     }
   }
 
@@ -3721,7 +4985,7 @@ class sessionClass {
       this.debuglog('getLinearStreamURL')      
       
       let reqObj = {
-        url: GRAPHQL_URL,
+        url: this.upstreamURL('media-gateway') + '/graphql',
         simple: false,
         headers: {
           'accept': 'application/json, text/plain, */*',
@@ -3749,7 +5013,7 @@ class sessionClass {
       }
       var response = await this.httpPost(reqObj)
       if ( response ) {
-        this.debuglog('getLinearStreamURL response : ' + JSON.stringify(response))
+        this.tracelog('getLinearStreamURL response : ' + JSON.stringify(response))
         if ( response.data && response.data.contentCollections && (response.data.contentCollections.length > 0) && response.data.contentCollections[0].contents ) {
           for (var i=0; i<response.data.contentCollections[0].contents.length; i++) {
             try {
@@ -3765,7 +5029,7 @@ class sessionClass {
         }
       }
     } catch(e) {
-      this.log('getLinearStreamURL error : ' + e.message)
+      this.errorlog('getLinearStreamURL error : ' + e.message)
     }
   }
 
@@ -3779,6 +5043,7 @@ class sessionClass {
       let cache_file = path.join(this.CACHE_DIRECTORY, cache_name + '.json')
       let currentDate = new Date()
       if ( !fs.existsSync(cache_file) || !this.cache || !this.cache.recapRundown || !this.cache.recapRundown[dateString] || !this.cache.recapRundown[dateString].recapRundownCacheExpiry || (currentDate > new Date(this.cache.recapRundown[dateString].recapRundownCacheExpiry)) ) {
+        this.countCacheLookup('recapRundown', false)
         let reqObj = {
           url: 'https://dapi.mlbinfra.com/v2/content/en-us/videos/mlb-tv-recap-rundown-' + dateString,
           headers: {
@@ -3793,7 +5058,7 @@ class sessionClass {
         }
         var response = await this.httpGet(reqObj, false)
         if ( response && this.isValidJson(response) ) {
-          this.debuglog(response)
+          this.tracelog(response)
           cache_data = JSON.parse(response)
           this.save_json_cache_file(cache_name, cache_data)
 
@@ -3806,18 +5071,19 @@ class sessionClass {
           this.setRecapRundownCacheExpiry(dateString, cacheExpiry)
           this.save_cache_data()
         } else {
-          this.log('error : invalid json from url ' + reqObj.url)
+          this.errorlog('error : invalid json from url ' + reqObj.url)
           return
         }
       } else {
         this.debuglog('using cached Recap Rundown data')
+        this.countCacheLookup('recapRundown', true)
         cache_data = this.readFileToJson(cache_file)
       }
       if (cache_data) {
         return cache_data
       }
     } catch(e) {
-      this.log('getRecapRundownData error : ' + e.message)
+      this.errorlog('getRecapRundownData error : ' + e.message)
     }
   }
 
@@ -3838,7 +5104,7 @@ class sessionClass {
         }
       }
     } catch(e) {
-      this.log('getRecapRundownURL error : ' + e.message)
+      this.errorlog('getRecapRundownURL error : ' + e.message)
     }
   }
 
@@ -3850,11 +5116,13 @@ class sessionClass {
     this.debuglog('getEventStreamURL for ' + eventName)
     if ( this.cache.media && this.cache.media[eventName] && this.cache.media[eventName].streamURL && this.cache.media[eventName].streamURLExpiry && (Date.parse(this.cache.media[eventName].streamURLExpiry) > new Date()) ) {
       this.log('using cached eventStreamURL')
+      this.countCacheLookup('media', true)
       return this.cache.media[eventName].streamURL
     } else {
+      this.countCacheLookup('media', false)
       var playbackURL
       if ( gamePk ) {
-        playbackURL = 'https://dai.tv.milb.com/api/v2/playback-info/games/' + gamePk + '/contents/14862/products/milb-carousel'
+        playbackURL = this.upstreamURL('milb') + '/api/v2/playback-info/games/' + gamePk + '/contents/14862/products/milb-carousel'
       } else if ( eventName ) {
         if ( eventName.startsWith('RECAPRUNDOWN') ) {
           let dateString = eventName.substring(12)
@@ -3893,15 +5161,15 @@ class sessionClass {
         }
         var response = await this.httpGet(reqObj)
         if ( response && this.isValidJson(response) ) {
-          this.debuglog('getEventStreamURL response : ' + response)
+          this.tracelog('getEventStreamURL response : ' + response)
           let obj = JSON.parse(response)
           if ( obj.success && (obj.success == true) ) {
             this.debuglog('found eventStreamURL : ' + obj.data[0].value)
             this.cacheStreamURL(eventName, obj.data[0].value)
             return obj.data[0].value
           } else {
-            this.log('getEventStreamURL error')
-            this.log(obj.errorCode)
+            this.errorlog('getEventStreamURL error')
+            this.errorlog(obj.errorCode)
             this.log(obj.message)
             return
           }
@@ -3919,8 +5187,10 @@ class sessionClass {
     this.debuglog('getAFLStreamURL for ' + team_abbr)
     if ( this.cache.media && this.cache.media[team_abbr] && this.cache.media[team_abbr].streamURL && this.cache.media[team_abbr].streamURLExpiry && (Date.parse(this.cache.media[team_abbr].streamURLExpiry) > new Date()) ) {
       this.log('using cached aflStreamURL')
+      this.countCacheLookup('media', true)
       return this.cache.media[eventName].streamURL
     } else {
+      this.countCacheLookup('media', false)
       let aflStreamURL
       let reqObj = {
         url: 'https://www.mlb.com/arizona-fall-league/live-streams',
@@ -3958,7 +5228,7 @@ class sessionClass {
               }
               var stream_response = await this.httpGet(reqObj, false)
               if ( stream_response && this.isValidJson(stream_response) ) {
-                this.debuglog('getAFLStreamURL stream response : ' + stream_response)
+                this.tracelog('getAFLStreamURL stream response : ' + stream_response)
                 let obj = JSON.parse(stream_response)
                 if ( obj.feeds && (obj.feeds.length > 0) ) {
                   for (var j=0; j<obj.feeds.length; j++) {
@@ -3974,20 +5244,20 @@ class sessionClass {
                     }
                   }
                   if (!aflStreamURL) {
-                    this.log('getAFLStreamURL failed to find stream for ' + team_abbr)
+                    this.warnlog('getAFLStreamURL failed to find stream for ' + team_abbr)
                   }
                 } else {
-                  this.log('getAFLStreamURL failed to find feed for ' + team_abbr)
+                  this.warnlog('getAFLStreamURL failed to find feed for ' + team_abbr)
                 }
               } else {
-                this.log('getAFLStreamURL failed to get stream response for ' + team_abbr)
+                this.warnlog('getAFLStreamURL failed to get stream response for ' + team_abbr)
               }	
               break
             }
           }
         }
       } else {
-        this.log('getAFLStreamURL failed to get response for ' + team_abbr)
+        this.warnlog('getAFLStreamURL failed to get response for ' + team_abbr)
       }
     }
   }
@@ -3997,7 +5267,7 @@ class sessionClass {
     try {
       let cache_data
       let cache_name = 'b' + dateString
-      let data_url = 'https://mastapi.mobile.mlbinfra.com/api/epg/v3/search?exp=MLB&date=' + dateString
+      let data_url = this.upstreamURL('mastapi') + '/api/epg/v3/search?exp=MLB&date=' + dateString
       let utcHours = 10
       if ( dateString == 'guide' ) {
         cache_name = 'bweek'
@@ -4006,13 +5276,14 @@ class sessionClass {
         let endDate = new Date(startDate)
         endDate.setDate(endDate.getDate()+20)
         endDate = endDate.toISOString().substring(0,10)
-        data_url = 'https://mastapi.mobile.mlbinfra.com/api/epg/v3/search?exp=MLB&startDate=' + startDate + '&endDate=' + endDate
+        data_url = this.upstreamURL('mastapi') + '/api/epg/v3/search?exp=MLB&startDate=' + startDate + '&endDate=' + endDate
       } else {
         this.debuglog('getBlackoutsData for ' + dateString)
       }
       let cache_file = path.join(this.CACHE_DIRECTORY, cache_name+'.json')
       let currentDate = new Date()
       if ( !fs.existsSync(cache_file) || !this.cache || !this.cache.blackouts || !this.cache.blackouts[cache_name] || !this.cache.blackouts[cache_name].blackoutsCacheExpiry || (currentDate > new Date(this.cache.blackouts[cache_name].blackoutsCacheExpiry)) ) {
+        this.countCacheLookup('blackouts', false)
         let reqObj = {
           url: data_url,
           headers: {
@@ -4048,17 +5319,18 @@ class sessionClass {
           // finally save the setting
           this.setBlackoutsCacheExpiry(cache_name, cacheExpiry)
         } else {
-          this.log('error : invalid json from url ' + reqObj.url)
+          this.errorlog('error : invalid json from url ' + reqObj.url)
         }
       } else {
         this.debuglog('using cached date data')
+        this.countCacheLookup('blackouts', true)
         cache_data = this.readFileToJson(cache_file)
       }
       if (cache_data) {
         return cache_data
       }
     } catch(e) {
-      this.log('getBlackoutsData error : ' + e.message)
+      this.errorlog('getBlackoutsData error : ' + e.message)
     }
   }
 
@@ -4172,7 +5444,9 @@ class sessionClass {
     return { pregame_shows, postgame_shows }
   }
 
-  async resetGameChanger(id, includeTeams, excludeTeams) {
+  // username selects whose Stream Finder settings to use (shared settings if false)
+  // options can set a profile's own Stream Finder settings, its switching rules (see getGameChangerRules), and the levels and organizations to follow (see getGameChangerLevels)
+  async resetGameChanger(id, includeTeams, excludeTeams, username=false, options={}) {
     let today = this.liveDate()
     if ( !this.temp_cache.gamechanger || !this.temp_cache.gamechanger.date || (this.temp_cache.gamechanger.date != today) ) {
       this.log('updating gamechanger for ' + today)
@@ -4182,7 +5456,7 @@ class sessionClass {
       let end
       if ( cache_data.dates && cache_data.dates[0] && cache_data.dates[0].games && (cache_data.dates[0].games.length > 0) ) {
         blackouts = await this.get_blackout_games(today)
-        this.debuglog('Game changer blackouts ' + JSON.stringify(blackouts))
+        this.tracelog('Game changer blackouts ' + JSON.stringify(blackouts))
 
         let gameIndexes = await this.get_first_and_last_games(cache_data.dates[0].games, blackouts)
         if ( (typeof gameIndexes.firstGameIndex !== 'undefined') && (typeof gameIndexes.lastGameIndex !== 'undefined') ) {
@@ -4204,6 +5478,10 @@ class sessionClass {
       }
     }
 
+    let includeLevels = options.includeLevels || []
+    let includeOrgs = options.includeOrgs || []
+    let levels = this.getGameChangerLevels(includeLevels, includeOrgs)
+
     this.temp_cache.gamechanger[id] = {
       lastAccess: null,
       segments: [],
@@ -4212,20 +5490,181 @@ class sessionClass {
       playlist: {},
       includeTeams: includeTeams,
       excludeTeams: excludeTeams,
+      includeLevels: includeLevels,
+      includeOrgs: includeOrgs,
+      level_ids: levels.level_ids,
+      team_ids: levels.team_ids,
+      user: username,
       streamURL: null,
+      master: false,
+      variants: {},
       games: [],
       players: [],
       inning_states: [],
       break_expiries: {},
       gamePk: null,
       streamFinderData: {},
-      stream_finder_settings: {},
+      stream_finder_settings: options.stream_finder_settings || null,
+      dwell: options.dwell || 0,
+      finish: options.finish || VALID_GAMECHANGER_FINISH[0],
+      threshold: (typeof options.threshold === 'number') ? options.threshold : null,
+      returnToPrevious: options.returnToPrevious || false,
+      switched: null,
+      cur_half_inning: null,
+      return_to: null,
       cur_game_pk: null,
       cur_game_high_LI_flag: 'N',
       cur_game_high_LI: -3,
       cur_pitchers: {},
       cur_batter: null
     }
+
+    this.start_gamechanger_history(id, options)
+  }
+
+  // Start (or restart) the switch history for a game changer, keeping any earlier switches for the same id
+  start_gamechanger_history(id, options) {
+    if ( !gamechanger_history[id] ) {
+      let ids = Object.keys(gamechanger_history)
+      if ( ids.length >= GAMECHANGER_HISTORY_COUNT ) {
+        let oldest = ids.sort((a, b) => gamechanger_history[a].started.localeCompare(gamechanger_history[b].started))[0]
+        delete gamechanger_history[oldest]
+      }
+      gamechanger_history[id] = {id: id, switches: []}
+    }
+    Object.assign(gamechanger_history[id], {
+      started: new Date().toISOString(),
+      profile: options.profile || false,
+      streamFinder: options.streamFinder || false,
+      user: this.temp_cache.gamechanger[id].user,
+      includeTeams: this.temp_cache.gamechanger[id].includeTeams,
+      excludeTeams: this.temp_cache.gamechanger[id].excludeTeams,
+      includeLevels: this.temp_cache.gamechanger[id].includeLevels,
+      includeOrgs: this.temp_cache.gamechanger[id].includeOrgs,
+      rules: {
+        dwell: this.temp_cache.gamechanger[id].dwell,
+        finish: this.temp_cache.gamechanger[id].finish,
+        threshold: this.temp_cache.gamechanger[id].threshold,
+        returnToPrevious: this.temp_cache.gamechanger[id].returnToPrevious
+      }
+    })
+  }
+
+  // Record why a game changer switched games, with the leverage of each active game at the time
+  record_gamechanger_switch(id, from, to, rule, reason, games) {
+    if ( !gamechanger_history[id] ) return
+    let entry = {
+      time: new Date().toISOString(),
+      from: from ? from.game_pk.toString() : null,
+      from_teams: (from && from.teams) || null,
+      from_LI: (from && (typeof from.LI !== 'undefined')) ? from.LI : null,
+      to: to.game_pk.toString(),
+      to_teams: to.teams,
+      to_LI: to.LI,
+      rule: rule,
+      reason: reason,
+      games: games
+    }
+    this.debuglog('Game changer ' + id + ' switch : ' + reason)
+    gamechanger_history[id].switches.push(entry)
+    while ( gamechanger_history[id].switches.length > GAMECHANGER_HISTORY_SIZE ) {
+      gamechanger_history[id].switches.shift()
+    }
+  }
+
+  // Switch histories, most recently started first, optionally for one game changer id
+  getGameChangerHistory(id=false) {
+    let histories = Object.values(gamechanger_history)
+    if ( id ) histories = histories.filter(v => v.id == id)
+    return histories.sort((a, b) => b.started.localeCompare(a.started))
+  }
+
+  // Get the stream for a game changer's game, preferring favorite team broadcasts, then home or national broadcasts
+  async getGameChangerStreamInfo(game_pk, cache_data, fav_teams, game_changer_title) {
+    let favTeamBroadcast
+    let mediaId
+    let streamURL
+    let streamInfo
+    for (var x=0; x<cache_data.dates[0].games.length; x++) {
+      if ( game_pk == cache_data.dates[0].games[x].gamePk ) {
+        if ( this.is_non_mlb_game(cache_data.dates[0].games[x]) ) {
+          return await this.getGameChangerEventStreamInfo(cache_data.dates[0].games[x], game_changer_title)
+        }
+        if ( cache_data.dates[0].games[x].broadcasts && (cache_data.dates[0].games[x].broadcasts.length > 0) ) {
+          let broadcasts = cache_data.dates[0].games[x].broadcasts
+          if ( await this.count_broadcasts(broadcasts, 'MLBTV') > 0 ) {
+            for (var y = 0; y < broadcasts.length; y++) {
+              let broadcast = broadcasts[y]
+              if ( (broadcast.availableForStreaming == true) && (broadcast.type == 'TV') && broadcast.mediaState && broadcast.mediaState.mediaStateCode && (broadcast.mediaState.mediaStateCode == 'MEDIA_ON') ) {
+                // skip blackout feeds
+                if ( this.temp_cache.gamechanger.blackouts[game_pk] && this.temp_cache.gamechanger.blackouts[game_pk].blackout_feeds && this.temp_cache.gamechanger.blackouts[game_pk].blackout_feeds.includes(broadcast.mediaId) ) {
+                  continue
+                }
+                // prefer fav team broadcasts
+                if ( fav_teams.length > 0 ) {
+                  for (var z = 0; z < fav_teams.length; z++) {
+                    if ( ((broadcast.homeAway == 'home') && (cache_data.dates[0].games[x].teams.home.id == TEAM_IDS[fav_teams[z]])) || ((broadcast.homeAway == 'away') && (cache_data.dates[0].games[x].teams.away.id == TEAM_IDS[fav_teams[z]])) ) {
+                      this.debuglog(game_changer_title + 'found fav team broadcast')
+                      favTeamBroadcast = true
+                      mediaId = broadcast.mediaId
+                      break
+                    }
+                  }
+                  if ( favTeamBroadcast ) {
+                    break
+                  }
+                }
+                // fall back to home or national broadcast
+                if ( !mediaId || (broadcast.homeAway == 'home') || (broadcast.isNational == true) ) {
+                  this.debuglog(game_changer_title + 'found home or national broadcast')
+                  mediaId = broadcast.mediaId
+                }
+              }
+            } // end broadcasts loop
+            if ( mediaId ) {
+               streamInfo = await this.getStreamURL(mediaId)
+               if ( streamInfo.streamURL ) {
+                 // always convert the stream URL to variant form
+                 streamInfo.streamURL = streamInfo.streamURL.substr(0,streamInfo.streamURL.length-5)
+                 return streamInfo
+               } else {
+                 this.warnlog(game_changer_title + 'failed to find streamURL for ' + mediaId)
+               }
+            } else {
+              this.warnlog(game_changer_title + 'failed to find mediaId for ' + game_pk)
+            }
+          } else {
+            this.warnlog(game_changer_title + 'failed to find broadcasts for ' + game_pk)
+          } // end broadcast count
+        } // end broadcasts check
+        break
+      } // end game match
+    } // end game loop
+    return
+  }
+
+  // Get the stream for a game changer's MiLB or winter league game, the same way as its stream.m3u8 link in getTVData
+  // these are master playlists without a playback token, so the game changer picks their variants itself
+  async getGameChangerEventStreamInfo(game, game_changer_title) {
+    let league_id = game.teams['home'].team.league.id
+    let streamURL
+    if ( league_id == AFL_ID ) {
+      streamURL = await this.getAFLStreamURL(game.teams['home'].team.abbreviation.toUpperCase())
+    } else if ( WINTER_LEAGUES.includes(league_id) ) {
+      streamURL = await this.getEventStreamURL(game.teams['home'].team.shortName.toUpperCase(), false, league_id)
+    } else {
+      streamURL = await this.getEventStreamURL(false, game.gamePk.toString())
+    }
+    if ( streamURL ) {
+      return { streamURL: streamURL, streamURLToken: false, master: true }
+    }
+    this.warnlog(game_changer_title + 'failed to find event streamURL for ' + game.gamePk)
+  }
+
+  // Whether a game changer has shown its current game for less than its minimum dwell time
+  gamechanger_dwelling(id) {
+    let gamechanger = this.temp_cache.gamechanger[id]
+    return (gamechanger.dwell > 0) && gamechanger.switched && ((new Date() - gamechanger.switched) < (gamechanger.dwell * 1000))
   }
 
   // get Stream Finder data
@@ -4233,7 +5672,7 @@ class sessionClass {
     try {
       var game_changer_title = 'Game changer ' + id
       this.debuglog('getStreamFinderData for ' + game_changer_title)
-      let data_url = 'https://www.baseball-reference.com/stream-finder.shtml'
+      let data_url = this.upstreamURL('baseball-reference') + '/stream-finder.shtml'
       let reqObj = {
         url: data_url,
         headers: {
@@ -4250,10 +5689,10 @@ class sessionClass {
         this.temp_cache.gamechanger[id].streamFinderData.games_CLI = JSON.parse(response.match(/var games_CLI\s+=\s+([{][^}]*[}])/)[1])
         this.temp_cache.gamechanger[id].streamFinderData.LI_table = JSON.parse(response.match(/var LI\s+=\s+([{][^;]+);/)[1])
       } else {
-        this.log('error : invalid response from url ' + reqObj.url)
+        this.errorlog('error : invalid response from url ' + reqObj.url)
       }
     } catch(e) {
-      this.log('getStreamFinderData error : ' + e.message)
+      this.errorlog('getStreamFinderData error : ' + e.message)
     }
   }
   
@@ -4289,45 +5728,60 @@ class sessionClass {
   // get best active live game by leverage
   async getStreamFinderGame(id) {
     var game_changer_title = 'Game changer Stream Finder ' + id + ' '
+    let stream_finder_settings = this.temp_cache.gamechanger[id].stream_finder_settings || this.getStreamFinderSettings(this.temp_cache.gamechanger[id].user)
+    let fav_teams = this.getFavTeams(this.temp_cache.gamechanger[id].user)
 
     try {
       let cache_data
       let cache_name = 'gamechanger'
       let cache_file = path.join(this.CACHE_DIRECTORY, cache_name + '.json')
       let currentDate = new Date()
-      if ( !this.temp_cache.gamechanger.cache_data || !this.temp_cache.gamechangerCacheExpiry || (currentDate > new Date(this.temp_cache.gamechangerCacheExpiry)) ) {
-        this.debuglog(game_changer_title + 'fetching new gamechanger data')
-        let cacheExpiry = new Date()
-        cacheExpiry.setSeconds(cacheExpiry.getSeconds()+3)
-        this.temp_cache.gamechangerCacheExpiry = cacheExpiry
-        let reqObj = {
-          url: 'https://statsapi.mlb.com/api/v1/schedule?sportId=1&startDate=' + this.temp_cache.gamechanger.date + '&endDate=' + this.temp_cache.gamechanger.date + '&hydrate=broadcasts(all),linescore,team,flags,gameInfo',
-          headers: {
-            'User-Agent': USER_AGENT,
-            'Origin': 'https://www.mlb.com',
-            'Referer': 'https://www.mlb.com/',
-            'Content-Type': 'application/json',
-            'Accept-Encoding': 'gzip, deflate, br'
-          },
-          gzip: true
-        }
-        var response = await this.httpGet(reqObj, false)
-        if ( response && this.isValidJson(response) ) {
-          this.debuglog(game_changer_title + 'valid json response')
-          //this.debuglog(response)
-          this.temp_cache.gamechanger.cache_data = JSON.parse(response)
+      // the MLB schedule is shared with the Game Changer and the linescore data, other levels are fetched separately
+      let level_ids = this.temp_cache.gamechanger[id].level_ids
+      if ( level_ids == LEVELS['MLB'] ) {
+        if ( !this.temp_cache.gamechanger.cache_data || !this.temp_cache.gamechangerCacheExpiry || (currentDate > new Date(this.temp_cache.gamechangerCacheExpiry)) ) {
+          this.debuglog(game_changer_title + 'fetching new gamechanger data')
+          let cacheExpiry = new Date()
+          cacheExpiry.setSeconds(cacheExpiry.getSeconds()+3)
+          this.temp_cache.gamechangerCacheExpiry = cacheExpiry
+          let reqObj = {
+            url: this.upstreamURL('statsapi') + '/api/v1/schedule?sportId=1&startDate=' + this.temp_cache.gamechanger.date + '&endDate=' + this.temp_cache.gamechanger.date + '&hydrate=broadcasts(all),linescore,team,flags,gameInfo',
+            headers: {
+              'User-Agent': USER_AGENT,
+              'Origin': 'https://www.mlb.com',
+              'Referer': 'https://www.mlb.com/',
+              'Content-Type': 'application/json',
+              'Accept-Encoding': 'gzip, deflate, br'
+            },
+            gzip: true
+          }
+          var response = await this.httpGet(reqObj, false)
+          if ( response && this.isValidJson(response) ) {
+            this.debuglog(game_changer_title + 'valid json response')
+            //this.debuglog(response)
+            this.temp_cache.gamechanger.cache_data = JSON.parse(response)
+          } else {
+            this.errorlog(game_changer_title + 'error : invalid json from url ' + reqObj.url)
+            return
+          }
         } else {
-          this.log(game_changer_title + 'error : invalid json from url ' + reqObj.url)
-          return
+          this.debuglog(game_changer_title + 'using cached gamechanger data')
         }
+        cache_data = this.temp_cache.gamechanger.cache_data
       } else {
-        this.debuglog(game_changer_title + 'using cached gamechanger data')
+        cache_data = await this.getGameChangerLevelData(level_ids, game_changer_title)
+        if ( !cache_data ) return
       }
-      cache_data = this.temp_cache.gamechanger.cache_data
 
       if ( cache_data ) {
         if ( cache_data.dates && cache_data.dates[0] && cache_data.dates[0].games && (cache_data.dates[0].games.length > 0) ) {
-          let team_data = this.temp_cache.gamechanger[id].streamFinderData.team_data
+          // MiLB and winter league teams aren't in the Stream Finder team data, so name them from the schedule
+          let team_data = Object.assign({}, this.temp_cache.gamechanger[id].streamFinderData.team_data)
+          for (const game of cache_data.dates[0].games.filter(v => this.is_non_mlb_game(v))) {
+            for (const team of [game.teams.away.team, game.teams.home.team]) {
+              if ( !team_data[team.id.toString()] ) team_data[team.id.toString()] = { teamName: team.teamName }
+            }
+          }
           let games_CLI = this.temp_cache.gamechanger[id].streamFinderData.games_CLI
         
           var games = []
@@ -4485,7 +5939,7 @@ class sessionClass {
             })
           }
 		  
-          this.debuglog(game_changer_title + 'games ' + JSON.stringify(games))
+          this.tracelog(game_changer_title + 'games ' + JSON.stringify(games))
           
           let active_games = []
           let same_batter = 'N'
@@ -4501,6 +5955,13 @@ class sessionClass {
             
             let gamePk = game.gamePk.toString()
             
+            // Game is not in the included organizations
+            let team_ids = this.temp_cache.gamechanger[id].team_ids
+            if ( (team_ids.length > 0) && !team_ids.includes(game.teams.away.team.id.toString()) && !team_ids.includes(game.teams.home.team.id.toString()) ) {
+              this.debuglog(game_changer_title + 'excluded game ' + gamePk)
+              continue
+            }
+
             if ( !team_data[game.teams.away.team.id.toString()] || !team_data[game.teams.home.team.id.toString()] ) {
               this.debuglog(game_changer_title + 'invalid team(s) in game ' + gamePk)
               continue
@@ -4521,10 +5982,10 @@ class sessionClass {
               continue
             }
             
-            if ( this.stream_finder_settings.ignore && (this.stream_finder_settings.ignore.length > 0) ) {
+            if ( stream_finder_settings.ignore && (stream_finder_settings.ignore.length > 0) ) {
               let ignore = false
-              for (var j=0; j<this.stream_finder_settings.ignore.length; j++) {
-                let ignore_team = this.stream_finder_settings.ignore[j]
+              for (var j=0; j<stream_finder_settings.ignore.length; j++) {
+                let ignore_team = stream_finder_settings.ignore[j]
                 if ( (ignore_team == game.teams.away.team.id.toString()) || (ignore_team == game.teams.home.team.id.toString()) ) {
                   this.debuglog(game_changer_title + 'ignoring team in game ' + gamePk)
                   ignore = true
@@ -4578,7 +6039,7 @@ class sessionClass {
             
             let LI = play_LI
             let home_team = game.teams.home.team.id.toString()
-            if ( this.stream_finder_settings.include_CLI && (this.stream_finder_settings.include_CLI == 'Y') && games_CLI[home_team] && (games_CLI[home_team] != '') ) {
+            if ( stream_finder_settings.include_CLI && (stream_finder_settings.include_CLI == 'Y') && games_CLI[home_team] && (games_CLI[home_team] != '') ) {
               let CLI = parseFloat(games_CLI[home_team])
               LI = play_LI * CLI
             }
@@ -4646,21 +6107,40 @@ class sessionClass {
             return b.LI - a.LI;
           })
           
-          this.debuglog(game_changer_title + 'active games ' + JSON.stringify(games))
-          this.debuglog(game_changer_title + 'current pitchers ' + JSON.stringify(this.temp_cache.gamechanger[id].cur_pitchers))
-          this.debuglog(game_changer_title + 'pitching changes ' + JSON.stringify(this.temp_cache.gamechanger[id].break_expiries))
+          this.tracelog(game_changer_title + 'active games ' + JSON.stringify(games))
+          this.tracelog(game_changer_title + 'current pitchers ' + JSON.stringify(this.temp_cache.gamechanger[id].cur_pitchers))
+          this.tracelog(game_changer_title + 'pitching changes ' + JSON.stringify(this.temp_cache.gamechanger[id].break_expiries))
           this.debuglog(game_changer_title + 'same batter? ' + same_batter)
           
           let game_pk = null
           let game_info = null
-          if ( this.stream_finder_settings.priority ) {
-            for (const [key, priority] of Object.entries(this.stream_finder_settings.priority)) {
-              this.debuglog(game_changer_title + 'checking priority ' + JSON.stringify(priority))
-              if ( (same_batter == 'N') || (priority.immediate == 'Y') ) {
+          let switch_rule = null
+          let finish = this.temp_cache.gamechanger[id].finish
+
+          // Return to the game shown before a highlight switch, once the highlight at-bat is over
+          let return_to = this.temp_cache.gamechanger[id].return_to
+          if ( return_to ) {
+            let highlight_game = games.find(v => v.game_pk == this.temp_cache.gamechanger[id].cur_game_pk)
+            if ( !highlight_game || (highlight_game.batter != return_to.batter) ) {
+              this.temp_cache.gamechanger[id].return_to = null
+              let previous_game = games.find(v => v.game_pk == return_to.game_pk)
+              if ( previous_game ) {
+                game_pk = previous_game.game_pk
+                this.temp_cache.gamechanger[id].cur_batter = previous_game.batter
+                switch_rule = {type: 'return'}
+              }
+            }
+          }
+
+          if ( !game_pk && stream_finder_settings.priority ) {
+            for (const [key, priority] of Object.entries(stream_finder_settings.priority)) {
+              this.tracelog(game_changer_title + 'checking priority ' + JSON.stringify(priority))
+              // immediate priorities can interrupt the current at-bat, unless it should be finished first
+              if ( (same_batter == 'N') || ((priority.immediate == 'Y') && (finish == 'off')) ) {
                 for (var i=0; i<games.length; i++) {
                   let game = games[i]
                   // Batter
-                  if ( (priority.type == 'bat') && ((parseInt(priority.data) == game.batter) || ((parseInt(priority.data) == game.ondeck) && this.stream_finder_settings.on_deck && (this.stream_finder_settings.on_deck == 'Y') && (game.outs < 2))) ) {
+                  if ( (priority.type == 'bat') && ((parseInt(priority.data) == game.batter) || ((parseInt(priority.data) == game.ondeck) && stream_finder_settings.on_deck && (stream_finder_settings.on_deck == 'Y') && (game.outs < 2))) ) {
                     game_info = this.setCurrentGame(this.temp_cache.gamechanger[id].cur_game_pk, game, team_data, game_changer_title, priority)
                     break
                   //Pitcher
@@ -4736,6 +6216,7 @@ class sessionClass {
                 if (game_info) {
                   game_pk = game_info.game_pk
                   this.temp_cache.gamechanger[id].cur_batter = game_info.cur_batter
+                  switch_rule = {priority: Object.keys(stream_finder_settings.priority).indexOf(key) + 1, type: priority.type, data: priority.data, immediate: priority.immediate || 'N'}
                   break
                 }
               }
@@ -4753,11 +6234,13 @@ class sessionClass {
                 this.temp_cache.gamechanger[id].cur_game_high_LI = -3
               }
               // When the current game showing is the high leverage game (not chosen from priority list) and there is now a different game that is the highest LI game.
-              // New game's LI must be 0.5 higher than current game to switch
-              if ( ((this.temp_cache.gamechanger[id].cur_game_high_LI_flag == 'Y') && (games[0].LI > (this.temp_cache.gamechanger[id].cur_game_high_LI + 0.5)) && ((games[0].LI > 1) || (this.temp_cache.gamechanger[id].cur_game_high_LI == -3))) || (this.temp_cache.gamechanger[id].cur_game_high_LI_flag == 'N') ) {
+              // New game's LI must be 0.5 (or the configured threshold) higher than current game to switch
+              let threshold = (this.temp_cache.gamechanger[id].threshold !== null) ? this.temp_cache.gamechanger[id].threshold : DEFAULT_STREAMFINDER_THRESHOLD
+              if ( ((this.temp_cache.gamechanger[id].cur_game_high_LI_flag == 'Y') && (games[0].LI > (this.temp_cache.gamechanger[id].cur_game_high_LI + threshold)) && ((games[0].LI > 1) || (this.temp_cache.gamechanger[id].cur_game_high_LI == -3))) || (this.temp_cache.gamechanger[id].cur_game_high_LI_flag == 'N') ) {
                 game_info = this.setCurrentGame(this.temp_cache.gamechanger[id].cur_game_pk, games[0], team_data, game_changer_title, {'type': 'default', 'data': 'highest leverage'})
                 game_pk = game_info.game_pk
                 this.temp_cache.gamechanger[id].cur_batter = game_info.cur_batter
+                switch_rule = {type: 'default', data: 'highest leverage'}
               } else {
                 game_pk = this.temp_cache.gamechanger[id].cur_game_pk // Stay on current game
                 // cur_batter and cur_game were set earlier while looping through games
@@ -4766,107 +6249,91 @@ class sessionClass {
               this.temp_cache.gamechanger[id].cur_game_high_LI_flag = 'Y' // For next time through
               this.temp_cache.gamechanger[id].cur_game_high_LI = -3 // Sets to -3, just in case this game ends
             }
+          } else if ( switch_rule && (switch_rule.type == 'return') ) {
+            this.temp_cache.gamechanger[id].cur_game_high_LI_flag = 'Y' // compare the previous game's leverage as usual next time through
           } else {
             this.temp_cache.gamechanger[id].cur_game_high_LI_flag = 'N' // game was set by priority list
           }
           
+          // Stay on the current game until the minimum dwell time has passed, or its half-inning is finished if requested, if it is still active
+          let cur_game = games.find(v => v.game_pk == this.temp_cache.gamechanger[id].cur_game_pk)
+          if ( (game_pk != this.temp_cache.gamechanger[id].cur_game_pk) && cur_game && (!switch_rule || (switch_rule.type != 'return')) ) {
+            if ( this.gamechanger_dwelling(id) ) {
+              this.debuglog(game_changer_title + 'staying on game ' + cur_game.game_pk + ' for minimum dwell time')
+              game_pk = cur_game.game_pk
+            } else if ( (finish == 'inning') && ((cur_game.inning + ',' + cur_game.half) == this.temp_cache.gamechanger[id].cur_half_inning) ) {
+              this.debuglog(game_changer_title + 'staying on game ' + cur_game.game_pk + ' to finish the half-inning')
+              game_pk = cur_game.game_pk
+            }
+          }
+          // Track the current game's half-inning on every pass that stays on it, so finish=inning holds each new half-inning too
+          if ( cur_game && (game_pk == this.temp_cache.gamechanger[id].cur_game_pk) ) {
+            this.temp_cache.gamechanger[id].cur_half_inning = cur_game.inning + ',' + cur_game.half
+          }
+
           // Only update if this is a different game
           if (game_pk != this.temp_cache.gamechanger[id].cur_game_pk) {
             // delay untested, disabled
-            /*if ( this.temp_cache.gamechanger[id].cur_game_pk && this.stream_finder_settings.delay && (parseInt(this.stream_finder_settings.delay) > 0) ) {
-              this.debuglog(game_changer_title + 'delaying switch by ' + this.stream_finder_settings.delay)
-              await this.sleep(this.stream_finder_settings.delay)
+            /*if ( this.temp_cache.gamechanger[id].cur_game_pk && stream_finder_settings.delay && (parseInt(stream_finder_settings.delay) > 0) ) {
+              this.debuglog(game_changer_title + 'delaying switch by ' + stream_finder_settings.delay)
+              await this.sleep(stream_finder_settings.delay)
             }*/
             this.log(game_changer_title + 'loading game ' + game_pk)
+            let from_game = games.find(v => v.game_pk == this.temp_cache.gamechanger[id].cur_game_pk)
+            let to_game = games.find(v => v.game_pk == game_pk)
+            if ( to_game ) {
+              let reason
+              if ( switch_rule && (switch_rule.type == 'return') ) {
+                reason = 'highlight at-bat is over, so returned to the previous game'
+              } else if ( switch_rule && switch_rule.priority ) {
+                reason = 'Stream Finder priority ' + switch_rule.priority + ' (' + switch_rule.type + ' ' + switch_rule.data + ') matched' + ((same_batter == 'Y') ? ', interrupting the current at-bat' : '')
+              } else if ( !this.temp_cache.gamechanger[id].cur_game_pk ) {
+                reason = 'no current game, so started with the highest leverage game'
+              } else if ( !from_game ) {
+                reason = 'current game is no longer active, so switched to the highest leverage game'
+              } else {
+                reason = 'no priority matched, so switched to the highest leverage game'
+              }
+              this.record_gamechanger_switch(id, from_game ? {game_pk: from_game.game_pk, teams: this.getCurrentGame(from_game, team_data), LI: from_game.LI} : (this.temp_cache.gamechanger[id].cur_game_pk ? {game_pk: this.temp_cache.gamechanger[id].cur_game_pk} : null), {game_pk: to_game.game_pk, teams: this.getCurrentGame(to_game, team_data), LI: to_game.LI}, switch_rule, reason, games.map(v => ({game_pk: v.game_pk.toString(), teams: this.getCurrentGame(v, team_data), LI: v.LI})))
+              this.temp_cache.gamechanger[id].cur_half_inning = to_game.inning + ',' + to_game.half
+              // a priority interrupting an active game is a highlight, so remember the game to return to after it
+              if ( this.temp_cache.gamechanger[id].returnToPrevious && !this.temp_cache.gamechanger[id].return_to && from_game && switch_rule && switch_rule.priority ) {
+                this.temp_cache.gamechanger[id].return_to = {game_pk: from_game.game_pk, batter: to_game.batter}
+              }
+            }
             this.temp_cache.gamechanger[id].cur_game_pk = game_pk
-            // get stream URL
-            let favTeamBroadcast
-            let mediaId
-            let streamURL
-            let streamInfo
-            for (var x=0; x<cache_data.dates[0].games.length; x++) {
-              if ( game_pk == cache_data.dates[0].games[x].gamePk ) {
-                if ( cache_data.dates[0].games[x].broadcasts && (cache_data.dates[0].games[x].broadcasts.length > 0) ) {
-                  let broadcasts = cache_data.dates[0].games[x].broadcasts
-                  if ( await this.count_broadcasts(broadcasts, 'MLBTV') > 0 ) {
-                    for (var y = 0; y < broadcasts.length; y++) {
-                      let broadcast = broadcasts[y]
-                      if ( (broadcast.availableForStreaming == true) && (broadcast.type == 'TV') && broadcast.mediaState && broadcast.mediaState.mediaStateCode && (broadcast.mediaState.mediaStateCode == 'MEDIA_ON') ) {
-                        // skip blackout feeds
-                        if ( this.temp_cache.gamechanger.blackouts[game_pk] && this.temp_cache.gamechanger.blackouts[game_pk].blackout_feeds && this.temp_cache.gamechanger.blackouts[game_pk].blackout_feeds.includes(broadcast.mediaId) ) {
-                          continue
-                        }
-                        // prefer fav team broadcasts
-                        if ( this.credentials.fav_teams.length > 0 ) {
-                          for (var z = 0; z < this.credentials.fav_teams.length; z++) {
-                            if ( ((broadcast.homeAway == 'home') && (cache_data.dates[0].games[x].teams.home.id == TEAM_IDS[this.credentials.fav_teams[z]])) || ((broadcast.homeAway == 'away') && (cache_data.dates[0].games[x].teams.away.id == TEAM_IDS[this.credentials.fav_teams[z]])) ) {
-                              this.debuglog(game_changer_title + 'found fav team broadcast')
-                              favTeamBroadcast = true
-                              mediaId = broadcast.mediaId
-                              break
-                            }
-                          }
-                          if ( favTeamBroadcast ) {
-                            break
-                          }
-                        }
-                        // fall back to home or national broadcast
-                        if ( !mediaId || (broadcast.homeAway == 'home') || (broadcast.isNational == true) ) {
-                          this.debuglog(game_changer_title + 'found home or national broadcast')
-                          mediaId = broadcast.mediaId
-                        }
-                      }
-                    } // end broadcasts loop
-                    if ( mediaId ) {
-                       streamInfo = await this.getStreamURL(mediaId)
-                       if ( streamInfo.streamURL ) {
-                         // always convert the stream URL to variant form
-                         streamInfo.streamURL = streamInfo.streamURL.substr(0,streamInfo.streamURL.length-5)
-                         return streamInfo
-                       } else {
-                         this.log(game_changer_title + 'failed to find streamURL for ' + mediaId)
-                       }
-                    } else {
-                      this.log(game_changer_title + 'failed to find mediaId for ' + game_pk)
-                    }
-                  } else {
-                    this.log(game_changer_title + 'failed to find broadcasts for ' + game_pk)
-                  } // end broadcast count
-                } // end broadcasts check
-                break
-              } // end game match
-            } // end game loop
+            this.temp_cache.gamechanger[id].switched = new Date()
+            return await this.getGameChangerStreamInfo(game_pk, cache_data, fav_teams, game_changer_title)
           }
         } else {
-          this.log(game_changer_title + 'error : no games in date from url ' + reqObj.url)
+          this.errorlog(game_changer_title + 'error : no games in date from url ' + reqObj.url)
         }
       } else {
-        this.log(game_changer_title + 'error : no data found or cached')
+        this.errorlog(game_changer_title + 'error : no data found or cached')
       }
     } catch(e) {
-      this.log(game_changer_title + 'getStreamFinderGame error : ' + e.message)
+      this.errorlog(game_changer_title + 'getStreamFinderGame error : ' + e.message)
     }
 
     return
   }
 
-  // get best active live game by leverage
-  async getBestGame(id) {
-    var game_changer_title = 'Game changer ' + id + ' '
-
+  // get today's schedule with linescores (for multiview overlays), reusing the game changer data if it is current
+  async getLinescoreData() {
     try {
-      let cache_data
-      let cache_name = 'gamechanger'
-      let cache_file = path.join(this.CACHE_DIRECTORY, cache_name + '.json')
+      let today = this.liveDate()
       let currentDate = new Date()
-      if ( !this.temp_cache.gamechanger.cache_data || !this.temp_cache.gamechangerCacheExpiry || (currentDate > new Date(this.temp_cache.gamechangerCacheExpiry)) ) {
-        this.debuglog(game_changer_title + 'fetching new gamechanger data')
+      if ( this.temp_cache.gamechanger && (this.temp_cache.gamechanger.date == today) && this.temp_cache.gamechanger.cache_data && this.temp_cache.gamechangerCacheExpiry && (currentDate <= new Date(this.temp_cache.gamechangerCacheExpiry)) ) {
+        return this.temp_cache.gamechanger.cache_data
+      }
+      if ( !this.temp_cache.linescore || (this.temp_cache.linescore.date != today) || (currentDate > this.temp_cache.linescore.cacheExpiry) ) {
+        this.debuglog('fetching new linescore data')
         let cacheExpiry = new Date()
         cacheExpiry.setSeconds(cacheExpiry.getSeconds()+9)
-        this.temp_cache.gamechangerCacheExpiry = cacheExpiry
+        let cache_data = (this.temp_cache.linescore && (this.temp_cache.linescore.date == today)) ? this.temp_cache.linescore.cache_data : false
+        this.temp_cache.linescore = { date: today, cacheExpiry: cacheExpiry, cache_data: cache_data }
         let reqObj = {
-          //url: 'https://gd2.mlb.com/components/game/mlb/year_' + this.temp_cache.gamechanger.dateString + '/master_scoreboard.json',
-          url: 'https://statsapi.mlb.com/api/v1/schedule?sportId=1&startDate=' + this.temp_cache.gamechanger.date + '&endDate=' + this.temp_cache.gamechanger.date + '&hydrate=broadcasts(all),linescore,team,flags,gameInfo',
+          url: this.upstreamURL('statsapi') + '/api/v1/schedule?sportId=1&startDate=' + today + '&endDate=' + today + '&hydrate=broadcasts(all),linescore,team,flags,gameInfo',
           headers: {
             'User-Agent': USER_AGENT,
             'Origin': 'https://www.mlb.com',
@@ -4878,17 +6345,116 @@ class sessionClass {
         }
         var response = await this.httpGet(reqObj, false)
         if ( response && this.isValidJson(response) ) {
-          this.debuglog(game_changer_title + 'valid json response')
-          this.debuglog(response)
-          this.temp_cache.gamechanger.cache_data = JSON.parse(response)
+          this.temp_cache.linescore.cache_data = JSON.parse(response)
         } else {
-          this.log(game_changer_title + 'error : invalid json from url ' + reqObj.url)
-          return
+          this.errorlog('linescore data error : invalid json from url ' + reqObj.url)
+        }
+      }
+      return this.temp_cache.linescore.cache_data
+    } catch(e) {
+      this.errorlog('getLinescoreData error : ' + e.message)
+    }
+  }
+
+  // get the schedule for Game Changers following other levels, cached for all Game Changers following the same levels
+  async getGameChangerLevelData(level_ids, game_changer_title) {
+    if ( !this.temp_cache.gamechanger.level_data ) this.temp_cache.gamechanger.level_data = {}
+    let level_data = this.temp_cache.gamechanger.level_data[level_ids]
+    let currentDate = new Date()
+    if ( level_data && level_data.cache_data && (currentDate <= level_data.cacheExpiry) ) {
+      this.debuglog(game_changer_title + 'using cached gamechanger data for level(s) ' + level_ids)
+      return level_data.cache_data
+    }
+    this.debuglog(game_changer_title + 'fetching new gamechanger data for level(s) ' + level_ids)
+    let cacheExpiry = new Date()
+    cacheExpiry.setSeconds(cacheExpiry.getSeconds()+9)
+    let reqObj = {
+      url: this.upstreamURL('statsapi') + '/api/v1/schedule?sportId=' + level_ids + '&startDate=' + this.temp_cache.gamechanger.date + '&endDate=' + this.temp_cache.gamechanger.date + '&hydrate=broadcasts(all),linescore,team,flags,gameInfo',
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Origin': 'https://www.mlb.com',
+        'Referer': 'https://www.mlb.com/',
+        'Content-Type': 'application/json',
+        'Accept-Encoding': 'gzip, deflate, br'
+      },
+      gzip: true
+    }
+    var response = await this.httpGet(reqObj, false)
+    if ( response && this.isValidJson(response) ) {
+      this.tracelog(response)
+      this.temp_cache.gamechanger.level_data[level_ids] = { cacheExpiry: cacheExpiry, cache_data: JSON.parse(response) }
+      return this.temp_cache.gamechanger.level_data[level_ids].cache_data
+    } else {
+      this.errorlog(game_changer_title + 'error : invalid json from url ' + reqObj.url)
+    }
+  }
+
+  // Whether a game is a non-MLB (MiLB or winter league) game
+  is_non_mlb_game(game) {
+    return (game.teams['home'].team.sport.id != LEVELS['MLB']) && (game.teams['away'].team.sport.id != LEVELS['MLB'])
+  }
+
+  // Count a game's video broadcasts for the Game Changer
+  // like getTVData, non-MLB games count any non-audio broadcast, and winter league games are streamed as events even without one
+  async count_gamechanger_broadcasts(game) {
+    if ( this.is_non_mlb_game(game) ) {
+      let broadcast_count = game.broadcasts ? game.broadcasts.filter(v => v.name != 'Audio').length : 0
+      if ( (broadcast_count == 0) && WINTER_LEAGUES.includes(game.teams['home'].team.league.id) ) {
+        broadcast_count = 1
+      }
+      return broadcast_count
+    }
+    if ( !game.broadcasts ) return 0
+    return await this.count_broadcasts(game.broadcasts, 'MLBTV')
+  }
+
+  // get best active live game by leverage
+  async getBestGame(id) {
+    var game_changer_title = 'Game changer ' + id + ' '
+    let fav_teams = this.getFavTeams(this.temp_cache.gamechanger[id].user)
+
+    try {
+      let cache_data
+      let cache_name = 'gamechanger'
+      let cache_file = path.join(this.CACHE_DIRECTORY, cache_name + '.json')
+      let currentDate = new Date()
+      // the MLB schedule is shared with Stream Finder and the linescore data, other levels are fetched separately
+      let level_ids = this.temp_cache.gamechanger[id].level_ids
+      if ( level_ids == LEVELS['MLB'] ) {
+        if ( !this.temp_cache.gamechanger.cache_data || !this.temp_cache.gamechangerCacheExpiry || (currentDate > new Date(this.temp_cache.gamechangerCacheExpiry)) ) {
+          this.debuglog(game_changer_title + 'fetching new gamechanger data')
+          let cacheExpiry = new Date()
+          cacheExpiry.setSeconds(cacheExpiry.getSeconds()+9)
+          this.temp_cache.gamechangerCacheExpiry = cacheExpiry
+          let reqObj = {
+            //url: 'https://gd2.mlb.com/components/game/mlb/year_' + this.temp_cache.gamechanger.dateString + '/master_scoreboard.json',
+            url: this.upstreamURL('statsapi') + '/api/v1/schedule?sportId=1&startDate=' + this.temp_cache.gamechanger.date + '&endDate=' + this.temp_cache.gamechanger.date + '&hydrate=broadcasts(all),linescore,team,flags,gameInfo',
+            headers: {
+              'User-Agent': USER_AGENT,
+              'Origin': 'https://www.mlb.com',
+              'Referer': 'https://www.mlb.com/',
+              'Content-Type': 'application/json',
+              'Accept-Encoding': 'gzip, deflate, br'
+            },
+            gzip: true
+          }
+          var response = await this.httpGet(reqObj, false)
+          if ( response && this.isValidJson(response) ) {
+            this.debuglog(game_changer_title + 'valid json response')
+            this.tracelog(response)
+            this.temp_cache.gamechanger.cache_data = JSON.parse(response)
+          } else {
+            this.errorlog(game_changer_title + 'error : invalid json from url ' + reqObj.url)
+            return
+          }
+        } else {
+          this.debuglog(game_changer_title + 'using cached gamechanger data')
         }
+        cache_data = this.temp_cache.gamechanger.cache_data
       } else {
-        this.debuglog(game_changer_title + 'using cached gamechanger data')
+        cache_data = await this.getGameChangerLevelData(level_ids, game_changer_title)
+        if ( !cache_data ) return
       }
-      cache_data = this.temp_cache.gamechanger.cache_data
 
       if ( cache_data ) {
         //if ( cache_data.data && cache_data.data.games && cache_data.data.games.game && (cache_data.data.games.game.length > 0) ) {
@@ -4930,13 +6496,15 @@ class sessionClass {
               }
 
               // Game is not broadcast
-              if ( !cache_data.dates[0].games[i].broadcasts || (cache_data.dates[0].games[i].broadcasts.length == 0) ) {
+              let broadcast_count = await this.count_gamechanger_broadcasts(cache_data.dates[0].games[i])
+              if ( broadcast_count == 0 ) {
                 omitted_games.no_broadcast.push(teams)
                 continue
               }
-              let broadcast_count = await this.count_broadcasts(cache_data.dates[0].games[i].broadcasts, 'MLBTV')
-              if ( broadcast_count == 0 ) {
-                omitted_games.no_broadcast.push(teams)
+
+              // Game is not in the included organizations
+              if ( (this.temp_cache.gamechanger[id].team_ids.length > 0) && !this.temp_cache.gamechanger[id].team_ids.includes(cache_data.dates[0].games[i].teams['away'].team.id.toString()) && !this.temp_cache.gamechanger[id].team_ids.includes(cache_data.dates[0].games[i].teams['home'].team.id.toString()) ) {
+                omitted_games.excluded.push(teams)
                 continue
               }
 
@@ -5163,7 +6731,7 @@ class sessionClass {
               break
             }
           }
-          this.debuglog(game_changer_title + 'omitted games ' + JSON.stringify(omitted_games))
+          this.tracelog(game_changer_title + 'omitted games ' + JSON.stringify(omitted_games))
 
           if ( games.length > 0 ) {
             //best_games = games.sort(this.GetSortOrderReverse('leverage_index'))
@@ -5172,10 +6740,10 @@ class sessionClass {
               return b.leverage_index - a.leverage_index || b.inning_num - a.inning_num || a.inning_half.localeCompare(b.inning_half) || b.outs - a.outs;
             })
           }
-          this.debuglog(game_changer_title + 'live sorted games ' + JSON.stringify(best_games))
-          this.debuglog(game_changer_title + 'players ' + JSON.stringify(players))
-          this.debuglog(game_changer_title + 'inning states ' + JSON.stringify(inning_states))
-          this.debuglog(game_changer_title + 'break expiries ' + JSON.stringify(this.temp_cache.gamechanger[id].break_expiries))
+          this.tracelog(game_changer_title + 'live sorted games ' + JSON.stringify(best_games))
+          this.tracelog(game_changer_title + 'players ' + JSON.stringify(players))
+          this.tracelog(game_changer_title + 'inning states ' + JSON.stringify(inning_states))
+          this.tracelog(game_changer_title + 'break expiries ' + JSON.stringify(this.temp_cache.gamechanger[id].break_expiries))
 
           if ( !this.temp_cache.gamechanger[id].games ) this.temp_cache.gamechanger[id].games = []
           this.temp_cache.gamechanger[id].games.push(best_games)
@@ -5196,7 +6764,28 @@ class sessionClass {
 
           best_games = this.temp_cache.gamechanger[id].games[0]
           if ( maxlength > 1 ) {
-            this.debuglog(game_changer_title + 'delayed sorted games ' + JSON.stringify(best_games))
+            this.tracelog(game_changer_title + 'delayed sorted games ' + JSON.stringify(best_games))
+          }
+
+          // Return to the game shown before a highlight switch, once the highlight at-bat is over
+          let return_to = this.temp_cache.gamechanger[id].return_to
+          if ( return_to ) {
+            let highlight_game = best_games.find(v => v.game_pk == this.temp_cache.gamechanger[id].gamePk)
+            let highlight_players = this.temp_cache.gamechanger[id].players[0][this.temp_cache.gamechanger[id].gamePk]
+            if ( !highlight_game || !highlight_players || (highlight_players.batter != return_to.batter) ) {
+              this.temp_cache.gamechanger[id].return_to = null
+              let previous_game = best_games.find(v => v.game_pk == return_to.game_pk)
+              if ( previous_game ) {
+                this.record_gamechanger_switch(id, highlight_game ? {game_pk: highlight_game.game_pk, teams: highlight_game.teams, LI: highlight_game.leverage_index} : {game_pk: this.temp_cache.gamechanger[id].gamePk}, {game_pk: previous_game.game_pk, teams: previous_game.teams, LI: previous_game.leverage_index}, {type: 'return'}, 'highlight at-bat is over, so returned to the previous game', best_games.map(v => ({game_pk: v.game_pk, teams: v.teams, LI: v.leverage_index})))
+                this.log(game_changer_title + 'returning to game ' + previous_game.teams)
+                this.temp_cache.gamechanger[id].gamePk = previous_game.game_pk
+                this.temp_cache.gamechanger[id].switched = new Date()
+                let streamInfo = await this.getGameChangerStreamInfo(previous_game.game_pk, cache_data, fav_teams, game_changer_title)
+                if ( streamInfo ) {
+                  return streamInfo
+                }
+              }
+            }
           }
           if ( (best_games.length == 0) || (this.temp_cache.gamechanger[id].gamePk && (best_games[0].game_pk == this.temp_cache.gamechanger[id].gamePk)) ) {
             this.debuglog(game_changer_title + 'best game has not changed')
@@ -5220,13 +6809,24 @@ class sessionClass {
               this.debuglog(game_changer_title + 'current game still best or tied for best')
               return
             }
+            if ( curr_game && this.gamechanger_dwelling(id) ) {
+              this.debuglog(game_changer_title + 'staying on ' + curr_game.teams + ' for minimum dwell time')
+              return
+            }
+            // games in a break are omitted from best_games, so an active current game is still in its half-inning
+            if ( curr_game && (this.temp_cache.gamechanger[id].finish == 'inning') ) {
+              this.debuglog(game_changer_title + 'staying on ' + curr_game.teams + ' to finish the half-inning')
+              return
+            }
+            // finish=atbat needs no check of its own here, since switching away from an active game below always waits for a new batter
+            let threshold = (this.temp_cache.gamechanger[id].threshold !== null) ? this.temp_cache.gamechanger[id].threshold : DEFAULT_GAMECHANGER_THRESHOLD
             // Only switch games if:
             //  curr_game is None (either no curr_game or it's in commercial break)
-            //  The change in leverage is > 1.5 and there's a new batter in curr_game
+            //  The change in leverage is > 1.5 (or the configured threshold) and there's a new batter in curr_game
             //  game has a better leverage than curr_game and curr_game is below average leverage (1.0) and there's a new batter in curr_game
             for (var i=0; i<best_games.length; i++) {
               let large_leverage_diff = false
-              if ( curr_game && ((best_games[i].leverage_index - curr_game.leverage_index) > 1.5) ) {
+              if ( curr_game && ((best_games[i].leverage_index - curr_game.leverage_index) > threshold) ) {
                 large_leverage_diff = true
               }
               let game_better = false
@@ -5234,67 +6834,29 @@ class sessionClass {
                 game_better = true
               }
               if ( !curr_game || (curr_game.new_batter && (large_leverage_diff || (curr_game_below_avg && game_better))) ) {
+                let reason
+                if ( !this.temp_cache.gamechanger[id].gamePk ) {
+                  reason = 'no current game, so started with the highest leverage game'
+                } else if ( !curr_game ) {
+                  reason = 'current game is ' + ((this.temp_cache.gamechanger[id].break_expiries[this.temp_cache.gamechanger[id].gamePk] && (this.temp_cache.gamechanger[id].break_expiries[this.temp_cache.gamechanger[id].gamePk] > currentDate)) ? 'in a break' : 'no longer active') + ', so switched to the highest leverage game'
+                } else if ( large_leverage_diff ) {
+                  reason = 'leverage is more than ' + threshold + ' higher than the current game, at a new batter'
+                } else {
+                  reason = 'current game is below average leverage and this game is higher, at a new batter'
+                }
+                this.record_gamechanger_switch(id, curr_game ? {game_pk: curr_game.game_pk, teams: curr_game.teams, LI: curr_game.leverage_index} : (this.temp_cache.gamechanger[id].gamePk ? {game_pk: this.temp_cache.gamechanger[id].gamePk} : null), {game_pk: best_games[i].game_pk, teams: best_games[i].teams, LI: best_games[i].leverage_index}, {type: 'leverage'}, reason, best_games.map(v => ({game_pk: v.game_pk, teams: v.teams, LI: v.leverage_index})))
+                // a large leverage jump away from an active game is a highlight, so remember the game to return to after it
+                if ( this.temp_cache.gamechanger[id].returnToPrevious && !this.temp_cache.gamechanger[id].return_to && curr_game && large_leverage_diff ) {
+                  this.temp_cache.gamechanger[id].return_to = {game_pk: curr_game.game_pk, batter: this.temp_cache.gamechanger[id].players[0][best_games[i].game_pk].batter}
+                }
                 curr_game = best_games[i]
                 this.log(game_changer_title + 'loading game ' + curr_game.teams)
                 this.temp_cache.gamechanger[id].gamePk = curr_game.game_pk
-                // get stream URL
-                let favTeamBroadcast
-                let mediaId
-                let streamURL
-                let streamInfo
-                for (var x=0; x<cache_data.dates[0].games.length; x++) {
-                  if ( curr_game.game_pk == cache_data.dates[0].games[x].gamePk ) {
-                    if ( cache_data.dates[0].games[x].broadcasts && (cache_data.dates[0].games[x].broadcasts.length > 0) ) {
-                      let broadcasts = cache_data.dates[0].games[x].broadcasts
-                      if ( await this.count_broadcasts(broadcasts, 'MLBTV') > 0 ) {
-                        for (var y = 0; y < broadcasts.length; y++) {
-                          let broadcast = broadcasts[y]
-                          if ( (broadcast.availableForStreaming == true) && (broadcast.type == 'TV') && broadcast.mediaState && broadcast.mediaState.mediaStateCode && (broadcast.mediaState.mediaStateCode == 'MEDIA_ON') ) {
-                            // skip blackout feeds
-                            if ( this.temp_cache.gamechanger.blackouts[curr_game.game_pk] && this.temp_cache.gamechanger.blackouts[curr_game.game_pk].blackout_feeds && this.temp_cache.gamechanger.blackouts[curr_game.game_pk].blackout_feeds.includes(broadcast.mediaId) ) {
-                              continue
-                            }
-                            // prefer fav team broadcasts
-                            if ( this.credentials.fav_teams.length > 0 ) {
-                              for (var z = 0; z < this.credentials.fav_teams.length; z++) {
-                                if ( ((broadcast.homeAway == 'home') && (cache_data.dates[0].games[x].teams.home.id == TEAM_IDS[this.credentials.fav_teams[z]])) || ((broadcast.homeAway == 'away') && (cache_data.dates[0].games[x].teams.away.id == TEAM_IDS[this.credentials.fav_teams[z]])) ) {
-                                  this.debuglog(game_changer_title + 'found fav team broadcast')
-                                  favTeamBroadcast = true
-                                  mediaId = broadcast.mediaId
-                                  break
-                                }
-                              }
-                              if ( favTeamBroadcast ) {
-                                break
-                              }
-                            }
-
-                            // fall back to home or national broadcast
-                            if ( !mediaId || (broadcast.homeAway == 'home') || (broadcast.isNational == true) ) {
-                              this.debuglog(game_changer_title + 'found home or national broadcast')
-                              mediaId = broadcast.mediaId
-                            }
-                          }
-                        } // end broadcasts loop
-                        if ( mediaId ) {
-                           streamInfo = await this.getStreamURL(mediaId)
-                           if ( streamInfo.streamURL ) {
-                             // always convert the stream URL to variant form
-                             streamInfo.streamURL = streamInfo.streamURL.substr(0,streamInfo.streamURL.length-5)
-                             return streamInfo
-                           } else {
-                             this.log(game_changer_title + 'failed to find streamURL for ' + mediaId)
-                           }
-                        } else {
-                          this.log(game_changer_title + 'failed to find mediaId for ' + curr_game.game_pk)
-                        }
-                      } else {
-                        this.log(game_changer_title + 'failed to find broadcasts for ' + curr_game.game_pk)
-                      } // end broadcast count
-                    } // end broadcasts check
-                    break
-                  } // end game match
-                } // end game loop
+                this.temp_cache.gamechanger[id].switched = new Date()
+                let streamInfo = await this.getGameChangerStreamInfo(curr_game.game_pk, cache_data, fav_teams, game_changer_title)
+                if ( streamInfo ) {
+                  return streamInfo
+                }
               } else if ( large_leverage_diff ) {
                 this.debuglog(game_changer_title + best_games[i].teams + ' is a better game, but ' + curr_game.teams + ' still has a batter at the plate')
               } else if ( game_better ) {
@@ -5303,13 +6865,13 @@ class sessionClass {
             }
           }
         } else {
-          this.log(game_changer_title + 'error : no games in date from url ' + reqObj.url)
+          this.errorlog(game_changer_title + 'error : no games in date from url ' + reqObj.url)
         }
       } else {
-        this.log(game_changer_title + 'error : no data found or cached')
+        this.errorlog(game_changer_title + 'error : no data found or cached')
       }
     } catch(e) {
-      this.log(game_changer_title + 'getBestGame error : ' + e.message)
+      this.errorlog(game_changer_title + 'getBestGame error : ' + e.message)
     }
 
     return
@@ -5496,6 +7058,67 @@ class sessionClass {
     return channel_object
   }
   
+  // program data for the recorder, with a stream URL pinned to the game's date
+  async create_program_object(channelid, stream, start, stop, title, date, game, level) {
+    if ( stream.includes('/stream.m3u8?team=') ) {
+      stream += '&date=' + date
+      if ( (game.doubleHeader != 'N') && !stream.includes('team=NATIONAL.') && !stream.includes('team=FREE.') ) {
+        stream += '&game=' + game.gameNumber
+      }
+    }
+    let program_object = {}
+    program_object.channelid = channelid
+    program_object.stream = stream
+    program_object.start = start.toISOString()
+    program_object.stop = stop.toISOString()
+    program_object.title = title
+    program_object.date = date
+    program_object.gamePk = game.gamePk
+    program_object.gameNumber = (game.doubleHeader != 'N') ? game.gameNumber : false
+    program_object.level = level
+    return program_object
+  }
+
+  // Calendar events and guide programs for a channel that switches between games (Game Changer, Stream Finder, or a Game Changer profile),
+  // from the first game of each date until 4 hours after the last one, with off air programs before them if requested
+  async generate_switching_channel_programs(label, channel, title, description, logo, credential, server, offAir, dates, gameIndexes_obj) {
+    let calendar = ''
+    let programs = ''
+    for (var i = 0; i < dates.length; i++) {
+      if ( dates[i].games.length > 1 ) {
+        this.debuglog('getTVData processing ' + label + ' for date ' + dates[i].date)
+        let gameIndexes = gameIndexes_obj[dates[i].date]
+        if ( (typeof gameIndexes.firstGameIndex !== 'undefined') && (typeof gameIndexes.lastGameIndex !== 'undefined') && (gameIndexes.firstGameIndex !== gameIndexes.lastGameIndex) ) {
+          this.debuglog('getTVData ' + label + ' available for date ' + dates[i].date)
+          let gameDate = new Date(dates[i].games[gameIndexes.firstGameIndex].gameDate)
+          let start = this.convertDateToXMLTV(gameDate)
+          gameDate = new Date(dates[i].games[gameIndexes.lastGameIndex].gameDate)
+          let stopDate = gameDate
+          stopDate.setHours(gameDate.getHours()+4)
+          let stop = this.convertDateToXMLTV(stopDate)
+
+          // calendar ICS
+          let prefix = 'Watch'
+          let location = server + '/embed.html?src=' + encodeURIComponent(channel.stream)
+          if ( credential ) location += '&' + credential
+          calendar += await this.generate_ics_event(prefix, new Date(dates[i].games[gameIndexes.firstGameIndex].gameDate), gameDate, title, description, location)
+
+          // Off Air if necessary
+          let off_air_event = await this.generate_off_air_event(offAir, channel.name, dates[i].date, channel.stop, dates[i].games[gameIndexes.firstGameIndex].gameDate, title)
+          if ( off_air_event ) {
+            programs += off_air_event
+            channel.stop = stop
+          }
+
+          // guide XML
+          programs += await this.generate_xml_program(channel.name, start, stop, title, description, logo, this.convertDateToAirDate(gameDate))
+        }
+        this.debuglog('getTVData completed ' + label + ' for date ' + dates[i].date)
+      }
+    }
+    return { calendar: calendar, programs: programs }
+  }
+
   async generate_off_air_event(offAir, channelid, gameDate, start, stop, title) {
     try {
       if ( offAir != 'false' ) {
@@ -5525,7 +7148,7 @@ class sessionClass {
         return await this.generate_xml_program(channelid, start, this.convertDateToXMLTV(new Date(stop)), offAirTitle, '', OFF_AIR_LOGO, '', offAirSubtitle)
       }
     } catch(e) {
-      this.log('generate_off_air_event error : ' + e.message)
+      this.errorlog('generate_off_air_event error : ' + e.message)
     }
   }
   
@@ -5561,7 +7184,7 @@ class sessionClass {
       }
     
       if ( !req.query.broadcast_start_timestamp ) {
-        this.log('comskip error : specifying the broadcast_start_timestamp in the URL is required, should be your local time in YYYY-MM-DDTHH:MM:SS format')
+        this.errorlog('comskip error : specifying the broadcast_start_timestamp in the URL is required, should be your local time in YYYY-MM-DDTHH:MM:SS format')
         return []
       }
       let broadcast_start_timestamp = new Date(req.query.broadcast_start_timestamp)
@@ -5592,7 +7215,7 @@ class sessionClass {
       
       return comskip_markers
     } catch(e) {
-      this.log('getComskipMarkers error : ' + e.message)
+      this.errorlog('getComskipMarkers error : ' + e.message)
     }
   }
 
@@ -5603,7 +7226,7 @@ class sessionClass {
 
       let affiliates_data = {}
       let reqObj = {
-        url: 'https://statsapi.mlb.com/api/v1/teams?sportIds=1,11,12,13,14&activeStatus=true&season=2026',
+        url: this.upstreamURL('statsapi') + '/api/v1/teams?sportIds=1,11,12,13,14&activeStatus=true&season=2026',
         headers: {
           'User-agent': USER_AGENT,
           'Origin': 'https://www.mlb.com',
@@ -5639,10 +7262,10 @@ class sessionClass {
           console.log(JSON.stringify(this.sortObj(affiliates_data)))
         }
       } else {
-        this.log('error : invalid json from url ' + reqObj.url)
+        this.errorlog('error : invalid json from url ' + reqObj.url)
       }
     } catch(e) {
-      this.log('getAffiliates error : ' + e.message)
+      this.errorlog('getAffiliates error : ' + e.message)
     }
   }
 }
@@ -0,0 +1,730 @@
+// End-to-end tests: runs mlbserver against the mock upstream, with a temporary data directory
+// Run with "npm test" from the application directory
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { spawn } = require('child_process')
+const http = require('http')
+const fs = require('fs')
+const crypto = require('crypto')
+const os = require('os')
+const path = require('path')
+
+const mock_upstream = require('./mock_upstream')
+
+const UPSTREAM_PORT = 19990
+const SERVER_PORT = 19998
+const SERVER_START_TIMEOUT = 20000
+
+// Matches the recorded fixtures
+const GAME_DATE = '2025-07-04'
+const GAME_PK = '777001'
+const HOME_MEDIA_ID = '00000000-0000-4000-8000-0000000000c1'
+const SAMPLE_IV = '00000000000000000000000000000001'
+const PLAYBACK_TOKEN = 'mock_MDB1bW9ja29rdGFpZDAwMDE'
+
+// A second server with page protection, for the login, token, and user key tests
+const PROTECTED_SERVER_PORT = 19996
+const CONTENT_PROTECT = 'test_content_protect_0123456789abcdef'
+const ADMIN_LOGIN = ['admin', 'adminpassword']
+const USER_LOGIN = ['alice', 'alicepassword']
+// An already expired token, stored in the protected server's tokens.json before it starts
+const EXPIRED_TOKEN = 'expired_test_token_0123456789abcdef'
+
+// A third server with signed URLs that expire after 3 seconds
+const SIGNED_SERVER_PORT = 19994
+const SIGNED_URL_TTL_SECONDS = 3
+
+// A fourth server limited to one concurrent stream
+const LIMITED_SERVER_PORT = 19992
+
+// A fifth server, with its own Game Changer schedule cache for the switching rule test
+const SWITCHING_SERVER_PORT = 19988
+// Seconds the Game Changer caches MiLB schedules
+const GAMECHANGER_CACHE_SECONDS = 9
+
+var upstream
+var server
+var protected_server
+// Servers started with other options, stopped after all tests
+var servers = []
+
+// Start mlbserver on a port with the default test options plus any others, and any files to put in its data directory,
+// resolving with its process, data directory, and output once it is listening
+function start_server(port, options = [], files = {}) {
+  let instance = { port: port, data_directory: fs.mkdtempSync(path.join(os.tmpdir(), 'mlbserver-test-')), output: '' }
+  servers.push(instance)
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(instance.data_directory, name), content)
+  }
+  instance.process = spawn(process.execPath, [
+    path.join(__dirname, '..', 'index.js'),
+    '--port=' + port,
+    '--multiview_port=' + (port + 1),
+    '--data_directory=' + instance.data_directory,
+    '--upstream_url=http://127.0.0.1:' + UPSTREAM_PORT,
+    '--account_username=test@example.com',
+    '--account_password=password',
+    '--fav_teams=NYY',
+    '--log_level=debug'
+  ].concat(options), { stdio: ['ignore', 'pipe', 'pipe'] })
+
+  return new Promise(function(resolve, reject) {
+    let timer = setTimeout(function() {
+      reject(new Error('mlbserver did not start : ' + instance.output))
+    }, SERVER_START_TIMEOUT)
+    instance.process.stdout.on('data', function(data) {
+      instance.output += data
+      if ( instance.output.includes(' started at ') ) {
+        clearTimeout(timer)
+        resolve(instance)
+      }
+    })
+    instance.process.on('exit', function(code) {
+      clearTimeout(timer)
+      reject(new Error('mlbserver exited with code ' + code + ' : ' + instance.output))
+    })
+  })
+}
+
+// Start the page protected server the first time a test needs it
+function get_protected_server() {
+  if ( !protected_server ) {
+    protected_server = start_server(PROTECTED_SERVER_PORT, [
+      '--page_username=' + ADMIN_LOGIN[0],
+      '--page_password=' + ADMIN_LOGIN[1],
+      '--users=' + USER_LOGIN.join(':') + ',not a user:password',
+      '--content_protect=' + CONTENT_PROTECT
+    ], {
+      'tokens.json': JSON.stringify({ expired1: { id: 'expired1', name: 'expired', scope: 'all', hash: crypto.createHash('sha256').update(EXPIRED_TOKEN).digest('hex'), created: '2025-01-01T00:00:00.000Z', expires: '2025-01-02T00:00:00.000Z', last_used: false } })
+    })
+  }
+  return protected_server
+}
+
+// GET a path from mlbserver, resolving with the status, headers, and body buffer
+function get(url_path, headers = {}, port = SERVER_PORT) {
+  return new Promise(function(resolve, reject) {
+    http.get('http://127.0.0.1:' + port + url_path, { headers: headers }, function(res) {
+      let chunks = []
+      res.on('data', function(chunk) {
+        chunks.push(chunk)
+      })
+      res.on('end', function() {
+        resolve({status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks)})
+      })
+    }).on('error', reject)
+  })
+}
+
+// POST a body to a path on mlbserver, resolving like get
+function post(url_path, body, headers = {}, port = SERVER_PORT) {
+  return new Promise(function(resolve, reject) {
+    let req = http.request('http://127.0.0.1:' + port + url_path, { method: 'POST', headers: Object.assign({ 'Content-Type': 'text/plain' }, headers) }, function(res) {
+      let chunks = []
+      res.on('data', function(chunk) {
+        chunks.push(chunk)
+      })
+      res.on('end', function() {
+        resolve({status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks)})
+      })
+    })
+    req.on('error', reject)
+    req.end(body)
+  })
+}
+
+// Basic authorization header for a page login
+function basic_auth(username, password) {
+  return { 'Authorization': 'Basic ' + Buffer.from(username + ':' + password).toString('base64') }
+}
+
+// Return the non-comment lines of a playlist
+function playlist_urls(body) {
+  return body.toString().split('\n').filter(function(line) {
+    return (line != '') && !line.startsWith('#')
+  })
+}
+
+// The MiLB schedule fixture with its game at the given linescore, plus a second live game in the top of the 9th
+function milb_schedule(linescore, second_linescore) {
+  let schedule = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'schedule_milb.json')))
+  let games = schedule.dates[0].games
+  Object.assign(games[0].linescore, linescore)
+  let game = JSON.parse(JSON.stringify(games[0]))
+  game.gamePk = 888002
+  Object.assign(game.teams.away.team, {id: 1410, abbreviation: 'LHV'})
+  Object.assign(game.teams.home.team, {id: 422, abbreviation: 'BUF'})
+  game.flags = {perfectGame: false, noHitter: false}
+  Object.assign(game.linescore, {currentInning: 9, inningHalf: 'Top', balls: 0, strikes: 0}, second_linescore)
+  games.push(game)
+  return JSON.stringify(schedule)
+}
+
+function graphql_requests(operationName) {
+  return upstream.requests.filter(function(request) {
+    return request.operationName == operationName
+  })
+}
+
+test.before(async function() {
+  upstream = await mock_upstream.start(UPSTREAM_PORT)
+  server = await start_server(SERVER_PORT)
+})
+
+test.after(function() {
+  for (var i=0; i<servers.length; i++) {
+    if ( servers[i].process ) servers[i].process.kill()
+    fs.rmSync(servers[i].data_directory, { recursive: true, force: true })
+  }
+  if ( upstream ) upstream.close()
+})
+
+test('/stream.m3u8 resolves a team to a proxied master playlist', async function() {
+  let response = await get('/stream.m3u8?team=NYY&date=' + GAME_DATE)
+  assert.strictEqual(response.status, 200)
+  let body = response.body.toString()
+  assert.ok(body.startsWith('#EXTM3U'))
+  assert.ok(body.includes('RESOLUTION=1280x720,FRAME-RATE=59.94'))
+
+  let urls = playlist_urls(body)
+  assert.strictEqual(urls.length, 2)
+  for (let i=0; i<urls.length; i++) {
+    assert.ok(urls[i].startsWith('/playlist.m3u8?url='))
+    assert.ok(urls[i].includes('&streamURLToken='))
+  }
+
+  // the home team's feed was requested, after logging in
+  assert.ok(upstream.requests.some(function(request) {
+    return request.path.endsWith('/v1/token')
+  }))
+  assert.ok(graphql_requests('initSession').length > 0)
+  assert.ok(graphql_requests('initPlaybackSession').some(function(request) {
+    return request.variables.mediaId == HOME_MEDIA_ID
+  }))
+})
+
+test('/playlist.m3u8 rewrites segment and key URLs', async function() {
+  let master = await get('/stream.m3u8?team=NYY&date=' + GAME_DATE)
+  let response = await get(playlist_urls(master.body)[0])
+  assert.strictEqual(response.status, 200)
+  let body = response.body.toString()
+  assert.ok(!body.includes('#EXT-X-KEY'))
+
+  let urls = playlist_urls(body)
+  assert.strictEqual(urls.length, mock_upstream.SEGMENT_COUNT)
+  for (let i=0; i<urls.length; i++) {
+    assert.ok(urls[i].startsWith('/segment.ts?url='))
+    assert.ok(urls[i].includes('&key=' + encodeURIComponent('http://127.0.0.1:' + UPSTREAM_PORT + '/cdn/key.bin')))
+    assert.ok(urls[i].includes('&iv=' + SAMPLE_IV))
+  }
+})
+
+test('/segment.ts decrypts segments', async function() {
+  let master = await get('/stream.m3u8?team=NYY&date=' + GAME_DATE)
+  let playlist = await get(playlist_urls(master.body)[0])
+  let urls = playlist_urls(playlist.body)
+
+  let indexes = [0, urls.length - 1]
+  for (let i=0; i<indexes.length; i++) {
+    let response = await get(urls[indexes[i]])
+    assert.strictEqual(response.status, 200)
+    assert.deepStrictEqual(response.body, mock_upstream.get_segment(indexes[i]))
+  }
+})
+
+test('/stream.m3u8 skip markers remove breaks from the playlist', async function() {
+  let master = await get('/stream.m3u8?team=NYY&date=' + GAME_DATE + '&skip=breaks')
+  let url = playlist_urls(master.body)[0]
+  assert.ok(url.includes('&skip=breaks'))
+  assert.ok(url.includes('&gamePk=' + GAME_PK))
+
+  // fixture plays give breaks from 0-19 and 33-59 seconds, covering 10 of the 20 4-second segments
+  let response = await get(url)
+  let body = response.body.toString()
+  assert.strictEqual(playlist_urls(body).length, 10)
+  assert.strictEqual(body.split('#EXT-X-DISCONTINUITY').length - 1, 2)
+})
+
+test('/channels.m3u lists entitled feeds and omits blackouts', async function() {
+  let response = await get('/channels.m3u?mediaType=Video')
+  assert.strictEqual(response.status, 200)
+  let body = response.body.toString()
+  assert.ok(body.startsWith('#EXTM3U'))
+  assert.ok(body.includes('tvg-id="MLBTV.NYY"'))
+  assert.ok(body.includes('/stream.m3u8?team=NYY&mediaType=Video'))
+  // the away feed is blacked out in the EPG fixture
+  assert.ok(!body.includes('MLBTV.BOS'))
+})
+
+test('/guide.xml lists games and pre-game shows', async function() {
+  let response = await get('/guide.xml?mediaType=Video')
+  assert.strictEqual(response.status, 200)
+  let body = response.body.toString()
+  assert.ok(body.includes('<channel id="MLBTV.NYY">'))
+  assert.ok(body.includes('<programme channel="MLBTV.NYY"'))
+  assert.ok(body.includes('<episode-num system="game-id">' + GAME_PK + '</episode-num>'))
+  assert.ok(body.includes('<title lang="en">Yankees Pregame</title>'))
+  assert.ok(!body.includes('MLBTV.BOS'))
+})
+
+test('/segment.ts returns an upstream error status instead of exiting', async function() {
+  // nothing listens on port 1, so every try is refused
+  let response = await get('/segment.ts?url=' + encodeURIComponent('http://127.0.0.1:1/segment_0.ts'))
+  assert.strictEqual(response.status, 502)
+  assert.ok(response.body.toString().includes('ECONNREFUSED'))
+
+  // the server is still up
+  let channels = await get('/channels.m3u?mediaType=Video')
+  assert.strictEqual(channels.status, 200)
+})
+
+test('/metrics reports request, proxy, upstream, and cache counters', async function() {
+  let response = await get('/metrics')
+  assert.strictEqual(response.status, 200)
+  assert.ok(response.headers['content-type'].startsWith('text/plain'))
+  let body = response.body.toString()
+  assert.ok(body.includes('# TYPE mlbserver_requests_total counter'))
+  assert.match(body, /^mlbserver_requests_total\{route="segment.ts"\} [1-9]/m)
+  assert.match(body, /^mlbserver_proxied_bytes_total [1-9]/m)
+  assert.ok(body.includes('mlbserver_upstream_request_duration_seconds_count{host="127.0.0.1:' + UPSTREAM_PORT + '"}'))
+  assert.match(body, /^mlbserver_upstream_request_failures_total\{host="127.0.0.1:1"\} [1-9]/m)
+  assert.match(body, /^mlbserver_cache_lookups_total\{category="media",result="hit"\} [1-9]/m)
+})
+
+test('/healthz and /readyz report status', async function() {
+  let response = await get('/healthz')
+  assert.strictEqual(response.status, 200)
+  assert.strictEqual(JSON.parse(response.body).status, 'ok')
+
+  // readiness only reads cached state, and reports just a status
+  // (ffmpeg may not be runnable on the test machine, so either status is possible)
+  let upstream_request_count = upstream.requests.length
+  response = await get('/readyz')
+  let body = JSON.parse(response.body)
+  assert.deepStrictEqual(Object.keys(body), ['status'])
+  assert.strictEqual(body.status, (response.status == 200) ? 'ready' : 'not ready')
+  assert.strictEqual(upstream.requests.length, upstream_request_count)
+  assert.ok(server.output.includes('readyz ffmpeg check failed') || (response.status == 200))
+  assert.ok(!server.output.includes('readyz login_token check failed'))
+  assert.ok(!server.output.includes('readyz session check failed'))
+})
+
+test('log messages have tokens redacted', async function() {
+  await get('/stream.m3u8?team=NYY&date=' + GAME_DATE)
+  assert.ok(server.output.includes('streamURLToken=[redacted]'))
+  assert.ok(!server.output.includes(PLAYBACK_TOKEN))
+})
+
+test('/tokens.json issues, lists, and revokes tokens', async function() {
+  let response = await post('/tokens.json', JSON.stringify({action: 'issue', name: 'tv', scope: 'guide', expires: 30}))
+  assert.strictEqual(response.status, 200)
+  let issued = JSON.parse(response.body).issued
+  assert.match(issued.token, /^[0-9a-f]{48}$/)
+
+  let tokens = JSON.parse((await get('/tokens.json')).body).tokens
+  let token = tokens.find(v => v.id == issued.id)
+  assert.strictEqual(token.scope, 'guide')
+  assert.ok(token.expires)
+  assert.strictEqual(token.hash, undefined)
+
+  response = await post('/tokens.json', JSON.stringify({action: 'issue', name: 'tv', scope: 'everything'}))
+  assert.strictEqual(response.status, 400)
+
+  // changes are only accepted by POST
+  response = await get('/tokens.json?action=revoke&id=' + issued.id)
+  assert.strictEqual(response.status, 400)
+
+  response = await post('/tokens.json', JSON.stringify({action: 'revoke', id: issued.id}))
+  assert.ok(!JSON.parse(response.body).tokens.some(v => v.id == issued.id))
+  response = await post('/tokens.json', JSON.stringify({action: 'revoke', id: 'constructor'}))
+  assert.strictEqual(JSON.parse(response.body).error, 'token not found')
+})
+
+test('/segment.ts rejects invalid signed handles', async function() {
+  let response = await get('/segment.ts?handle=00000000000000000000000000000000.9999999999.00000000000000000000000000000000')
+  assert.strictEqual(response.status, 403)
+})
+
+test('signed handles only work on their own path until they expire, and playlist handles last while they are reloaded', async function() {
+  let instance = await start_server(SIGNED_SERVER_PORT, ['--signed_urls', '--signed_url_ttl=' + (SIGNED_URL_TTL_SECONDS / 60)])
+  let master = await get('/stream.m3u8?team=NYY&date=' + GAME_DATE, {}, instance.port)
+  let playlist_url = playlist_urls(master.body)[0]
+  assert.match(playlist_url, /^\/playlist\.m3u8\?handle=[0-9a-f]{32}\.\d+\.[0-9a-f]{32}/)
+  assert.ok(!playlist_url.includes('streamURLToken'))
+
+  let playlist = await get(playlist_url, {}, instance.port)
+  assert.strictEqual(playlist.status, 200)
+  let segment_url = playlist_urls(playlist.body)[0]
+  assert.ok(segment_url.startsWith('/segment.ts?handle='))
+  assert.ok(!segment_url.includes('key.bin'))
+
+  let response = await get(segment_url, {}, instance.port)
+  assert.strictEqual(response.status, 200)
+  assert.deepStrictEqual(response.body, mock_upstream.get_segment(0))
+
+  // a handle can't be moved to another path
+  response = await get(segment_url.replace('/segment.ts', '/playlist.m3u8'), {}, instance.port)
+  assert.strictEqual(response.status, 403)
+
+  // a live player keeps reloading the same playlist handle past the TTL, while segment handles expire
+  for (let i=0; i<=SIGNED_URL_TTL_SECONDS; i++) {
+    await new Promise(resolve => setTimeout(resolve, 1000))
+    response = await get(playlist_url, {}, instance.port)
+    assert.strictEqual(response.status, 200)
+  }
+  response = await get(segment_url, {}, instance.port)
+  assert.strictEqual(response.status, 403)
+  playlist = await get(playlist_url, {}, instance.port)
+  response = await get(playlist_urls(playlist.body)[0], {}, instance.port)
+  assert.strictEqual(response.status, 200)
+
+  // until it goes unused for the TTL
+  await new Promise(resolve => setTimeout(resolve, (SIGNED_URL_TTL_SECONDS + 1) * 1000))
+  response = await get(playlist_url, {}, instance.port)
+  assert.strictEqual(response.status, 403)
+})
+
+test('/viewers.json lists stream viewers', async function() {
+  // the tests connect from localhost like the server's own ffmpeg jobs, so appear to be forwarded from another client
+  await get('/stream.m3u8?team=NYY&date=' + GAME_DATE, { 'X-Forwarded-For': '192.0.2.10' })
+  let response = await get('/viewers.json')
+  assert.strictEqual(response.status, 200)
+  let viewer = JSON.parse(response.body).viewers.find(v => v.client == '192.0.2.10')
+  assert.strictEqual(viewer.type, 'stream.m3u8')
+  assert.strictEqual(viewer.title, 'NYY ' + GAME_DATE)
+})
+
+test('/viewers escapes viewer details, and max_streams rejects streams over the limit', async function() {
+  let instance = await start_server(LIMITED_SERVER_PORT, ['--max_streams=1'])
+  let response = await get('/stream.m3u8?team=NYY&date=' + GAME_DATE, { 'X-Forwarded-For': '192.0.2.20<i>', 'User-Agent': '<script>alert(1)</script>' }, instance.port)
+  assert.strictEqual(response.status, 200)
+
+  response = await get('/viewers', {}, instance.port)
+  let body = response.body.toString()
+  assert.ok(body.includes('1 of 1 concurrent streams in use'))
+  assert.ok(body.includes('192.0.2.20&lt;i&gt;'))
+  assert.ok(body.includes('&lt;script&gt;alert(1)&lt;/script&gt;'))
+  assert.ok(!body.includes('<script>'))
+
+  response = await get('/stream.m3u8?team=NYY&date=' + GAME_DATE, { 'X-Forwarded-For': '192.0.2.21' }, instance.port)
+  assert.strictEqual(response.status, 429)
+  assert.ok(response.body.toString().startsWith('Maximum of 1 concurrent streams in use'))
+})
+
+test('/segment.ts serves repeated requests from the segment cache', async function() {
+  let master = await get('/stream.m3u8?team=NYY&date=' + GAME_DATE)
+  let playlist = await get(playlist_urls(master.body)[0])
+  let segment_url = playlist_urls(playlist.body)[1]
+  await get(segment_url)
+
+  let upstream_count = upstream.requests.length
+  let response = await get(segment_url)
+  assert.deepStrictEqual(response.body, mock_upstream.get_segment(1))
+  assert.strictEqual(upstream.requests.length, upstream_count)
+
+  // the same segment with a different iv isn't served from the cache
+  response = await get(segment_url.replace('&iv=' + SAMPLE_IV, '&iv=' + SAMPLE_IV.replace(/1$/, '2')))
+  assert.notDeepStrictEqual(response.body, mock_upstream.get_segment(1))
+  assert.ok(upstream.requests.length > upstream_count)
+})
+
+test('/streamfinder.json validates and saves settings', async function() {
+  let response = await post('/streamfinder.json', JSON.stringify({priority: [{type: 'bat', data: 'judge', immediate: 'Y'}], ignore: [], on_deck: 'N', include_CLI: 'N'}))
+  assert.strictEqual(response.status, 400)
+  assert.ok(JSON.parse(response.body).errors[0].includes('bat'))
+  response = await post('/streamfinder.json', JSON.stringify({priority: [{type: 'bat', data: null}]}))
+  assert.strictEqual(response.status, 400)
+  assert.deepStrictEqual(JSON.parse(response.body).errors, ['priority 1 (bat) needs a numeric player id, not ""'])
+
+  let settings = {priority: [{type: 'bat', data: '592450', immediate: 'Y'}, {type: 'LI', data: '2', immediate: 'N'}], ignore: ['147'], on_deck: 'Y', include_CLI: 'N'}
+  response = await post('/streamfinder.json', JSON.stringify(settings))
+  assert.strictEqual(response.status, 200)
+  response = await get('/streamfinder.json')
+  assert.deepStrictEqual(JSON.parse(response.body).settings, settings)
+})
+
+test('/streamfinder and /upload escape saved settings and errors', async function() {
+  let saved = JSON.parse((await get('/streamfinder.json')).body).settings
+  let settings = {priority: [{type: 'bat', data: '592450', name: '</script><script>alert(1)</script>', immediate: 'N'}], ignore: [], on_deck: 'N', include_CLI: 'N'}
+  let response = await post('/streamfinder.json', JSON.stringify(settings))
+  assert.strictEqual(response.status, 200)
+
+  // the editor script is valid, and the saved name can't close it
+  response = await get('/streamfinder')
+  assert.strictEqual(response.status, 200)
+  let body = response.body.toString()
+  assert.ok(!body.includes('<script>alert(1)'))
+  let script = body.match(/<script type="text\/javascript">([\s\S]*?)<\/script>/)[1]
+  assert.ok(script.includes('\\u003c/script>'))
+  new Function(script)
+
+  response = await post('/upload', JSON.stringify({priority: [{type: 'bat', data: '<b>judge</b>'}]}))
+  body = response.body.toString()
+  assert.ok(body.includes('<p><b>ERROR</b></p>'))
+  assert.ok(body.includes('&quot;&lt;b&gt;judge&lt;/b&gt;&quot;'))
+
+  response = await post('/upload', JSON.stringify(saved))
+  assert.ok(response.body.toString().includes('SUCCESS'))
+  assert.deepStrictEqual(JSON.parse((await get('/streamfinder.json')).body).settings, saved)
+})
+
+test('/gamechanger_profiles.json rejects invalid profiles', async function() {
+  let invalid = [
+    [{name: 'No-hitter watch', includeTeams: ['XYZ'], dwell: 30}, 'includeTeams has unknown teams XYZ'],
+    [{name: 'Hysteresis', finish: 'game', threshold: 2}, 'finish must be one of off, atbat, inning'],
+    [{name: 'Hysteresis', dwell: 1.5}, 'dwell must be a whole number of seconds from 0 to 3600'],
+    [{name: 'Hysteresis', threshold: 11}, 'threshold must be a leverage difference from 0 to 10, or null for the default'],
+    [{name: 'Winter ball', includeLevels: ['WINTER', 'AAAA']}, 'includeLevels has unknown levels AAAA'],
+    [{name: 'Yankees farm', includeOrgs: 'NYY'}, 'includeOrgs must be a list of organizations']
+  ]
+  for (const [profile, error] of invalid) {
+    let response = await post('/gamechanger_profiles.json', JSON.stringify(profile))
+    assert.strictEqual(response.status, 400)
+    assert.deepStrictEqual(JSON.parse(response.body).errors, [error])
+  }
+})
+
+test('Game Changer profiles get their own channel', async function() {
+  let response = await post('/gamechanger_profiles.json', JSON.stringify({name: 'No-hitter watch', includeTeams: ['NYY', 'BOS'], dwell: 30}))
+  assert.strictEqual(response.status, 200)
+  assert.strictEqual(JSON.parse(response.body).profile.id, 'no-hitter-watch')
+
+  response = await get('/channels.m3u?mediaType=Video&includeTeams=gamechanger.no-hitter-watch')
+  let body = response.body.toString()
+  assert.ok(body.includes('tvg-id="MLBTV.GAMECHANGER.NO-HITTER-WATCH"'))
+  assert.ok(body.includes('/gamechanger.m3u8?profile=no-hitter-watch&resolution='))
+  assert.ok(!body.includes('tvg-id="MLBTV.GAMECHANGER"'))
+
+  response = await get('/gamechanger.m3u8?profile=no-hitter-watch')
+  assert.ok(playlist_urls(response.body)[0].includes('&profile=no-hitter-watch'))
+  response = await get('/gamechanger.m3u8?profile=missing')
+  assert.strictEqual(response.status, 404)
+  response = await get('/gamechanger.m3u8?profile=constructor')
+  assert.strictEqual(response.status, 404)
+})
+
+test('/gamechanger_history.json lists started Game Changer streams', async function() {
+  let master = await get('/gamechanger.m3u8')
+  let url = playlist_urls(master.body)[0]
+  let id = url.match(/[?&]id=([^&]+)/)[1]
+  await get(url)
+
+  let response = await get('/gamechanger_history.json?id=' + id)
+  assert.strictEqual(response.status, 200)
+  let gamechangers = JSON.parse(response.body).gamechangers
+  assert.strictEqual(gamechangers.length, 1)
+  assert.strictEqual(gamechangers[0].id, id)
+  assert.ok(Array.isArray(gamechangers[0].switches))
+})
+
+test('/gamechanger_history.json records why a Game Changer switched games', async function() {
+  // the only live game in the fixtures is a Triple-A game
+  let master = await get('/gamechanger.m3u8?includeLevels=AAA')
+  let url = playlist_urls(master.body)[0]
+  let id = url.match(/[?&]id=([^&]+)/)[1]
+  await get(url)
+
+  let response = await get('/gamechanger_history.json?id=' + id)
+  let switches = JSON.parse(response.body).gamechangers[0].switches
+  assert.strictEqual(switches.length, 1)
+  assert.strictEqual(switches[0].from, null)
+  assert.strictEqual(switches[0].to, '888001')
+  assert.strictEqual(switches[0].to_teams, 'SWB@WOR')
+  assert.ok(switches[0].to_LI > 0)
+  assert.deepStrictEqual(switches[0].rule, {type: 'leverage'})
+  assert.strictEqual(switches[0].reason, 'no current game, so started with the highest leverage game')
+  assert.deepStrictEqual(switches[0].games.map(v => v.game_pk), ['888001'])
+
+  // the history page script is valid
+  response = await get('/gamechanger_history?id=' + id)
+  new Function(response.body.toString().match(/<script type="text\/javascript">([\s\S]*?)<\/script>/)[1])
+})
+
+test('/gamechanger.m3u8 passes valid switching rules to its playlist', async function() {
+  let response = await get('/gamechanger.m3u8?dwell=60&finish=inning&threshold=high&returnToPrevious=true')
+  let url = playlist_urls(response.body)[0]
+  assert.ok(url.includes('&dwell=60&finish=inning&returnToPrevious=true'))
+  assert.ok(!url.includes('threshold'))
+})
+
+test('Game Changer switching rules hold the current game or switch at a new batter', async function() {
+  await start_server(SWITCHING_SERVER_PORT)
+  // the Triple-A game at 2.4 leverage mid at-bat, and another game out of reach at 0.1
+  upstream.fixtures['schedule_milb.json'] = milb_schedule({balls: 1, strikes: 1}, {offense: {}, outs: 0, teams: {away: {runs: 8, hits: 9}, home: {runs: 0, hits: 2}}})
+  try {
+    let urls = {}
+    for (const rules of ['', '&dwell=60', '&threshold=8']) {
+      let master = await get('/gamechanger.m3u8?includeLevels=AAA' + rules, {}, SWITCHING_SERVER_PORT)
+      urls[rules] = playlist_urls(master.body)[0]
+      await get(urls[rules], {}, SWITCHING_SERVER_PORT)
+    }
+
+    // then a new batter in the Triple-A game, with the bases loaded in the other one at 9.1 leverage
+    upstream.fixtures['schedule_milb.json'] = milb_schedule({balls: 0, strikes: 0}, {offense: {first: {id: 700002}, second: {id: 700003}, third: {id: 700004}}, outs: 2, teams: {away: {runs: 4, hits: 9}, home: {runs: 5, hits: 8}}})
+    await new Promise(resolve => setTimeout(resolve, (GAMECHANGER_CACHE_SECONDS + 1) * 1000))
+    let switches = {}
+    for (const [rules, url] of Object.entries(urls)) {
+      await get(url, {}, SWITCHING_SERVER_PORT)
+      let response = await get('/gamechanger_history.json?id=' + url.match(/[?&]id=([^&]+)/)[1], {}, SWITCHING_SERVER_PORT)
+      switches[rules] = JSON.parse(response.body).gamechangers[0].switches
+    }
+
+    assert.deepStrictEqual(switches[''].map(v => v.to), ['888001', '888002'])
+    assert.strictEqual(switches[''][1].from, '888001')
+    assert.strictEqual(switches[''][1].reason, 'leverage is more than 1.5 higher than the current game, at a new batter')
+    // the minimum dwell time and a higher threshold both stay on the first game
+    assert.deepStrictEqual(switches['&dwell=60'].map(v => v.to), ['888001'])
+    assert.deepStrictEqual(switches['&threshold=8'].map(v => v.to), ['888001'])
+  } finally {
+    delete upstream.fixtures['schedule_milb.json']
+  }
+})
+
+test('/gamechanger.m3u8 follows the included levels', async function() {
+  let response = await get('/gamechanger.m3u8?includeLevels=winter,a%2B')
+  let url = playlist_urls(response.body)[0]
+  assert.ok(url.includes('&includeLevels=WINTER%2CA%2B'))
+  let id = url.match(/[?&]id=([^&]+)/)[1]
+  await get(url)
+
+  response = await get('/gamechanger_history.json?id=' + id)
+  assert.deepStrictEqual(JSON.parse(response.body).gamechangers[0].includeLevels, ['WINTER', 'A+'])
+})
+
+test('Stream Finder follows the included levels', async function() {
+  let master = await get('/gamechanger.m3u8?streamFinder=on&includeLevels=AAA')
+  let url = playlist_urls(master.body)[0]
+  assert.ok(url.includes('&streamFinder=on&includeLevels=AAA'))
+  let response = await get(url)
+  assert.ok(playlist_urls(response.body).some(v => decodeURIComponent(v).includes('/milbcdn/')))
+
+  response = await get('/gamechanger_history.json?id=' + url.match(/[?&]id=([^&]+)/)[1])
+  let switches = JSON.parse(response.body).gamechangers[0].switches
+  assert.strictEqual(switches.length, 1)
+  assert.strictEqual(switches[0].to, '888001')
+  assert.strictEqual(switches[0].to_teams, 'RailRiders @ Red Sox')
+})
+
+test('Game Changer streams reject unknown levels and organizations', async function() {
+  let response = await get('/gamechanger.m3u8?includeLevels=AAAA')
+  assert.strictEqual(response.status, 400)
+  assert.strictEqual(response.body.toString(), 'includeLevels has unknown levels AAAA')
+
+  response = await get('/gamechangerplaylist.m3u8?id=invalidlevels&includeLevels=AAA&includeOrgs=NYY,XYZ')
+  assert.strictEqual(response.status, 400)
+  assert.strictEqual(response.body.toString(), 'includeOrgs has unknown organizations XYZ')
+
+  // already decoded by the query parser, so a percent sign is just an unknown level, and the server keeps running
+  for (const url of ['/gamechanger.m3u8?includeLevels=%25', '/gamechangerplaylist.m3u8?id=invalidlevels&includeLevels=%25']) {
+    response = await get(url)
+    assert.strictEqual(response.status, 400)
+    assert.strictEqual(response.body.toString(), 'includeLevels has unknown levels %')
+  }
+  response = await get('/healthz')
+  assert.strictEqual(response.status, 200)
+})
+
+test('/gamechangerplaylist.m3u8 serves segments from a MiLB game', async function() {
+  let master = await get('/gamechanger.m3u8?includeLevels=AAA')
+  let response = await get(playlist_urls(master.body)[0])
+  assert.strictEqual(response.status, 200)
+  let urls = playlist_urls(response.body)
+  assert.ok(urls.length > 0)
+
+  let url = urls[urls.length - 1]
+  let index = parseInt(decodeURIComponent(url).match(/\/milbcdn\/[A-Za-z0-9]+\/segment_([0-9]+)\.ts/)[1])
+  response = await get(url)
+  assert.strictEqual(response.status, 200)
+  assert.deepStrictEqual(response.body, mock_upstream.get_segment(index))
+})
+
+test('/recordings.json only adds rules for known teams', async function() {
+  let response = await get('/recordings.json?action=add_rule&team=' + encodeURIComponent('<b>NYY</b>'))
+  assert.strictEqual(response.status, 400)
+  assert.strictEqual(JSON.parse(response.body).error, 'unknown team')
+
+  response = await get('/recordings')
+  assert.ok(!response.body.toString().includes('<b>NYY</b>'))
+})
+
+test('/api/v1/games lists MLB and MiLB broadcasts with their call signs', async function() {
+  let response = await get('/api/v1/games?date=' + GAME_DATE)
+  assert.strictEqual(response.status, 200)
+  let games = JSON.parse(response.body).games
+  assert.strictEqual(games[0].gamePk.toString(), GAME_PK)
+  assert.deepStrictEqual(games[0].broadcasts.map(v => v.callSign), ['NESN', 'YES'])
+  assert.ok(games[0].broadcasts[1].urls.stream.includes('/stream.m3u8?mediaId=' + HOME_MEDIA_ID))
+
+  response = await get('/api/v1/games?date=' + GAME_DATE + '&level=AAA')
+  games = JSON.parse(response.body).games
+  assert.strictEqual(games[0].gamePk, 888001)
+  assert.strictEqual(games[0].broadcasts[0].callSign, 'MiLB.TV')
+  assert.ok(games[0].broadcasts[0].urls.stream.includes('/stream.m3u8?gamePk=888001'))
+
+  // the home page links the same feeds
+  response = await get('/?date=' + GAME_DATE + '&level=AAA')
+  assert.ok(response.body.toString().includes('?gamePk=888001'))
+})
+
+test('content URLs only use another user\'s settings with that user\'s key, or for an admin', async function() {
+  let instance = await get_protected_server()
+  assert.ok(instance.output.includes('ignoring invalid user not a user'))
+
+  let settings = {priority: [{type: 'LI', data: '3', immediate: 'N'}], ignore: [], on_deck: 'N', include_CLI: 'Y'}
+  let response = await post('/streamfinder.json', JSON.stringify(settings), basic_auth(...USER_LOGIN), instance.port)
+  assert.strictEqual(response.status, 200)
+
+  // the user's own content URLs carry their key
+  response = await get('/gamechanger.m3u8', basic_auth(...USER_LOGIN), instance.port)
+  let user_key = response.body.toString().match(/&user=alice&user_key=([0-9a-f]+)/)[1]
+
+  // content URLs only carry the user on to the Game Changer playlist with the right key
+  let content_url = '/gamechanger.m3u8?content_protect=' + CONTENT_PROTECT + '&user=' + USER_LOGIN[0]
+  response = await get(content_url, {}, instance.port)
+  assert.ok(!response.body.toString().includes('&user=alice'))
+  response = await get(content_url + '&user_key=' + user_key.replace(/.$/, (user_key.endsWith('0') ? '1' : '0')), {}, instance.port)
+  assert.ok(!response.body.toString().includes('&user=alice'))
+  response = await get(content_url + '&user_key=' + user_key, {}, instance.port)
+  assert.ok(response.body.toString().includes('&user=alice&user_key=' + user_key))
+  response = await get('/gamechanger.m3u8?content_protect=' + CONTENT_PROTECT + '&user=constructor&user_key=' + user_key, {}, instance.port)
+  assert.strictEqual(response.status, 200)
+  assert.ok(!response.body.toString().includes('&user=constructor'))
+
+  response = await get('/streamfinder.json?user=' + USER_LOGIN[0], basic_auth(...ADMIN_LOGIN), instance.port)
+  assert.deepStrictEqual(JSON.parse(response.body).settings, settings)
+})
+
+test('page protection limits content_protect and API tokens to their scope', async function() {
+  let instance = await get_protected_server()
+
+  // the content_protect key is in every content URL, so it can't open admin pages or issue tokens
+  let response = await get('/tokens.json?content_protect=' + CONTENT_PROTECT, {}, instance.port)
+  assert.strictEqual(response.status, 401)
+  response = await post('/tokens.json?content_protect=' + CONTENT_PROTECT, JSON.stringify({action: 'issue', name: 'mine', scope: 'admin'}), {}, instance.port)
+  assert.strictEqual(response.status, 401)
+  response = await get('/channels.m3u?content_protect=' + CONTENT_PROTECT, {}, instance.port)
+  assert.strictEqual(response.status, 200)
+
+  response = await post('/tokens.json', JSON.stringify({action: 'issue', name: 'tv', scope: 'guide'}), basic_auth(...ADMIN_LOGIN), instance.port)
+  let guide_token = JSON.parse(response.body).issued
+
+  // a guide token gets the guide, with its own token in the stream URLs instead of content_protect, but not the streams
+  response = await get('/channels.m3u?mediaType=Video', { 'Authorization': 'Bearer ' + guide_token.token }, instance.port)
+  assert.strictEqual(response.status, 200)
+  let body = response.body.toString()
+  assert.ok(body.includes('&token=' + guide_token.token))
+  assert.ok(!body.includes(CONTENT_PROTECT))
+  response = await get('/stream.m3u8?team=NYY&date=' + GAME_DATE + '&token=' + guide_token.token, {}, instance.port)
+  assert.strictEqual(response.status, 403)
+  response = await get('/tokens.json?token=' + guide_token.token, {}, instance.port)
+  assert.strictEqual(response.status, 403)
+
+  response = await post('/tokens.json', JSON.stringify({action: 'revoke', id: guide_token.id}), basic_auth(...ADMIN_LOGIN), instance.port)
+  assert.strictEqual(response.status, 200)
+  response = await get('/channels.m3u?token=' + guide_token.token, {}, instance.port)
+  assert.strictEqual(response.status, 401)
+
+  response = await get('/channels.m3u?token=' + EXPIRED_TOKEN, {}, instance.port)
+  assert.strictEqual(response.status, 401)
+})
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+// mock_upstream.js serves recorded upstream API fixtures and an encrypted HLS sample, for offline testing
+// Start it, then launch mlbserver with --upstream_url=http://127.0.0.1:9990 to use it
+
+// Required Node packages for the mock upstream
+const http = require('http')
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+const DEFAULT_PORT = 9990
+const FIXTURES_DIRECTORY = path.join(__dirname, 'fixtures')
+
+// AES-128 key and IV used to encrypt the HLS sample segments (IV matches the sample playlist)
+const SEGMENT_KEY = Buffer.from('6d6c627365727665722d6d6f636b2d31', 'hex')
+const SEGMENT_IV = Buffer.from('00000000000000000000000000000001', 'hex')
+const SEGMENT_COUNT = 20
+const TS_PACKET_SIZE = 188
+const TS_PACKETS_PER_SEGMENT = 4
+
+// Playback token returned by initPlaybackSession, and required by the CDN paths
+const PLAYBACK_TOKEN = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIRECTORY, 'initPlaybackSession.json'))).data.initPlaybackSession.playback.token
+
+const HLS_CONTENT_TYPE = 'application/vnd.apple.mpegurl'
+
+// Decrypted contents of a sample segment: MPEG-TS null packets, filled with the segment index
+function get_segment(index) {
+  let segment = Buffer.alloc(TS_PACKET_SIZE * TS_PACKETS_PER_SEGMENT, index)
+  for (let i=0; i<TS_PACKETS_PER_SEGMENT; i++) {
+    segment.writeUInt32BE(0x471FFF10, i * TS_PACKET_SIZE)
+  }
+  return segment
+}
+
+function get_encrypted_segment(index) {
+  let cipher = crypto.createCipheriv('aes-128-cbc', SEGMENT_KEY, SEGMENT_IV)
+  return Buffer.concat([cipher.update(get_segment(index)), cipher.final()])
+}
+
+// Read a fixture, unless a test has replaced it in the server's fixtures
+function read_fixture(name, fixtures = {}) {
+  if ( fixtures[name] ) return fixtures[name]
+  return fs.readFileSync(path.join(FIXTURES_DIRECTORY, name), 'utf8')
+}
+
+function send(res, status, content_type, body) {
+  res.writeHead(status, {'Content-Type': content_type, 'Access-Control-Allow-Origin': '*'})
+  res.end(body)
+}
+
+function read_body(req, cb) {
+  let chunks = []
+  req.on('data', function(chunk) {
+    chunks.push(chunk)
+  })
+  req.on('end', function() {
+    cb(Buffer.concat(chunks).toString())
+  })
+}
+
+// Route a request to its fixture, logging it to the requests list for the tests to inspect
+function handle_request(req, res, server) {
+  let pathname = req.url.split('?')[0]
+  let upstream = 'http://' + req.headers.host
+
+  read_body(req, function(body) {
+    let request = {method: req.method, path: pathname, url: req.url, headers: req.headers, body: body}
+    server.requests.push(request)
+
+    if ( (req.method == 'POST') && pathname.match(/^\/ids\/oauth2\/[^\/]+\/v1\/token$/) ) {
+      let form = new URLSearchParams(body)
+      if ( !form.get('username') || !form.get('password') ) {
+        return send(res, 401, 'application/json', JSON.stringify({error: 'invalid_grant'}))
+      }
+      return send(res, 200, 'application/json', read_fixture('token.json', server.fixtures))
+    }
+
+    if ( (req.method == 'POST') && (pathname == '/media-gateway/graphql') ) {
+      let query = {}
+      try {
+        query = JSON.parse(body)
+      } catch (e) {
+        return send(res, 400, 'application/json', JSON.stringify({errors: [{message: 'invalid json'}]}))
+      }
+      request.operationName = query.operationName
+      request.variables = query.variables
+      if ( query.operationName == 'initSession' ) {
+        return send(res, 200, 'application/json', read_fixture('initSession.json', server.fixtures))
+      } else if ( query.operationName == 'initPlaybackSession' ) {
+        return send(res, 200, 'application/json', read_fixture('initPlaybackSession.json', server.fixtures).replace('{upstream}', upstream))
+      }
+      return send(res, 400, 'application/json', JSON.stringify({errors: [{message: 'unknown operation'}]}))
+    }
+
+    if ( pathname == '/statsapi/api/v1/schedule' ) {
+      // minor league schedules (without MLB's sportId 1) have their own fixture
+      let sport_ids = (new URL(req.url, upstream).searchParams.get('sportId') || '1').split(',')
+      return send(res, 200, 'application/json', read_fixture(sport_ids.includes('1') ? 'schedule.json' : 'schedule_milb.json', server.fixtures))
+    }
+
+    if ( pathname.match(/^\/statsapi\/api\/v1\.1\/game\/[0-9]+\/feed\/live$/) ) {
+      return send(res, 200, 'application/json', read_fixture('feed_live.json', server.fixtures))
+    }
+
+    if ( pathname == '/mastapi/api/epg/v3/search' ) {
+      return send(res, 200, 'application/json', read_fixture('epg.json', server.fixtures))
+    }
+
+    if ( pathname == '/baseball-reference/stream-finder.shtml' ) {
+      return send(res, 200, 'text/html', read_fixture('stream_finder.html', server.fixtures))
+    }
+
+    // MiLB and winter league games play the same sample from their own CDN, which needs no token
+    if ( pathname.match(/^\/milb\/api\/v2\/playback-info\/games\/[0-9]+\/contents\/[0-9]+\/products\/milb-carousel$/) ) {
+      return send(res, 200, 'application/json', JSON.stringify({success: true, data: [{value: upstream + '/milbcdn/master.m3u8'}]}))
+    }
+
+    let cdn = pathname.match(/^\/(cdn|milbcdn)(\/.*)$/)
+    if ( cdn ) {
+      if ( (cdn[1] == 'cdn') && (req.headers['x-cdn-token'] != PLAYBACK_TOKEN) ) {
+        return send(res, 403, 'text/plain', 'forbidden')
+      }
+      if ( cdn[2] == '/master.m3u8' ) {
+        return send(res, 200, HLS_CONTENT_TYPE, read_fixture(path.join('hls', 'master.m3u8'), server.fixtures))
+      } else if ( cdn[2].match(/^\/[A-Za-z0-9]+\/playlist\.m3u8$/) ) {
+        return send(res, 200, HLS_CONTENT_TYPE, read_fixture(path.join('hls', 'playlist.m3u8'), server.fixtures))
+      } else if ( cdn[2] == '/key.bin' ) {
+        return send(res, 200, 'application/octet-stream', SEGMENT_KEY)
+      }
+      let segment = cdn[2].match(/^\/[A-Za-z0-9]+\/segment_([0-9]+)\.ts$/)
+      if ( segment && (parseInt(segment[1]) < SEGMENT_COUNT) ) {
+        return send(res, 200, 'video/mp2t', get_encrypted_segment(parseInt(segment[1])))
+      }
+    }
+
+    send(res, 404, 'text/plain', 'not found')
+  })
+}
+
+// Start the mock upstream, resolving with the server once it is listening
+// server.requests lists every request received, in order, and server.fixtures replaces fixtures by name
+function start(port = DEFAULT_PORT) {
+  return new Promise(function(resolve, reject) {
+    let server = http.createServer(function(req, res) {
+      handle_request(req, res, server)
+    })
+    server.requests = []
+    server.fixtures = {}
+    server.on('error', reject)
+    server.listen(port, '127.0.0.1', function() {
+      resolve(server)
+    })
+  })
+}
+
+module.exports = { start, get_segment, SEGMENT_COUNT, DEFAULT_PORT }
+
+if ( require.main === module ) {
+  let port = parseInt(process.argv[2]) || DEFAULT_PORT
+  start(port).then(function() {
+    console.log('mock upstream started at http://127.0.0.1:' + port)
+  })
+}